@@ -11,7 +11,7 @@
  * - Error handling and response formatting work identically on all platforms
  * 
  * Key Responsibilities:
- * - Route messages to folder operations, file mover services
+ * - Route messages to folder operations, file mover and file sniffer services
  * - Handle version checks and capability queries
  * - Provide error handling and response formatting
  * 
@@ -22,6 +22,7 @@
 
 const folderOperations = require('../services/folder-operations');
 const fileMover = require('../services/file-mover');
+const fileSniffer = require('../services/file-sniffer');
 const fileSaveDialog = require('../services/file-save-dialog');
 
 /**
@@ -37,6 +38,7 @@ const fileSaveDialog = require('../services/file-save-dialog');
  * External Dependencies:
  *   - folderOperations: Service for folder verification, creation, listing
  *   - fileMover: Service for post-download file moving
+ *   - fileSniffer: Service for identifying a downloaded file's type from its content
  *   - fileSaveDialog: Service for native Save As dialogs (used in main.js, kept here for other handlers)
  */
 async function handleMessage(message, context) {
@@ -66,6 +68,9 @@ async function handleMessage(message, context) {
     case 'moveFile':
       return await fileMover.moveFile(message.source, message.destination);
     
+    case 'sniffFile':
+      return await fileSniffer.sniffFile(message.path);
+    
     case 'showSaveAsDialog':
       console.error('Handling showSaveAsDialog message, filename:', message.filename, 'defaultDirectory:', message.defaultDirectory);
       const saveAsResult = await fileSaveDialog.showSaveAsDialog(message.filename, message.defaultDirectory || null);
@@ -29,7 +29,9 @@ const folderOperations = require('./folder-operations');
  * 
  * Inputs:
  *   - sourcePath: String absolute path to source file
- *   - destinationPath: String absolute path to destination (file or folder)
+ *   - destinationPath: String absolute path to destination: a file path, an existing folder,
+ *     or a folder path ending in a separator (created if missing). A missing path without a
+ *     trailing separator is taken as a file path.
  * 
  * Outputs: Promise resolving to response object indicating success or error
  * 
@@ -72,19 +74,27 @@ async function moveFile(sourcePath, destinationPath) {
     // Determine final destination path
     let finalDestination = destinationPath;
     
-    // If destination is a folder, append source filename
+    // A path ending in a separator names a folder even if it doesn't exist yet
+    const namesFolder = /[\/\\]$/.test(destinationPath);
+    let destStats = null;
     try {
-      const destStats = await fs.stat(destinationPath);
-      if (destStats.isDirectory()) {
-        // path.basename: Extracts filename from path
-        //   Inputs: Path string
-        //   Outputs: Filename string
-        const filename = path.basename(sourcePath);
-        finalDestination = path.join(destinationPath, filename);
-      }
+      destStats = await fs.stat(destinationPath);
     } catch (error) {
-      // Destination doesn't exist - assume it's a file path
-      // Ensure parent directory exists
+      // Destination doesn't exist yet
+    }
+    
+    // If destination is a folder, append source filename
+    if (namesFolder || (destStats && destStats.isDirectory())) {
+      // path.basename: Extracts filename from path
+      //   Inputs: Path string
+      //   Outputs: Filename string
+      const filename = path.basename(sourcePath);
+      finalDestination = path.join(destinationPath, filename);
+    }
+    
+    if (!destStats) {
+      // Missing destination: treat it as a file path (callers send the full path, since
+      // a missing folder can't be told from a file) and create its parent directory
       const parentDir = path.dirname(finalDestination);
       const parentExists = await folderOperations.verifyFolder(parentDir);
       
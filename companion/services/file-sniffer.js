@@ -0,0 +1,197 @@
+/**
+ * file-sniffer.js
+ *
+ * Platform: Cross-platform (macOS, Windows, Linux)
+ * Purpose: Content sniffing service for finished downloads.
+ * Role: Reads the first bytes of a downloaded file and identifies its real type from
+ *       magic numbers, so the extension can fix files served as application/octet-stream
+ *       with a missing or wrong extension.
+ *
+ * Platform Support:
+ * - Uses Node.js fs file handles, which are cross-platform
+ * - Signatures are byte patterns and don't depend on the OS
+ *
+ * Key Responsibilities:
+ * - Read a bounded head of the file (never the whole file)
+ * - Match known signatures (PDF, ZIP and ZIP-based formats, images, video, archives,
+ *   executables, 3D models)
+ * - Report the detected extension and MIME type
+ */
+
+const fs = require('fs').promises;
+
+// Bytes read from the start of the file. ZIP-based formats (3MF, DOCX...) are told apart by
+// the names of their first entries, which sit in the local file headers near the start.
+const SNIFF_BYTES = 64 * 1024;
+
+// Binary STL: 80-byte header, 32-bit triangle count, 50 bytes per triangle
+const STL_HEADER_BYTES = 84;
+const STL_TRIANGLE_BYTES = 50;
+
+// Fixed signatures: bytes expected at an offset
+const SIGNATURES = [
+  { bytes: [0x25, 0x50, 0x44, 0x46, 0x2D], extension: 'pdf', mime: 'application/pdf' }, // %PDF-
+  { bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A], extension: 'png', mime: 'image/png' },
+  { bytes: [0xFF, 0xD8, 0xFF], extension: 'jpg', mime: 'image/jpeg' },
+  { bytes: [0x47, 0x49, 0x46, 0x38], extension: 'gif', mime: 'image/gif' }, // GIF8
+  { bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C], extension: '7z', mime: 'application/x-7z-compressed' },
+  { bytes: [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07], extension: 'rar', mime: 'application/vnd.rar' }, // Rar!
+  { bytes: [0x1F, 0x8B], extension: 'gz', mime: 'application/gzip' },
+  { bytes: [0x75, 0x73, 0x74, 0x61, 0x72], offset: 257, extension: 'tar', mime: 'application/x-tar' }, // ustar
+  { bytes: [0x67, 0x6C, 0x54, 0x46], extension: 'glb', mime: 'model/gltf-binary' }, // glTF
+  { bytes: [0x49, 0x44, 0x33], extension: 'mp3', mime: 'audio/mpeg' }, // ID3
+  { bytes: [0x4F, 0x67, 0x67, 0x53], extension: 'ogg', mime: 'audio/ogg' }, // OggS
+  { bytes: [0x66, 0x4C, 0x61, 0x43], extension: 'flac', mime: 'audio/flac' }, // fLaC
+  { bytes: [0x21, 0x3C, 0x61, 0x72, 0x63, 0x68, 0x3E, 0x0A, 0x64, 0x65, 0x62, 0x69, 0x61, 0x6E],
+    extension: 'deb', mime: 'application/vnd.debian.binary-package' }, // !<arch>\ndebian
+  { bytes: [0xED, 0xAB, 0xEE, 0xDB], extension: 'rpm', mime: 'application/x-rpm' },
+  { bytes: [0x4D, 0x5A], extension: 'exe', mime: 'application/vnd.microsoft.portable-executable' } // MZ
+];
+
+// ZIP-based formats, identified by an entry name inside the archive
+const ZIP_FORMATS = [
+  { marker: '3D/3dmodel.model', extension: '3mf', mime: 'model/3mf' },
+  { marker: 'word/', extension: 'docx', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  { marker: 'xl/', extension: 'xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  { marker: 'ppt/', extension: 'pptx', mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation' },
+  { marker: 'mimetypeapplication/vnd.oasis.opendocument.text', extension: 'odt', mime: 'application/vnd.oasis.opendocument.text' },
+  { marker: 'mimetypeapplication/vnd.oasis.opendocument.spreadsheet', extension: 'ods', mime: 'application/vnd.oasis.opendocument.spreadsheet' },
+  { marker: 'mimetypeapplication/epub+zip', extension: 'epub', mime: 'application/epub+zip' },
+  { marker: 'AndroidManifest.xml', extension: 'apk', mime: 'application/vnd.android.package-archive' },
+  { marker: 'META-INF/MANIFEST.MF', extension: 'jar', mime: 'application/java-archive' }
+];
+
+// ISO base media brands (bytes 8-11) that aren't plain MP4 video
+const FTYP_BRANDS = {
+  'qt  ': { extension: 'mov', mime: 'video/quicktime' },
+  'M4A ': { extension: 'm4a', mime: 'audio/mp4' },
+  'heic': { extension: 'heic', mime: 'image/heic' },
+  'heix': { extension: 'heic', mime: 'image/heic' },
+  'avif': { extension: 'avif', mime: 'image/avif' }
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+/**
+ * Identifies a file type from its first bytes.
+ *
+ * Inputs:
+ *   - buffer: Buffer holding the start of the file
+ *   - fileSize: Number total file size in bytes (used for binary STL)
+ *
+ * Outputs: Object { extension, mime } or null if the type isn't recognised
+ */
+function detectFileType(buffer, fileSize) {
+  // ZIP (local file header, or an empty archive) - look at entry names for ZIP-based formats
+  if (startsWith(buffer, [0x50, 0x4B, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4B, 0x05, 0x06])) {
+    const names = buffer.toString('latin1');
+    const format = ZIP_FORMATS.find(candidate => names.includes(candidate.marker));
+    return format
+      ? { extension: format.extension, mime: format.mime }
+      : { extension: 'zip', mime: 'application/zip' };
+  }
+
+  // RIFF container: WEBP, AVI, WAV
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && buffer.length >= 12) {
+    const format = buffer.toString('latin1', 8, 12);
+    if (format === 'WEBP') return { extension: 'webp', mime: 'image/webp' };
+    if (format === 'AVI ') return { extension: 'avi', mime: 'video/x-msvideo' };
+    if (format === 'WAVE') return { extension: 'wav', mime: 'audio/wav' };
+  }
+
+  // ISO base media (MP4, MOV, M4A, HEIC): "ftyp" box at offset 4
+  if (buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp') {
+    return FTYP_BRANDS[buffer.toString('latin1', 8, 12)] || { extension: 'mp4', mime: 'video/mp4' };
+  }
+
+  // Matroska (MKV, WebM) - the DocType says which
+  if (startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])) {
+    return buffer.toString('latin1', 0, 64).includes('webm')
+      ? { extension: 'webm', mime: 'video/webm' }
+      : { extension: 'mkv', mime: 'video/x-matroska' };
+  }
+
+  const signature = SIGNATURES.find(candidate => startsWith(buffer, candidate.bytes, candidate.offset || 0));
+  if (signature) return { extension: signature.extension, mime: signature.mime };
+
+  // ASCII STL starts with "solid" and has facets; other text files can start with "solid" too
+  const head = buffer.toString('latin1', 0, Math.min(buffer.length, 1024));
+  if (/^\s*solid\b/.test(head) && /\bfacet\s+normal\b/.test(head)) {
+    return { extension: 'stl', mime: 'model/stl' };
+  }
+
+  // Binary STL has no magic number, but its size is fixed by the triangle count
+  if (buffer.length >= STL_HEADER_BYTES) {
+    const triangles = buffer.readUInt32LE(80);
+    if (triangles > 0 && fileSize === STL_HEADER_BYTES + triangles * STL_TRIANGLE_BYTES) {
+      return { extension: 'stl', mime: 'model/stl' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads the start of a file and identifies its type.
+ *
+ * Inputs:
+ *   - filePath: String absolute path to the file
+ *
+ * Outputs: Promise resolving to response object:
+ *   { success: true, type: 'fileSniffed', extension, mime } - extension/mime are null when
+ *   the type isn't recognised - or { success: false, error, code }
+ *
+ * External Dependencies:
+ *   - fs.open: Node.js file system API for reading part of a file
+ *   - fs.stat: Node.js file system API for getting the file size
+ */
+async function sniffFile(filePath) {
+  if (!filePath) {
+    return {
+      success: false,
+      error: 'File path required',
+      code: 'INVALID_PATH'
+    };
+  }
+
+  let handle = null;
+  try {
+    handle = await fs.open(filePath, 'r');
+    const stats = await handle.stat();
+    if (!stats.isFile()) {
+      return {
+        success: false,
+        error: 'Path is not a file',
+        code: 'NOT_A_FILE'
+      };
+    }
+
+    const buffer = Buffer.alloc(Math.min(SNIFF_BYTES, stats.size));
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    const detected = detectFileType(buffer.subarray(0, bytesRead), stats.size);
+
+    return {
+      success: true,
+      type: 'fileSniffed',
+      extension: detected ? detected.extension : null,
+      mime: detected ? detected.mime : null
+    };
+  } catch (error) {
+    console.error('sniffFile error:', error);
+    return {
+      success: false,
+      error: error.message,
+      code: error.code === 'ENOENT' ? 'FILE_NOT_FOUND' : 'SNIFF_FAILED'
+    };
+  } finally {
+    if (handle) await handle.close();
+  }
+}
+
+module.exports = {
+  sniffFile,
+  detectFileType
+};
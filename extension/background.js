@@ -26,7 +26,8 @@ try {
       checkCompanionApp: () => Promise.resolve({ installed: false }),
       pickFolder: () => Promise.reject(new Error('Native messaging not available')),
       verifyFolder: () => Promise.resolve(false),
-      moveFile: () => Promise.resolve(false)
+      moveFile: () => Promise.resolve(false),
+      sniffFile: () => Promise.resolve(null)
     };
   }
 } catch (e) {
@@ -36,12 +37,79 @@ try {
     checkCompanionApp: () => Promise.resolve({ installed: false }),
     pickFolder: () => Promise.reject(new Error('Native messaging not available')),
     verifyFolder: () => Promise.resolve(false),
-    moveFile: () => Promise.resolve(false)
+    moveFile: () => Promise.resolve(false),
+    sniffFile: () => Promise.resolve(null)
   };
 }
 
-// Map to track pending downloads that are awaiting user confirmation or processing
-let pendingDownloads = new Map();
+// Load the routing engine (rule matching + path resolution helpers) and the helpers it uses
+// (IDN conversion, Public Suffix List, paths and filenames, CDN-to-site attribution, page sources, site adapters, rule schedules,
+// project mode). Unlike the native messaging client there is no safe fallback: without it nothing can be routed.
+importScripts('lib/public-suffix-list.js', 'lib/domain-names.js', 'lib/file-names.js', 'lib/source-sites.js', 'lib/page-data.js', 'lib/site-adapters.js', 'lib/schedules.js', 'lib/project-mode.js', 'lib/router.js');
+const {
+  extractFilename,
+  normalizePath,
+  isAbsolutePath,
+  joinAbsolutePath,
+  buildRelativePath,
+  hasPathTemplate,
+  expandPathTemplate,
+  buildPathTemplateValues,
+  validatePathTemplate,
+  validateRename,
+  validateRuleValue,
+  validateMatchScope,
+  DOMAIN_MATCH_SCOPES,
+  normalizeDomainRuleValue,
+  getRuleTemplateVariables,
+  validateRulePageVariables,
+  validateSchedule,
+  validateConditions,
+  describeConditions,
+  getWindowKind,
+  parseExtensionList,
+  getSuggestedSiteDomain,
+  findRulesForDownload,
+  routeDownload
+} = self.DownloadRouter;
+const { PAGE_DATA_TIMEOUT_MS, collectPageSources } = self.PageData;
+const { PROJECT_MODE_KEY, PROJECT_MODE_ALARM, validateProjectModeOptions, createProjectMode, isProjectModeActive } = self.ProjectMode;
+
+// Load the configuration store. Rules and groups are too large for a single sync item,
+// so every read/write of them goes through configStore instead of chrome.storage.sync.
+importScripts('lib/config-store.js');
+const configStore = self.configStore;
+const { STORAGE_WARNING_KEY } = self.ConfigStore;
+
+// Load the rule profile helpers - the popup, Options and the keyboard command switch profiles here
+importScripts('lib/profiles.js');
+const { normalizeProfiles, findProfile, applyProfileSwitch, getNextProfileId, getProfileBadgeText } = self.Profiles;
+
+// Load the download history store (IndexedDB) - read by history.html
+importScripts('lib/download-history.js');
+const downloadHistory = self.downloadHistory;
+const { createHistoryEntry } = self.DownloadHistory;
+
+// Load the pending download store - mirrors pendingDownloads into chrome.storage.session
+// so a service worker restart doesn't lose downloads waiting on the overlay or a move
+importScripts('lib/pending-downloads.js');
+const { PersistentPendingMap, getRecoveryAction } = self.PendingDownloadStore;
+
+// Load the content sniffing helpers - fix the type of finished downloads served without one
+importScripts('lib/content-sniffing.js');
+const { shouldSniffDownload, planTypeCorrection } = self.ContentSniffing;
+
+// Load the tab attribution helpers - find the tab that started a download (see below)
+importScripts('lib/tab-attribution.js');
+const { recordNavigation, findDownloadTab } = self.TabAttribution;
+
+// Recent top-level navigations, used to attribute downloads to the tab that started them.
+// Kept in memory only; after a restart attribution falls back to the referrer and active tab.
+let recentNavigations = [];
+
+// Map to track pending downloads that are awaiting user confirmation or processing.
+// Adding/removing entries saves it; call pendingDownloads.persist() after changing an entry.
+let pendingDownloads = new PersistentPendingMap(self.pendingDownloadStore);
 
 // Map to track completed downloads for notification clicks
 let completedDownloads = new Map();
@@ -96,101 +164,6 @@ function formatPathDisplay(relativePath, absoluteDestination = null) {
   return 'Downloads > ' + folders.join(' > ');
 }
 
-/**
- * Path Utility Functions
- * 
- * These functions handle path normalization, sanitization, and construction
- * for Chrome's downloads API, which requires relative paths with forward slashes.
- */
-
-/**
- * Extracts just the filename from a potentially path-containing string.
- * Handles both forward and backslash separators.
- * 
- * Inputs:
- *   - path: String that may contain a full path or just a filename
- * 
- * Outputs: String containing just the filename (basename)
- * 
- * Examples:
- *   - "file.stl" → "file.stl"
- *   - "Downloads/file.stl" → "file.stl"
- *   - "C:\Users\John\Downloads\file.stl" → "file.stl"
- *   - "folder/subfolder/file.stl" → "file.stl"
- */
-function extractFilename(path) {
-  if (!path) return '';
-  // Replace backslashes with forward slashes for consistent handling
-  const normalized = path.replace(/\\/g, '/');
-  // Extract last segment (filename)
-  return normalized.split('/').pop();
-}
-
-/**
- * Normalizes a folder path by:
- * - Converting backslashes to forward slashes
- * - Removing leading/trailing slashes
- * - Collapsing multiple consecutive slashes
- * 
- * Inputs:
- *   - path: String path to normalize
- * 
- * Outputs: String with normalized path (empty string if input is empty/invalid)
- * 
- * Examples:
- *   - "3DPrinting" → "3DPrinting"
- *   - "3DPrinting/" → "3DPrinting"
- *   - "/3DPrinting" → "3DPrinting"
- *   - "3DPrinting\\models" → "3DPrinting/models"
- *   - "3DPrinting//models" → "3DPrinting/models"
- */
-function normalizePath(path) {
-  if (!path || path.trim() === '') return '';
-  return path
-    .replace(/\\/g, '/')  // Convert backslashes to forward slashes
-    .replace(/^\/+|\/+$/g, '')  // Remove leading/trailing slashes
-    .replace(/\/+/g, '/')  // Collapse multiple slashes
-    .trim();
-}
-
-/**
- * Sanitizes folder name by removing invalid characters.
- * Windows invalid chars: < > : " | ? * \
- * Also prevents path traversal attempts.
- * 
- * Inputs:
- *   - folder: String folder name to sanitize
- * 
- * Outputs: String with sanitized folder name (empty string if input is empty/invalid)
- * 
- * Examples:
- *   - "3DPrinting" → "3DPrinting"
- *   - "Test<Folder>" → "TestFolder"
- *   - "Folder..name" → "Foldername"
- *   - "My Files" → "My Files" (spaces preserved)
- */
-function sanitizeFolderName(folder) {
-  if (!folder) return '';
-  return folder
-    .replace(/[<>:"|?*\\]/g, '')  // Remove invalid characters
-    .replace(/\.\./g, '')  // Prevent path traversal
-    .replace(/^\.+$/, '')  // Remove directories with only dots
-    .trim();
-}
-
-/**
- * Checks if a path is an absolute path (starts with / on Unix or C:\ on Windows).
- * 
- * Inputs:
- *   - path: String path to check
- * 
- * Outputs: Boolean true if absolute path
- */
-function isAbsolutePath(path) {
-  if (!path) return false;
-  return /^(\/|[A-Za-z]:[\\\/])/.test(path);
-}
-
 /**
  * Collects all folder paths currently used in rules, groups, and default folder.
  * Returns only relative paths (filters out absolute paths).
@@ -199,187 +172,197 @@ function isAbsolutePath(path) {
  * Outputs: Promise resolving to sorted array of normalized folder paths (forward slashes)
  */
 async function getAllUsedFolderPaths() {
-  const data = await chrome.storage.sync.get(['rules', 'groups', 'defaultFolder']);
+  const data = await configStore.get(['rules', 'groups', 'defaultFolder']);
   const paths = new Set();
   
+  // Template folders ("Receipts/{yyyy}/{mm}") aren't real folders - keep the fixed part before the first variable
+  const addPath = (folder) => {
+    if (!folder || isAbsolutePath(folder)) return;
+    let path = folder.replace(/\\/g, '/');
+    if (hasPathTemplate(path)) {
+      const segments = path.split('/');
+      path = segments.slice(0, segments.findIndex(segment => hasPathTemplate(segment))).join('/');
+    }
+    if (path) paths.add(path);
+  };
+  
   // Add paths from rules
   if (data.rules && Array.isArray(data.rules)) {
-    data.rules.forEach(rule => {
-      if (rule.folder && !isAbsolutePath(rule.folder)) {
-        paths.add(rule.folder.replace(/\\/g, '/'));
-      }
-    });
+    data.rules.forEach(rule => addPath(rule.folder));
   }
   
   // Add paths from groups
   if (data.groups && typeof data.groups === 'object') {
-    Object.values(data.groups).forEach(group => {
-      if (group.folder && !isAbsolutePath(group.folder)) {
-        paths.add(group.folder.replace(/\\/g, '/'));
-      }
-    });
+    Object.values(data.groups).forEach(group => addPath(group.folder));
   }
   
   // Add default folder
-  if (data.defaultFolder && !isAbsolutePath(data.defaultFolder)) {
-    paths.add(data.defaultFolder.replace(/\\/g, '/'));
-  }
+  addPath(data.defaultFolder);
   
   return Array.from(paths).sort();
 }
 
 /**
- * Normalizes a domain value for rule matching.
- * Strips protocol, trailing slashes, paths, and www prefix.
+ * Looks up the title of the page a download came from, for the {referrerTitle} folder variable.
+ * Prefers a tab showing the exact referrer URL, then the active tab on the referrer's origin.
  * 
  * Inputs:
- *   - domain: String domain value (may include protocol, path, etc.)
- * 
- * Outputs: String normalized domain (just hostname)
+ *   - referrer: String referrer URL (may be empty)
  * 
- * Examples:
- *   - "https://github.com/" → "github.com"
- *   - "http://www.example.com/path" → "example.com"
- *   - "github.com" → "github.com"
- *   - "www.github.com" → "github.com"
+ * Outputs: Promise resolving to the page title (empty string if no matching tab)
  */
-function normalizeDomain(domain) {
-  if (!domain) return '';
-  let normalized = domain.trim();
-
-  // Remove protocol (http://, https://)
-  normalized = normalized.replace(/^https?:\/\//i, '');
-
-  // Remove trailing slashes and paths
-  normalized = normalized.split('/')[0];
-
-  // Remove www. prefix
-  normalized = normalized.replace(/^www\./i, '');
-
-  // Remove port if present
-  normalized = normalized.split(':')[0];
-
-  return normalized.toLowerCase();
+async function getReferrerTitle(referrer) {
+  if (!referrer) return '';
+  try {
+    const origin = new URL(referrer).origin;
+    const tabs = await chrome.tabs.query({});
+    const tab = tabs.find(t => t.url === referrer) ||
+      tabs.find(t => t.active && t.url && t.url.startsWith(origin));
+    return tab ? (tab.title || '') : '';
+  } catch (error) {
+    console.log('[BACKGROUND] Could not look up referrer title:', error.message);
+    return '';
+  }
 }
 
 /**
- * Matches a URL against a rule with support for domains and paths
- * Rule "github.com" matches "github.com" and "api.github.com" but NOT "hub.com"
- * Rule "github.com/Zahin-Mohammad-plug/Download-Router-Chrome-extension"
- *   matches URLs from that path and subpaths
+ * Finds the tab a download was started from (see lib/tab-attribution.js): the tab that
+ * navigated to the file or opened it, else the tab showing the referrer, else the active tab
+ * of the focused window. Used for the tab URL in routing and to show the overlay there.
  *
  * Inputs:
- *   - downloadUrl: String full URL from download
- *   - ruleValue: String domain or domain/path from rule
+ *   - downloadItem: Object from chrome.downloads (url, finalUrl, referrer, startTime)
  *
- * Outputs: Boolean true if URL matches rule
+ * Outputs: Promise resolving to { tab, via } or null if no tab can be found
  */
-function matchesDomainRule(downloadUrl, ruleValue) {
-  // Extract domain and path from download URL
-  let downloadDomain = '';
-  let downloadPath = '';
+async function getDownloadTab(downloadItem) {
   try {
-    const url = new URL(downloadUrl);
-    downloadDomain = url.hostname;
-    downloadPath = url.pathname;
-  } catch (e) {
-    // Invalid URL - try simple parsing
-    const match = downloadUrl.match(/^(?:https?:\/\/)?(?:www\.)?([^\/]+)(\/.*)?/i);
-    if (match) {
-      downloadDomain = match[1];
-      downloadPath = match[2] || '';
+    const [tabs, focusedWindow] = await Promise.all([
+      chrome.tabs.query({}),
+      chrome.windows.getLastFocused().catch(() => null)
+    ]);
+    const found = findDownloadTab(downloadItem, tabs, recentNavigations, {
+      focusedWindowId: focusedWindow ? focusedWindow.id : undefined
+    });
+    if (found) {
+      console.log('[BACKGROUND] Download', downloadItem.id, 'attributed to tab', found.tab.id, 'via', found.via);
     }
-    return false;
-  }
-
-  // Normalize download domain (remove www)
-  downloadDomain = downloadDomain.replace(/^www\./, '').toLowerCase();
-
-  // Extract domain and path from rule
-  let ruleDomain = '';
-  let rulePath = '';
-
-  // Remove protocol if present
-  let normalized = ruleValue.trim().replace(/^https?:\/\//i, '');
-  // Remove trailing slashes
-  normalized = normalized.replace(/\/$/, '');
-  // Remove www
-  normalized = normalized.replace(/^www\./, '');
-
-  // Split on first slash to get domain and path
-  const slashIndex = normalized.indexOf('/');
-  if (slashIndex === -1) {
-    // No path, just domain
-    ruleDomain = normalized.toLowerCase();
-    rulePath = '';
-  } else {
-    // Has path
-    ruleDomain = normalized.substring(0, slashIndex).toLowerCase();
-    rulePath = normalized.substring(slashIndex);
+    return found;
+  } catch (error) {
+    console.log('[BACKGROUND] Could not attribute download to a tab:', error.message);
+    return null;
   }
+}
 
-  // Check domain match
-  const domainMatches =
-    downloadDomain === ruleDomain ||  // Exact match
-    downloadDomain.endsWith('.' + ruleDomain);  // Subdomain match
-
-  if (!domainMatches) return false;
+/**
+ * Describes the tab a download started in for tab group, window and page title conditions.
+ * Group and window lookups are best effort: a tab that has just closed, or a group that was
+ * removed, simply leaves those fields empty so their conditions don't match.
+ *
+ * Inputs:
+ *   - tab: chrome.tabs.Tab the download is attributed to (or null)
+ *
+ * Outputs: Promise resolving to { title, groupTitle, groupColor, windowType, incognito,
+ *          windowKind }, or null without a tab
+ */
+async function getTabContext(tab) {
+  if (!tab) return null;
+  // Ungrouped tabs have groupId -1 (chrome.tabGroups.TAB_GROUP_ID_NONE)
+  const inGroup = chrome.tabGroups && tab.groupId >= 0;
+  const [group, win] = await Promise.all([
+    inGroup ? chrome.tabGroups.get(tab.groupId).catch(() => null) : null,
+    chrome.windows.get(tab.windowId).catch(() => null)
+  ]);
+  const context = {
+    title: tab.title || '',
+    groupTitle: (group && group.title) || '',
+    groupColor: (group && group.color) || '',
+    windowType: (win && win.type) || '',
+    incognito: !!tab.incognito
+  };
+  // The value a window condition compares with, offered by the overlay's tab rule editor
+  return { ...context, windowKind: getWindowKind(context) };
+}
 
-  // If rule has a path, check path match (case-insensitive)
-  if (rulePath) {
-    const rulePathLower = rulePath.toLowerCase();
-    const downloadPathLower = downloadPath.toLowerCase();
-    // Download path should start with the rule path
-    return downloadPathLower.startsWith(rulePathLower);
+/**
+ * Reads the page text the rules use (CSS selectors and meta tags, see lib/page-data.js) from
+ * the top frame of a download's tab. Routing never waits longer than PAGE_DATA_TIMEOUT_MS:
+ * a slow page, or one the content script can't run on, just gives no page text.
+ *
+ * Inputs:
+ *   - tabId: Number tab the download started in (or null)
+ *   - rules: Array of rule objects
+ *
+ * Outputs: Promise resolving to an object mapping page sources to text ({} if none)
+ */
+async function readPageData(tabId, rules) {
+  const sources = collectPageSources(rules);
+  if (tabId === null || tabId === undefined || sources.length === 0) return {};
+  const timeout = new Promise(resolve => setTimeout(() => resolve(null), PAGE_DATA_TIMEOUT_MS));
+  try {
+    const response = await Promise.race([
+      chrome.tabs.sendMessage(tabId, { type: 'readPageData', sources }, { frameId: 0 }),
+      timeout
+    ]);
+    return (response && response.values) || {};
+  } catch (error) {
+    console.log('[BACKGROUND] Could not read page data from tab', tabId, ':', error.message);
+    return {};
   }
-
-  // No path in rule, domain match is enough
-  return true;
 }
 
 /**
- * Builds a valid relative path for Chrome downloads API.
- * Returns folder/filename or just filename if folder is empty.
- * 
- * Chrome's downloads API requires:
- * - Relative paths (not absolute)
- * - Forward slashes as separators (even on Windows)
- * - No path traversal (..) or invalid characters
- * 
+ * Resolves the tab to message about a download: the tab it was attributed to while it still
+ * exists, otherwise the active tab of the current window.
+ *
  * Inputs:
- *   - folder: String folder path (may be empty, may contain nested folders)
- *   - filename: String filename (may contain path, will be extracted)
- * 
- * Outputs: String relative path for Chrome downloads API
- * 
- * Examples:
- *   - folder: "3DPrinting", filename: "file.stl" → "3DPrinting/file.stl"
- *   - folder: "3DPrinting/models", filename: "file.stl" → "3DPrinting/models/file.stl"
- *   - folder: "", filename: "file.stl" → "file.stl"
- *   - folder: "Downloads", filename: "file.stl" → "file.stl" (Downloads root)
- *   - folder: "My<Files>", filename: "C:\\path\\file.stl" → "MyFiles/file.stl"
+ *   - downloadInfo: Object tracked in pendingDownloads (tabId)
+ *
+ * Outputs: Promise resolving to a tab ID, or null if there is no tab
  */
-function buildRelativePath(folder, filename) {
-  const cleanFolder = normalizePath(folder);
-  const cleanFilename = extractFilename(filename);
-  
-  // If folder is empty or just "Downloads", download to Downloads root
-  if (!cleanFolder || cleanFolder === 'Downloads') {
-    return cleanFilename;
-  }
-  
-  // Sanitize each folder segment in nested paths
-  const folderSegments = cleanFolder.split('/')
-    .map(segment => sanitizeFolderName(segment))
-    .filter(segment => segment.length > 0);  // Remove empty segments after sanitization
-  
-  // If all segments were invalid, download to Downloads root
-  if (folderSegments.length === 0) {
-    return cleanFilename;
+async function getDownloadTabId(downloadInfo) {
+  if (downloadInfo && downloadInfo.tabId !== undefined && downloadInfo.tabId !== null) {
+    try {
+      const tab = await chrome.tabs.get(downloadInfo.tabId);
+      if (tab) return tab.id;
+    } catch (error) {
+      // Tab was closed - fall back to the active tab
+    }
   }
-  
-  // Combine: folder1/folder2/filename.ext
-  return `${folderSegments.join('/')}/${cleanFilename}`;
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return activeTab ? activeTab.id : null;
+}
+
+/**
+ * Sends a message about a download to its tab's content script (see getDownloadTabId).
+ * Tabs without the content script (e.g. chrome:// pages) are ignored.
+ *
+ * Inputs:
+ *   - downloadInfo: Object tracked in pendingDownloads (tabId)
+ *   - message: Object message for content.js
+ *
+ * Outputs: Promise resolving when the message has been sent (or skipped)
+ */
+async function sendToDownloadTab(downloadInfo, message) {
+  const tabId = await getDownloadTabId(downloadInfo);
+  if (tabId === null) return;
+  await chrome.tabs.sendMessage(tabId, message).catch(() => {});
+}
+
+// Log top-level navigations (and links opened in new tabs) for tab attribution
+if (chrome.webNavigation) {
+  chrome.webNavigation.onBeforeNavigate.addListener((details) => {
+    if (details.frameId !== 0) return;
+    recentNavigations = recordNavigation(recentNavigations, { tabId: details.tabId, url: details.url, timeStamp: details.timeStamp });
+  });
+  chrome.webNavigation.onCreatedNavigationTarget.addListener((details) => {
+    recentNavigations = recordNavigation(recentNavigations, {
+      tabId: details.tabId,
+      url: details.url,
+      timeStamp: details.timeStamp,
+      sourceTabId: details.sourceTabId
+    });
+  });
 }
 
 /**
@@ -444,7 +427,7 @@ async function getDefaultSaveAsDirectory(downloadInfo) {
  * 
  * External Dependencies:
  *   - chrome.downloads API: For download monitoring
- *   - chrome.storage.sync API: For retrieving user rules and settings
+ *   - configStore (lib/config-store.js): For retrieving user rules and settings
  *   - chrome.tabs API: For sending messages to content scripts
  */
 /**
@@ -485,11 +468,29 @@ async function getDefaultSaveAsDirectory(downloadInfo) {
  * with the overlay.
  */
 chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
-  // Retrieve user configuration from Chrome sync storage
-  // chrome.storage.sync.get: Retrieves stored extension settings
+  // Retrieve user configuration (rules/groups may be chunked or stored locally - see lib/config-store.js)
+  // configStore.get: Retrieves stored extension settings
   //   Inputs: Array of keys to retrieve ['rules', 'tieBreaker', 'confirmationEnabled', 'confirmationTimeout']
-  //   Outputs: Calls callback with data object containing stored values
-  chrome.storage.sync.get(['rules', 'groups', 'confirmationEnabled', 'confirmationTimeout', 'defaultFolder', 'conflictResolution', 'extensionEnabled'], (data) => {
+  //   Outputs: Promise resolving to data object containing stored values
+  // The referrer page title is looked up alongside settings for the {referrerTitle} folder variable,
+  // and the tab that started the download for the tab URL and where to show the overlay
+  const configLoaded = configStore.get(['rules', 'groups', 'confirmationEnabled', 'confirmationTimeout', 'defaultFolder', 'conflictResolution', 'extensionEnabled']);
+  // Project mode is kept on this computer only (storage.local), see lib/project-mode.js
+  const projectModeLoaded = chrome.storage.local.get([PROJECT_MODE_KEY]);
+  const tabFound = getDownloadTab(downloadItem).then(async (downloadTab) => {
+    const tab = downloadTab ? downloadTab.tab : null;
+    return { tab, tabContext: await getTabContext(tab) };
+  });
+  Promise.all([
+    configLoaded,
+    getReferrerTitle(downloadItem.referrer),
+    tabFound,
+    // Text the rules read from that tab's page (only asked for when a rule reads the page)
+    Promise.all([configLoaded, tabFound]).then(([data, { tab }]) =>
+      data.extensionEnabled === false || !tab ? {} : readPageData(tab.id, data.rules || [])),
+    projectModeLoaded
+  ]).then(([data, referrerTitle, { tab, tabContext }, pageData, localData]) => {
+    const tabUrl = (tab && tab.url) || '';
     // Check if extension is paused
     const extensionEnabled = data.extensionEnabled !== false;
 
@@ -500,229 +501,88 @@ chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
     }
 
     // Load configuration with sensible defaults
-    const rules = data.rules || [];
-    const groups = data.groups || {};
     const confirmationEnabled = data.confirmationEnabled !== false; // Default to true
     const confirmationTimeout = data.confirmationTimeout || 5000; // Default 5 seconds
-    const defaultFolder = data.defaultFolder || 'Downloads';
-    const conflictResolution = data.conflictResolution || 'auto';
-    
-    // Extract download metadata
-    const url = downloadItem.url;
-    // Extract just the filename from downloadItem.filename (which may contain a path)
-    const filename = extractFilename(downloadItem.filename);
-    // Extract file extension from filename (last part after final dot, lowercase)
-    const extension = filename.split('.').pop().toLowerCase();
-
-    // Initialize rule matching arrays
-    let domainMatches = [];
-    let containsMatches = [];
-    let fileTypeMatches = [];
-    let domain = 'unknown';
-
-    // Extract domain from URL and find matching domain rules
-    // Try multiple URL sources: download URL, referrer, and fallback
-    let urlForMatching = url;
-    try {
-      const parsedUrl = new URL(url);
-      domain = parsedUrl.hostname;
-
-      // If download URL is a blob URL, extract domain from the origin
-      // For blob:https://github.com/xxx, hostname is empty but origin is 'https://github.com'
-      if (!domain && parsedUrl.protocol === 'blob:') {
-        const blobOrigin = parsedUrl.origin;
-        console.log('[BACKGROUND] Blob URL detected, origin:', blobOrigin);
-        if (blobOrigin && blobOrigin !== 'null') {
-          try {
-            const originUrl = new URL(blobOrigin);
-            domain = originUrl.hostname;
-            urlForMatching = blobOrigin;
-            console.log('[BACKGROUND] Blob URL - extracted domain from origin:', domain);
-          } catch (e) {
-            console.log('[BACKGROUND] Failed to parse blob origin:', blobOrigin);
-          }
-        }
-      }
-
-      // If still no domain, try to use the referrer instead
-      if (!domain && downloadItem.referrer) {
-        console.log('[BACKGROUND] No domain found, trying referrer:', downloadItem.referrer);
-        urlForMatching = downloadItem.referrer;
-        domain = new URL(downloadItem.referrer).hostname;
-      }
-
-      console.log('[BACKGROUND] Domain extracted from URL:', domain);
-      console.log('[BACKGROUND] urlForMatching:', urlForMatching);
-
-      // Filter enabled domain rules
-      domainMatches = rules.filter(rule => {
-        if (rule.type !== 'domain' || rule.enabled === false) return false;
-        // Try matching against urlForMatching (which handles blob URLs), original URL, and referrer
-        const match1 = matchesDomainRule(urlForMatching, rule.value);
-        const match2 = matchesDomainRule(url, rule.value);
-        const match3 = downloadItem.referrer ? matchesDomainRule(downloadItem.referrer, rule.value) : false;
-        console.log('[BACKGROUND] Rule:', rule.value, 'match1 (urlForMatching):', match1, 'match2 (url):', match2, 'match3 (referrer):', match3);
-        return match1 || match2 || match3;
-      }).map(r => ({...r, source: 'domain'}));
-    } catch (e) {
-      console.error("Invalid URL, cannot determine domain:", url);
-    }
-    
-    // Find matching contains rules (filename contains phrase)
-    containsMatches = rules.filter(rule => {
-      if (rule.type !== 'contains' || rule.enabled === false) return false;
-      const searchPhrases = rule.value.split(',').map(p => p.trim().toLowerCase());
-      return searchPhrases.some(phrase => filename.toLowerCase().includes(phrase));
-    }).map(r => ({...r, source: 'contains'}));
-
-    // Find matching file types (groups)
-    for (const [name, group] of Object.entries(groups)) {
-      if (group.enabled === false) continue;
-      
-      // Check if extension is in this file type's extension list
-      const groupExtensions = group.extensions.split(',').map(ext => ext.trim().toLowerCase());
-      if (groupExtensions.includes(extension)) {
-        const fileTypeRule = {
-          type: 'filetype',
-          value: group.extensions,
-          folder: group.folder,
-          priority: parseFloat(group.priority) || 3.0,
-          enabled: group.enabled !== false,
-          overrideDomainRules: group.overrideDomainRules || false,
-          source: 'filetype',
-          groupName: name
-        };
-        
-        // If overrideDomainRules is true, boost priority to beat domain rules
-        if (fileTypeRule.overrideDomainRules && domainMatches.length > 0) {
-          // Set priority to be lower than domain rules' priority (higher priority)
-          const lowestDomainPriority = Math.min(...domainMatches.map(r => parseFloat(r.priority) || 2.0));
-          fileTypeRule.priority = Math.max(0.1, lowestDomainPriority - 0.1);
-        }
-        
-        fileTypeMatches.push(fileTypeRule);
-      }
-    }
 
-    // 1. Collect ALL matching rules (domain + contains + file types)
-    const allMatches = [
-      ...domainMatches,
-      ...containsMatches,
-      ...fileTypeMatches
-    ];
-
-    // Log matching rules from background.js
-    console.log('[BACKGROUND] Download URL:', url);
-    console.log('[BACKGROUND] Download filename:', filename);
-    console.log('[BACKGROUND] Download extension:', extension);
-    console.log('[BACKGROUND] Domain matches:', domainMatches);
-    console.log('[BACKGROUND] Contains matches:', containsMatches);
-    console.log('[BACKGROUND] File type matches:', fileTypeMatches);
-    console.log('[BACKGROUND] All matches (before sort):', allMatches);
-
-    // 2. Sort by priority (lower number = higher priority)
-    allMatches.sort((a, b) => {
-      const priorityA = parseFloat(a.priority) || 2.0;
-      const priorityB = parseFloat(b.priority) || 2.0;
-
-      if (priorityA !== priorityB) {
-        return priorityA - priorityB;
-      }
-      // Same priority: domain > extension > filetype
-      const order = { domain: 0, extension: 1, filetype: 2 };
-      return (order[a.source] || 999) - (order[b.source] || 999);
+    // Size is often unknown (-1/0) this early; size conditions then simply don't match
+    const fileSize = downloadItem.fileSize > 0 ? downloadItem.fileSize : Math.max(downloadItem.totalBytes || 0, 0);
+
+    // Match the download against all rules and resolve its destination (see lib/router.js)
+    const route = routeDownload({
+      url: downloadItem.url,
+      filename: downloadItem.filename,
+      referrer: downloadItem.referrer,
+      finalUrl: downloadItem.finalUrl,
+      tabUrl: tabUrl,
+      tabContext: tabContext,
+      pageData: pageData,
+      mime: downloadItem.mime,
+      fileSize: fileSize,
+      referrerTitle: referrerTitle,
+      date: downloadItem.startTime
+    }, {
+      rules: data.rules || [],
+      groups: data.groups || {},
+      defaultFolder: data.defaultFolder || 'Downloads',
+      conflictResolution: data.conflictResolution || 'auto',
+      projectMode: localData[PROJECT_MODE_KEY] || null
     });
 
-    console.log('[BACKGROUND] All matches (after sort):', allMatches);
-
-    // 3. Check for conflicts (multiple rules with same priority)
-    let finalRule = null;
-    if (allMatches.length === 0) {
-      // No matches: use default folder
-      finalRule = { folder: defaultFolder, source: 'default', priority: 999 };
-    } else if (allMatches.length === 1) {
-      finalRule = allMatches[0];
-    } else {
-      // Multiple matches - check priority conflicts
-      const topPriority = parseFloat(allMatches[0].priority) || 2.0;
-      const samePriorityRules = allMatches.filter(r => {
-        const rPriority = parseFloat(r.priority) || 2.0;
-        return Math.abs(rPriority - topPriority) < 0.01; // Float comparison with tolerance
-      });
-
-      if (samePriorityRules.length === 1) {
-        finalRule = samePriorityRules[0];
-      } else if (samePriorityRules.length > 1) {
-        // Multiple rules with same priority
-        if (conflictResolution === 'ask') {
-          // Will be handled in overlay - store conflict rules
-          finalRule = null; // Will set conflictRules in downloadInfo
-        } else {
-          // Auto-resolve: use first (already sorted by type)
-          finalRule = samePriorityRules[0];
-        }
-      } else {
-        // Shouldn't happen, but use first match
-        finalRule = allMatches[0];
-      }
+    // Log matching rules from background.js
+    console.log('[BACKGROUND] Download URL:', downloadItem.url);
+    console.log('[BACKGROUND] Download filename:', route.filename);
+    console.log('[BACKGROUND] Download extension:', route.extension);
+    console.log('[BACKGROUND] Download MIME type:', downloadItem.mime);
+    console.log('[BACKGROUND] Domain extracted from URL:', route.domain);
+    console.log('[BACKGROUND] urlForMatching:', route.urlForMatching);
+    console.log('[BACKGROUND] Source site:', route.sourceSite);
+    console.log('[BACKGROUND] Site adapter suggestion:', route.siteSuggestion);
+    console.log('[BACKGROUND] Compound matches:', route.compoundMatches);
+    console.log('[BACKGROUND] Domain matches:', route.domainMatches);
+    console.log('[BACKGROUND] Filename matches:', route.filenameMatches);
+    console.log('[BACKGROUND] File type matches:', route.fileTypeMatches);
+    console.log('[BACKGROUND] All matches (after sort):', route.matches);
+    console.log('[BACKGROUND] Final rule selected:', route.finalRule);
+    if (route.rulesRoute) {
+      console.log('[BACKGROUND] Project mode overrides rule:', route.rulesRoute.finalRule);
     }
-
-    console.log('[BACKGROUND] Final rule selected:', finalRule);
-
-    // Handle conflict rules for "ask" mode
-    const topPriority = allMatches.length > 0 ? parseFloat(allMatches[0].priority) || 2.0 : 999;
-    const conflictRules = conflictResolution === 'ask' && allMatches.length > 1 ? 
-      allMatches.filter(r => {
-        const rPriority = parseFloat(r.priority) || 2.0;
-        return Math.abs(rPriority - topPriority) < 0.01;
-      }) : null;
-
-    // Construct final file path using utility function to handle path normalization
-    // Check if rule folder is an absolute path (requires post-download move via companion app)
-    let resolvedPath;
-    let needsAbsoluteMove = false;
-    let absoluteDestination = null;
-    
-    if (finalRule) {
-      if (isAbsolutePath(finalRule.folder)) {
-        // Absolute path from native picker - download to Downloads root, then move
-        resolvedPath = filename;  // Just filename for initial download
-        needsAbsoluteMove = true;
-        absoluteDestination = finalRule.folder;
-      } else {
-        // Relative path - build relative path for Chrome downloads API
-        resolvedPath = buildRelativePath(finalRule.folder, downloadItem.filename);
-      }
-    } else if (conflictRules && conflictRules.length > 0) {
-      // Use first conflict rule as default for path display, user will choose in overlay
-      const defaultConflictRule = conflictRules[0];
-      if (isAbsolutePath(defaultConflictRule.folder)) {
-        resolvedPath = filename;
-        needsAbsoluteMove = true;
-        absoluteDestination = defaultConflictRule.folder;
-      } else {
-        resolvedPath = buildRelativePath(defaultConflictRule.folder, downloadItem.filename);
-      }
-    } else {
-      // No rule matches - use default folder
-      resolvedPath = buildRelativePath(defaultFolder, downloadItem.filename);
+    console.log('[BACKGROUND] Resolved path:', route.absoluteDestination || route.resolvedPath);
+    if (route.newFilename !== route.filename) {
+      console.log('[BACKGROUND] Renaming on save:', route.filename, '->', route.newFilename);
     }
     
     // Store download information for potential confirmation or later processing
     const downloadInfo = {
       id: downloadItem.id,
-      filename: filename,
-      extension: extension,
-      domain: domain,
-      url: url,
-      resolvedPath: resolvedPath,
+      filename: route.newFilename, // Name to save as (after the rule's rename, if any)
+      originalFilename: route.filename, // Name Chrome suggested - rules always match against this
+      extension: route.extension, // Longest extension a group lists ("tar.gz"), else the last part
+      extensions: route.extensions, // Every extension the name could have, longest first
+      domain: route.domain,
+      sourceSite: route.sourceSite, // Site the download is credited to ({ site, host, via }), shown in the overlay
+      siteDomain: getSuggestedSiteDomain({ sourceSite: route.sourceSite, domain: route.domain, tabUrl, url: downloadItem.url }), // Site the overlay offers a new site rule for
+      siteSuggestion: route.siteSuggestion, // Folder a site adapter suggests ({ id, name, folder, values }), offered in the overlay
+      url: downloadItem.url,
+      referrer: downloadItem.referrer || '', // Kept so rule re-evaluation sees the same inputs
+      finalUrl: downloadItem.finalUrl || '',
+      tabUrl: tabUrl,
+      tabId: tab ? tab.id : null, // Tab that started the download - the overlay is shown there
+      tabTitle: (tab && tab.title) || '',
+      tabContext: tabContext, // Tab group, window and page title for tab context conditions
+      pageData: pageData, // Page text the rules read ({ source: text }), for page conditions and variables
+      mime: downloadItem.mime || '',
+      fileSize: fileSize,
+      referrerTitle: referrerTitle, // Folder template inputs, reused when the overlay or re-evaluation resolves a folder
+      startTime: downloadItem.startTime,
+      resolvedPath: route.resolvedPath,
       originalSuggest: suggest, // Store the suggest callback for later use
-      finalRule: finalRule,
-      conflictRules: conflictRules, // NEW: For conflict resolution in overlay
+      finalRule: route.finalRule,
+      conflictRules: route.conflictRules, // NEW: For conflict resolution in overlay
+      rulesRoute: route.rulesRoute, // Where the rules would send it when project mode took it - the overlay offers it
       // Absolute path handling for post-download move
-      needsMove: needsAbsoluteMove,
-      absoluteDestination: absoluteDestination,
-      useAbsolutePath: needsAbsoluteMove
+      needsMove: route.needsMove,
+      absoluteDestination: route.absoluteDestination,
+      useAbsolutePath: route.needsMove
     };
     
     // Track this download in the pending downloads map
@@ -730,33 +590,33 @@ chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
 
     // Handle confirmation flow based on user settings
     if (confirmationEnabled) {
-      // Show confirmation overlay in the active tab
-      // chrome.tabs.query: Queries Chrome tabs matching criteria
-      //   Inputs: Query object {active: true, currentWindow: true}
-      //   Outputs: Calls callback with array of matching tabs
-      let overlayShown = false;
-      chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
-        if (tabs[0]) {
-          overlayShown = true;
-          console.log('[BACKGROUND] Sending overlay to tab. downloadInfo.finalRule:', downloadInfo.finalRule);
-          console.log('[BACKGROUND] Sending overlay to tab. downloadInfo.url:', downloadInfo.url);
-          console.log('[BACKGROUND] Sending overlay to tab. downloadItem.referrer:', downloadItem.referrer);
-          // chrome.tabs.sendMessage: Sends message to content script in specified tab
-          //   Inputs: tabId, message object with type and data
-          //   Outputs: None (fire-and-forget message)
-          chrome.tabs.sendMessage(tabs[0].id, {
-            type: 'showDownloadOverlay',
-            downloadInfo: downloadInfo,
-            confirmationTimeout: confirmationTimeout,
-            confirmationEnabled: confirmationEnabled
-          });
-        } else {
-          // No active tab - proceed immediately with download
+      // Show confirmation overlay in the tab that started the download (not necessarily the
+      // active one - it may be a background tab or in another window)
+      if (tab) {
+        console.log('[BACKGROUND] Sending overlay to tab', tab.id, '. downloadInfo.finalRule:', downloadInfo.finalRule);
+        console.log('[BACKGROUND] Sending overlay to tab. downloadInfo.url:', downloadInfo.url);
+        console.log('[BACKGROUND] Sending overlay to tab. downloadItem.referrer:', downloadItem.referrer);
+        // chrome.tabs.sendMessage: Sends message to content script in specified tab
+        //   Inputs: tabId, message object with type and data
+        //   Outputs: Promise (rejects if the tab has no content script)
+        chrome.tabs.sendMessage(tab.id, {
+          type: 'showDownloadOverlay',
+          downloadInfo: downloadInfo,
+          confirmationTimeout: confirmationTimeout,
+          confirmationEnabled: confirmationEnabled
+        }).catch((error) => {
+          // Pages the content script can't run on (chrome://, the Web Store) - ask with a notification
+          console.log('[BACKGROUND] Overlay could not be shown in tab', tab.id, ':', error.message);
           if (pendingDownloads.has(downloadItem.id)) {
-            proceedWithDownload(downloadItem.id);
+            showFallbackNotification(downloadInfo);
           }
+        });
+      } else {
+        // No tab - proceed immediately with download
+        if (pendingDownloads.has(downloadItem.id)) {
+          proceedWithDownload(downloadItem.id);
         }
-      });
+      }
 
       // Set up auto-save timeout if user doesn't interact with overlay
       // Store timeout ID so it can be cancelled when user interacts with overlay
@@ -775,11 +635,11 @@ chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
           // CRITICAL: Check if timeout was paused by overlay - don't proceed if paused
           // This prevents auto-save when user is editing (even if Chrome loses focus)
           if (!pendingInfo.timeoutPaused) {
-            // Double-check by querying content script to ensure no editor is visible
+            // Double-check by querying the overlay's content script to ensure no editor is visible
             // Send message to check editor state before proceeding
-            chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-              if (tabs && tabs[0]) {
-                chrome.tabs.sendMessage(tabs[0].id, {
+            getDownloadTabId(pendingInfo).then((tabId) => {
+              if (tabId !== null) {
+                chrome.tabs.sendMessage(tabId, {
                   type: 'checkEditorState'
                 }, (response) => {
                   // Only proceed if no editor is visible and timeout not paused
@@ -789,7 +649,7 @@ chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
                   }
                 });
               } else {
-                // No active tab - safe to proceed (user closed tab?)
+                // No tab - safe to proceed (user closed tab?)
                 if (!pendingInfo.timeoutPaused) {
                   proceedWithDownload(downloadItem.id);
                 }
@@ -807,6 +667,14 @@ chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
       // Proceed immediately without confirmation if disabled
       proceedWithDownload(downloadItem.id);
     }
+  }).catch((error) => {
+    // Reading settings (rules still syncing), the tab or project mode, or routing failed.
+    // Never leave Chrome waiting for suggest(): save the file where Chrome would have
+    // (a download already tracked is finished by the overlay or its timer).
+    console.error('[BACKGROUND] Could not route download', downloadItem.id, ':', error);
+    if (!pendingDownloads.has(downloadItem.id)) {
+      suggest({ filename: downloadItem.filename });
+    }
   });
   return true; // Required for async suggest operations
 });
@@ -816,11 +684,23 @@ chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
  * Fixes timing bug where rules added during download don't apply
  */
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  // Only respond to sync storage changes (where rules are stored)
-  if (areaName !== 'sync') return;
+  // Surface storage quota problems however the rules were saved (options, popup or overlay)
+  if (areaName === 'local' && changes[STORAGE_WARNING_KEY] && changes[STORAGE_WARNING_KEY].newValue) {
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: 'Rules Saved on This Device Only',
+      message: changes[STORAGE_WARNING_KEY].newValue.message
+    });
+  }
+
+  // Keep the toolbar badge on the active profile, however it was switched or renamed
+  if (Object.keys(changes).some(key => key === 'activeProfile' || key === 'profiles' || key.startsWith('profiles_'))) {
+    updateProfileBadge();
+  }
 
-  // Check if rules or groups changed
-  if (changes.rules || changes.groups) {
+  // Check if rules or groups changed (chunked sync keys, or storage.local when not syncing)
+  if (configStore.isConfigChange(changes, areaName)) {
     console.log('Rules/groups changed, checking pending downloads');
 
     // For each pending download, reload rules and recalculate destination
@@ -830,51 +710,40 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
         console.log(`Reprocessing rules for download ${downloadId}`);
 
         // Reload rules from storage
-        chrome.storage.sync.get(['rules', 'groups', 'conflictResolution'], (data) => {
-          const rules = data.rules || [];
-          const groups = data.groups || {};
-          const conflictResolution = data.conflictResolution || 'auto';
-
-          // Get download item info
-          const filename = downloadInfo.filename;
-          const url = downloadInfo.url;
-          const extension = filename.split('.').pop().toLowerCase();
-
-          // Re-calculate matching rules (simplified version of matching logic)
-          let domainMatches = [];
-          try {
-            const domain = new URL(url).hostname;
-            domainMatches = rules.filter(rule => {
-              if (rule.type !== 'domain' || rule.enabled === false) return false;
-              // Use basic matching - proper matching is in main download handler
-              const normRule = rule.value.replace(/^www\./, '').toLowerCase();
-              const normDomain = domain.replace(/^www\./, '').toLowerCase();
-              return normDomain === normRule || normDomain.endsWith('.' + normRule);
-            });
-          } catch (e) {
-            console.error('Error parsing URL for rule update:', e);
-          }
+        configStore.get(['rules', 'groups', 'conflictResolution']).then((data) => {
+          // Re-calculate matching rules with the same inputs as the main download handler
+          const { domainMatches } = routeDownload({
+            url: downloadInfo.url,
+            filename: downloadInfo.originalFilename || downloadInfo.filename,
+            referrer: downloadInfo.referrer,
+            finalUrl: downloadInfo.finalUrl,
+            tabUrl: downloadInfo.tabUrl,
+            tabContext: downloadInfo.tabContext,
+            pageData: downloadInfo.pageData,
+            mime: downloadInfo.mime,
+            fileSize: downloadInfo.fileSize,
+            referrerTitle: downloadInfo.referrerTitle,
+            date: downloadInfo.startTime
+          }, {
+            rules: data.rules || [],
+            groups: data.groups || {},
+            conflictResolution: data.conflictResolution || 'auto'
+          });
 
           if (domainMatches.length > 0) {
             // Update the download info with new matching rules
             downloadInfo.newRulesMatched = true;
             downloadInfo.updatedRules = domainMatches;
 
-            // Notify the content script to update the overlay
-            chrome.tabs.query({}, (tabs) => {
-              tabs.forEach(tab => {
-                chrome.tabs.sendMessage(tab.id, {
-                  type: 'rulesUpdated',
-                  downloadId: downloadId,
-                  matchingRules: domainMatches,
-                  message: `New rule available for ${domainMatches[0].value}`
-                }).catch(() => {
-                  // Ignore errors for tabs without content script
-                });
-              });
+            // Notify the content script showing this download's overlay
+            sendToDownloadTab(downloadInfo, {
+              type: 'rulesUpdated',
+              downloadId: downloadId,
+              matchingRules: domainMatches,
+              message: `New rule available for ${domainMatches[0].value}`
             });
           }
-        });
+        }).catch(error => console.error('[BACKGROUND] Failed to reload rules:', error));
       }
     });
   }
@@ -1299,6 +1168,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (downloadInfo) {
       // Update the downloadInfo with new values from content script
       Object.assign(downloadInfo, message.downloadInfo);
+      pendingDownloads.persist();
       console.log('[updatePendingDownloadInfo] Updated download', downloadId, 'with finalRule:', message.downloadInfo.finalRule);
     }
     sendResponse({ success: true });
@@ -1311,165 +1181,59 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
     }
     
-    // Use the existing rule evaluation logic (same as download handler)
-    chrome.storage.sync.get(['rules', 'groups', 'conflictResolution', 'defaultFolder'], (data) => {
-      const rules = data.rules || [];
-      const groups = data.groups || {};
-      const conflictResolution = data.conflictResolution || 'auto';
-      const defaultFolder = data.defaultFolder || 'Downloads';
-      
-      const url = downloadInfo.url;
-      const filename = downloadInfo.filename;
-      const extension = downloadInfo.extension;
-      const domain = downloadInfo.domain || 'unknown';
-      
-      // Re-evaluate rules using the same logic as the download handler
-      let domainMatches = [];
-      let containsMatches = [];
-      let fileTypeMatches = [];
-      
-      // Domain matches
-      try {
-        domainMatches = rules.filter(rule => {
-          if (rule.type !== 'domain' || rule.enabled === false) return false;
-          return matchesDomainRule(url, rule.value);
-        }).map(r => ({...r, source: 'domain'}));
-      } catch (e) {
-        console.error("Error matching domain rules:", e);
-      }
-      
-      // Contains matches
-      containsMatches = rules.filter(rule => {
-        if (rule.type !== 'contains' || rule.enabled === false) return false;
-        const searchPhrases = rule.value.split(',').map(p => p.trim().toLowerCase());
-        return searchPhrases.some(phrase => filename.toLowerCase().includes(phrase));
-      }).map(r => ({...r, source: 'contains'}));
-      
-      // File type matches
-      console.log('[BACKGROUND] Checking file type groups for extension:', extension);
-      console.log('[BACKGROUND] Available groups:', Object.keys(groups));
-      for (const [name, group] of Object.entries(groups)) {
-        if (group.enabled === false) {
-          console.log('[BACKGROUND] Group', name, 'is disabled, skipping');
-          continue;
-        }
-        const groupExtensions = group.extensions.split(',').map(ext => ext.trim().toLowerCase());
-        console.log('[BACKGROUND] Checking group', name, 'with extensions:', groupExtensions);
-        if (groupExtensions.includes(extension)) {
-          console.log('[BACKGROUND] Extension', extension, 'matches group', name);
-          const fileTypeRule = {
-            type: 'filetype',
-            value: group.extensions,
-            folder: group.folder,
-            priority: parseFloat(group.priority) || 3.0,
-            enabled: group.enabled !== false,
-            overrideDomainRules: group.overrideDomainRules || false,
-            source: 'filetype',
-            groupName: name
-          };
-          if (fileTypeRule.overrideDomainRules && domainMatches.length > 0) {
-            const lowestDomainPriority = Math.min(...domainMatches.map(r => parseFloat(r.priority) || 2.0));
-            fileTypeRule.priority = Math.max(0.1, lowestDomainPriority - 0.1);
-          }
-          fileTypeMatches.push(fileTypeRule);
-        } else {
-          console.log('[BACKGROUND] Extension', extension, 'does not match group', name);
-        }
-      }
-      console.log('[BACKGROUND] File type matches found:', fileTypeMatches.length);
-      
-      // Collect all matches and sort
-      const allMatches = [...domainMatches, ...containsMatches, ...fileTypeMatches];
-      allMatches.sort((a, b) => {
-        const priorityA = parseFloat(a.priority) || 2.0;
-        const priorityB = parseFloat(b.priority) || 2.0;
-        if (priorityA !== priorityB) {
-          return priorityA - priorityB;
-        }
-        const order = { domain: 0, contains: 0, filetype: 2 };
-        return (order[a.source] || 999) - (order[b.source] || 999);
+    // Use the same routing engine as the download handler (and the same project mode,
+    // unless the overlay chose the rules' destination instead)
+    Promise.all([
+      configStore.get(['rules', 'groups', 'conflictResolution', 'defaultFolder']),
+      chrome.storage.local.get([PROJECT_MODE_KEY])
+    ]).then(async ([data, localData]) => {
+      // A new rule may read page text the download didn't need yet - read the page again
+      downloadInfo.pageData = {
+        ...(downloadInfo.pageData || {}),
+        ...await readPageData(downloadInfo.tabId, data.rules || [])
+      };
+      const route = routeDownload({
+        url: downloadInfo.url,
+        filename: downloadInfo.originalFilename || downloadInfo.filename,
+        referrer: downloadInfo.referrer,
+        finalUrl: downloadInfo.finalUrl,
+        tabUrl: downloadInfo.tabUrl,
+        tabContext: downloadInfo.tabContext,
+        pageData: downloadInfo.pageData,
+        mime: downloadInfo.mime,
+        fileSize: downloadInfo.fileSize,
+        referrerTitle: downloadInfo.referrerTitle,
+        date: downloadInfo.startTime
+      }, {
+        rules: data.rules || [],
+        groups: data.groups || {},
+        defaultFolder: data.defaultFolder || 'Downloads',
+        conflictResolution: data.conflictResolution || 'auto',
+        projectMode: downloadInfo.projectModeSkipped ? null : localData[PROJECT_MODE_KEY] || null
       });
+      console.log('[RE-EVALUATE RULES] All matches:', route.matches);
+
+      // Update download info with new rule (and the name its rename produces)
+      downloadInfo.finalRule = route.finalRule;
+      downloadInfo.conflictRules = route.conflictRules;
+      downloadInfo.rulesRoute = route.rulesRoute;
+      downloadInfo.filename = route.newFilename;
+      downloadInfo.extension = route.extension; // A group may now list a longer extension
+
+      // Update resolved path
+      downloadInfo.resolvedPath = route.resolvedPath;
+      downloadInfo.absoluteDestination = route.absoluteDestination;
+      downloadInfo.useAbsolutePath = route.needsMove;
+      downloadInfo.needsMove = route.needsMove;
+      downloadInfo.customLocation = false; // The rules picked the folder again
+      pendingDownloads.persist();
+      console.log('[RE-EVALUATE RULES] Final rule:', route.finalRule);
+      console.log('[RE-EVALUATE RULES] Resolved path:', route.absoluteDestination || route.resolvedPath);
       
-      // Determine final rule
-      let finalRule = null;
-      if (allMatches.length === 0) {
-        finalRule = { folder: defaultFolder, source: 'default', priority: 999 };
-      } else if (allMatches.length === 1) {
-        finalRule = allMatches[0];
-      } else {
-        const topPriority = parseFloat(allMatches[0].priority) || 2.0;
-        const samePriorityRules = allMatches.filter(r => {
-          const rPriority = parseFloat(r.priority) || 2.0;
-          return Math.abs(rPriority - topPriority) < 0.01;
-        });
-        if (samePriorityRules.length === 1) {
-          finalRule = samePriorityRules[0];
-        } else if (samePriorityRules.length > 1) {
-          if (conflictResolution === 'ask') {
-            finalRule = null;
-          } else {
-            finalRule = samePriorityRules[0];
-          }
-        } else {
-          finalRule = allMatches[0];
-        }
-      }
-      
-      // Handle conflict rules
-      const topPriority = allMatches.length > 0 ? parseFloat(allMatches[0].priority) || 2.0 : 999;
-      const conflictRules = conflictResolution === 'ask' && allMatches.length > 1 ? 
-        allMatches.filter(r => {
-          const rPriority = parseFloat(r.priority) || 2.0;
-          return Math.abs(rPriority - topPriority) < 0.01;
-        }) : null;
-      
-      // Update download info with new rule
-      downloadInfo.finalRule = finalRule;
-      downloadInfo.conflictRules = conflictRules;
-      
-      // Calculate resolved path
-      console.log('[RE-EVALUATE RULES] Final rule:', finalRule);
-      console.log('[RE-EVALUATE RULES] Final rule folder:', finalRule?.folder);
-      
-      if (finalRule) {
-        if (isAbsolutePath(finalRule.folder)) {
-          downloadInfo.resolvedPath = filename;
-          downloadInfo.absoluteDestination = finalRule.folder;
-          downloadInfo.useAbsolutePath = true;
-          downloadInfo.needsMove = true;
-          console.log('[RE-EVALUATE RULES] Using absolute path:', finalRule.folder);
-        } else {
-          downloadInfo.resolvedPath = buildRelativePath(finalRule.folder, filename);
-          downloadInfo.absoluteDestination = null;
-          downloadInfo.useAbsolutePath = false;
-          downloadInfo.needsMove = false;
-          console.log('[RE-EVALUATE RULES] Using relative path:', downloadInfo.resolvedPath);
-        }
-      } else if (conflictRules && conflictRules.length > 0) {
-        const defaultConflictRule = conflictRules[0];
-        if (isAbsolutePath(defaultConflictRule.folder)) {
-          downloadInfo.resolvedPath = filename;
-          downloadInfo.absoluteDestination = defaultConflictRule.folder;
-          downloadInfo.useAbsolutePath = true;
-          downloadInfo.needsMove = true;
-        } else {
-          downloadInfo.resolvedPath = buildRelativePath(defaultConflictRule.folder, filename);
-          downloadInfo.absoluteDestination = null;
-          downloadInfo.useAbsolutePath = false;
-          downloadInfo.needsMove = false;
-        }
-      }
-      
-      // Notify content script to update overlay
-      chrome.tabs.query({}, (tabs) => {
-        tabs.forEach(tab => {
-          chrome.tabs.sendMessage(tab.id, {
-            type: 'reloadRulesForDownload',
-            downloadId: downloadId
-          }).catch(() => {
-            // Ignore errors for tabs without content script
-          });
-        });
+      // Notify the content script showing this download's overlay
+      sendToDownloadTab(downloadInfo, {
+        type: 'reloadRulesForDownload',
+        downloadId: downloadId
       });
       
       console.log('[RE-EVALUATE RULES] Returning updated downloadInfo:', {
@@ -1485,12 +1249,40 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         success: true,
         updatedDownloadInfo: downloadInfo
       });
+    }).catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Required for async sendResponse
+  } else if (message.type === 'startProjectMode') {
+    // startProjectMode: Sends downloads to one folder for a while (popup)
+    startProjectMode(message.options).then((projectMode) => {
+      sendResponse({ success: true, projectMode });
+    }).catch((error) => {
+      console.error('startProjectMode error:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Required for async sendResponse
+  } else if (message.type === 'stopProjectMode') {
+    // stopProjectMode: Turns project mode off before its time is up (popup)
+    stopProjectMode().then(() => {
+      sendResponse({ success: true });
+    }).catch((error) => {
+      console.error('stopProjectMode error:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Required for async sendResponse
+  } else if (message.type === 'switchProfile') {
+    // switchProfile: Makes another rule profile active (popup header and Options)
+    switchProfile(message.profileId).then((profile) => {
+      sendResponse({ success: true, profile });
+    }).catch((error) => {
+      console.error('switchProfile error:', error);
+      sendResponse({ success: false, error: error.message });
     });
     return true; // Required for async sendResponse
   } else if (message.type === 'addRule') {
     // addRule: Adds or updates a routing rule in storage
-    addRule(message.rule).then(() => {
-      sendResponse({ success: true });
+    // Responds with the rule as stored, so the overlay shows the cleaned-up value
+    addRule(message.rule).then((rule) => {
+      sendResponse({ success: true, rule });
     }).catch((error) => {
       console.error('addRule error:', error);
       sendResponse({ success: false, error: error.message });
@@ -1529,13 +1321,48 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Required for async sendResponse
   } else if (message.type === 'getRulesAndGroups') {
     // getRulesAndGroups: Returns rules and groups from storage for content script
-    // This avoids content script storage access issues
-    chrome.storage.sync.get(['rules', 'groups'], (data) => {
+    // This avoids content script storage access issues. matchScopes labels the URLs a
+    // site rule can match against, for the overlay's rule editor
+    configStore.get(['rules', 'groups']).then((data) => {
       sendResponse({
         success: true,
         rules: data.rules || [],
-        groups: data.groups || {}
+        groups: data.groups || {},
+        matchScopes: DOMAIN_MATCH_SCOPES
+      });
+    }).catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Required for async sendResponse
+  } else if (message.type === 'findRulesForDownload') {
+    // findRulesForDownload: Returns rules and groups plus the ones the overlay offers to edit
+    // for its download. Domain rules are matched here, so content scripts don't load the
+    // Public Suffix List and the routing engine into every page
+    configStore.get(['rules', 'groups']).then((data) => {
+      const rules = data.rules || [];
+      const groups = data.groups || {};
+      sendResponse({
+        success: true,
+        rules,
+        groups,
+        ...findRulesForDownload(rules, groups, message.download || {})
       });
+    }).catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Required for async sendResponse
+  } else if (message.type === 'updateRule') {
+    // updateRule: Replaces the rule the overlay's edit modal changed
+    updateRule(message.index, message.rule).then(() => {
+      sendResponse({ success: true });
+    }).catch((error) => {
+      console.error('updateRule error:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Required for async sendResponse
+  } else if (message.type === 'saveGroups') {
+    // saveGroups: Stores the file type groups the overlay's edit modal changed
+    configStore.set({ groups: message.groups }).then(() => {
+      sendResponse({ success: true });
+    }).catch((error) => {
+      console.error('saveGroups error:', error);
+      sendResponse({ success: false, error: error.message });
     });
     return true; // Required for async sendResponse
   } else if (message.type === 'checkCompanionApp') {
@@ -1597,6 +1424,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       downloadInfo.timeoutId = null;
     }
     downloadInfo.timeoutPaused = true;
+    pendingDownloads.persist();
     
     // Check if download is already complete
     chrome.downloads.search({ id: message.downloadId }, (downloads) => {
@@ -1626,6 +1454,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         // File still downloading - proceed download first, then show dialog when complete
         console.log('Download not complete, setting pendingSaveAsDialog and proceeding');
         downloadInfo.pendingSaveAsDialog = true;
+        pendingDownloads.persist();
         proceedWithDownload(message.downloadId);
       }
     });
@@ -1695,11 +1524,14 @@ function showFallbackNotification(downloadInfo) {
   //   Inputs: notificationId (string), notification options object
   //   Outputs: Creates notification in Chrome's notification system
   const formattedPath = formatPathDisplay(downloadInfo.resolvedPath);
+  // Name the tab the download came from - it may not be the one the user is looking at
+  const source = downloadInfo.tabTitle || (downloadInfo.sourceSite && downloadInfo.sourceSite.site) || downloadInfo.domain;
   chrome.notifications.create(notificationId, {
     type: 'basic',
     iconUrl: 'icons/icon128.png',
     title: 'Download Routing Confirmation',
     message: `Save ${downloadInfo.filename} to ${formattedPath}?`,
+    contextMessage: source ? `From ${source}` : '',
     buttons: [
       { title: 'Save Now' },
       { title: 'Change Location' }
@@ -1885,6 +1717,8 @@ chrome.downloads.onChanged.addListener(async (downloadDelta) => {
   // Only update stats when download transitions to 'complete' state
   // downloadDelta.state.current: Current state of the download
   if (downloadDelta.state && downloadDelta.state.current === 'complete') {
+    // A restarted worker may be woken by this event before its saved downloads are back
+    await pendingDownloadsRestored;
     const downloadId = downloadDelta.id;
     const downloadInfo = pendingDownloads.get(downloadId);
     
@@ -1918,6 +1752,12 @@ chrome.downloads.onChanged.addListener(async (downloadDelta) => {
       return;
     }
     
+    // Restored after a worker restart: Chrome never got our path, so finish it differently
+    if (downloadInfo && downloadInfo.restored) {
+      await finishRestoredDownload(downloadId);
+      return;
+    }
+    
     // Check if file needs to be moved to absolute path
     // IMPORTANT: Only move if download has been confirmed (countdown expired or user clicked save)
     // Don't auto-move while countdown is still running - wait for user confirmation
@@ -1930,6 +1770,7 @@ chrome.downloads.onChanged.addListener(async (downloadDelta) => {
         if (downloads && downloads.length > 0) {
           downloadInfo.actualDownloadPath = downloads[0].filename;
           downloadInfo.downloadComplete = true;
+          pendingDownloads.persist();
           console.log('[onChanged] Download complete but not confirmed yet, waiting for confirmation. confirmed:', downloadInfo.confirmed, 'timeoutPaused:', downloadInfo.timeoutPaused);
         }
         return;
@@ -1950,7 +1791,7 @@ chrome.downloads.onChanged.addListener(async (downloadDelta) => {
           downloadInfo.actualDownloadPath = sourcePath;
           
           // Move file using companion app
-          const moveResult = await moveFileNative(sourcePath, downloadInfo.absoluteDestination);
+          const moveResult = await moveFileNative(sourcePath, getMoveDestination(sourcePath, downloadInfo.absoluteDestination, downloadInfo));
           
           if (moveResult && moveResult.moved) {
             const actualDestination = moveResult.destination || downloadInfo.absoluteDestination;
@@ -2005,6 +1846,11 @@ chrome.downloads.onChanged.addListener(async (downloadDelta) => {
       }
     }
     
+    // Servers often send octet-stream with no (or the wrong) extension - check the content
+    if (downloadInfo) {
+      await correctFileType(downloadInfo);
+    }
+    
     // updateDownloadStats: Updates statistics with completed download information
     updateDownloadStats(downloadId);
     
@@ -2015,6 +1861,79 @@ chrome.downloads.onChanged.addListener(async (downloadDelta) => {
   }
 });
 
+/**
+ * Checks a finished download's content when its type is uncertain (generic MIME type, or no
+ * group claims it). If the companion app finds a different type, the file is renamed to the
+ * right extension and, when that type belongs to another group, moved to that group's folder
+ * (unless the user chose the folder in the overlay or Save As, or project mode took the
+ * download - then it only gets renamed).
+ * 
+ * Inputs:
+ *   - downloadInfo: Object tracked in pendingDownloads (updated with the new name and path)
+ * 
+ * Outputs: Promise (never rejects)
+ * 
+ * External Dependencies:
+ *   - nativeMessagingClient.sniffFile: Reads the file's first bytes via the companion app
+ *   - ContentSniffing (lib/content-sniffing.js): Decides the new name and folder
+ */
+async function correctFileType(downloadInfo) {
+  const currentPath = downloadInfo.actualFinalDestination || downloadInfo.actualDownloadPath;
+  if (!currentPath) return;
+  
+  try {
+    const [data, localData] = await Promise.all([
+      configStore.get(['rules', 'groups', 'defaultFolder', 'conflictResolution']),
+      chrome.storage.local.get([PROJECT_MODE_KEY])
+    ]);
+    const config = {
+      rules: data.rules || [],
+      groups: data.groups || {},
+      defaultFolder: data.defaultFolder || 'Downloads',
+      conflictResolution: data.conflictResolution || 'auto',
+      // Route the corrected type the way the download itself was routed
+      projectMode: downloadInfo.projectModeSkipped ? null : localData[PROJECT_MODE_KEY] || null
+    };
+    if (!shouldSniffDownload(downloadInfo, config.groups)) return;
+    
+    const status = await checkCompanionAppStatus();
+    if (!status.installed) return;
+    
+    const sniffed = await self.nativeMessagingClient.sniffFile(currentPath);
+    console.log('[BACKGROUND] Sniffed', currentPath, 'as', sniffed);
+    const plan = planTypeCorrection(downloadInfo, sniffed, config, currentPath);
+    if (!plan) return;
+    
+    const moveResult = await moveFileNative(currentPath, plan.destination);
+    if (!moveResult || !moveResult.moved) {
+      console.error('[BACKGROUND] Could not correct file type of', currentPath);
+      return;
+    }
+    
+    const destination = moveResult.destination || plan.destination;
+    console.log('[BACKGROUND] Corrected file type:', currentPath, '->', destination);
+    downloadInfo.filename = plan.filename;
+    downloadInfo.extension = sniffed.extension;
+    downloadInfo.fileMoved = true;
+    downloadInfo.actualFinalDestination = destination;
+    if (plan.rerouted) {
+      downloadInfo.finalRule = plan.route.finalRule;
+    }
+    
+    const destParts = destination.split(/[/\\]/).filter(p => p);
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: 'File Type Corrected',
+      message: plan.rerouted
+        ? `${plan.filename} is a ${sniffed.extension.toUpperCase()} file - moved to ${destParts[destParts.length - 2] || 'Downloads'}`
+        : `Renamed to ${plan.filename} (${sniffed.extension.toUpperCase()} file)`
+    });
+  } catch (error) {
+    console.error('[BACKGROUND] Failed to check file type:', error);
+  }
+}
+
 /**
  * Updates download statistics in local storage when a download completes.
  * Increments counters and adds entry to recent activity log.
@@ -2100,6 +2019,134 @@ function updateDownloadStats(downloadId) {
     //   Outputs: None (stores asynchronously)
     chrome.storage.local.set({ downloadStats: stats });
   });
+
+  // Keep the full record in the history store (recentActivity above only keeps 10)
+  recordDownloadHistory(downloadId, downloadInfo);
+}
+
+/**
+ * Records a finished download in the persistent history (lib/download-history.js).
+ * Size and end time come from Chrome's download record, which is final by now.
+ * 
+ * Inputs:
+ *   - downloadId: Number Chrome download ID
+ *   - downloadInfo: Object tracked in pendingDownloads for this download
+ * 
+ * Outputs: Promise (never rejects - history is best-effort)
+ */
+async function recordDownloadHistory(downloadId, downloadInfo) {
+  try {
+    const [item] = await chrome.downloads.search({ id: downloadId });
+    await downloadHistory.record(createHistoryEntry(downloadInfo, {
+      finalPath: downloadInfo.actualFinalDestination || downloadInfo.absoluteDestination || downloadInfo.resolvedPath,
+      fileSize: item ? (item.fileSize > 0 ? item.fileSize : item.bytesReceived) : null,
+      endTime: item && item.endTime
+    }));
+  } catch (error) {
+    console.error('[BACKGROUND] Failed to record download history:', error);
+  }
+}
+
+/**
+ * Restores the pending downloads saved before the service worker was stopped.
+ * Their suggest() callbacks and countdown timers died with the old worker, so each one is
+ * treated as confirmed with its current destination: open overlays are closed, finished
+ * downloads are completed now (including any companion move that was in flight) and the
+ * rest are completed when Chrome reports them done (see finishRestoredDownload).
+ * 
+ * Inputs: None
+ * 
+ * Outputs: Promise (never rejects)
+ * 
+ * External Dependencies:
+ *   - pendingDownloadStore (lib/pending-downloads.js): Saved pending downloads
+ */
+async function restorePendingDownloads() {
+  try {
+    const saved = await self.pendingDownloadStore.load();
+    if (saved.length === 0) return;
+    console.log('[BACKGROUND] Restoring', saved.length, 'pending downloads after a service worker restart');
+    
+    const restoredIds = [];
+    saved.forEach(([key, downloadInfo]) => {
+      if (typeof key === 'string') {
+        // Fallback notification entry - its auto-save timer is gone, so remove the notification
+        chrome.notifications.clear(key);
+        return;
+      }
+      if (pendingDownloads.has(key)) return; // Already tracked again by this worker
+      
+      if (!downloadInfo.confirmed) {
+        // The overlay can no longer change where Chrome saves the file
+        sendToDownloadTab(downloadInfo, { type: 'closeOverlay', downloadId: key });
+      }
+      downloadInfo.restored = true;
+      downloadInfo.confirmed = true;
+      pendingDownloads.set(key, downloadInfo);
+      restoredIds.push(key);
+    });
+    pendingDownloads.persist();
+    
+    for (const downloadId of restoredIds) {
+      await finishRestoredDownload(downloadId);
+    }
+  } catch (error) {
+    console.error('[BACKGROUND] Failed to restore pending downloads:', error);
+  }
+}
+
+/**
+ * Finishes a download restored by restorePendingDownloads once Chrome has completed it:
+ * moves the file where its rule wanted it if it isn't there, then records it.
+ * Does nothing while the download is still in progress.
+ * 
+ * Inputs:
+ *   - downloadId: Number Chrome download ID
+ * 
+ * Outputs: Promise (never rejects)
+ */
+async function finishRestoredDownload(downloadId) {
+  const downloadInfo = pendingDownloads.get(downloadId);
+  if (!downloadInfo) return;
+  
+  try {
+    const [downloadItem] = await chrome.downloads.search({ id: downloadId });
+    const recovery = getRecoveryAction(downloadInfo, downloadItem);
+    console.log('[BACKGROUND] Recovering download', downloadId, 'action:', recovery.action);
+    if (recovery.action === 'wait') return;
+    
+    if (recovery.action === 'move') {
+      downloadInfo.actualDownloadPath = recovery.source;
+      const moveResult = await moveFileNative(recovery.source, getMoveDestination(recovery.source, recovery.destination, downloadInfo));
+      if (moveResult && moveResult.moved) {
+        downloadInfo.fileMoved = true;
+        downloadInfo.actualFinalDestination = moveResult.destination || recovery.destination;
+        const destParts = recovery.destination.split(/[/\\]/).filter(p => p);
+        chrome.notifications.create({
+          type: 'basic',
+          iconUrl: 'icons/icon128.png',
+          title: 'File Routed Successfully',
+          message: `${downloadInfo.filename} moved to ${destParts[destParts.length - 1] || 'Downloads'}`
+        });
+      } else {
+        downloadInfo.actualFinalDestination = recovery.source;
+        chrome.notifications.create({
+          type: 'basic',
+          iconUrl: 'icons/icon128.png',
+          title: 'Routing Failed',
+          message: `Could not move ${downloadInfo.filename}. File saved in Downloads folder.`
+        });
+      }
+      updateDownloadStats(downloadId);
+    } else if (recovery.action === 'record') {
+      downloadInfo.actualDownloadPath = downloadItem.filename;
+      downloadInfo.actualFinalDestination = downloadItem.filename;
+      updateDownloadStats(downloadId);
+    }
+  } catch (error) {
+    console.error('[BACKGROUND] Failed to recover download', downloadId, error);
+  }
+  pendingDownloads.delete(downloadId);
 }
 
 /**
@@ -2125,6 +2172,17 @@ function proceedWithDownload(downloadId, customPath = null) {
   // Mark as confirmed so onChanged handler knows to proceed with move
   downloadInfo.confirmed = true;
   
+  // A location typed in the overlay may itself be a folder template
+  if (customPath && hasPathTemplate(customPath)) {
+    customPath = expandPathTemplate(customPath, buildPathTemplateValues({
+      domain: downloadInfo.domain,
+      extension: downloadInfo.extension,
+      filename: downloadInfo.filename,
+      referrerTitle: downloadInfo.referrerTitle,
+      date: downloadInfo.startTime
+    }));
+  }
+  
   // Check if download already has absolute destination set (from rule matching or location change)
   // or if a custom path is being provided that's absolute
   const hasAbsoluteDestination = downloadInfo.absoluteDestination && downloadInfo.needsMove;
@@ -2168,6 +2226,7 @@ function proceedWithDownload(downloadId, customPath = null) {
     downloadInfo.absoluteDestination = absoluteDestinationPath;
     downloadInfo.needsMove = true;
   }
+  pendingDownloads.persist();
   
   // Call the original suggest callback to finalize download path
   // originalSuggest: Function passed from Chrome's onDeterminingFilename event
@@ -2184,7 +2243,7 @@ function proceedWithDownload(downloadId, customPath = null) {
       if (sourcePath && downloadInfo.downloadComplete) {
         // Download already complete and we have the path - move now
         console.log('[proceedWithDownload] Download already complete, moving file now');
-        moveFileNative(sourcePath, destPath).then((result) => {
+        moveFileNative(sourcePath, getMoveDestination(sourcePath, destPath, downloadInfo)).then((result) => {
           if (result && result.moved) {
             const actualDestination = result.destination || destPath;
             // Store actual final destination for stats and popup display
@@ -2209,7 +2268,7 @@ function proceedWithDownload(downloadId, customPath = null) {
           if (downloads && downloads.length > 0 && downloads[0].state === 'complete') {
             // Download complete - move file now
             console.log('[proceedWithDownload] Found complete download, moving file');
-            moveFileNative(downloads[0].filename, destPath).then((result) => {
+            moveFileNative(downloads[0].filename, getMoveDestination(downloads[0].filename, destPath, downloadInfo)).then((result) => {
               if (result && result.moved) {
                 const actualDestination = result.destination || destPath;
                 // Store actual final destination for stats and popup display
@@ -2239,6 +2298,8 @@ function proceedWithDownload(downloadId, customPath = null) {
       filename: finalPath, 
       conflictAction: 'uniquify' // Automatically rename if file already exists
     });
+    // Chrome has our path now - a restored copy of this download needs no correcting move
+    downloadInfo.suggested = true;
   } catch (error) {
     console.error('Error calling originalSuggest:', error);
   }
@@ -2281,27 +2342,90 @@ function proceedWithDownload(downloadId, customPath = null) {
  * 
  * Inputs:
  *   - rule: Object containing rule properties:
- *     - type: String ('domain' or 'contains')
- *     - value: String (domain name or comma-separated phrases for contains rules)
- *     - folder: String (target folder path)
- * 
- * Outputs: None (updates Chrome storage)
+ *     - type: String ('domain', 'url', 'contains', 'glob', 'regex' or 'compound')
+ *     - value: String (domain name, URL pattern, comma-separated phrases for contains rules, or pattern;
+ *       generated from the conditions for compound rules)
+ *     - conditions: Object condition tree (compound rules only, see lib/router.js)
+ *     - folder: String (target folder path, may contain {variable} templates, including
+ *       the values a URL rule captures)
+ *     - rename: Optional object { template, find, replace, case } to rename the file on save
+ *     - siteAdapter: Optional boolean, true to file downloads a site adapter recognizes in its
+ *       subfolder of the rule's folder (see lib/site-adapters.js)
+ *     - schedule: Optional object { days, start, end, until } limiting when the rule is
+ *       active (see lib/schedules.js)
+ * 
+ * Outputs: Promise resolving to the rule as stored (site values cleaned up, compound values
+ *   generated); rejects if a site/URL/glob/regex pattern, folder template, rename or
+ *   schedule is invalid
  * 
  * External Dependencies:
- *   - chrome.storage.sync API: For storing rules persistently across devices
+ *   - configStore (lib/config-store.js): For storing rules persistently across devices
  */
 function addRule(rule) {
   return new Promise((resolve, reject) => {
-    // Retrieve existing rules from sync storage
-    // chrome.storage.sync.get: Retrieves data from sync storage (synced across Chrome instances)
-    //   Inputs: Array of keys ['rules']
-    //   Outputs: Calls callback with data object
-    chrome.storage.sync.get(['rules'], (data) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
+    // Refuse site, URL, regex and glob patterns that would never match
+    const patternError = validateRuleValue(rule.type, rule.value);
+    if (patternError) {
+      reject(new Error(`Invalid ${rule.type} pattern: ${patternError}`));
+      return;
+    }
+
+    // Domain rules may be limited to one of the download's URLs
+    const scopeError = validateMatchScope(rule.matchScope);
+    if (scopeError) {
+      reject(new Error(scopeError));
+      return;
+    }
+
+    // Page variables need a letters-only name, a page source and a valid pattern
+    const pageVariableError = validateRulePageVariables(rule);
+    if (pageVariableError) {
+      reject(new Error(`Invalid page variable: ${pageVariableError}`));
+      return;
+    }
+
+    // Schedules need weekday numbers, HH:MM times and a YYYY-MM-DD expiry date
+    const scheduleError = validateSchedule(rule.schedule);
+    if (scheduleError) {
+      reject(new Error(`Invalid schedule: ${scheduleError}`));
+      return;
+    }
+
+    // Folder templates may only use known variables (and a URL rule's captures)
+    const templateVariables = getRuleTemplateVariables(rule);
+    const templateError = validatePathTemplate(rule.folder, templateVariables);
+    if (templateError) {
+      reject(new Error(`Invalid folder: ${templateError}`));
+      return;
+    }
+
+    // Rename on save must have a valid find pattern and template
+    const renameError = validateRename(rule.rename, templateVariables);
+    if (renameError) {
+      reject(new Error(`Invalid rename: ${renameError}`));
+      return;
+    }
+
+    // Compound rules need a valid condition tree; their value is the generated summary
+    if (rule.type === 'compound') {
+      const conditionError = validateConditions(rule.conditions);
+      if (conditionError) {
+        reject(new Error(`Invalid compound rule: ${conditionError}`));
         return;
       }
-      
+      rule = { ...rule, value: describeConditions(rule.conditions) };
+    }
+
+    // Store a single site the way it is matched (no protocol or "www.", Unicode host)
+    if (rule.type === 'domain') {
+      rule = { ...rule, value: normalizeDomainRuleValue(rule.value) };
+    }
+
+    // Retrieve existing rules (chunked across sync keys, or local - see lib/config-store.js)
+    // configStore.get: Retrieves configuration data
+    //   Inputs: Array of keys ['rules']
+    //   Outputs: Promise resolving to data object
+    configStore.get(['rules']).then((data) => {
       const rules = data.rules || [];
       
       // Check if rule with same type and value already exists
@@ -2323,18 +2447,37 @@ function addRule(rule) {
         rules.push(rule);
       }
       
-      // Save updated rules back to sync storage
-      // chrome.storage.sync.set: Stores data in sync storage
+      // Save updated rules back to storage
+      // configStore.set: Stores configuration data (falls back to local storage with a warning if sync is full)
       //   Inputs: Object with key-value pairs
-      //   Outputs: None (stores asynchronously)
-      chrome.storage.sync.set({ rules }, () => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve();
-        }
-      });
-    });
+      //   Outputs: Promise resolving to { area, warning }
+      return configStore.set({ rules });
+    }).then(() => resolve(rule), reject);
+  });
+}
+
+/**
+ * Replaces a routing rule edited in the overlay.
+ *
+ * Inputs:
+ *   - index: Number position of the rule in the stored rules
+ *   - rule: Object rule properties (see addRule)
+ *
+ * Outputs: Promise (rejects if the site/URL/glob/regex pattern or match scope is invalid,
+ *   or no rule is stored at index)
+ */
+function updateRule(index, rule) {
+  // Refuse patterns that would never match, as addRule does
+  const patternError = validateRuleValue(rule.type, rule.value);
+  if (patternError) return Promise.reject(new Error(`Invalid ${rule.type} pattern: ${patternError}`));
+  const scopeError = validateMatchScope(rule.matchScope);
+  if (scopeError) return Promise.reject(new Error(scopeError));
+
+  return configStore.get(['rules']).then((data) => {
+    const rules = data.rules || [];
+    if (!rules[index]) throw new Error('Rule no longer exists');
+    rules[index] = rule;
+    return configStore.set({ rules });
   });
 }
 
@@ -2343,27 +2486,22 @@ function addRule(rule) {
  * Updates the group's extension list and ensures a routing rule exists for it.
  * 
  * Inputs:
- *   - extension: String file extension (without dot, e.g. 'pdf')
+ *   - extension: String file extension (without dot, e.g. 'pdf' or 'tar.gz')
  *   - groupName: String name of the group to add extension to
  * 
  * Outputs: None (updates Chrome storage)
  * 
  * External Dependencies:
- *   - chrome.storage.sync API: For storing groups and rules
+ *   - configStore (lib/config-store.js): For storing groups
  *   - getDefaultGroups: Function defined in this file to retrieve default group structure
  */
 function addToGroup(extension, groupName) {
-  // Retrieve groups from sync storage
-  // chrome.storage.sync.get: Retrieves data from sync storage
+  // Retrieve groups (chunked across sync keys, or local - see lib/config-store.js)
+  // configStore.get: Retrieves configuration data
   //   Inputs: Array of keys ['groups']
   //   Outputs: Promise resolving to data object
   return new Promise((resolve, reject) => {
-    chrome.storage.sync.get(['groups'], (data) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-        return;
-      }
-      
+    configStore.get(['groups']).then((data) => {
       // Load groups (use defaults if none exist)
       const groups = data.groups || getDefaultGroups();
       
@@ -2374,19 +2512,15 @@ function addToGroup(extension, groupName) {
       }
       
       // Add extension to group's extension list if not already present
-      // split: String method to split by delimiter into array
-      //   Inputs: Delimiter string (',')
-      //   Outputs: Array of strings
-      // map: Array method to transform each element
-      //   Inputs: Transform function
-      //   Outputs: New array with transformed elements
-      const extensions = groups[groupName].extensions.split(',').map(ext => ext.trim().toLowerCase());
-      const extLower = extension.toLowerCase();
+      // parseExtensionList: Splits the comma-separated list (lowercase, no leading dots)
+      const extensions = parseExtensionList(groups[groupName].extensions);
+      // Multi-part extensions ("tar.gz") are added as they are - the longest listed one wins
+      const [extLower] = parseExtensionList(extension);
       
       // includes: Array method to check if element exists
       //   Inputs: Element to search for
       //   Outputs: Boolean
-      if (!extensions.includes(extLower)) {
+      if (extLower && !extensions.includes(extLower)) {
         extensions.push(extLower);
         // join: Array method to combine elements with delimiter
         //   Inputs: Delimiter string (',')
@@ -2394,27 +2528,23 @@ function addToGroup(extension, groupName) {
         groups[groupName].extensions = extensions.join(',');
       }
       
-      // Save updated groups to sync storage
+      // Save updated groups to storage
       // NOTE: We only update the group's extensions list, NOT the rules.
       // The findMatchingRule function already iterates through groups and creates
       // filetype matches on the fly, so no separate rule is needed.
-      // chrome.storage.sync.set: Stores data in sync storage
+      // configStore.set: Stores configuration data (falls back to local storage with a warning if sync is full)
       //   Inputs: Object with key-value pairs
       //   Outputs: Promise resolving when saved
-      chrome.storage.sync.set({ groups }, () => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          // Return the group's folder so content script can use it for download
-          resolve({
-            success: true,
-            folder: groups[groupName].folder,
-            priority: groups[groupName].priority || 3.0,
-            groupName: groupName
-          });
-        }
+      return configStore.set({ groups }).then(() => {
+        // Return the group's folder so content script can use it for download
+        resolve({
+          success: true,
+          folder: groups[groupName].folder,
+          priority: groups[groupName].priority || 3.0,
+          groupName: groupName
+        });
       });
-    });
+    }).catch(reject);
   });
 }
 
@@ -2457,6 +2587,133 @@ function getDefaultGroups() {
   };
 }
 
+/**
+ * Switches to another rule profile: the current rules, groups, default folder and
+ * confirmation settings are saved with the profile being left, and the target profile's
+ * become the live ones the router reads (see lib/profiles.js).
+ * 
+ * Inputs:
+ *   - profileId: String id of the profile to switch to
+ * 
+ * Outputs: Promise resolving to the now active profile { id, name } (rejects if it doesn't exist
+ *   or the switch couldn't be saved)
+ * 
+ * External Dependencies:
+ *   - configStore (lib/config-store.js): For reading and writing profiles and their settings
+ */
+async function switchProfile(profileId) {
+  // Saves the lists before the plain keys and undoes them if the rest fails (see applyProfileSwitch).
+  // The storage listener then reprocesses pending downloads against the new rules.
+  const profile = await applyProfileSwitch(configStore, profileId);
+  console.log('[BACKGROUND] Switched to profile:', profile.id);
+  return profile;
+}
+
+/**
+ * Shows the active profile on the toolbar button: a badge with the start of its name
+ * (only once there is more than one profile) and the full name in the tooltip.
+ * 
+ * Inputs: None
+ * 
+ * Outputs: Promise resolving when the badge is updated
+ */
+async function updateProfileBadge() {
+  try {
+    const data = await configStore.get(['profiles', 'activeProfile']);
+    const { profiles, activeProfile } = normalizeProfiles(data.profiles, data.activeProfile);
+    const text = getProfileBadgeText(profiles, activeProfile);
+    await chrome.action.setBadgeText({ text });
+    await chrome.action.setBadgeBackgroundColor({ color: '#007aff' });
+    await chrome.action.setTitle({
+      title: text ? `Download Router - ${findProfile(profiles, activeProfile).name} profile` : 'Download Router'
+    });
+  } catch (error) {
+    console.error('Failed to update profile badge:', error);
+  }
+}
+
+/**
+ * Turns project mode on: every download its filter takes goes to its folder, ahead of all
+ * rules. A timed project mode is ended by an alarm (see endProjectModeIfExpired).
+ * 
+ * Inputs:
+ *   - options: Object { folder, filter: { type, value }, minutes } (see lib/project-mode.js)
+ * 
+ * Outputs: Promise resolving to the stored project mode (rejects if the options are invalid)
+ * 
+ * External Dependencies:
+ *   - chrome.storage.local: Project mode is kept on this computer only
+ *   - chrome.alarms: Wakes the service worker when project mode should end
+ */
+async function startProjectMode(options) {
+  const optionsError = validateProjectModeOptions(options);
+  if (optionsError) throw new Error(optionsError);
+  // Site filters use the same patterns as site rules
+  if (options.filter && options.filter.type === 'domain') {
+    const patternError = validateRuleValue('domain', options.filter.value.trim());
+    if (patternError) throw new Error(`Invalid site: ${patternError}`);
+  }
+  const projectMode = createProjectMode(options);
+  await chrome.storage.local.set({ [PROJECT_MODE_KEY]: projectMode });
+  await chrome.alarms.clear(PROJECT_MODE_ALARM);
+  if (projectMode.until) {
+    await chrome.alarms.create(PROJECT_MODE_ALARM, { when: projectMode.until });
+  }
+  console.log('[BACKGROUND] Project mode started:', projectMode);
+  return projectMode;
+}
+
+/**
+ * Turns project mode off; downloads follow the rules again.
+ * 
+ * Outputs: Promise resolving when stopped
+ */
+async function stopProjectMode() {
+  await chrome.storage.local.remove([PROJECT_MODE_KEY]);
+  await chrome.alarms.clear(PROJECT_MODE_ALARM);
+  console.log('[BACKGROUND] Project mode stopped');
+}
+
+/**
+ * Ends project mode once its time is up and says so with a notification. Runs when the alarm
+ * fires and when the service worker starts (alarms missed while Chrome was closed).
+ * 
+ * Outputs: Promise resolving when checked
+ */
+async function endProjectModeIfExpired() {
+  const { [PROJECT_MODE_KEY]: projectMode } = await chrome.storage.local.get([PROJECT_MODE_KEY]);
+  if (!projectMode) return;
+  if (isProjectModeActive(projectMode)) {
+    // Still running (e.g. restarted with a later end) - make sure its alarm is set
+    if (projectMode.until) await chrome.alarms.create(PROJECT_MODE_ALARM, { when: projectMode.until });
+    return;
+  }
+  await stopProjectMode();
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: 'Project Mode Ended',
+    message: `Downloads follow your rules again instead of going to ${projectMode.folder}.`
+  });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PROJECT_MODE_ALARM) {
+    endProjectModeIfExpired().catch(error => console.error('Failed to end project mode:', error));
+  }
+});
+
+// Keyboard shortcut (manifest "commands"): cycle through the profiles
+chrome.commands.onCommand.addListener(async (command) => {
+  if (command !== 'next-profile') return;
+  try {
+    const { profiles, activeProfile } = await configStore.get(['profiles', 'activeProfile']);
+    await switchProfile(getNextProfileId(profiles, activeProfile));
+  } catch (error) {
+    console.error('Failed to switch profile:', error);
+  }
+});
+
 /**
  * Checks companion app installation status and caches result.
  * 
@@ -2601,6 +2858,25 @@ async function moveFileNative(sourcePath, destinationPath) {
   }
 }
 
+/**
+ * Works out the file path a downloaded file should be moved to for an absolute destination.
+ * It keeps the name Chrome saved the file under, unless a rename rule applies and Chrome
+ * saved it under its original name (the download was already past the suggest() stage).
+ * Always a full file path, so a destination folder that doesn't exist yet is created.
+ * 
+ * Inputs:
+ *   - sourcePath: String absolute path of the downloaded file
+ *   - destinationFolder: String absolute destination folder
+ *   - downloadInfo: Object download metadata (filename, originalFilename)
+ * 
+ * Outputs: String destination file path for moveFileNative
+ */
+function getMoveDestination(sourcePath, destinationFolder, downloadInfo) {
+  const savedName = extractFilename(sourcePath);
+  const renamed = downloadInfo.originalFilename && downloadInfo.filename !== downloadInfo.originalFilename;
+  return joinAbsolutePath(destinationFolder, renamed ? downloadInfo.filename : savedName);
+}
+
 /**
  * Handles showing Save As dialog and moving file to selected location.
  * 
@@ -2690,15 +2966,9 @@ async function handleSaveAsDialog(downloadId, sourceFilePath = null) {
   
   try {
     // Update overlay to show "Choose save location..."
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (tabs && tabs[0]) {
-        chrome.tabs.sendMessage(tabs[0].id, {
-          type: 'saveAsDialogOpening',
-          downloadId: downloadId
-        }).catch(() => {
-          // Ignore errors if tab doesn't have content script
-        });
-      }
+    sendToDownloadTab(downloadInfo, {
+      type: 'saveAsDialogOpening',
+      downloadId: downloadId
     });
     
     console.log('Calling showSaveAsDialog with:', downloadInfo.filename, defaultDirectory);
@@ -2721,13 +2991,9 @@ async function handleSaveAsDialog(downloadId, sourceFilePath = null) {
         message: 'Could not open Save As dialog. File saved to default location.'
       });
       // Close overlay
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs && tabs[0]) {
-          chrome.tabs.sendMessage(tabs[0].id, {
-            type: 'closeOverlay',
-            downloadId: downloadId
-          }).catch(() => {});
-        }
+      sendToDownloadTab(downloadInfo, {
+        type: 'closeOverlay',
+        downloadId: downloadId
       });
       pendingDownloads.delete(downloadId);
       return;
@@ -2744,13 +3010,9 @@ async function handleSaveAsDialog(downloadId, sourceFilePath = null) {
       });
       
       // Close overlay
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs && tabs[0]) {
-          chrome.tabs.sendMessage(tabs[0].id, {
-            type: 'closeOverlay',
-            downloadId: downloadId
-          }).catch(() => {});
-        }
+      sendToDownloadTab(downloadInfo, {
+        type: 'closeOverlay',
+        downloadId: downloadId
       });
       
       // Clean up
@@ -2790,14 +3052,10 @@ async function handleSaveAsDialog(downloadId, sourceFilePath = null) {
           title: 'Save Failed',
           message: 'Companion app connection lost. Please try again.'
         });
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-          if (tabs && tabs[0]) {
-            chrome.tabs.sendMessage(tabs[0].id, {
-              type: 'saveAsComplete',
-              downloadId: downloadId,
-              success: false
-            }).catch(() => {});
-          }
+        sendToDownloadTab(downloadInfo, {
+          type: 'saveAsComplete',
+          downloadId: downloadId,
+          success: false
         });
         pendingDownloads.delete(downloadId);
         return;
@@ -2815,6 +3073,8 @@ async function handleSaveAsDialog(downloadId, sourceFilePath = null) {
         const actualFinalPath = moveResult.destination || selectedFilePath;
         // Store the actual final destination for stats recording
         downloadInfo.actualFinalDestination = actualFinalPath;
+        // The user picked this location - a content type fix may rename the file but not move it
+        downloadInfo.customLocation = true;
         
         // Show success notification
         const destParts = selectedFilePath.replace(/\\/g, '/').split('/').filter(p => p);
@@ -2830,15 +3090,11 @@ async function handleSaveAsDialog(downloadId, sourceFilePath = null) {
         updateDownloadStats(downloadId);
         
         // Close overlay with success message
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-          if (tabs && tabs[0]) {
-            chrome.tabs.sendMessage(tabs[0].id, {
-              type: 'saveAsComplete',
-              downloadId: downloadId,
-              success: true,
-              filePath: actualFinalPath
-            }).catch(() => {});
-          }
+        sendToDownloadTab(downloadInfo, {
+          type: 'saveAsComplete',
+          downloadId: downloadId,
+          success: true,
+          filePath: actualFinalPath
         });
       } else {
         // Move failed - check if file was moved to default location
@@ -2857,14 +3113,10 @@ async function handleSaveAsDialog(downloadId, sourceFilePath = null) {
         });
         
         // Close overlay with error message
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-          if (tabs && tabs[0]) {
-            chrome.tabs.sendMessage(tabs[0].id, {
-              type: 'saveAsComplete',
-              downloadId: downloadId,
-              success: false
-            }).catch(() => {});
-          }
+        sendToDownloadTab(downloadInfo, {
+          type: 'saveAsComplete',
+          downloadId: downloadId,
+          success: false
         });
       }
     } else {
@@ -2887,14 +3139,10 @@ async function handleSaveAsDialog(downloadId, sourceFilePath = null) {
       });
       
       // Still close overlay and clean up
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs && tabs[0]) {
-          chrome.tabs.sendMessage(tabs[0].id, {
-            type: 'saveAsComplete',
-            downloadId: downloadId,
-            success: false
-          }).catch(() => {});
-        }
+      sendToDownloadTab(downloadInfo, {
+        type: 'saveAsComplete',
+        downloadId: downloadId,
+        success: false
       });
     }
     
@@ -2911,13 +3159,9 @@ async function handleSaveAsDialog(downloadId, sourceFilePath = null) {
     });
     
     // Close overlay
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (tabs && tabs[0]) {
-        chrome.tabs.sendMessage(tabs[0].id, {
-          type: 'closeOverlay',
-          downloadId: downloadId
-        }).catch(() => {});
-      }
+    sendToDownloadTab(downloadInfo, {
+      type: 'closeOverlay',
+      downloadId: downloadId
     });
     
     // Clean up
@@ -2933,10 +3177,16 @@ chrome.runtime.onStartup.addListener(() => {
 chrome.runtime.onInstalled.addListener(async (details) => {
   checkCompanionAppStatus();
   
-  // Migration: Add priority fields to existing rules and groups
+  // Migration: Move rules/groups out of single sync items, then add priority fields
   if (details.reason === 'update' || details.reason === 'install') {
     try {
-      const { rules, groups } = await chrome.storage.sync.get(['rules', 'groups']);
+      // Older versions kept all rules in one sync item, which fails past 8KB - split it into chunks
+      const storageMigration = await configStore.migrate();
+      if (storageMigration.migrated) {
+        console.log('[BACKGROUND] Migrated rules and groups to chunked storage in', storageMigration.area);
+      }
+      
+      const { rules, groups } = await configStore.get(['rules', 'groups']);
       
       let needsMigration = false;
       
@@ -2971,7 +3221,7 @@ chrome.runtime.onInstalled.addListener(async (details) => {
       
       // Only save if migration was needed
       if (needsMigration) {
-        await chrome.storage.sync.set({ 
+        await configStore.set({ 
           rules: migratedRules, 
           groups: migratedGroups
         });
@@ -2994,3 +3244,8 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 
 // Initial check
 checkCompanionAppStatus();
+updateProfileBadge();
+endProjectModeIfExpired().catch(error => console.error('Failed to check project mode:', error));
+
+// Bring back downloads that were pending when the previous service worker was stopped
+const pendingDownloadsRestored = restorePendingDownloads();
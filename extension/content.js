@@ -215,6 +215,10 @@ class DownloadOverlay {
       if (message.type === 'showDownloadOverlay') {
         // Show overlay with download information
         this.showDownloadOverlay(message.downloadInfo, message.confirmationTimeout, message.confirmationEnabled);
+      } else if (message.type === 'readPageData') {
+        // Background script routes by text on this page (rule selectors and meta tags)
+        sendResponse({ success: true, values: PageData.readPageSources(document, message.sources) });
+        return true;
       } else if (message.type === 'checkEditorState') {
         // Check if any editor panels are currently visible
         const hasEditor = this.rulesEditorVisible || this.groupSelectorVisible || this.locationPickerVisible;
@@ -560,6 +564,113 @@ class DownloadOverlay {
         color: var(--text-muted);
       }
 
+      .overlay-path .path-template {
+        font-size: 11px;
+        color: var(--text-muted);
+        font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+      }
+
+      .overlay-path .path-template.hidden {
+        display: none;
+      }
+
+      .overlay-source {
+        font-size: 12px;
+        color: var(--text-secondary);
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 6px;
+        word-break: break-all;
+      }
+
+      .overlay-source svg {
+        width: 14px;
+        height: 14px;
+        flex-shrink: 0;
+        color: var(--text-muted);
+      }
+
+      .overlay-source .source-via {
+        font-size: 11px;
+        color: var(--text-muted);
+      }
+
+      .overlay-suggestion {
+        font-size: 12px;
+        color: var(--text-secondary);
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 6px;
+        word-break: break-all;
+      }
+
+      .overlay-suggestion.hidden {
+        display: none;
+      }
+
+      .overlay-suggestion svg {
+        width: 14px;
+        height: 14px;
+        flex-shrink: 0;
+        color: var(--text-muted);
+      }
+
+      .overlay-suggestion .suggestion-name {
+        font-size: 11px;
+        color: var(--text-muted);
+      }
+
+      .overlay-suggestion .use-suggestion-btn {
+        margin-left: auto;
+        padding: 2px 8px;
+        font-size: 11px;
+        border: 1px solid var(--border);
+        border-radius: 6px;
+        background: var(--surface);
+        color: var(--text-secondary);
+        cursor: pointer;
+        flex-shrink: 0;
+      }
+
+      .overlay-suggestion .use-suggestion-btn:hover {
+        border-color: var(--primary);
+        color: var(--primary);
+      }
+
+      .overlay-project {
+        font-size: 12px;
+        color: var(--primary);
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 6px;
+      }
+
+      .overlay-project svg {
+        width: 14px;
+        height: 14px;
+        flex-shrink: 0;
+      }
+
+      .overlay-project .use-rules-btn {
+        margin-left: auto;
+        padding: 2px 8px;
+        font-size: 11px;
+        border: 1px solid var(--border);
+        border-radius: 6px;
+        background: var(--surface);
+        color: var(--text-secondary);
+        cursor: pointer;
+        flex-shrink: 0;
+      }
+
+      .overlay-project .use-rules-btn:hover {
+        border-color: var(--primary);
+        color: var(--primary);
+      }
+
       .rule-actions-row {
         display: flex;
         gap: 8px;
@@ -627,6 +738,21 @@ class DownloadOverlay {
         border-color: #388e3c;
       }
 
+      /* MIME type a file type group matched on (files without a known extension) */
+      .rule-action-btn .mime-tag {
+        max-width: 140px;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        font-size: 10px;
+        font-weight: 400;
+        opacity: 0.8;
+      }
+
+      .rule-action-btn .mime-tag.hidden {
+        display: none;
+      }
+
       /* Active rule highlighting - green with checkmark */
       .rule-action-btn.active {
         background: #10b981 !important;
@@ -801,6 +927,11 @@ class DownloadOverlay {
         color: #1976d2;
       }
 
+      .rule-badge.url {
+        background: #e0f2f1;
+        color: #00796b;
+      }
+
       .rule-badge.extension {
         background: #f3e5f5;
         color: #7b1fa2;
@@ -887,11 +1018,18 @@ class DownloadOverlay {
 
       .saveas-editor.hidden,
       .rule-editor-inline.hidden,
-      .group-selector-inline.hidden {
+      .group-selector-inline.hidden,
+      .extension-select-inline.hidden {
         display: none;
       }
 
-      .group-select-inline {
+      /* Multi-part extension choice ("tar.gz" or "gz") - only the extension, not the group */
+      .extension-select-inline {
+        flex: 0 0 auto;
+      }
+
+      .group-select-inline,
+      .extension-select-inline {
         flex: 1;
         padding: 8px 12px;
         border: 1px solid var(--border-subtle);
@@ -971,12 +1109,13 @@ class DownloadOverlay {
 
       .rule-type-buttons {
         display: flex;
+        flex-wrap: wrap;
         gap: 8px;
         margin-bottom: 16px;
       }
 
       .rule-type-btn {
-        flex: 1;
+        flex: 1 1 40%;
         padding: 10px 16px;
         border: 2px solid var(--border-subtle);
         border-radius: var(--radius-sm);
@@ -1006,6 +1145,25 @@ class DownloadOverlay {
         gap: 16px;
       }
 
+      .rule-pattern-preview {
+        margin-top: 6px;
+        font-size: 12px;
+        font-weight: 500;
+        color: var(--text-muted);
+      }
+
+      .rule-pattern-preview.match {
+        color: var(--success);
+      }
+
+      .rule-pattern-preview.no-match {
+        color: var(--warning);
+      }
+
+      .rule-pattern-preview.invalid {
+        color: var(--error);
+      }
+
       .clickable-folder-input {
         cursor: pointer;
         background: var(--surface-elevated);
@@ -1577,11 +1735,137 @@ class DownloadOverlay {
       plus: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg>',
       settings: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="3"></circle><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 0 1 0 2.83 2 2 0 0 1-2.83 0l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-2 2 2 2 0 0 1-2-2v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 0 1-2.83 0 2 2 0 0 1 0-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1-2-2 2 2 0 0 1 2-2h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 0 1 0-2.83 2 2 0 0 1 2.83 0l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 2-2 2 2 0 0 1 2 2v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 0 1 2.83 0 2 2 0 0 1 0 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 2 2 2 2 0 0 1-2 2h-.09a1.65 1.65 0 0 0-1.51 1z"></path></svg>',
       'chevron-down': '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"></polyline></svg>',
+      clock: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg>',
+      globe: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="2" y1="12" x2="22" y2="12"></line><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path></svg>',
       'x': '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>'
     };
     return icons[iconName] || icons.file;
   }
 
+  /**
+   * Builds the overlay line naming the site the download is credited to, with the host the
+   * file actually comes from when that differs (e.g. "github.com via objects.githubusercontent.com").
+   * 
+   * Inputs: None (reads this.currentDownloadInfo.sourceSite)
+   * 
+   * Outputs: HTML string ('' if the source site is unknown)
+   */
+  createSourceSiteHTML() {
+    const source = this.currentDownloadInfo.sourceSite;
+    if (!source || !source.site) return '';
+    // CDN hosts name the site they serve; shared storage is credited to the referring page or tab
+    let via = '';
+    if (source.via === 'cdn') {
+      via = `via ${source.host}`;
+    } else if (source.via === 'final') {
+      via = `redirected from ${source.host}`;
+    } else if ((source.via === 'referrer' || source.via === 'tab') && source.host) {
+      via = `file on ${source.host}`;
+    }
+    return `
+            <div class="overlay-source" title="Site rules are matched against this site">
+              ${this.getSVGIcon('globe')}
+              <span>${this.escapeHTML(source.site)}</span>
+              ${via ? `<span class="source-via">${this.escapeHTML(via)}</span>` : ''}
+            </div>`;
+  }
+
+  /**
+   * Creates the line offering a site adapter's suggested folder (e.g. Code/owner/repo/tag for a
+   * GitHub release), unless the download already goes there.
+   *
+   * Inputs: None (reads this.currentDownloadInfo.siteSuggestion)
+   *
+   * Outputs: String HTML, empty when no site adapter recognized the download
+   */
+  createSiteSuggestionHTML() {
+    const suggestion = this.currentDownloadInfo.siteSuggestion;
+    if (!suggestion || !suggestion.folder) return '';
+    return `
+            <div class="overlay-suggestion ${this.isSiteSuggestionApplied() ? 'hidden' : ''}" title="Suggested by the ${this.escapeHTML(suggestion.name)} site adapter">
+              ${this.getSVGIcon('folder')}
+              <span>Suggested: ${this.escapeHTML(suggestion.folder)}</span>
+              <span class="suggestion-name">${this.escapeHTML(suggestion.name)}</span>
+              <button class="use-suggestion-btn">Use</button>
+            </div>`;
+  }
+
+  // True when the download already goes to the suggested folder
+  isSiteSuggestionApplied() {
+    const suggestion = this.currentDownloadInfo.siteSuggestion;
+    return !!suggestion && !this.currentDownloadInfo.absoluteDestination &&
+      this.currentDownloadInfo.resolvedPath === buildRelativePath(suggestion.folder, this.currentDownloadInfo.filename);
+  }
+
+  /**
+   * Saves this download in the site adapter's suggested folder (rules are left unchanged).
+   *
+   * Inputs: None (reads this.currentDownloadInfo.siteSuggestion)
+   *
+   * Outputs: None (updates download info, the overlay and the pending download in background)
+   */
+  applySiteSuggestion() {
+    const suggestion = this.currentDownloadInfo.siteSuggestion;
+    if (!suggestion) return;
+    this.currentDownloadInfo.resolvedPath = buildRelativePath(suggestion.folder, this.currentDownloadInfo.filename);
+    this.currentDownloadInfo.absoluteDestination = null;
+    this.currentDownloadInfo.useAbsolutePath = false;
+    this.currentDownloadInfo.needsMove = false;
+    this.currentDownloadInfo.customLocation = true;
+    this.updatePathDisplay();
+
+    chrome.runtime.sendMessage({
+      type: 'updatePendingDownloadInfo',
+      downloadInfo: this.currentDownloadInfo
+    }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('[SITE SUGGESTION] Error updating download info:', chrome.runtime.lastError.message);
+      }
+    });
+  }
+
+  /**
+   * Creates the line saying project mode (started from the popup) took this download, with a
+   * button to save it where the rules would have instead.
+   *
+   * Inputs: None (reads this.currentDownloadInfo.finalRule and rulesRoute)
+   *
+   * Outputs: String HTML, empty unless project mode took the download
+   */
+  createProjectModeHTML() {
+    const rule = this.currentDownloadInfo.finalRule;
+    if (!rule || rule.source !== 'project') return '';
+    const ends = ProjectMode.describeProjectModeEnd(rule);
+    return `
+            <div class="overlay-project" title="Project mode sends ${this.escapeHTML(rule.value.toLowerCase())} here ahead of your rules">
+              ${this.getSVGIcon('clock')}
+              <span>Project mode ${this.escapeHTML(ends)}</span>
+              ${this.currentDownloadInfo.rulesRoute ? '<button class="use-rules-btn">Use rules</button>' : ''}
+            </div>`;
+  }
+
+  /**
+   * Saves this download where the rules send it instead of the project folder. Project mode
+   * keeps running for other downloads.
+   *
+   * Inputs: None
+   *
+   * Outputs: None (background re-routes the download without project mode, then the overlay is rebuilt)
+   */
+  skipProjectMode() {
+    this.currentDownloadInfo.projectModeSkipped = true;
+    chrome.runtime.sendMessage({
+      type: 'updatePendingDownloadInfo',
+      downloadInfo: this.currentDownloadInfo
+    }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('[PROJECT MODE] Error updating download info:', chrome.runtime.lastError.message);
+        return;
+      }
+      this.reloadRulesAndUpdateOverlay();
+    });
+  }
+
   /**
    * Formats file size in bytes to human-readable format.
    * 
@@ -1664,7 +1948,8 @@ class DownloadOverlay {
    */
   async createOverlayContent() {
     // Get file icon based on extension
-    const fileExt = this.currentDownloadInfo.extension || 'file';
+    // Icons go by the last part of a multi-part extension ("gz" for "tar.gz")
+    const fileExt = (this.currentDownloadInfo.extension || 'file').split('.').pop();
     const iconMap = {
       'jpg': 'image', 'jpeg': 'image', 'png': 'image', 'gif': 'image', 'bmp': 'image', 'svg': 'image', 'webp': 'image', 'ico': 'image',
       'mp4': 'video', 'mov': 'video', 'avi': 'video', 'mkv': 'video', 'wmv': 'video', 'flv': 'video', 'webm': 'video',
@@ -1683,6 +1968,11 @@ class DownloadOverlay {
       this.currentDownloadInfo.resolvedPath, 
       this.currentDownloadInfo.absoluteDestination
     );
+    // Background already expanded any folder template - remember it so the path can show where it came from
+    const destinationRule = this.currentDownloadInfo.finalRule || (this.currentDownloadInfo.conflictRules || [])[0];
+    this.currentFolderTemplate = destinationRule && FileNames.hasPathTemplate(destinationRule.folder)
+      ? destinationRule.folder
+      : null;
     
     // Format file size if available
     const fileSize = this.currentDownloadInfo.fileSize;
@@ -1701,30 +1991,11 @@ class DownloadOverlay {
     console.log('[OVERLAY CONTENT] conflictRules:', this.currentDownloadInfo.conflictRules);
     console.log('[OVERLAY CONTENT] hasConflict:', hasConflict);
 
-    // Log available rules from storage
-    // Request from background script to avoid content script storage access issues
-    let allRules = [];
-    let groups = {};
-    try {
-      const data = await new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({ type: 'getRulesAndGroups' }, (response) => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else if (response && response.success) {
-            resolve(response);
-          } else {
-            reject(new Error('Failed to get rules and groups'));
-          }
-        });
-      });
-      allRules = data.rules || [];
-      groups = data.groups || {};
-    } catch (error) {
-      console.error('[OVERLAY CONTENT] Error loading rules/groups:', error);
-      // Use empty defaults on error
-      allRules = [];
-      groups = {};
-    }
+    // Rules and groups, with the domain, filename and file type rules that exist for this
+    // download even if they didn't win - matched by background (domain rules need the
+    // routing engine and the Public Suffix List, which aren't loaded into pages)
+    const { rules: allRules, groups, domainRule: existingDomainRule, filenameRule: existingContainsRule, fileTypeMatch } =
+      await this.findRulesForDownload();
     console.log('[OVERLAY CONTENT] all stored rules:', allRules);
     console.log('[OVERLAY CONTENT] all file type groups:', groups);
 
@@ -1732,95 +2003,9 @@ class DownloadOverlay {
     const ruleSource = rule ? (rule.source || 'default') : 'default';
     const isFileTypeRule = ruleSource === 'filetype';
     const isDomainRule = ruleSource === 'domain';
-    const isContainsRule = ruleSource === 'contains';
-    
-    // Build the first action button - Site or Contains rule, or Add Site
-    // Check if domain/contains rules exist even if not active
-    // (already fetched above, reuse the data)
-    const domain = this.currentDownloadInfo.domain;
-    const downloadUrl = this.currentDownloadInfo.url || '';
-    const pageUrl = window.location.href || '';
-    const currentExt = this.currentDownloadInfo.extension.toLowerCase();
-    
-    // Normalize domain for comparison (remove protocol, www, etc.)
-    const normalizeDomainForMatch = (d) => {
-      if (!d) return '';
-      return d.replace(/^https?:\/\//, '').replace(/^www\./, '').toLowerCase();
-    };
+    const isContainsRule = FileNames.isFilenameRuleType(ruleSource);
     
-    const normalizedDomain = normalizeDomainForMatch(domain);
-    const normalizedDownloadUrl = normalizeDomainForMatch(downloadUrl);
-    const normalizedPageUrl = normalizeDomainForMatch(pageUrl);
-    
-    // Find BEST matching domain rule (most specific - longest match wins)
-    // Check against domain, download URL, and page URL to support path-based rules
-    // Helper function to match URL against rule (domain and optional path)
-    const matchesRule = (checkUrl, ruleValue) => {
-      // Extract domain and path from check URL
-      let checkDomain = '';
-      let checkPath = '';
-      try {
-        const url = new URL(checkUrl);
-        checkDomain = url.hostname;
-        checkPath = url.pathname;
-      } catch (e) {
-        const match = checkUrl.match(/^(?:https?:\/\/)?(?:www\.)?([^\/]+)(\/.*)?/i);
-        if (match) {
-          checkDomain = match[1];
-          checkPath = match[2] || '';
-        } else {
-          return false;
-        }
-      }
-
-      checkDomain = checkDomain.replace(/^www\./, '').toLowerCase();
-
-      // Parse rule for domain and path
-      let ruleDomain = '';
-      let rulePath = '';
-      let normalized = ruleValue.trim().replace(/^https?:\/\//i, '').replace(/\/$/, '').replace(/^www\./, '');
-      const slashIndex = normalized.indexOf('/');
-      if (slashIndex === -1) {
-        ruleDomain = normalized.toLowerCase();
-        rulePath = '';
-      } else {
-        ruleDomain = normalized.substring(0, slashIndex).toLowerCase();
-        rulePath = normalized.substring(slashIndex);
-      }
-
-      // Check domain match
-      const domainMatches =
-        checkDomain === ruleDomain ||
-        checkDomain.endsWith('.' + ruleDomain);
-
-      if (!domainMatches) return false;
-
-      // Check path match if rule has path
-      if (rulePath) {
-        return checkPath.toLowerCase().startsWith(rulePath.toLowerCase());
-      }
-
-      return true;
-    };
-
-    const matchingDomainRules = allRules.filter(r => {
-      if (r.type !== 'domain' || r.enabled === false) return false;
-      // Check if any of our URL sources match the rule value (with domain and optional path matching)
-      return matchesRule(domain, r.value) ||
-             matchesRule(downloadUrl, r.value) ||
-             matchesRule(pageUrl, r.value);
-    });
-    // Sort by value length (longest first = most specific)
-    matchingDomainRules.sort((a, b) => (b.value?.length || 0) - (a.value?.length || 0));
-    const existingDomainRule = matchingDomainRules[0] || null;
-    
-    // Find matching contains rule (even if not active)
-    const filename = this.currentDownloadInfo.filename || '';
-    const existingContainsRule = allRules.find(r => 
-      r.type === 'contains' && 
-      r.enabled !== false &&
-      r.value.split(',').map(p => p.trim().toLowerCase()).some(phrase => filename.toLowerCase().includes(phrase))
-    );
+    // Build the first action button - Site or filename (contains/glob/regex) rule, or Add Site
     
     let ruleButtonText = 'Add Site';
     let ruleButtonClass = 'create-rule';
@@ -1829,25 +2014,31 @@ class DownloadOverlay {
     
     if (isDomainRule) {
       // Domain rule is ACTIVE
-      ruleButtonText = `Site: ${rule.value || this.getBaseDomain(domain)}`;
+      ruleButtonText = `Site: ${rule.value || this.getSiteDomain()}`;
       ruleButtonClass = 'domain-rule';
       ruleButtonIcon = 'check';
       hasExistingDomainOrContainsRule = true;
+    } else if (ruleSource === 'compound') {
+      // Compound rule is ACTIVE - conditions are edited in Options, show the summary
+      ruleButtonText = `Rule: ${rule.value}`;
+      ruleButtonClass = 'contains-rule active';
+      ruleButtonIcon = 'check';
+      hasExistingDomainOrContainsRule = true;
     } else if (isContainsRule) {
-      // Contains rule is ACTIVE
-      ruleButtonText = `Contains: ${rule.value || 'phrase'}`;
+      // Filename rule is ACTIVE
+      ruleButtonText = `${this.getFilenameRuleLabel(rule.type)}: ${rule.value || 'phrase'}`;
       ruleButtonClass = 'contains-rule';
       ruleButtonIcon = 'check';
       hasExistingDomainOrContainsRule = true;
     } else if (existingDomainRule) {
       // Domain rule EXISTS but not active
-      ruleButtonText = `Site: ${existingDomainRule.value || this.getBaseDomain(domain)}`;
+      ruleButtonText = `Site: ${existingDomainRule.value || this.getSiteDomain()}`;
       ruleButtonClass = 'domain-rule';
       ruleButtonIcon = 'settings';
       hasExistingDomainOrContainsRule = true;
     } else if (existingContainsRule) {
-      // Contains rule EXISTS but not active
-      ruleButtonText = `Contains: ${existingContainsRule.value || 'phrase'}`;
+      // Filename rule EXISTS but not active
+      ruleButtonText = `${this.getFilenameRuleLabel(existingContainsRule.type)}: ${existingContainsRule.value || 'phrase'}`;
       ruleButtonClass = 'contains-rule';
       ruleButtonIcon = 'settings';
       hasExistingDomainOrContainsRule = true;
@@ -1862,23 +2053,20 @@ class DownloadOverlay {
     let fileTypeButtonIcon = 'plus';
     let fileTypeGroupName = null;
     
-    // Check if extension is in any group (already loaded above)
-    for (const [groupName, group] of Object.entries(groups)) {
-      if (group.enabled === false) continue;
-      const groupExtensions = group.extensions.split(',').map(ext => ext.trim().toLowerCase());
-      if (groupExtensions.includes(currentExt)) {
-        fileTypeGroupName = groupName;
-        fileTypeButtonText = `File Type: ${capitalizeFirst(groupName)}`;
-        // Only show as active (green + checkmark) if file type rule is the winner
-        if (isFileTypeRule) {
-          fileTypeButtonClass = 'has-filetype active';
-          fileTypeButtonIcon = 'check';
-        } else {
-          // Extension is in a group but not the active rule - show gear icon
-          fileTypeButtonClass = 'has-filetype';
-          fileTypeButtonIcon = 'settings';
-        }
-        break;
+    // The file's group (found above) - by extension, or by the MIME type Chrome reported
+    // when no group has the extension (same lookup as the routing pass)
+    const fileTypeMime = fileTypeMatch ? fileTypeMatch.matchedMime || null : null;
+    if (fileTypeMatch) {
+      fileTypeGroupName = fileTypeMatch.groupName;
+      fileTypeButtonText = `File Type: ${capitalizeFirst(fileTypeGroupName)}`;
+      // Only show as active (green + checkmark) if file type rule is the winner
+      if (isFileTypeRule) {
+        fileTypeButtonClass = 'has-filetype active';
+        fileTypeButtonIcon = 'check';
+      } else {
+        // File is in a group but not the active rule - show gear icon
+        fileTypeButtonClass = 'has-filetype';
+        fileTypeButtonIcon = 'settings';
       }
     }
     
@@ -1901,14 +2089,19 @@ class DownloadOverlay {
             <div class="file-info-row">
               <div class="overlay-filename">
                 ${this.getSVGIcon(fileIcon)}
-                <span class="filename-text">${this.currentDownloadInfo.filename}</span>
+                <span class="filename-text" title="${this.currentDownloadInfo.originalFilename && this.currentDownloadInfo.originalFilename !== this.currentDownloadInfo.filename ? `Renamed from ${this.escapeHTML(this.currentDownloadInfo.originalFilename)}` : ''}">${this.currentDownloadInfo.filename}</span>
               </div>
               ${formattedSize ? `<span class="file-size">${formattedSize}</span>` : ''}
             </div>
             
-            <div class="overlay-path">
+            ${this.createProjectModeHTML()}
+            ${this.createSourceSiteHTML()}
+            ${this.createSiteSuggestionHTML()}
+            
+            <div class="overlay-path" title="${this.currentFolderTemplate ? `Folder template: ${this.escapeHTML(this.currentFolderTemplate)}` : ''}">
               ${this.getSVGIcon('folder')}
               <span>${formattedPath}</span>
+              <span class="path-template ${this.currentFolderTemplate ? '' : 'hidden'}">${this.currentFolderTemplate ? `from ${this.escapeHTML(this.currentFolderTemplate)}` : ''}</span>
             </div>
             
             <div class="rule-actions-row">
@@ -1917,9 +2110,10 @@ class DownloadOverlay {
                 <span>${ruleButtonText}</span>
                 <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="margin-left: 4px;"><polyline points="6 9 12 15 18 9"></polyline></svg>
               </button>
-              <button class="rule-action-btn ${fileTypeButtonClass} add-to-group-btn" title="${fileTypeGroupName ? `Part of ${capitalizeFirst(fileTypeGroupName)} group` : `Add .${this.currentDownloadInfo.extension} to a file type group`}">
+              <button class="rule-action-btn ${fileTypeButtonClass} add-to-group-btn" title="${this.getFileTypeButtonTitle(fileTypeGroupName, fileTypeMime)}">
                 ${this.getSVGIcon(fileTypeButtonIcon)}
                 <span>${fileTypeButtonText}</span>
+                <span class="mime-tag ${fileTypeMime ? '' : 'hidden'}">${this.escapeHTML(fileTypeMime || '')}</span>
                 <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="margin-left: 4px;"><polyline points="6 9 12 15 18 9"></polyline></svg>
               </button>
             </div>
@@ -1938,9 +2132,7 @@ class DownloadOverlay {
               <div class="dropdown-option" data-action="add-to-group">Add to File Type Group</div>
               ${Object.keys(groups).length > 0 ? '<div class="dropdown-divider"></div>' : ''}
               ${Object.keys(groups).map(name => {
-                const group = groups[name];
-                const groupExtensions = group.extensions.split(',').map(ext => ext.trim().toLowerCase());
-                const isInGroup = groupExtensions.includes(this.currentDownloadInfo.extension.toLowerCase());
+                const isInGroup = name === fileTypeGroupName;
                 const capitalizeFirst = (str) => str ? str.charAt(0).toUpperCase() + str.slice(1) : '';
                 return `<div class="dropdown-option ${isInGroup ? 'active' : ''}" data-action="select-group" data-group="${name}">${capitalizeFirst(name)} ${isInGroup ? '(current)' : ''}</div>`;
               }).join('')}
@@ -2002,20 +2194,39 @@ class DownloadOverlay {
             <div class="rules-content">
               <div class="rule-type-buttons">
                 <button class="rule-type-btn active" data-type="domain">
-                  Add ${this.getBaseDomain(this.currentDownloadInfo.domain) || 'site'}
+                  Add ${this.getSiteDomain() || 'site'}
                 </button>
                 <button class="rule-type-btn" data-type="contains">
                   Add Contains Rule
                 </button>
+                <button class="rule-type-btn" data-type="glob">
+                  Add Glob Rule
+                </button>
+                <button class="rule-type-btn" data-type="regex">
+                  Add Regex Rule
+                </button>
+                ${this.currentDownloadInfo.tabContext ? `
+                <button class="rule-type-btn" data-type="tabContext">
+                  Add Tab Rule
+                </button>` : ''}
               </div>
               
               <div class="rule-editor-form">
+                <div class="form-group rule-context-group hidden">
+                  <label class="form-label">Match the tab's</label>
+                  <select class="form-select" id="rule-context-field">
+                    ${this.getTabContextFields().map(({ field, label }) =>
+                      `<option value="${field}">${label}</option>`
+                    ).join('')}
+                  </select>
+                </div>
                 <div class="form-group">
                   <label class="form-label">${this.currentDownloadInfo.ruleEditorType === 'domain' ? 'Site' : 'Filename contains phrase'}</label>
                   <input type="text" 
                          class="folder-input rule-value-input" 
                          id="rule-value-input"
                          placeholder="${this.currentDownloadInfo.ruleEditorType === 'domain' ? 'e.g., github.com' : 'e.g., invoice, receipt, report'}">
+                  <div class="rule-pattern-preview hidden" id="rule-pattern-preview"></div>
                 </div>
                 <div class="form-group">
                   <label class="form-label">Destination Folder</label>
@@ -2041,10 +2252,11 @@ class DownloadOverlay {
           <div class="group-selector-inline hidden">
             <div class="rules-header">
               <div class="rules-title">Add to File Type</div>
-              <div class="rules-info">Add .${this.currentDownloadInfo.extension} to an existing file type group</div>
+              <div class="rules-info">Add .${this.escapeHTML(this.currentDownloadInfo.extension)} to an existing file type group</div>
             </div>
             <div class="rules-content">
               <div class="rule-row">
+                <select class="extension-select-inline hidden" title="Extension to add"></select>
                 <select class="group-select-inline">
                   <option value="">Select file type...</option>
                 </select>
@@ -2193,20 +2405,21 @@ class DownloadOverlay {
             
             if (isAbsPath) {
               this.currentDownloadInfo.resolvedPath = this.currentDownloadInfo.filename;
-              this.currentDownloadInfo.absoluteDestination = folder;
+              this.currentDownloadInfo.absoluteDestination = this.expandFolderTemplate(folder);
               this.currentDownloadInfo.useAbsolutePath = true;
               this.currentDownloadInfo.needsMove = true;
             } else {
-              this.currentDownloadInfo.resolvedPath = buildRelativePath(folder, this.currentDownloadInfo.filename);
+              this.currentDownloadInfo.resolvedPath = buildRelativePath(this.expandFolderTemplate(folder), this.currentDownloadInfo.filename);
               this.currentDownloadInfo.absoluteDestination = null;
               this.currentDownloadInfo.useAbsolutePath = false;
               this.currentDownloadInfo.needsMove = false;
             }
+            this.currentDownloadInfo.customLocation = false;
             
             // Update the rule info
             this.currentDownloadInfo.finalRule = {
               ...ruleToApply,
-              source: domainRule ? 'domain' : 'contains'
+              source: domainRule ? 'domain' : containsRule.type
             };
             this.currentDownloadInfo.matchedRule = this.currentDownloadInfo.finalRule;
             
@@ -2248,7 +2461,7 @@ class DownloadOverlay {
         if (action === 'edit-rule') {
           // Get the current rule from finalRule
           const rule = this.currentDownloadInfo.finalRule;
-          if (rule && (rule.source === 'domain' || rule.source === 'contains')) {
+          if (rule && (rule.source === 'domain' || FileNames.isFilenameRuleType(rule.source))) {
             // Find rule index and open edit modal in overlay
             this.findRuleIndex(rule).then((ruleIndex) => {
               if (ruleIndex !== -1) {
@@ -2325,42 +2538,15 @@ class DownloadOverlay {
           root.querySelector('.rule-dropdown')?.classList.add('hidden');
           root.querySelector('.filetype-dropdown')?.classList.add('hidden');
           
-          // Check if there's a file type group for this extension
-          // Request from background script to avoid content script storage access issues
-          let groups = {};
-          try {
-            const data = await new Promise((resolve, reject) => {
-              chrome.runtime.sendMessage({ type: 'getRulesAndGroups' }, (response) => {
-                if (chrome.runtime.lastError) {
-                  reject(new Error(chrome.runtime.lastError.message));
-                } else if (response && response.success) {
-                  resolve(response);
-                } else {
-                  reject(new Error('Failed to get rules and groups'));
-                }
-              });
-            });
-            groups = data.groups || {};
-          } catch (error) {
-            console.error('[FILE TYPE CLICK] Error loading groups:', error);
-            groups = {};
-          }
-          const currentExt = this.currentDownloadInfo.extension.toLowerCase();
-          
-          console.log('[FILE TYPE CLICK]  Looking for group for extension:', currentExt);
-          
-          let matchedGroup = null;
-          let matchedGroupName = null;
+          // Check if there's a file type group for this download - by extension, or by MIME
+          // type when no group has the extension (same lookup as routing, done by background)
+          const { groups, fileTypeMatch } = await this.findRulesForDownload();
+          console.log('[FILE TYPE CLICK]  Looking for group for extension:', this.currentDownloadInfo.extension, 'MIME type:', this.currentDownloadInfo.mime);
           
-          for (const [groupName, group] of Object.entries(groups)) {
-            if (group.enabled === false) continue;
-            const groupExtensions = group.extensions.split(',').map(ext => ext.trim().toLowerCase());
-            if (groupExtensions.includes(currentExt)) {
-              matchedGroup = group;
-              matchedGroupName = groupName;
-              console.log('[FILE TYPE CLICK]  Found matching group:', groupName, 'folder:', group.folder);
-              break;
-            }
+          const matchedGroupName = fileTypeMatch ? fileTypeMatch.groupName : null;
+          const matchedGroup = fileTypeMatch ? groups[matchedGroupName] : null;
+          if (matchedGroup) {
+            console.log('[FILE TYPE CLICK]  Found matching group:', matchedGroupName, 'folder:', matchedGroup.folder);
           }
           
           if (matchedGroup) {
@@ -2371,15 +2557,16 @@ class DownloadOverlay {
             
             if (isAbsPath) {
               this.currentDownloadInfo.resolvedPath = this.currentDownloadInfo.filename;
-              this.currentDownloadInfo.absoluteDestination = folder;
+              this.currentDownloadInfo.absoluteDestination = this.expandFolderTemplate(folder);
               this.currentDownloadInfo.useAbsolutePath = true;
               this.currentDownloadInfo.needsMove = true;
             } else {
-              this.currentDownloadInfo.resolvedPath = buildRelativePath(folder, this.currentDownloadInfo.filename);
+              this.currentDownloadInfo.resolvedPath = buildRelativePath(this.expandFolderTemplate(folder), this.currentDownloadInfo.filename);
               this.currentDownloadInfo.absoluteDestination = null;
               this.currentDownloadInfo.useAbsolutePath = false;
               this.currentDownloadInfo.needsMove = false;
             }
+            this.currentDownloadInfo.customLocation = false;
             
             console.log('[FILE TYPE CLICK]  resolvedPath set to:', this.currentDownloadInfo.resolvedPath);
             
@@ -2390,7 +2577,8 @@ class DownloadOverlay {
               folder: folder,
               source: 'filetype',
               priority: matchedGroup.priority || 3.0,
-              groupName: matchedGroupName
+              groupName: matchedGroupName,
+              ...(fileTypeMatch.matchedMime ? { matchedMime: fileTypeMatch.matchedMime } : {})
             };
             this.currentDownloadInfo.matchedRule = this.currentDownloadInfo.finalRule;
             
@@ -2480,15 +2668,16 @@ class DownloadOverlay {
                 
                 if (isAbsPath) {
                   this.currentDownloadInfo.resolvedPath = this.currentDownloadInfo.filename;
-                  this.currentDownloadInfo.absoluteDestination = folder;
+                  this.currentDownloadInfo.absoluteDestination = this.expandFolderTemplate(folder);
                   this.currentDownloadInfo.useAbsolutePath = true;
                   this.currentDownloadInfo.needsMove = true;
                 } else {
-                  this.currentDownloadInfo.resolvedPath = buildRelativePath(folder, this.currentDownloadInfo.filename);
+                  this.currentDownloadInfo.resolvedPath = buildRelativePath(this.expandFolderTemplate(folder), this.currentDownloadInfo.filename);
                   this.currentDownloadInfo.absoluteDestination = null;
                   this.currentDownloadInfo.useAbsolutePath = false;
                   this.currentDownloadInfo.needsMove = false;
                 }
+                this.currentDownloadInfo.customLocation = false;
                 
                 // Update the rule info
                 this.currentDownloadInfo.finalRule = {
@@ -2521,6 +2710,22 @@ class DownloadOverlay {
       });
     });
 
+    // Site adapter suggestion
+    const useSuggestionBtn = root.querySelector('.use-suggestion-btn');
+    if (useSuggestionBtn) {
+      useSuggestionBtn.addEventListener('click', () => {
+        this.applySiteSuggestion();
+      });
+    }
+
+    // Project mode: save this download where the rules send it
+    const useRulesBtn = root.querySelector('.use-rules-btn');
+    if (useRulesBtn) {
+      useRulesBtn.addEventListener('click', () => {
+        this.skipProjectMode();
+      });
+    }
+
     // Close dropdowns when clicking outside
     root.addEventListener('click', (e) => {
       if (!e.target.closest('.rule-action-btn')) {
@@ -2540,21 +2745,26 @@ class DownloadOverlay {
         const index = parseInt(e.target.value);
         if (this.currentDownloadInfo.conflictRules && this.currentDownloadInfo.conflictRules[index]) {
           this.currentDownloadInfo.finalRule = this.currentDownloadInfo.conflictRules[index];
+          // The chosen rule also decides the saved name (rename on save)
+          this.currentDownloadInfo.filename = this.getRenamedFilename(this.currentDownloadInfo.finalRule);
+          const filenameText = root.querySelector('.filename-text');
+          if (filenameText) filenameText.textContent = this.currentDownloadInfo.filename;
           const isAbsPath = /^(\/|[A-Za-z]:[\\\/])/.test(this.currentDownloadInfo.finalRule.folder);
           if (isAbsPath) {
             this.currentDownloadInfo.resolvedPath = this.currentDownloadInfo.filename;
-            this.currentDownloadInfo.absoluteDestination = this.currentDownloadInfo.finalRule.folder;
+            this.currentDownloadInfo.absoluteDestination = this.expandFolderTemplate(this.currentDownloadInfo.finalRule.folder);
             this.currentDownloadInfo.useAbsolutePath = true;
             this.currentDownloadInfo.needsMove = true;
           } else {
             this.currentDownloadInfo.resolvedPath = buildRelativePath(
-              this.currentDownloadInfo.finalRule.folder,
+              this.expandFolderTemplate(this.currentDownloadInfo.finalRule.folder),
               this.currentDownloadInfo.filename
             );
             this.currentDownloadInfo.absoluteDestination = null;
             this.currentDownloadInfo.useAbsolutePath = false;
             this.currentDownloadInfo.needsMove = false;
           }
+          this.currentDownloadInfo.customLocation = false;
           // Update display
           this.updatePathDisplay();
         }
@@ -3033,9 +3243,7 @@ class DownloadOverlay {
         <div class="conflict-title">Multiple rules match - choose one:</div>
         ${rules.map((rule, index) => {
           const priority = rule.priority !== undefined ? parseFloat(rule.priority).toFixed(1) : '2.0';
-          const sourceLabel = rule.source === 'domain' ? 'DOMAIN' : 
-                             rule.source === 'contains' ? 'CONTAINS' : 
-                             rule.source === 'filetype' ? 'FILE TYPE' : 'RULE';
+          const sourceLabel = this.getRuleSourceLabel(rule.source);
           return `
             <label class="conflict-option">
               <input type="radio" name="conflict-rule" value="${index}" 
@@ -3075,6 +3283,82 @@ class DownloadOverlay {
     } else {
       console.warn('[UPDATE PATH DISPLAY] Path span not found in overlay');
     }
+    // Offer the site adapter's folder again once the download goes elsewhere
+    root.querySelector('.overlay-suggestion')?.classList.toggle('hidden', this.isSiteSuggestionApplied());
+    this.updatePathTemplateHint();
+  }
+
+  /**
+   * Escapes a string for use inside an HTML attribute or text node.
+   * 
+   * Inputs:
+   *   - value: String to escape
+   * 
+   * Outputs: Escaped string
+   */
+  escapeHTML(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Shows which folder template (if any) produced the displayed path.
+   */
+  updatePathTemplateHint() {
+    const root = this.shadowRoot;
+    const pathEl = root && root.querySelector('.overlay-path');
+    const hint = pathEl && pathEl.querySelector('.path-template');
+    if (!hint) return;
+    
+    const template = this.currentFolderTemplate;
+    hint.textContent = template ? `from ${template}` : '';
+    hint.classList.toggle('hidden', !template);
+    pathEl.title = template ? `Folder template: ${template}` : '';
+  }
+
+  /**
+   * Returns the name the current download is saved under if the given rule wins
+   * (see rewriteFilename in lib/file-names.js). Rules always match the original name.
+   * 
+   * Inputs:
+   *   - rule: Rule object (may have a rename)
+   * 
+   * Outputs: String filename
+   */
+  getRenamedFilename(rule) {
+    const info = this.currentDownloadInfo || {};
+    const original = info.originalFilename || info.filename;
+    return FileNames.rewriteFilename(original, rule && rule.rename, FileNames.buildPathTemplateValues({
+      domain: info.domain,
+      extension: info.extension,
+      filename: original,
+      referrerTitle: info.referrerTitle,
+      date: info.startTime
+    }));
+  }
+
+  /**
+   * Expands {variable} placeholders in a folder for the current download
+   * (see expandPathTemplate in lib/file-names.js) and remembers the template for the path display.
+   * 
+   * Inputs:
+   *   - folder: String folder (relative or absolute, may be a template)
+   * 
+   * Outputs: String folder with placeholders replaced
+   */
+  expandFolderTemplate(folder) {
+    const info = this.currentDownloadInfo || {};
+    this.currentFolderTemplate = FileNames.hasPathTemplate(folder) ? folder : null;
+    return FileNames.expandPathTemplate(folder, FileNames.buildPathTemplateValues({
+      domain: info.domain,
+      extension: info.extension,
+      filename: info.filename,
+      referrerTitle: info.referrerTitle,
+      date: info.startTime
+    }));
   }
 
   /**
@@ -3088,98 +3372,12 @@ class DownloadOverlay {
     const ruleSource = rule ? (rule.source || 'default') : 'default';
     const isFileTypeRule = ruleSource === 'filetype';
     const isDomainRule = ruleSource === 'domain';
-    const isContainsRule = ruleSource === 'contains';
+    const isContainsRule = FileNames.isFilenameRuleType(ruleSource);
     
     const capitalizeFirst = (str) => str ? str.charAt(0).toUpperCase() + str.slice(1) : '';
     
-    // Re-fetch rules and groups to check what exists
-    const data = await chrome.storage.sync.get(['rules', 'groups']);
-    const allRules = data.rules || [];
-    const groups = data.groups || {};
-    const domain = this.currentDownloadInfo.domain;
-    const downloadUrl = this.currentDownloadInfo.url || '';
-    const pageUrl = window.location.href || '';
-    const currentExt = this.currentDownloadInfo.extension.toLowerCase();
-    const filename = this.currentDownloadInfo.filename || '';
-    
-    // Normalize domain for comparison (remove protocol, www, etc.)
-    const normalizeDomainForMatch = (d) => {
-      if (!d) return '';
-      return d.replace(/^https?:\/\//, '').replace(/^www\./, '').toLowerCase();
-    };
-    
-    const normalizedDomain = normalizeDomainForMatch(domain);
-    const normalizedDownloadUrl = normalizeDomainForMatch(downloadUrl);
-    const normalizedPageUrl = normalizeDomainForMatch(pageUrl);
-    
-    // Find BEST matching domain rule (most specific - longest match wins)
-    // Check against domain, download URL, and page URL to support path-based rules
-    // Helper function to match URL against rule (domain and optional path)
-    const matchesRule = (checkUrl, ruleValue) => {
-      // Extract domain and path from check URL
-      let checkDomain = '';
-      let checkPath = '';
-      try {
-        const url = new URL(checkUrl);
-        checkDomain = url.hostname;
-        checkPath = url.pathname;
-      } catch (e) {
-        const match = checkUrl.match(/^(?:https?:\/\/)?(?:www\.)?([^\/]+)(\/.*)?/i);
-        if (match) {
-          checkDomain = match[1];
-          checkPath = match[2] || '';
-        } else {
-          return false;
-        }
-      }
-
-      checkDomain = checkDomain.replace(/^www\./, '').toLowerCase();
-
-      // Parse rule for domain and path
-      let ruleDomain = '';
-      let rulePath = '';
-      let normalized = ruleValue.trim().replace(/^https?:\/\//i, '').replace(/\/$/, '').replace(/^www\./, '');
-      const slashIndex = normalized.indexOf('/');
-      if (slashIndex === -1) {
-        ruleDomain = normalized.toLowerCase();
-        rulePath = '';
-      } else {
-        ruleDomain = normalized.substring(0, slashIndex).toLowerCase();
-        rulePath = normalized.substring(slashIndex);
-      }
-
-      // Check domain match
-      const domainMatches =
-        checkDomain === ruleDomain ||
-        checkDomain.endsWith('.' + ruleDomain);
-
-      if (!domainMatches) return false;
-
-      // Check path match if rule has path
-      if (rulePath) {
-        return checkPath.toLowerCase().startsWith(rulePath.toLowerCase());
-      }
-
-      return true;
-    };
-
-    const matchingDomainRules = allRules.filter(r => {
-      if (r.type !== 'domain' || r.enabled === false) return false;
-      // Check if any of our URL sources match the rule value (with domain and optional path matching)
-      return matchesRule(domain, r.value) ||
-             matchesRule(downloadUrl, r.value) ||
-             matchesRule(pageUrl, r.value);
-    });
-    // Sort by value length (longest first = most specific)
-    matchingDomainRules.sort((a, b) => (b.value?.length || 0) - (a.value?.length || 0));
-    const existingDomainRule = matchingDomainRules[0] || null;
-    
-    // Find existing contains rule
-    const existingContainsRule = allRules.find(r => 
-      r.type === 'contains' && 
-      r.enabled !== false &&
-      r.value.split(',').map(p => p.trim().toLowerCase()).some(phrase => filename.toLowerCase().includes(phrase))
-    );
+    // Re-fetch what exists (matched by background, see the initial render)
+    const { domainRule: existingDomainRule, filenameRule: existingContainsRule, fileTypeMatch } = await this.findRulesForDownload();
     
     // Update stored values
     this.existingDomainRule = existingDomainRule;
@@ -3196,25 +3394,31 @@ class DownloadOverlay {
         ruleBtn.classList.remove('create-rule', 'contains-rule');
         ruleBtn.classList.add('active', 'domain-rule');
         if (iconSvg) iconSvg.outerHTML = this.getSVGIcon('check');
-        if (textSpan) textSpan.textContent = `Site: ${rule.value || this.getBaseDomain(domain)}`;
+        if (textSpan) textSpan.textContent = `Site: ${rule.value || this.getSiteDomain()}`;
+      } else if (ruleSource === 'compound') {
+        // Compound rule is ACTIVE
+        ruleBtn.classList.remove('create-rule', 'domain-rule');
+        ruleBtn.classList.add('active', 'contains-rule');
+        if (iconSvg) iconSvg.outerHTML = this.getSVGIcon('check');
+        if (textSpan) textSpan.textContent = `Rule: ${rule.value}`;
       } else if (isContainsRule) {
-        // Contains rule is ACTIVE
+        // Filename rule is ACTIVE
         ruleBtn.classList.remove('create-rule', 'domain-rule');
         ruleBtn.classList.add('active', 'contains-rule');
         if (iconSvg) iconSvg.outerHTML = this.getSVGIcon('check');
-        if (textSpan) textSpan.textContent = `Contains: ${rule.value || 'phrase'}`;
+        if (textSpan) textSpan.textContent = `${this.getFilenameRuleLabel(rule.type)}: ${rule.value || 'phrase'}`;
       } else if (existingDomainRule) {
         // Domain rule EXISTS but not active
         ruleBtn.classList.remove('create-rule', 'active', 'contains-rule');
         ruleBtn.classList.add('domain-rule');
         if (iconSvg) iconSvg.outerHTML = this.getSVGIcon('settings');
-        if (textSpan) textSpan.textContent = `Site: ${existingDomainRule.value || this.getBaseDomain(domain)}`;
+        if (textSpan) textSpan.textContent = `Site: ${existingDomainRule.value || this.getSiteDomain()}`;
       } else if (existingContainsRule) {
-        // Contains rule EXISTS but not active
+        // Filename rule EXISTS but not active
         ruleBtn.classList.remove('create-rule', 'active', 'domain-rule');
         ruleBtn.classList.add('contains-rule');
         if (iconSvg) iconSvg.outerHTML = this.getSVGIcon('settings');
-        if (textSpan) textSpan.textContent = `Contains: ${existingContainsRule.value || 'phrase'}`;
+        if (textSpan) textSpan.textContent = `${this.getFilenameRuleLabel(existingContainsRule.type)}: ${existingContainsRule.value || 'phrase'}`;
       } else {
         // No rule exists
         ruleBtn.classList.remove('active', 'domain-rule', 'contains-rule');
@@ -3230,19 +3434,18 @@ class DownloadOverlay {
       const textSpan = fileTypeBtn.querySelector('span');
       const iconSvg = fileTypeBtn.querySelector('svg:first-child');
       
-      // Check if extension is in any group
-      let fileTypeGroupName = null;
-      for (const [groupName, group] of Object.entries(groups)) {
-        if (group.enabled === false) continue;
-        const groupExtensions = group.extensions.split(',').map(ext => ext.trim().toLowerCase());
-        if (groupExtensions.includes(currentExt)) {
-          fileTypeGroupName = groupName;
-          break;
-        }
-      }
+      // The file's group by extension, or by MIME type (see the initial render)
+      const fileTypeGroupName = fileTypeMatch ? fileTypeMatch.groupName : null;
+      const fileTypeMime = fileTypeMatch ? fileTypeMatch.matchedMime || null : null;
       
       // Update stored value
       this.fileTypeGroupName = fileTypeGroupName;
+      fileTypeBtn.title = this.getFileTypeButtonTitle(fileTypeGroupName, fileTypeMime);
+      const mimeTag = fileTypeBtn.querySelector('.mime-tag');
+      if (mimeTag) {
+        mimeTag.textContent = fileTypeMime || '';
+        mimeTag.classList.toggle('hidden', !fileTypeMime);
+      }
       
       if (isFileTypeRule && fileTypeGroupName) {
         // File Type rule is ACTIVE
@@ -3277,24 +3480,200 @@ class DownloadOverlay {
     const rule = this.currentDownloadInfo.finalRule;
     const source = rule.source || 'rule';
     const priority = rule.priority !== undefined ? parseFloat(rule.priority).toFixed(1) : '2.0';
-    const sourceLabel = source === 'domain' ? 'DOMAIN' :
-                       source === 'contains' ? 'CONTAINS' :
-                       source === 'filetype' ? 'FILE TYPE' : 'RULE';
+    const sourceLabel = this.getRuleSourceLabel(source);
     
+    // Project mode isn't ranked - it beats every rule while it runs
     ruleInfo.innerHTML = `
       <span class="rule-badge ${source}">${sourceLabel}</span>
-      <span class="priority-badge">Priority ${priority}</span>
+      ${source === 'project' ? '' : `<span class="priority-badge">Priority ${priority}</span>`}
       ${rule.value ? `<span class="rule-value">${rule.value}</span>` : ''}
+      ${rule.matchedMime ? `<span class="rule-value">MIME ${this.escapeHTML(rule.matchedMime)}</span>` : ''}
     `;
   }
 
   /**
-   * Extracts base domain from full domain string.
+   * Returns the tooltip for the file type button, saying when the group was matched by MIME type.
+   * 
+   * Inputs:
+   *   - groupName: String group the file belongs to, or null
+   *   - matchedMime: String MIME type the group matched on, or null if it matched the extension
+   * 
+   * Outputs: String tooltip text (HTML-escaped)
+   */
+  getFileTypeButtonTitle(groupName, matchedMime) {
+    if (!groupName) return `Add .${this.escapeHTML(this.currentDownloadInfo.extension)} to a file type group`;
+    const groupLabel = this.escapeHTML(groupName.charAt(0).toUpperCase() + groupName.slice(1));
+    return matchedMime
+      ? `Part of ${groupLabel} group (matched by MIME type ${this.escapeHTML(matchedMime)})`
+      : `Part of ${groupLabel} group`;
+  }
+
+  /**
+   * Returns the site a new site rule is offered for: the registrable domain ("bbc.co.uk" for
+   * "news.bbc.co.uk") background picked for the download (see getSuggestedSiteDomain in lib/router.js).
+   */
+  getSiteDomain() {
+    return this.currentDownloadInfo.siteDomain || '';
+  }
+
+  /**
+   * Sends a message to background and waits for its answer. Rules and groups are read and
+   * written there (see lib/config-store.js), not in the page.
+   *
+   * Inputs:
+   *   - message: Object with type and the message's fields
+   *
+   * Outputs: Promise resolving to the response; rejects if background can't be reached or
+   *          answers { success: false, error }
+   */
+  requestFromBackground(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response && response.success) {
+          resolve(response);
+        } else {
+          reject(new Error((response && response.error) || `${message.type} failed`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Asks background for the rules and groups and for the ones to offer for the current
+   * download (see findRulesForDownload in lib/router.js). Domain rules are matched there:
+   * the content script doesn't load the routing engine or the Public Suffix List.
+   *
+   * Outputs: Promise resolving to { rules, groups, domainRule, filenameRule, fileTypeMatch }
+   *          (empty when background can't be reached)
+   */
+  async findRulesForDownload() {
+    const info = this.currentDownloadInfo;
+    try {
+      return await this.requestFromBackground({
+        type: 'findRulesForDownload',
+        download: {
+          domain: info.domain,
+          url: info.url,
+          finalUrl: info.finalUrl,
+          referrer: info.referrer,
+          tabUrl: window.location.href || '',
+          sourceSite: info.sourceSite,
+          filename: info.filename,
+          extension: info.extension,
+          mime: info.mime
+        }
+      });
+    } catch (error) {
+      console.error('[OVERLAY CONTENT] Error loading rules/groups:', error);
+      return { rules: [], groups: {}, domainRule: null, filenameRule: null, fileTypeMatch: null };
+    }
+  }
+
+  /**
+   * Returns the site the download is credited to (github.com for a file served from
+   * objects.githubusercontent.com), falling back to the download's own host.
+   */
+  getSourceSiteName() {
+    const source = this.currentDownloadInfo.sourceSite;
+    return (source && source.site) || this.currentDownloadInfo.domain || '';
+  }
+
+  /**
+   * Returns the short display name for a filename rule type ('Contains', 'Glob', 'Regex').
+   */
+  getFilenameRuleLabel(type) {
+    if (type === 'glob') return 'Glob';
+    if (type === 'regex') return 'Regex';
+    return 'Contains';
+  }
+
+  /**
+   * Returns the badge label for a match source.
+   */
+  getRuleSourceLabel(source) {
+    if (source === 'domain') return 'DOMAIN';
+    if (source === 'url') return 'URL';
+    if (source === 'filetype') return 'FILE TYPE';
+    if (source === 'compound') return 'COMPOUND';
+    if (source === 'project') return 'PROJECT MODE';
+    if (FileNames.isFilenameRuleType(source)) return this.getFilenameRuleLabel(source).toUpperCase();
+    return 'RULE';
+  }
+
+  /**
+   * Returns the value label and placeholder for a rule type.
+   * 
+   * Inputs:
+   *   - type: String rule type ('domain', 'url', 'contains', 'glob', 'regex')
+   * 
+   * Outputs: Object { label, placeholder }
+   */
+  getRuleValueFields(type) {
+    if (type === 'domain') {
+      return { label: 'Site', placeholder: 'e.g., github.com' };
+    } else if (type === 'url') {
+      return { label: 'URL pattern', placeholder: 'e.g., tools.example.com/export?project=:project' };
+    } else if (type === 'glob') {
+      return { label: 'Filename glob pattern', placeholder: 'e.g., invoice-*-2026.pdf' };
+    } else if (type === 'regex') {
+      return { label: 'Filename regular expression', placeholder: 'e.g., /^IMG_\\d{4}\\.(heic|jpg)$/i' };
+    }
+    return { label: 'Filename contains phrase', placeholder: 'e.g., invoice, receipt, report' };
+  }
+
+  /**
+   * Lists the tab fields a tab rule can match for the current download, with the value its
+   * tab has now. The group fields are only offered when the tab is in a group.
+   *
+   * Outputs: Array of { field, operator, label, placeholder, value } (field and operator
+   *          make a compound condition; background validates it when the rule is saved)
    */
-  getBaseDomain(domain) {
-    if (!domain) return '';
-    // Remove protocol, www, trailing slash
-    return domain.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '').split('/')[0];
+  getTabContextFields() {
+    const tab = this.currentDownloadInfo?.tabContext || {};
+    const fields = [];
+    if (tab.groupTitle) {
+      fields.push({ field: 'tabGroup', operator: 'is', label: 'Tab group', placeholder: 'e.g., Client A', value: tab.groupTitle });
+    }
+    if (tab.groupColor) {
+      fields.push({ field: 'tabGroupColor', operator: 'is', label: 'Tab group color', placeholder: 'e.g., blue', value: tab.groupColor });
+    }
+    fields.push({ field: 'pageTitle', operator: 'contains', label: 'Page title contains', placeholder: 'e.g., Thesis', value: tab.title || '' });
+    fields.push({ field: 'window', operator: 'is', label: 'Window', placeholder: 'e.g., incognito', value: tab.windowKind || 'normal' });
+    return fields;
+  }
+
+  /**
+   * Validates the inline rule editor's pattern and shows whether it matches the current filename.
+   * Uses the same matcher as the background router.
+   */
+  updateRulePatternPreview() {
+    const root = this.shadowRoot;
+    const valueInput = root.querySelector('#rule-value-input');
+    const preview = root.querySelector('#rule-pattern-preview');
+    if (!valueInput || !preview) return;
+
+    const type = this.currentDownloadInfo.ruleEditorType || 'domain';
+    const value = valueInput.value.trim();
+    const filename = this.currentDownloadInfo.filename || '';
+
+    if (!FileNames.isFilenameRuleType(type) || !value) {
+      preview.classList.add('hidden');
+      return;
+    }
+
+    const patternError = FileNames.validateFilenamePattern(type, value);
+    if (patternError) {
+      preview.textContent = `Invalid pattern: ${patternError}`;
+      preview.className = 'rule-pattern-preview invalid';
+    } else if (FileNames.matchesFilenameRule({ type, value }, filename)) {
+      preview.textContent = `✓ Matches ${filename}`;
+      preview.className = 'rule-pattern-preview match';
+    } else {
+      preview.textContent = `✗ Does not match ${filename}`;
+      preview.className = 'rule-pattern-preview no-match';
+    }
   }
 
   /**
@@ -3325,9 +3704,15 @@ class DownloadOverlay {
     typeButtons.forEach(btn => {
       // Update button labels
       if (btn.dataset.type === 'domain') {
-        btn.textContent = `Add ${this.getBaseDomain(this.currentDownloadInfo.domain) || 'site'}`;
+        btn.textContent = `Add ${this.getSiteDomain() || 'site'}`;
       } else if (btn.dataset.type === 'contains') {
         btn.textContent = 'Add Contains Rule';
+      } else if (btn.dataset.type === 'glob') {
+        btn.textContent = 'Add Glob Rule';
+      } else if (btn.dataset.type === 'regex') {
+        btn.textContent = 'Add Regex Rule';
+      } else if (btn.dataset.type === 'tabContext') {
+        btn.textContent = 'Add Tab Rule';
       }
       
       // Only add listeners once - check if already added
@@ -3356,6 +3741,19 @@ class DownloadOverlay {
     const valueInput = root.querySelector('#rule-value-input');
     const folderInput = root.querySelector('#rule-folder-input');
     
+    // Live pattern validation / match preview against the current filename
+    if (valueInput && !valueInput.dataset.previewListenerAdded) {
+      valueInput.dataset.previewListenerAdded = 'true';
+      valueInput.addEventListener('input', () => this.updateRulePatternPreview());
+    }
+    
+    // Tab rules: picking another tab field refills the value from the download's tab
+    const contextField = root.querySelector('#rule-context-field');
+    if (contextField && !contextField.dataset.listenerAdded) {
+      contextField.dataset.listenerAdded = 'true';
+      contextField.addEventListener('change', () => this.updateRuleEditorInputs());
+    }
+    
     // Set folder value
     if (folderInput) {
       folderInput.value = expectedFolder;
@@ -3410,48 +3808,40 @@ class DownloadOverlay {
     
     const type = this.currentDownloadInfo.ruleEditorType || 'filetype';
     
+    // The tab field picker is only used by tab rules
+    const contextGroup = root.querySelector('.rule-context-group');
+    if (contextGroup) {
+      contextGroup.classList.toggle('hidden', type !== 'tabContext');
+    }
+    
+    const fields = type === 'tabContext'
+      ? this.getTabContextFields().find(({ field }) => field === root.querySelector('#rule-context-field')?.value) || this.getRuleValueFields(type)
+      : this.getRuleValueFields(type);
     if (label) {
-      if (type === 'domain') {
-        label.textContent = 'Site';
-      } else if (type === 'contains') {
-        label.textContent = 'Filename contains phrase';
-      }
+      label.textContent = fields.label;
     }
     
     if (valueInput) {
-      if (type === 'domain') {
-        valueInput.placeholder = 'e.g., github.com';
-      } else if (type === 'contains') {
-        valueInput.placeholder = 'e.g., invoice, receipt, report';
-      }
+      valueInput.placeholder = fields.placeholder;
     }
     
     if (type === 'domain') {
-      // Try to prefill with the best available domain source
-      // Priority: page URL > download URL > hostname
-      const normalizeDomainForMatch = (d) => {
-        if (!d) return '';
-        return d.replace(/^https?:\/\//, '').replace(/^www\./, '').toLowerCase();
-      };
-      
-      const pageUrl = window.location.href || '';
-      const downloadUrl = this.currentDownloadInfo.url || '';
-      const hostname = this.currentDownloadInfo.domain || '';
-      
-      const normalizedPageUrl = normalizeDomainForMatch(pageUrl);
-      const normalizedDownloadUrl = normalizeDomainForMatch(downloadUrl);
-      const normalizedHostname = normalizeDomainForMatch(hostname);
-      
-      // Use the first non-empty one, preferring page URL over others
-      let domainToUse = normalizedPageUrl || normalizedDownloadUrl || normalizedHostname || '';
-      
-      valueInput.value = domainToUse;
+      // Prefill with the registrable domain (Public Suffix List aware) of the best available source:
+      // source site (CDNs credited to their site) > page URL > download URL > hostname
+      valueInput.value = this.getSiteDomain();
       valueInput.placeholder = 'e.g., github.com';
-    } else if (type === 'contains') {
-      // For contains rules, leave empty for user to enter phrase
+    } else if (type === 'contains' || type === 'regex') {
+      // For contains and regex rules, leave empty for user to enter phrase/pattern
       valueInput.value = '';
-      valueInput.placeholder = 'e.g., invoice, receipt, report';
+    } else if (type === 'glob') {
+      // Start from the current filename so the user only has to add wildcards
+      valueInput.value = this.currentDownloadInfo.filename || '';
+    } else if (type === 'tabContext') {
+      // Start from what the download's tab shows (its group, window or title)
+      valueInput.value = fields.value || '';
     }
+    
+    this.updateRulePatternPreview();
   }
 
   /**
@@ -3470,10 +3860,22 @@ class DownloadOverlay {
     let ruleValue = valueInput.value.trim();
     
     if (!ruleValue) {
-      alert(`Please enter a ${ruleType === 'domain' ? 'domain' : 'file extension'}`);
+      alert(`Please enter a ${ruleType === 'domain' ? 'domain' : ruleType === 'tabContext' ? 'value to match' : 'filename pattern'}`);
       return;
     }
     
+    // Tab rules are stored as a compound rule with one condition on the chosen tab field
+    // (background checks the condition and writes its summary as the rule value)
+    let conditions = null;
+    if (ruleType === 'tabContext') {
+      const field = root.querySelector('#rule-context-field')?.value || 'pageTitle';
+      const { operator } = this.getTabContextFields().find(option => option.field === field) || { operator: 'contains' };
+      conditions = {
+        match: 'all',
+        conditions: [{ field, operator, value: ruleValue }]
+      };
+    }
+    
     if (!folder) {
       alert('Please select a folder');
       return;
@@ -3481,27 +3883,24 @@ class DownloadOverlay {
 
     const isAbsPath = /^(\/|[A-Za-z]:[\\\/])/.test(folder);
     
-    // Normalize domain value for domain rules
-    if (ruleType === 'domain' && ruleValue) {
-      // Normalize domain (remove protocol, www, trailing slash)
-      ruleValue = this.getBaseDomain(ruleValue);
-    } else if (ruleType === 'filetype') {
-      // Clean up extension list
+    // Clean up extension lists; background checks patterns and cleans up site values
+    if (ruleType === 'filetype') {
       ruleValue = ruleValue.replace(/^\./, '').replace(/,/g, ',').split(',').map(ext => ext.trim().replace(/^\./, '')).filter(ext => ext).join(',');
     }
     
     // Map ruleType to storage format
-    // 'contains' stays as 'contains', 'domain' stays as 'domain'
-    const storageRuleType = ruleType;
+    // Editor types are stored as-is ('domain', 'contains', 'glob', 'regex'); tab rules are compound
+    const storageRuleType = ruleType === 'tabContext' ? 'compound' : ruleType;
     
-    // Send rule to background and wait for it to be saved
+    // Send rule to background and wait for it to be saved (or refused as invalid)
     try {
-      await new Promise((resolve, reject) => {
+      const savedRule = await new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
           type: 'addRule',
           rule: {
             type: storageRuleType,
             value: ruleValue,
+            ...(conditions ? { conditions } : {}),
             folder: folder,
             priority: 2.0,
             enabled: true
@@ -3509,31 +3908,37 @@ class DownloadOverlay {
         }, (response) => {
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message));
+          } else if (response && response.success) {
+            resolve(response.rule);
           } else {
-            resolve(response);
+            reject(new Error((response && response.error) || 'Rule was not saved'));
           }
         });
       });
+      // Site values are stored cleaned up, tab rules with their condition summary
+      ruleValue = savedRule.value;
 
       // Update current download info to use the new rule's path
       if (isAbsPath) {
         this.currentDownloadInfo.resolvedPath = this.currentDownloadInfo.filename;
-        this.currentDownloadInfo.absoluteDestination = folder;
+        this.currentDownloadInfo.absoluteDestination = this.expandFolderTemplate(folder);
         this.currentDownloadInfo.useAbsolutePath = true;
         this.currentDownloadInfo.needsMove = true;
       } else {
-        this.currentDownloadInfo.resolvedPath = buildRelativePath(folder, this.currentDownloadInfo.filename);
+        this.currentDownloadInfo.resolvedPath = buildRelativePath(this.expandFolderTemplate(folder), this.currentDownloadInfo.filename);
         this.currentDownloadInfo.absoluteDestination = null;
         this.currentDownloadInfo.useAbsolutePath = false;
         this.currentDownloadInfo.needsMove = false;
       }
+      this.currentDownloadInfo.customLocation = false;
       
       // Update current download info with new rule
       this.currentDownloadInfo.finalRule = {
         type: storageRuleType,
         value: ruleValue,
+        ...(conditions ? { conditions } : {}),
         folder: folder,
-        source: storageRuleType, // 'domain' or 'contains'
+        source: storageRuleType, // 'domain', 'contains', 'glob', 'regex' or 'compound'
         priority: 2.0
       };
       this.currentDownloadInfo.matchedRule = this.currentDownloadInfo.finalRule;
@@ -3598,6 +4003,17 @@ class DownloadOverlay {
         Object.keys(groups).map(name => {
           return `<option value="${name}">${name} (${groups[name].extensions})</option>`;
         }).join('');
+      
+      // backup.tar.gz can be added as "tar.gz" (routed on its own) or "gz"
+      const extensionSelect = root.querySelector('.extension-select-inline');
+      const extensions = this.currentDownloadInfo.extensions || [this.currentDownloadInfo.extension];
+      if (extensionSelect) {
+        extensionSelect.innerHTML = extensions.map(ext => {
+          const selected = ext === this.currentDownloadInfo.extension ? ' selected' : '';
+          return `<option value="${this.escapeHTML(ext)}"${selected}>.${this.escapeHTML(ext)}</option>`;
+        }).join('');
+        extensionSelect.classList.toggle('hidden', extensions.length < 2);
+      }
     } catch (error) {
       console.error('Failed to load groups:', error);
       // Set empty dropdown on error
@@ -3612,6 +4028,8 @@ class DownloadOverlay {
     const root = this.shadowRoot;
     const select = root.querySelector('.group-select-inline');
     const groupName = select ? select.value : '';
+    const extensionSelect = root.querySelector('.extension-select-inline');
+    const extension = (extensionSelect && extensionSelect.value) || this.currentDownloadInfo.extension;
     
     if (!groupName) return;
     
@@ -3620,7 +4038,7 @@ class DownloadOverlay {
       const result = await new Promise((resolve, reject) => {
         chrome.runtime.sendMessage({
           type: 'addToGroup',
-          extension: this.currentDownloadInfo.extension,
+          extension: extension,
           group: groupName
         }, (response) => {
           if (chrome.runtime.lastError) {
@@ -3636,6 +4054,9 @@ class DownloadOverlay {
         return;
       }
       
+      // The group now lists this extension, so it is the download's extension from here on
+      this.currentDownloadInfo.extension = extension;
+      
       // Get the group's folder - this is where the file should be saved
       const folder = result.folder || 'Downloads';
       const isAbsPath = /^(\/|[A-Za-z]:[\\\/])/.test(folder);
@@ -3644,15 +4065,16 @@ class DownloadOverlay {
       // Update download info to use the group's folder
       if (isAbsPath) {
         this.currentDownloadInfo.resolvedPath = this.currentDownloadInfo.filename;
-        this.currentDownloadInfo.absoluteDestination = folder;
+        this.currentDownloadInfo.absoluteDestination = this.expandFolderTemplate(folder);
         this.currentDownloadInfo.useAbsolutePath = true;
         this.currentDownloadInfo.needsMove = true;
       } else {
-        this.currentDownloadInfo.resolvedPath = buildRelativePath(folder, this.currentDownloadInfo.filename);
+        this.currentDownloadInfo.resolvedPath = buildRelativePath(this.expandFolderTemplate(folder), this.currentDownloadInfo.filename);
         this.currentDownloadInfo.absoluteDestination = null;
         this.currentDownloadInfo.useAbsolutePath = false;
         this.currentDownloadInfo.needsMove = false;
       }
+      this.currentDownloadInfo.customLocation = false;
       
       // Create a filetype rule object for display
       // Use the groupName returned from addToGroup for proper display
@@ -3724,7 +4146,7 @@ class DownloadOverlay {
           type: 'addRule',
           rule: {
             type: 'domain',
-            value: this.currentDownloadInfo.domain,
+            value: this.getSourceSiteName(),
             folder: folder
           }
         });
@@ -3732,12 +4154,12 @@ class DownloadOverlay {
         // Check if this is an absolute path (requires post-download move)
         if (isAbsolutePath(folder)) {
           this.currentDownloadInfo.resolvedPath = this.currentDownloadInfo.filename;
-          this.currentDownloadInfo.absoluteDestination = folder;
+          this.currentDownloadInfo.absoluteDestination = this.expandFolderTemplate(folder);
           this.currentDownloadInfo.useAbsolutePath = true;
           this.currentDownloadInfo.needsMove = true;
         } else {
           // Update resolved path with new folder using path normalization
-          this.currentDownloadInfo.resolvedPath = buildRelativePath(folder, this.currentDownloadInfo.filename);
+          this.currentDownloadInfo.resolvedPath = buildRelativePath(this.expandFolderTemplate(folder), this.currentDownloadInfo.filename);
           this.currentDownloadInfo.absoluteDestination = null;
           this.currentDownloadInfo.useAbsolutePath = false;
           this.currentDownloadInfo.needsMove = false;
@@ -3762,11 +4184,11 @@ class DownloadOverlay {
           // Check if this is an absolute path
           if (isAbsolutePath(folder)) {
             this.currentDownloadInfo.resolvedPath = this.currentDownloadInfo.filename;
-            this.currentDownloadInfo.absoluteDestination = folder;
+            this.currentDownloadInfo.absoluteDestination = this.expandFolderTemplate(folder);
             this.currentDownloadInfo.useAbsolutePath = true;
             this.currentDownloadInfo.needsMove = true;
           } else {
-            this.currentDownloadInfo.resolvedPath = buildRelativePath(folder, this.currentDownloadInfo.filename);
+            this.currentDownloadInfo.resolvedPath = buildRelativePath(this.expandFolderTemplate(folder), this.currentDownloadInfo.filename);
             this.currentDownloadInfo.absoluteDestination = null;
             this.currentDownloadInfo.useAbsolutePath = false;
             this.currentDownloadInfo.needsMove = false;
@@ -3797,8 +4219,10 @@ class DownloadOverlay {
       root.querySelector('.overlay-path').innerHTML = `
         ${this.getSVGIcon('folder')}
         <span>Saving to: ${displayPath}</span>
+        <span class="path-template hidden"></span>
       `;
     }
+    this.updatePathTemplateHint();
     // Close rules editor panel
     this.hideRulesEditor();
   }
@@ -3830,6 +4254,9 @@ class DownloadOverlay {
       this.currentDownloadInfo.filename = newFilename;
     }
     
+    // The user chose this folder - a content type fix later renames the file but keeps it here
+    this.currentDownloadInfo.customLocation = true;
+    
     if (newLocation) {
       // Check if it's an absolute path (starts with / on Unix or C:\ on Windows)
       const isAbsPath = /^(\/|[A-Za-z]:[\\\/])/.test(newLocation);
@@ -4155,11 +4582,11 @@ class DownloadOverlay {
         const isAbsPath = /^(\/|[A-Za-z]:[\\\/])/.test(rule.folder);
         if (isAbsPath) {
           this.currentDownloadInfo.resolvedPath = this.currentDownloadInfo.filename;
-          this.currentDownloadInfo.absoluteDestination = rule.folder;
+          this.currentDownloadInfo.absoluteDestination = this.expandFolderTemplate(rule.folder);
           this.currentDownloadInfo.useAbsolutePath = true;
           this.currentDownloadInfo.needsMove = true;
         } else {
-          this.currentDownloadInfo.resolvedPath = buildRelativePath(rule.folder, this.currentDownloadInfo.filename);
+          this.currentDownloadInfo.resolvedPath = buildRelativePath(this.expandFolderTemplate(rule.folder), this.currentDownloadInfo.filename);
         }
       } else {
         this.currentDownloadInfo.resolvedPath = this.currentDownloadInfo.filename;
@@ -4426,8 +4853,7 @@ class DownloadOverlay {
   async findRuleIndex(ruleToFind) {
     if (!ruleToFind) return -1;
     
-    const data = await chrome.storage.sync.get(['rules']);
-    const rules = data.rules || [];
+    const { rules } = await this.requestFromBackground({ type: 'getRulesAndGroups' });
     
     const ruleType = ruleToFind.type || ruleToFind.source || '';
     const ruleValue = ruleToFind.value || '';
@@ -4463,9 +4889,9 @@ class DownloadOverlay {
       downloadId: this.currentDownloadInfo.id
     }).catch(() => {}); // Ignore errors if background script is not ready
     
-    // Load rules
-    const data = await chrome.storage.sync.get(['rules']);
-    this.rules = data.rules || [];
+    // Load rules, and the URLs a site rule can match against (lib/router.js isn't loaded here)
+    const data = await this.requestFromBackground({ type: 'getRulesAndGroups' });
+    this.rules = data.rules;
     
     const rule = this.rules[ruleIndex];
     if (!rule) {
@@ -4491,12 +4917,23 @@ class DownloadOverlay {
               <label class="form-label">Rule Type</label>
               <select class="form-select" id="edit-rule-type-overlay">
                 <option value="domain" ${rule.type === 'domain' ? 'selected' : ''}>Site</option>
+                <option value="url" ${rule.type === 'url' ? 'selected' : ''}>URL pattern</option>
                 <option value="contains" ${rule.type === 'contains' ? 'selected' : ''}>Contains</option>
+                <option value="glob" ${rule.type === 'glob' ? 'selected' : ''}>Glob</option>
+                <option value="regex" ${rule.type === 'regex' ? 'selected' : ''}>Regex</option>
               </select>
             </div>
             <div class="form-group">
-              <label class="form-label" id="edit-rule-value-label-overlay">${rule.type === 'domain' ? 'Site' : 'Filename contains phrase'}</label>
-              <input type="text" class="form-input" id="edit-rule-value-overlay" value="${rule.value || ''}" placeholder="${rule.type === 'domain' ? 'e.g., github.com' : 'e.g., invoice, receipt, report'}">
+              <label class="form-label" id="edit-rule-value-label-overlay">${this.getRuleValueFields(rule.type).label}</label>
+              <input type="text" class="form-input" id="edit-rule-value-overlay" value="${(rule.value || '').replace(/"/g, '&quot;')}" placeholder="${this.getRuleValueFields(rule.type).placeholder}">
+            </div>
+            <div class="form-group" id="edit-rule-scope-group-overlay" style="${rule.type === 'domain' ? '' : 'display: none;'}">
+              <label class="form-label">Match against</label>
+              <select class="form-select" id="edit-rule-scope-overlay">
+                ${Object.entries(data.matchScopes).map(([scope, label]) =>
+                  `<option value="${scope}" ${scope === (rule.matchScope || 'default') ? 'selected' : ''}>${label}</option>`
+                ).join('')}
+              </select>
             </div>
             <div class="form-group">
               <label class="form-label">Destination Folder</label>
@@ -4581,8 +5018,8 @@ class DownloadOverlay {
     }).catch(() => {}); // Ignore errors if background script is not ready
     
     // Load groups
-    const data = await chrome.storage.sync.get(['groups']);
-    this.groups = data.groups || {};
+    const data = await this.requestFromBackground({ type: 'getRulesAndGroups' });
+    this.groups = data.groups;
     
     const group = this.groups[groupName];
     if (!group) {
@@ -4793,9 +5230,13 @@ class DownloadOverlay {
     
     if (ruleType && ruleValue && ruleLabel) {
       ruleType.addEventListener('change', (e) => {
-        const isDomain = e.target.value === 'domain';
-        ruleLabel.textContent = isDomain ? 'Site' : 'Filename contains phrase';
-        ruleValue.placeholder = isDomain ? 'e.g., github.com' : 'e.g., invoice, receipt, report';
+        const fields = this.getRuleValueFields(e.target.value);
+        ruleLabel.textContent = fields.label;
+        ruleValue.placeholder = fields.placeholder;
+        const scopeGroup = root.querySelector('#edit-rule-scope-group-overlay');
+        if (scopeGroup) {
+          scopeGroup.style.display = e.target.value === 'domain' ? '' : 'none';
+        }
       });
     }
     
@@ -4927,23 +5368,29 @@ class DownloadOverlay {
     console.log('[SAVE RULE OVERLAY] Saving rule with folder:', folder);
     console.log('[SAVE RULE OVERLAY] Folder input value:', folderInput?.value);
     
-    // Update rule in array
-    this.rules[this.editingRuleIndex] = {
+    const rule = {
       type,
       value,
       folder,
       priority,
       enabled
     };
+    const matchScope = root.querySelector('#edit-rule-scope-overlay')?.value;
+    // Leave the default scope unset (see DOMAIN_MATCH_SCOPES in lib/router.js)
+    if (type === 'domain' && matchScope && matchScope !== 'default') {
+      rule.matchScope = matchScope;
+    }
     
-    console.log('[SAVE RULE OVERLAY] Rule to save:', this.rules[this.editingRuleIndex]);
-    
-    // Save to storage
-    await chrome.storage.sync.set({ rules: this.rules });
+    console.log('[SAVE RULE OVERLAY] Rule to save:', rule);
     
-    // Verify it was saved
-    const verify = await chrome.storage.sync.get(['rules']);
-    console.log('[SAVE RULE OVERLAY] Verified saved rule:', verify.rules[this.editingRuleIndex]);
+    // Save to storage - background refuses patterns that would never match
+    try {
+      await this.requestFromBackground({ type: 'updateRule', index: this.editingRuleIndex, rule });
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    this.rules[this.editingRuleIndex] = rule;
     
     // Send rulesChanged message to trigger background update
     chrome.runtime.sendMessage({
@@ -5020,11 +5467,12 @@ class DownloadOverlay {
     console.log('[SAVE GROUP OVERLAY] Group to save:', this.groups[saveName]);
     
     // Save to storage
-    await chrome.storage.sync.set({ groups: this.groups });
-    
-    // Verify it was saved
-    const verify = await chrome.storage.sync.get(['groups']);
-    console.log('[SAVE GROUP OVERLAY] Verified saved group:', verify.groups[saveName]);
+    try {
+      await this.requestFromBackground({ type: 'saveGroups', groups: this.groups });
+    } catch (error) {
+      alert(`Failed to save file type: ${error.message}`);
+      return;
+    }
     
     // Send rulesChanged message to trigger background update
     chrome.runtime.sendMessage({
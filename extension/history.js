@@ -0,0 +1,268 @@
+/**
+ * history.js
+ *
+ * Purpose: Download history page.
+ * Role: Lists downloads recorded by lib/download-history.js with search, filters,
+ *       pagination and CSV/JSON export.
+ *
+ * Key Responsibilities:
+ * - Load history entries from IndexedDB
+ * - Filter by text, rule, site and date range; paginate the result
+ * - Export the filtered entries and clear the history
+ *
+ * External Dependencies:
+ *   - DownloadHistory / downloadHistory (lib/download-history.js): history store and helpers
+ */
+
+// Entries shown per page
+const HISTORY_PAGE_SIZE = 50;
+
+/**
+ * Download History Page class
+ * Manages the history.html page.
+ */
+class DownloadHistoryPage {
+  constructor() {
+    this.entries = []; // All entries, newest first
+    this.filtered = [];
+    this.page = 1;
+    this.init();
+  }
+
+  async init() {
+    this.setupEventListeners();
+    await this.loadEntries();
+
+    // New downloads update downloadStats right before they are recorded here - refresh then
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.downloadStats) {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.loadEntries(), 1000);
+      }
+    });
+  }
+
+  setupEventListeners() {
+    const applyFilters = () => {
+      this.page = 1;
+      this.render();
+    };
+    document.getElementById('history-search').addEventListener('input', applyFilters);
+    ['history-rule', 'history-domain', 'history-from', 'history-to'].forEach(id => {
+      document.getElementById(id).addEventListener('change', applyFilters);
+    });
+    document.getElementById('history-reset-filters').addEventListener('click', () => {
+      ['history-search', 'history-rule', 'history-domain', 'history-from', 'history-to'].forEach(id => {
+        document.getElementById(id).value = '';
+      });
+      applyFilters();
+    });
+
+    document.getElementById('history-prev').addEventListener('click', () => {
+      this.page--;
+      this.render();
+    });
+    document.getElementById('history-next').addEventListener('click', () => {
+      this.page++;
+      this.render();
+    });
+
+    document.getElementById('history-export-csv').addEventListener('click', () => {
+      this.exportEntries(DownloadHistory.entriesToCSV(this.filtered), 'csv', 'text/csv');
+    });
+    document.getElementById('history-export-json').addEventListener('click', () => {
+      this.exportEntries(DownloadHistory.entriesToJSON(this.filtered), 'json', 'application/json');
+    });
+    document.getElementById('history-clear').addEventListener('click', () => this.clearHistory());
+  }
+
+  /**
+   * Loads all entries from the history store and refreshes the filter dropdowns.
+   */
+  async loadEntries() {
+    try {
+      this.entries = await downloadHistory.getAll();
+    } catch (error) {
+      console.error('[HISTORY] Failed to load history:', error);
+      this.showStatus(`Couldn't load history: ${error.message}`, 'error');
+      this.entries = [];
+    }
+
+    const { rules, domains } = DownloadHistory.getHistoryFilterOptions(this.entries);
+    this.populateSelect('history-rule', 'All rules', [
+      ...rules.map(rule => [rule, rule]),
+      [DownloadHistory.NO_RULE_FILTER, 'No rule (default folder)']
+    ]);
+    this.populateSelect('history-domain', 'All sites', domains.map(domain => [domain, domain]));
+    this.render();
+  }
+
+  /**
+   * Replaces a select's options, keeping the current choice if it still exists.
+   *
+   * Inputs:
+   *   - id: String select element ID
+   *   - allLabel: String label for the empty "no filter" option
+   *   - options: Array of [value, label] pairs
+   */
+  populateSelect(id, allLabel, options) {
+    const select = document.getElementById(id);
+    const current = select.value;
+    select.innerHTML = `<option value="">${this.escapeHTML(allLabel)}</option>` +
+      options.map(([value, label]) => `<option value="${this.escapeHTML(value)}">${this.escapeHTML(label)}</option>`).join('');
+    if (options.some(([value]) => value === current)) select.value = current;
+  }
+
+  /**
+   * Reads the filter inputs. Dates are whole local days, so "To" includes that day.
+   */
+  getFilters() {
+    const from = document.getElementById('history-from').value;
+    const to = document.getElementById('history-to').value;
+    const toDate = to ? new Date(`${to}T00:00`) : null;
+    if (toDate) toDate.setDate(toDate.getDate() + 1);
+    return {
+      search: document.getElementById('history-search').value,
+      rule: document.getElementById('history-rule').value,
+      domain: document.getElementById('history-domain').value,
+      from: from ? new Date(`${from}T00:00`).getTime() : null,
+      to: toDate ? toDate.getTime() : null
+    };
+  }
+
+  render() {
+    this.filtered = DownloadHistory.filterHistoryEntries(this.entries, this.getFilters());
+    const { entries, page, pageCount, total } = DownloadHistory.paginateEntries(this.filtered, this.page, HISTORY_PAGE_SIZE);
+    this.page = page;
+
+    document.getElementById('history-rows').innerHTML = entries.map(entry => this.createRowHTML(entry)).join('');
+    document.getElementById('history-count').textContent = total === this.entries.length
+      ? `${total} downloads`
+      : `${total} of ${this.entries.length} downloads`;
+
+    const empty = document.getElementById('history-empty');
+    empty.classList.toggle('hidden', total > 0);
+    document.getElementById('history-empty-message').textContent = this.entries.length > 0
+      ? 'No downloads match these filters'
+      : 'Downloads appear here once they finish';
+
+    document.getElementById('history-page').textContent = `Page ${page} of ${pageCount}`;
+    document.getElementById('history-prev').disabled = page <= 1;
+    document.getElementById('history-next').disabled = page >= pageCount;
+    ['history-export-csv', 'history-export-json'].forEach(id => {
+      document.getElementById(id).disabled = total === 0;
+    });
+  }
+
+  createRowHTML(entry) {
+    const renamed = entry.originalFilename && entry.originalFilename !== entry.filename;
+    return `
+      <tr>
+        <td>${this.escapeHTML(new Date(entry.completedAt).toLocaleString())}</td>
+        <td>
+          <div class="history-file">${this.escapeHTML(entry.filename)}</div>
+          ${renamed ? `<div class="history-subtext">Renamed from ${this.escapeHTML(entry.originalFilename)}</div>` : ''}
+          <div class="history-subtext" title="${this.escapeHTML(entry.url)}">${this.escapeHTML(this.truncate(entry.url, 80))}</div>
+        </td>
+        <td>${this.escapeHTML(entry.domain)}</td>
+        <td>${entry.rule ? this.escapeHTML(entry.rule) : '<span class="history-subtext">Default folder</span>'}</td>
+        <td>
+          <span class="history-path">${this.escapeHTML(entry.finalPath)}</span>
+          ${entry.moved ? '<span class="history-badge">moved</span>' : ''}
+        </td>
+        <td>${this.formatSize(entry.fileSize)}</td>
+        <td>${this.formatDuration(entry.durationMs)}</td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Downloads the exported entries as a file.
+   *
+   * Inputs:
+   *   - content: String file contents
+   *   - extension: String 'csv' or 'json'
+   *   - type: String MIME type
+   */
+  exportEntries(content, extension, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `download-history-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    this.showStatus(`Exported ${this.filtered.length} downloads`, 'success');
+  }
+
+  async clearHistory() {
+    if (!confirm('Delete the whole download history? Your downloaded files are not affected.')) return;
+    try {
+      await downloadHistory.clear();
+      await this.loadEntries();
+      this.showStatus('History cleared', 'success');
+    } catch (error) {
+      console.error('[HISTORY] Failed to clear history:', error);
+      this.showStatus(`Couldn't clear history: ${error.message}`, 'error');
+    }
+  }
+
+  formatSize(bytes) {
+    if (!bytes) return '—';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+      size /= 1024;
+      unit++;
+    }
+    return `${size.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+  }
+
+  formatDuration(ms) {
+    if (ms === null || ms === undefined) return '—';
+    if (ms < 1000) return '<1s';
+    const seconds = Math.round(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+
+  truncate(text, length) {
+    return text && text.length > length ? `${text.slice(0, length - 1)}…` : (text || '');
+  }
+
+  escapeHTML(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  showStatus(message, type = 'success') {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.className = `status-message ${type}`;
+
+    setTimeout(() => {
+      status.textContent = '';
+      status.className = 'status-message';
+    }, 3000);
+  }
+}
+
+// Initialize the history page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  if (typeof getIcon !== 'undefined') {
+    const iconMap = {
+      'history-app-icon': ['list', 48],
+      'history-empty-icon': ['list', 48]
+    };
+    Object.entries(iconMap).forEach(([id, [icon, size]]) => {
+      const el = document.getElementById(id);
+      if (el) el.innerHTML = getIcon(icon, size);
+    });
+  }
+
+  new DownloadHistoryPage();
+});
@@ -0,0 +1,381 @@
+/**
+ * config-store.js
+ *
+ * Purpose: Storage layer for the extension configuration.
+ * Role: Reads and writes rules, groups and settings without running into the
+ *       chrome.storage.sync per-item quota (8KB), which a few hundred rules exceed.
+ *
+ * Key Responsibilities:
+ * - Split rules/groups (and saved profiles) across several sync keys ("rules_0", "rules_1", ...
+ *   plus "rules_chunks")
+ * - Fall back to chrome.storage.local (this device only) when sync quotas are exceeded,
+ *   or when the user turns off syncing, and record a warning for the UI
+ * - Migrate the old single-key layout ("rules" / "groups" in sync)
+ * - Pass every other key straight through to chrome.storage.sync
+ *
+ * Architecture:
+ * - Use configStore.get()/set() instead of chrome.storage.sync.get()/set() for any call
+ *   that touches rules or groups; the returned/accepted shapes are the same
+ * - Which area holds rules/groups is a per-device choice, kept in storage.local under
+ *   "configStorage" so one device falling back doesn't hide the synced copy from others
+ *
+ * External Dependencies:
+ *   - chrome.storage.sync / chrome.storage.local: Chrome storage areas
+ */
+
+// Guard against loading twice (importScripts in the service worker, content script reinjection)
+(function() {
+  if (typeof self !== 'undefined' && self.ConfigStore && self.configStore) {
+    return; // Already loaded, skip
+  }
+
+// Keys whose values can outgrow a single sync item (profiles hold other profiles' rules and groups)
+const LIST_KEYS = ['rules', 'groups', 'profiles'];
+
+// storage.local key recording where this device keeps rules/groups: { area, reason }
+const STORAGE_STATE_KEY = 'configStorage';
+
+// storage.local key holding the last storage warning shown to the user: { message, at }
+const STORAGE_WARNING_KEY = 'configStorageWarning';
+
+// Chrome's documented sync limits, used when the API doesn't expose them (tests)
+const DEFAULT_SYNC_QUOTAS = {
+  QUOTA_BYTES: 102400,
+  QUOTA_BYTES_PER_ITEM: 8192,
+  MAX_ITEMS: 512
+};
+
+// Room left in each chunk for the key name and JSON quoting
+const CHUNK_HEADROOM_BYTES = 64;
+
+/**
+ * Returns the UTF-8 size of a string, which is how Chrome measures quotas.
+ */
+function getByteSize(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+/**
+ * Splits a JSON string into pieces that each fit in one sync item once stored.
+ *
+ * Inputs:
+ *   - json: String to split
+ *   - maxBytes: Number maximum stored size of each piece (JSON-quoted, UTF-8)
+ *
+ * Outputs: Array of strings that join back into json
+ */
+function splitIntoChunks(json, maxBytes) {
+  const chunks = [];
+  let start = 0;
+  while (start < json.length) {
+    let end = Math.min(json.length, start + maxBytes);
+    let size = getByteSize(JSON.stringify(json.slice(start, end)));
+    while (size > maxBytes) {
+      // An escaped character takes at most 6 bytes, so this always makes progress
+      end -= Math.max(1, Math.ceil((size - maxBytes) / 6));
+      size = getByteSize(JSON.stringify(json.slice(start, end)));
+    }
+    // Don't split a surrogate pair (emoji etc.) between chunks
+    const lastCode = json.charCodeAt(end - 1);
+    if (end < json.length && end - start > 1 && lastCode >= 0xd800 && lastCode <= 0xdbff) end--;
+    chunks.push(json.slice(start, end));
+    start = end;
+  }
+  return chunks;
+}
+
+function getChunkKey(key, index) {
+  return `${key}_${index}`;
+}
+
+function getChunkCountKey(key) {
+  return `${key}_chunks`;
+}
+
+/**
+ * Returns true if a storage error means a sync quota was exceeded (as opposed to
+ * e.g. the write rate limit, which a retry would fix).
+ */
+function isQuotaError(error) {
+  return /QUOTA_BYTES|MAX_ITEMS/.test(error && error.message || '');
+}
+
+/**
+ * Config Store class
+ * Wraps chrome.storage so rules and groups are stored in chunks or locally.
+ */
+class ConfigStore {
+  /**
+   * Inputs:
+   *   - storage: Object with sync and local storage areas (default: chrome.storage)
+   */
+  constructor(storage = (typeof chrome !== 'undefined' ? chrome.storage : null)) {
+    this.storage = storage;
+  }
+
+  getSyncQuota(name) {
+    return this.storage.sync[name] || DEFAULT_SYNC_QUOTAS[name];
+  }
+
+  /**
+   * Returns where this device keeps rules and groups.
+   *
+   * Outputs: Promise resolving to { area: 'sync' | 'local', reason: null | 'quota' | 'user' }
+   */
+  async getStorageState() {
+    const data = await this.storage.local.get([STORAGE_STATE_KEY]);
+    return { area: 'sync', reason: null, ...(data[STORAGE_STATE_KEY] || {}) };
+  }
+
+  /**
+   * Reads configuration values. Same shape as chrome.storage.sync.get(keys).
+   *
+   * Inputs:
+   *   - keys: Array of key strings
+   *
+   * Outputs: Promise resolving to an object with the keys that are set
+   */
+  async get(keys) {
+    const listKeys = keys.filter(key => LIST_KEYS.includes(key));
+    const plainKeys = keys.filter(key => !LIST_KEYS.includes(key));
+    const result = plainKeys.length > 0 ? await this.storage.sync.get(plainKeys) : {};
+    if (listKeys.length === 0) return result;
+
+    const { area } = await this.getStorageState();
+    const values = area === 'local'
+      ? await this.storage.local.get(listKeys)
+      : await this.readSyncLists(listKeys);
+    listKeys.forEach(key => {
+      if (values[key] !== undefined) result[key] = values[key];
+    });
+    return result;
+  }
+
+  /**
+   * Reads rules/groups from sync, joining chunks (or using the old single-key layout).
+   */
+  async readSyncLists(listKeys) {
+    const data = await this.storage.sync.get([...listKeys, ...listKeys.map(getChunkCountKey)]);
+    const chunkKeys = [];
+    listKeys.forEach(key => {
+      for (let i = 0; i < (data[getChunkCountKey(key)] || 0); i++) chunkKeys.push(getChunkKey(key, i));
+    });
+    const chunks = chunkKeys.length > 0 ? await this.storage.sync.get(chunkKeys) : {};
+
+    const values = {};
+    listKeys.forEach(key => {
+      const count = data[getChunkCountKey(key)];
+      if (!count) {
+        // Not migrated yet (or written by an older version on another device)
+        if (data[key] !== undefined) values[key] = data[key];
+        return;
+      }
+      const pieces = [];
+      for (let i = 0; i < count; i++) pieces.push(chunks[getChunkKey(key, i)]);
+      if (pieces.some(piece => typeof piece !== 'string')) {
+        // Throw rather than return nothing, so a read-modify-write can't wipe the rules
+        throw new Error(`Stored ${key} are incomplete (${count} chunks expected) - sync may still be in progress`);
+      }
+      values[key] = JSON.parse(pieces.join(''));
+    });
+    return values;
+  }
+
+  /**
+   * Writes configuration values. Same shape as chrome.storage.sync.set(items).
+   * If rules/groups no longer fit in sync, they are moved to storage.local and a
+   * warning is recorded (see getWarning) instead of the write failing.
+   *
+   * Inputs:
+   *   - items: Object of key/value pairs
+   *
+   * Outputs: Promise resolving to { area, warning } - warning is a String or null
+   */
+  async set(items) {
+    const lists = {};
+    const plain = {};
+    Object.entries(items).forEach(([key, value]) => {
+      if (LIST_KEYS.includes(key)) lists[key] = value;
+      else plain[key] = value;
+    });
+
+    if (Object.keys(plain).length > 0) await this.storage.sync.set(plain);
+    if (Object.keys(lists).length === 0) return { area: null, warning: null };
+
+    const { area } = await this.getStorageState();
+    if (area === 'local') {
+      await this.storage.local.set(lists);
+      return { area: 'local', warning: null };
+    }
+
+    try {
+      await this.writeSyncLists(lists);
+      return { area: 'sync', warning: null };
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+      const warning = 'Your rules no longer fit in Chrome sync storage, so they are now saved on this device only. ' +
+        'They will not sync to your other computers. Remove some rules or file types, then turn sync back on in Settings.';
+      await this.moveToLocal(lists, 'quota', warning);
+      return { area: 'local', warning };
+    }
+  }
+
+  /**
+   * Writes rules/groups to sync as chunks and removes chunks left over from longer values.
+   * Each key's chunks and count are written in one set() call so readers never see a mix.
+   */
+  async writeSyncLists(lists) {
+    const maxChunkBytes = this.getSyncQuota('QUOTA_BYTES_PER_ITEM') - CHUNK_HEADROOM_BYTES;
+    const keys = Object.keys(lists);
+    const previous = await this.storage.sync.get(keys.map(getChunkCountKey));
+
+    const writes = {};
+    const stale = [];
+    keys.forEach(key => {
+      const chunks = splitIntoChunks(JSON.stringify(lists[key]), maxChunkBytes);
+      chunks.forEach((chunk, i) => { writes[getChunkKey(key, i)] = chunk; });
+      writes[getChunkCountKey(key)] = chunks.length;
+      for (let i = chunks.length; i < (previous[getChunkCountKey(key)] || 0); i++) stale.push(getChunkKey(key, i));
+      stale.push(key); // Old single-key layout
+    });
+
+    // Fail before writing anything if the result can't fit in sync at all
+    const writeBytes = Object.entries(writes).reduce((total, [key, value]) => total + key.length + getByteSize(JSON.stringify(value)), 0);
+    if (writeBytes > this.getSyncQuota('QUOTA_BYTES')) {
+      throw new Error(`QUOTA_BYTES quota exceeded (${writeBytes} bytes needed)`);
+    }
+
+    await this.storage.sync.set(writes);
+    await this.storage.sync.remove(stale);
+  }
+
+  /**
+   * Moves rules and groups to storage.local for this device.
+   *
+   * Inputs:
+   *   - lists: Object with new rules/groups values being written (others are read from sync)
+   *   - reason: String 'quota' or 'user'
+   *   - warning: String to record for the UI, or null
+   */
+  async moveToLocal(lists, reason, warning = null) {
+    const missingKeys = LIST_KEYS.filter(key => lists[key] === undefined);
+    const current = missingKeys.length > 0 ? await this.readSyncLists(missingKeys) : {};
+    await this.storage.local.set({
+      ...current,
+      ...lists,
+      [STORAGE_STATE_KEY]: { area: 'local', reason },
+      ...(warning ? { [STORAGE_WARNING_KEY]: { message: warning, at: Date.now() } } : {})
+    });
+    if (warning) console.warn('[CONFIG STORE]', warning);
+  }
+
+  /**
+   * Turns syncing of rules and groups on or off for this device.
+   * Turning it on fails (and leaves everything on this device) if they still don't fit.
+   *
+   * Inputs:
+   *   - enabled: Boolean
+   *
+   * Outputs: Promise resolving to { area, warning }
+   */
+  async setSyncEnabled(enabled) {
+    const state = await this.getStorageState();
+    if (!enabled) {
+      if (state.area !== 'local') await this.moveToLocal({}, 'user');
+      else await this.storage.local.set({ [STORAGE_STATE_KEY]: { area: 'local', reason: 'user' } });
+      return { area: 'local', warning: null };
+    }
+    if (state.area === 'sync') return { area: 'sync', warning: null };
+
+    const lists = await this.storage.local.get(LIST_KEYS);
+    try {
+      await this.writeSyncLists(lists);
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+      return { area: 'local', warning: 'Your rules are still too large for Chrome sync storage, so they stay on this device.' };
+    }
+    await this.storage.local.remove([...LIST_KEYS, STORAGE_STATE_KEY, STORAGE_WARNING_KEY]);
+    return { area: 'sync', warning: null };
+  }
+
+  /**
+   * Moves rules/groups stored the old way (one sync item each) into chunks.
+   * Safe to run repeatedly; does nothing once migrated or when stored locally.
+   *
+   * Outputs: Promise resolving to { migrated: Boolean, area, warning }
+   */
+  async migrate() {
+    const { area } = await this.getStorageState();
+    if (area === 'local') return { migrated: false, area, warning: null };
+
+    const data = await this.storage.sync.get([...LIST_KEYS, ...LIST_KEYS.map(getChunkCountKey)]);
+    const legacy = {};
+    LIST_KEYS.forEach(key => {
+      if (data[key] !== undefined && !data[getChunkCountKey(key)]) legacy[key] = data[key];
+    });
+    if (Object.keys(legacy).length === 0) return { migrated: false, area, warning: null };
+
+    const result = await this.set(legacy);
+    return { migrated: true, ...result };
+  }
+
+  /**
+   * Describes how rules/groups are stored, for the Settings page.
+   *
+   * Outputs: Promise resolving to { area, reason, bytesInUse, quotaBytes, warning }
+   */
+  async getUsage() {
+    const state = await this.getStorageState();
+    const bytesInUse = this.storage.sync.getBytesInUse ? await this.storage.sync.getBytesInUse(null) : null;
+    return {
+      ...state,
+      bytesInUse,
+      quotaBytes: this.getSyncQuota('QUOTA_BYTES'),
+      warning: await this.getWarning()
+    };
+  }
+
+  /**
+   * Returns the recorded storage warning message, or null.
+   */
+  async getWarning() {
+    const data = await this.storage.local.get([STORAGE_WARNING_KEY]);
+    return data[STORAGE_WARNING_KEY] ? data[STORAGE_WARNING_KEY].message : null;
+  }
+
+  async clearWarning() {
+    await this.storage.local.remove([STORAGE_WARNING_KEY]);
+  }
+
+  /**
+   * Returns true if a chrome.storage.onChanged event touched rules, groups or saved profiles.
+   *
+   * Inputs:
+   *   - changes: Object from chrome.storage.onChanged
+   *   - areaName: String 'sync' or 'local'
+   */
+  isConfigChange(changes, areaName) {
+    return Object.keys(changes).some(key => {
+      if (areaName === 'local') return LIST_KEYS.includes(key) || key === STORAGE_STATE_KEY;
+      return LIST_KEYS.some(listKey => key === listKey || key === getChunkCountKey(listKey) || key.startsWith(`${listKey}_`));
+    });
+  }
+}
+
+// Key of the warning record, for chrome.storage.onChanged listeners
+ConfigStore.STORAGE_WARNING_KEY = STORAGE_WARNING_KEY;
+
+// Store class and a shared instance on self for page, content script and service worker contexts
+if (typeof self !== 'undefined') {
+  self.ConfigStore = ConfigStore;
+  if (!self.configStore) {
+    self.configStore = new ConfigStore();
+  }
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ConfigStore, splitIntoChunks, STORAGE_WARNING_KEY };
+}
+
+})(); // End of IIFE guard
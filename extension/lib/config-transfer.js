@@ -0,0 +1,357 @@
+/**
+ * config-transfer.js
+ *
+ * Purpose: Import/export of the Download Router configuration as a versioned JSON document.
+ * Role: Lets users back up their setup or share a standard routing setup with a team.
+ *
+ * Key Responsibilities:
+ * - Build the export document (rules, groups and settings)
+ * - Validate an imported document against the schema, rule by rule
+ * - Diff an import against the current configuration for a preview
+ * - Combine an import with the current configuration (merge or replace)
+ *
+ * Architecture:
+ * - Pure functions only: no chrome.* calls, no storage access (options.js does the I/O)
+ * - Uses lib/router.js for rule validation (load router.js first in pages)
+ * - Loadable under Node via require() so it can be tested without Chrome
+ */
+
+// Guard against loading twice in the same page
+(function() {
+  if (typeof self !== 'undefined' && self.ConfigTransfer) {
+    return; // Already loaded, skip
+  }
+
+const DownloadRouter = (typeof self !== 'undefined' && self.DownloadRouter) || require('./router.js');
+
+// Identifies a Download Router configuration file
+const CONFIG_FORMAT = 'download-router-config';
+
+// Current document version. Bump when the document shape changes and teach
+// upgradeDocument how to read the older versions.
+const CONFIG_FORMAT_VERSION = 1;
+
+// Rule types an imported rule may have
+const IMPORTABLE_RULE_TYPES = ['domain', 'url', 'contains', 'glob', 'regex', 'compound'];
+
+// Settings included in the document, with a check for each value
+const SETTING_VALIDATORS = {
+  defaultFolder: (value) => typeof value === 'string',
+  conflictResolution: (value) => value === 'auto' || value === 'ask',
+  confirmationEnabled: (value) => typeof value === 'boolean',
+  confirmationTimeout: (value) => Number.isFinite(value) && value >= 1000 && value <= 17000
+};
+
+// Rule properties compared when deciding whether an imported rule changes an existing one
+const COMPARED_RULE_FIELDS = ['folder', 'priority', 'enabled', 'conditions', 'rename', 'schedule'];
+
+// Group properties compared when deciding whether an imported group changes an existing one
+const COMPARED_GROUP_FIELDS = ['extensions', 'mimeTypes', 'folder', 'priority', 'overrideDomainRules', 'enabled', 'schedule'];
+
+/**
+ * Builds the export document from the stored configuration.
+ *
+ * Inputs:
+ *   - config: Object with rules, groups and the keys in SETTING_VALIDATORS (as stored in sync storage)
+ *   - extensionVersion: Optional string manifest version, recorded for reference
+ *
+ * Outputs: Object export document (serialize with JSON.stringify)
+ */
+function buildExportDocument(config, extensionVersion = '') {
+  const settings = {};
+  Object.keys(SETTING_VALIDATORS).forEach(key => {
+    if (config[key] !== undefined) settings[key] = config[key];
+  });
+
+  return {
+    format: CONFIG_FORMAT,
+    version: CONFIG_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    extensionVersion,
+    rules: config.rules || [],
+    groups: config.groups || {},
+    settings
+  };
+}
+
+/**
+ * Upgrades an older document to the current version.
+ * Version 1 is the first version, so there is nothing to upgrade yet.
+ *
+ * Inputs:
+ *   - doc: Parsed document with a version <= CONFIG_FORMAT_VERSION
+ *
+ * Outputs: Document in the current shape
+ */
+function upgradeDocument(doc) {
+  return doc;
+}
+
+/**
+ * Validates one imported rule.
+ *
+ * Inputs:
+ *   - rule: Rule object from the document
+ *
+ * Outputs: String error message, or null if the rule is valid
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return 'must be an object';
+  if (!IMPORTABLE_RULE_TYPES.includes(rule.type)) return `unknown rule type "${rule.type}"`;
+  if (typeof rule.folder !== 'string') return 'folder must be a string';
+  if (rule.priority !== undefined && !Number.isFinite(parseFloat(rule.priority))) return 'priority must be a number';
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') return 'enabled must be true or false';
+  if (rule.siteAdapter !== undefined && typeof rule.siteAdapter !== 'boolean') return 'siteAdapter must be true or false';
+
+  if (rule.type === 'compound') {
+    const error = DownloadRouter.validateConditions(rule.conditions);
+    if (error) return error;
+  } else {
+    if (typeof rule.value !== 'string' || !rule.value.trim()) return 'value must be a non-empty string';
+    const error = DownloadRouter.validateRuleValue(rule.type, rule.value) || DownloadRouter.validateMatchScope(rule.matchScope);
+    if (error) return error;
+  }
+
+  const pageVariableError = DownloadRouter.validateRulePageVariables(rule);
+  if (pageVariableError) return `page variables: ${pageVariableError}`;
+  const scheduleError = DownloadRouter.validateSchedule(rule.schedule);
+  if (scheduleError) return scheduleError;
+
+  const variables = DownloadRouter.getRuleTemplateVariables(rule);
+  return DownloadRouter.validatePathTemplate(rule.folder, variables) || DownloadRouter.validateRename(rule.rename, variables);
+}
+
+/**
+ * Validates one imported file type group.
+ *
+ * Inputs:
+ *   - group: Group object from the document
+ *
+ * Outputs: String error message, or null if the group is valid
+ */
+function validateGroup(group) {
+  if (!group || typeof group !== 'object' || Array.isArray(group)) return 'must be an object';
+  if (typeof group.extensions !== 'string') return 'extensions must be a string';
+  if (group.mimeTypes !== undefined) {
+    if (typeof group.mimeTypes !== 'string') return 'mimeTypes must be a string';
+    const error = DownloadRouter.validateMimePatterns(group.mimeTypes);
+    if (error) return error;
+  }
+  if (!group.extensions.trim() && !(group.mimeTypes || '').trim()) return 'needs extensions or mimeTypes';
+  if (typeof group.folder !== 'string') return 'folder must be a string';
+  if (group.priority !== undefined && !Number.isFinite(parseFloat(group.priority))) return 'priority must be a number';
+  if (group.enabled !== undefined && typeof group.enabled !== 'boolean') return 'enabled must be true or false';
+  if (group.overrideDomainRules !== undefined && typeof group.overrideDomainRules !== 'boolean') {
+    return 'overrideDomainRules must be true or false';
+  }
+  return DownloadRouter.validateSchedule(group.schedule) || DownloadRouter.validatePathTemplate(group.folder);
+}
+
+/**
+ * Parses and validates an imported configuration file.
+ *
+ * Inputs:
+ *   - text: String file contents
+ *
+ * Outputs: Object { config, errors }
+ *   - config: { rules, groups, settings } when valid, otherwise null
+ *   - errors: Array of messages, each prefixed with where the problem is (e.g. "rules[2]: ...")
+ */
+function parseImportDocument(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (error) {
+    return { config: null, errors: [`Not valid JSON: ${error.message}`] };
+  }
+
+  if (!doc || typeof doc !== 'object' || doc.format !== CONFIG_FORMAT) {
+    return { config: null, errors: ['Not a Download Router configuration file'] };
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    return { config: null, errors: ['Missing or invalid version'] };
+  }
+  if (doc.version > CONFIG_FORMAT_VERSION) {
+    return { config: null, errors: [`File is version ${doc.version}; this extension reads up to version ${CONFIG_FORMAT_VERSION}. Update the extension and try again.`] };
+  }
+
+  doc = upgradeDocument(doc);
+  const errors = [];
+  const rules = doc.rules === undefined ? [] : doc.rules;
+  const groups = doc.groups === undefined ? {} : doc.groups;
+  const settings = doc.settings === undefined ? {} : doc.settings;
+
+  if (!Array.isArray(rules)) {
+    errors.push('rules: must be a list');
+  } else {
+    rules.forEach((rule, index) => {
+      const error = validateRule(rule);
+      if (error) errors.push(`rules[${index}]: ${error}`);
+    });
+  }
+
+  if (!groups || typeof groups !== 'object' || Array.isArray(groups)) {
+    errors.push('groups: must be an object keyed by group name');
+  } else {
+    Object.entries(groups).forEach(([name, group]) => {
+      const error = validateGroup(group);
+      if (error) errors.push(`groups["${name}"]: ${error}`);
+    });
+  }
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    errors.push('settings: must be an object');
+  } else {
+    Object.entries(settings).forEach(([key, value]) => {
+      const isValid = SETTING_VALIDATORS[key];
+      if (!isValid) {
+        errors.push(`settings.${key}: unknown setting`);
+      } else if (!isValid(value)) {
+        errors.push(`settings.${key}: invalid value ${JSON.stringify(value)}`);
+      }
+    });
+  }
+
+  if (errors.length > 0) return { config: null, errors };
+
+  // Compound rule values are generated summaries - regenerate rather than trust the file
+  const importedRules = rules.map(rule => rule.type === 'compound'
+    ? { ...rule, value: DownloadRouter.describeConditions(rule.conditions) }
+    : rule
+  );
+  return { config: { rules: importedRules, groups, settings }, errors: [] };
+}
+
+/**
+ * Returns the key identifying a rule: the same type and value count as the same rule
+ * (matches how background.js addRule de-duplicates).
+ */
+function getRuleKey(rule) {
+  return `${rule.type}:${rule.value}`;
+}
+
+function isSameItem(a, b, fields) {
+  return fields.every(field => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+}
+
+/**
+ * Compares an import with the current configuration for the preview.
+ *
+ * Inputs:
+ *   - current: Object { rules, groups, settings } currently stored
+ *   - incoming: Object { rules, groups, settings } from parseImportDocument
+ *   - mode: String 'merge' (keep items not in the file) or 'replace' (drop them)
+ *
+ * Outputs: Object {
+ *     rules: { added, changed, unchanged, removed } - arrays of rules,
+ *     groups: { added, changed, unchanged, removed } - arrays of group names,
+ *     settings: Array of { key, from, to } for settings the import changes
+ *   }
+ */
+function diffConfig(current, incoming, mode = 'merge') {
+  const currentRules = new Map((current.rules || []).map(rule => [getRuleKey(rule), rule]));
+  const incomingRuleKeys = new Set();
+  const rules = { added: [], changed: [], unchanged: [], removed: [] };
+
+  (incoming.rules || []).forEach(rule => {
+    const key = getRuleKey(rule);
+    incomingRuleKeys.add(key);
+    const existing = currentRules.get(key);
+    if (!existing) {
+      rules.added.push(rule);
+    } else if (isSameItem(existing, rule, COMPARED_RULE_FIELDS)) {
+      rules.unchanged.push(rule);
+    } else {
+      rules.changed.push(rule);
+    }
+  });
+  if (mode === 'replace') {
+    rules.removed = (current.rules || []).filter(rule => !incomingRuleKeys.has(getRuleKey(rule)));
+  }
+
+  const currentGroups = current.groups || {};
+  const incomingGroups = incoming.groups || {};
+  const groups = { added: [], changed: [], unchanged: [], removed: [] };
+  Object.entries(incomingGroups).forEach(([name, group]) => {
+    if (!currentGroups[name]) {
+      groups.added.push(name);
+    } else if (isSameItem(currentGroups[name], group, COMPARED_GROUP_FIELDS)) {
+      groups.unchanged.push(name);
+    } else {
+      groups.changed.push(name);
+    }
+  });
+  if (mode === 'replace') {
+    groups.removed = Object.keys(currentGroups).filter(name => !incomingGroups[name]);
+  }
+
+  const currentSettings = current.settings || {};
+  const settings = Object.entries(incoming.settings || {})
+    .filter(([key, value]) => JSON.stringify(currentSettings[key]) !== JSON.stringify(value))
+    .map(([key, value]) => ({ key, from: currentSettings[key], to: value }));
+
+  return { rules, groups, settings };
+}
+
+/**
+ * Combines an import with the current configuration.
+ * Merge: imported rules/groups replace ones with the same key/name, new ones are
+ *        appended, everything else is kept.
+ * Replace: rules and groups become exactly the imported ones.
+ * In both modes only the settings present in the file are changed.
+ *
+ * Inputs:
+ *   - current: Object { rules, groups, settings } currently stored
+ *   - incoming: Object { rules, groups, settings } from parseImportDocument
+ *   - mode: String 'merge' or 'replace'
+ *
+ * Outputs: Object { rules, groups, settings } to store
+ */
+function applyImport(current, incoming, mode = 'merge') {
+  const settings = { ...(current.settings || {}), ...(incoming.settings || {}) };
+
+  if (mode === 'replace') {
+    return {
+      rules: [...(incoming.rules || [])],
+      groups: { ...(incoming.groups || {}) },
+      settings
+    };
+  }
+
+  const rules = [...(current.rules || [])];
+  (incoming.rules || []).forEach(rule => {
+    const index = rules.findIndex(existing => getRuleKey(existing) === getRuleKey(rule));
+    if (index >= 0) {
+      rules[index] = rule;
+    } else {
+      rules.push(rule);
+    }
+  });
+
+  return {
+    rules,
+    groups: { ...(current.groups || {}), ...(incoming.groups || {}) },
+    settings
+  };
+}
+
+const ConfigTransfer = {
+  CONFIG_FORMAT,
+  CONFIG_FORMAT_VERSION,
+  buildExportDocument,
+  parseImportDocument,
+  diffConfig,
+  applyImport
+};
+
+// Store on self for page contexts
+if (typeof self !== 'undefined') {
+  self.ConfigTransfer = ConfigTransfer;
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfigTransfer;
+}
+
+})(); // End of IIFE guard
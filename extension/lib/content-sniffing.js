@@ -0,0 +1,248 @@
+/**
+ * content-sniffing.js
+ *
+ * Purpose: Decides what to do with a finished download once the companion app has read
+ *          its first bytes and reported its real type.
+ * Role: Many servers send application/octet-stream with a missing or wrong extension, so
+ *       the file lands in the wrong group's folder (or none). This module works out whether
+ *       a download is worth sniffing, the corrected filename, and where the corrected file
+ *       belongs, by routing it again with the sniffed extension and MIME type.
+ *
+ * Key Responsibilities:
+ * - Pick downloads whose type is uncertain (generic MIME type, or no group claims them)
+ * - Correct the filename's extension (append or replace) for the sniffed type
+ * - Re-route through lib/router.js and plan a rename and/or move via the companion app
+ *
+ * Architecture:
+ * - Pure functions so they can be tested under Node; background.js does the sniff and move
+ * - A file is only moved to another folder when the sniffed type belongs to a different
+ *   group than the one originally matched, and the folder came from a rule or group; otherwise
+ *   it is renamed where it is. A folder the user chose (downloadInfo.customLocation, set by the
+ *   overlay's location editor, its site suggestion and Save As) is never overridden, and
+ *   neither is the project folder of a download project mode took.
+ */
+
+// Guard against loading twice in the same context
+(function() {
+  if (typeof self !== 'undefined' && self.ContentSniffing) {
+    return; // Already loaded, skip
+  }
+
+const DownloadRouter = (typeof self !== 'undefined' && self.DownloadRouter) || require('./router.js');
+
+// MIME types that say nothing about the content
+const GENERIC_MIME_TYPES = [
+  'application/octet-stream',
+  'binary/octet-stream',
+  'application/binary',
+  'application/x-download',
+  'application/force-download',
+  'application/download',
+  'application/unknown'
+];
+
+// Extensions that name the same type; a file whose extension is in the sniffed type's
+// family is left alone (ZIP-based formats sniff as their container or as each other)
+const EXTENSION_FAMILIES = [
+  ['jpg', 'jpeg', 'jpe', 'jfif'],
+  ['mp4', 'm4v', 'm4a', 'm4b', 'mov', '3gp', 'heic', 'heif', 'avif'],
+  ['mkv', 'mka', 'webm'],
+  ['gz', 'tgz', 'gzip'],
+  ['tar'],
+  ['exe', 'dll', 'msi', 'sys', 'scr', 'com'],
+  ['zip', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'epub', 'jar', 'apk', '3mf', 'xpi', 'crx', 'nupkg', 'whl', 'vsix', 'ipa', 'cbz'],
+  ['mp3', 'mpga'],
+  ['ogg', 'oga', 'ogv', 'opus']
+];
+
+// Extensions the companion app can report. A file carrying one of these is renamed to the
+// sniffed extension; any other extension (download.php, file.bin) is kept and the sniffed
+// one appended.
+const SNIFFABLE_EXTENSIONS = [
+  'pdf', 'png', 'jpg', 'gif', 'webp', 'avi', 'wav', 'mp4', 'mov', 'm4a', 'heic', 'avif', 'mkv', 'webm',
+  '7z', 'rar', 'gz', 'tar', 'glb', 'mp3', 'ogg', 'flac', 'deb', 'rpm', 'exe', 'stl',
+  'zip', '3mf', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'epub', 'apk', 'jar'
+];
+
+function isGenericMime(mime) {
+  const normalized = DownloadRouter.normalizeMime(mime);
+  return !normalized || GENERIC_MIME_TYPES.includes(normalized);
+}
+
+function getExtension(filename) {
+  return DownloadRouter.splitFilename(filename).ext.toLowerCase();
+}
+
+function isSameType(extension, sniffedExtension) {
+  if (extension === sniffedExtension) return true;
+  return EXTENSION_FAMILIES.some(family => family.includes(extension) && family.includes(sniffedExtension));
+}
+
+function getGroupName(groups, extension, mime) {
+  const [match] = DownloadRouter.findFileTypeMatches(groups, extension, [], mime);
+  return match ? match.groupName : null;
+}
+
+/**
+ * Decides whether a finished download's type is uncertain enough to sniff: the server sent
+ * no useful MIME type, or no file type group claims the file.
+ *
+ * Inputs:
+ *   - downloadInfo: Object tracked in pendingDownloads (filename, mime)
+ *   - groups: Object file type groups
+ *
+ * Outputs: Boolean
+ */
+function shouldSniffDownload(downloadInfo, groups) {
+  if (isGenericMime(downloadInfo.mime)) return true;
+  return !getGroupName(groups, getExtension(downloadInfo.filename), downloadInfo.mime);
+}
+
+/**
+ * Gives a filename the extension of its sniffed type.
+ *
+ * Inputs:
+ *   - filename: String current filename
+ *   - sniffedExtension: String extension reported by the companion app
+ *
+ * Outputs: String corrected filename (unchanged if the extension already fits)
+ */
+function correctFilenameExtension(filename, sniffedExtension) {
+  const { base, ext } = DownloadRouter.splitFilename(filename);
+  const extension = ext.toLowerCase();
+  if (!sniffedExtension || isSameType(extension, sniffedExtension)) return filename;
+  if (SNIFFABLE_EXTENSIONS.includes(extension)) return `${base}.${sniffedExtension}`;
+  return `${DownloadRouter.extractFilename(filename)}.${sniffedExtension}`;
+}
+
+function getDirectory(filePath) {
+  return filePath.substring(0, Math.max(filePath.lastIndexOf('/'), filePath.lastIndexOf('\\')));
+}
+
+function getSeparator(filePath) {
+  return filePath.includes('\\') && !filePath.includes('/') ? '\\' : '/';
+}
+
+/**
+ * Works out the Downloads folder from where Chrome saved a file.
+ *
+ * Inputs:
+ *   - downloadPath: String absolute path Chrome saved the file to
+ *   - downloadInfo: Object (resolvedPath, needsMove)
+ *
+ * Outputs: String absolute Downloads folder, or null if it can't be told
+ */
+function getDownloadsRoot(downloadPath, downloadInfo) {
+  const savedIn = getDirectory(downloadPath);
+  // Absolute destinations are saved in the Downloads root first, then moved
+  if (downloadInfo.needsMove) return savedIn;
+  const folder = getDirectory(downloadInfo.resolvedPath || '');
+  if (!folder) return savedIn;
+  const suffix = getSeparator(savedIn) + folder.split('/').join(getSeparator(savedIn));
+  return savedIn.endsWith(suffix) ? savedIn.slice(0, -suffix.length) : null;
+}
+
+/**
+ * Plans how to fix a finished download after sniffing: rename it to the sniffed type's
+ * extension and, when that type belongs to a different group than the one originally
+ * matched, move it to where the download would have been routed with the right type -
+ * unless the user chose its folder or project mode took it, which keeps the folder.
+ *
+ * Inputs:
+ *   - downloadInfo: Object tracked in pendingDownloads (filename, mime, url, referrer,
+ *     finalUrl, tabUrl, fileSize, referrerTitle, startTime, resolvedPath, needsMove,
+ *     actualDownloadPath, customLocation, finalRule)
+ *   - sniffed: Object { extension, mime } reported by the companion app
+ *   - config: Object { rules, groups, defaultFolder, conflictResolution, projectMode }
+ *   - currentPath: String absolute path of the file now (its name may differ from
+ *     downloadInfo.filename if Chrome made it unique)
+ *
+ * Outputs: null if nothing needs to change, otherwise Object {
+ *   filename: String corrected filename,
+ *   destination: String absolute destination file path for moveFile,
+ *   fromGroup: String|null group originally matched,
+ *   toGroup: String|null group of the sniffed type,
+ *   rerouted: Boolean (true if the file changes folder),
+ *   route: Object routeDownload result for the corrected file
+ * }
+ */
+function planTypeCorrection(downloadInfo, sniffed, config, currentPath) {
+  if (!sniffed || !sniffed.extension || !currentPath) return null;
+  // The name already fits the content (a .docx sniffs as a ZIP archive, a .jpeg as .jpg)
+  if (isSameType(getExtension(downloadInfo.filename), sniffed.extension)) return null;
+  const groups = config.groups || {};
+
+  // Chrome may have added " (1)" to the saved name, so correct the name on disk
+  const savedName = DownloadRouter.extractFilename(currentPath);
+  const filename = correctFilenameExtension(savedName, sniffed.extension);
+  const fromGroup = getGroupName(groups, getExtension(downloadInfo.filename), downloadInfo.mime);
+  const toGroup = getGroupName(groups, sniffed.extension, sniffed.mime);
+  if (filename === savedName && fromGroup === toGroup) return null;
+
+  // Route again as if the server had named the file properly (rules match the original name)
+  const route = DownloadRouter.routeDownload({
+    url: downloadInfo.url,
+    filename: correctFilenameExtension(downloadInfo.originalFilename || downloadInfo.filename, sniffed.extension),
+    referrer: downloadInfo.referrer,
+    finalUrl: downloadInfo.finalUrl,
+    tabUrl: downloadInfo.tabUrl,
+    tabContext: downloadInfo.tabContext,
+    pageData: downloadInfo.pageData,
+    mime: sniffed.mime || '',
+    fileSize: downloadInfo.fileSize,
+    referrerTitle: downloadInfo.referrerTitle,
+    date: downloadInfo.startTime
+  }, config);
+
+  let folder = getDirectory(currentPath);
+  let rerouted = false;
+  // A folder the user chose, or the project folder, is kept whatever the type turns out to be
+  const keepFolder = downloadInfo.customLocation || (downloadInfo.finalRule && downloadInfo.finalRule.source === 'project');
+  if (fromGroup !== toGroup && !keepFolder) {
+    let routedFolder = route.absoluteDestination;
+    if (!route.needsMove) {
+      const downloadsRoot = getDownloadsRoot(downloadInfo.actualDownloadPath || currentPath, downloadInfo);
+      const relativeFolder = getDirectory(route.resolvedPath);
+      routedFolder = downloadsRoot === null || !relativeFolder
+        ? downloadsRoot
+        : downloadsRoot + getSeparator(downloadsRoot) + relativeFolder.split('/').join(getSeparator(downloadsRoot));
+    }
+    if (routedFolder) {
+      routedFolder = routedFolder.replace(/[/\\]+$/, '');
+      rerouted = routedFolder !== folder;
+      folder = routedFolder;
+    }
+  }
+
+  if (!rerouted && filename === savedName) return null;
+  return {
+    filename,
+    destination: folder + getSeparator(folder) + filename,
+    fromGroup,
+    toGroup,
+    rerouted,
+    route
+  };
+}
+
+const ContentSniffing = {
+  GENERIC_MIME_TYPES,
+  SNIFFABLE_EXTENSIONS,
+  isGenericMime,
+  shouldSniffDownload,
+  correctFilenameExtension,
+  getDownloadsRoot,
+  planTypeCorrection
+};
+
+// Store on self for service worker context
+if (typeof self !== 'undefined') {
+  self.ContentSniffing = ContentSniffing;
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContentSniffing;
+}
+
+})(); // End of IIFE guard
@@ -0,0 +1,226 @@
+/**
+ * domain-names.js
+ *
+ * Purpose: Host name helpers for the Download Router Chrome extension.
+ * Role: Gives every part of the extension one way to compare and shorten host names:
+ *       internationalized names (IDN) are converted between their punycode form
+ *       ("xn--bcher-kva.de", what URLs carry) and their Unicode form ("bücher.de", what
+ *       people type), and the registrable domain of a host ("bbc.co.uk" for
+ *       "news.bbc.co.uk") is found with a bundled copy of the Public Suffix List.
+ *
+ * Key Responsibilities:
+ * - Punycode decoding of host labels (RFC 3492); encoding is done by the URL parser
+ * - Canonical Unicode form of a host for matching and display
+ * - Public suffix and registrable domain lookup (wildcard and exception rules included)
+ *
+ * Architecture:
+ * - Pure functions only, loaded before lib/router.js (which uses them for domain rules)
+ * - Loaded into the service worker via importScripts (exposed on self.DomainNames), into
+ *   the popup and Options with a script tag, and under Node via require(). Content scripts
+ *   don't load it: the overlay asks background for anything that needs a domain
+ * - PUBLIC_SUFFIXES is the full list from https://publicsuffix.org/list/ (ICANN and private
+ *   sections), bundled as lib/public-suffix-list.js and loaded before this file. Run
+ *   scripts/update-public-suffix-list.js to refresh it. Hosts under suffixes that aren't
+ *   listed fall back to the list's default rule: the last label is the suffix.
+ */
+
+// Guard against multiple importScripts calls - only execute if not already loaded
+(function() {
+  if (typeof self !== 'undefined' && self.DomainNames) {
+    return; // Already loaded, skip
+  }
+
+// Public Suffix List data (generated by scripts/update-public-suffix-list.js) - loaded before this file
+const PublicSuffixList = (typeof self !== 'undefined' && self.PublicSuffixList) || require('./public-suffix-list.js');
+
+// Public Suffix List rules: "a.b" is a suffix, "*.a" makes every label under "a" a
+// suffix, "!x.a" is an exception to such a wildcard
+const PUBLIC_SUFFIXES = PublicSuffixList.RULES;
+
+// Fast lookup sets built once from PUBLIC_SUFFIXES
+const SUFFIX_RULES = new Set(PUBLIC_SUFFIXES.filter(rule => !rule.startsWith('!')));
+const SUFFIX_EXCEPTIONS = new Set(PUBLIC_SUFFIXES.filter(rule => rule.startsWith('!')).map(rule => rule.slice(1)));
+
+// Punycode parameters (RFC 3492 section 5)
+const PUNYCODE_BASE = 36;
+const PUNYCODE_TMIN = 1;
+const PUNYCODE_TMAX = 26;
+const PUNYCODE_SKEW = 38;
+const PUNYCODE_DAMP = 700;
+const PUNYCODE_INITIAL_BIAS = 72;
+const PUNYCODE_INITIAL_N = 128;
+const PUNYCODE_PREFIX = 'xn--';
+
+// Dots that browsers accept as label separators in typed host names
+const LABEL_SEPARATORS = /[.。．｡]/;
+
+function adaptBias(delta, numPoints, firstTime) {
+  delta = firstTime ? Math.floor(delta / PUNYCODE_DAMP) : delta >> 1;
+  delta += Math.floor(delta / numPoints);
+  let k = 0;
+  while (delta > ((PUNYCODE_BASE - PUNYCODE_TMIN) * PUNYCODE_TMAX) >> 1) {
+    delta = Math.floor(delta / (PUNYCODE_BASE - PUNYCODE_TMIN));
+    k += PUNYCODE_BASE;
+  }
+  return k + Math.floor((PUNYCODE_BASE - PUNYCODE_TMIN + 1) * delta / (delta + PUNYCODE_SKEW));
+}
+
+function getThreshold(k, bias) {
+  if (k <= bias) return PUNYCODE_TMIN;
+  if (k >= bias + PUNYCODE_TMAX) return PUNYCODE_TMAX;
+  return k - bias;
+}
+
+function charToDigit(code) {
+  if (code >= 48 && code <= 57) return code - 22;
+  if (code >= 65 && code <= 90) return code - 65;
+  if (code >= 97 && code <= 122) return code - 97;
+  return PUNYCODE_BASE;
+}
+
+/**
+ * Decodes one punycode label (without the "xn--" prefix).
+ *
+ * Inputs:
+ *   - encoded: String punycode, e.g. "bcher-kva"
+ *
+ * Outputs: String Unicode label, e.g. "bücher" (throws on malformed input)
+ */
+function decodePunycode(encoded) {
+  const basicEnd = Math.max(encoded.lastIndexOf('-'), 0);
+  const output = [];
+  for (let j = 0; j < basicEnd; j++) {
+    if (encoded.charCodeAt(j) >= 0x80) throw new Error('Invalid punycode');
+    output.push(encoded.charCodeAt(j));
+  }
+
+  let i = 0;
+  let n = PUNYCODE_INITIAL_N;
+  let bias = PUNYCODE_INITIAL_BIAS;
+  for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < encoded.length;) {
+    const previousI = i;
+    for (let w = 1, k = PUNYCODE_BASE; ; k += PUNYCODE_BASE) {
+      if (index >= encoded.length) throw new Error('Invalid punycode');
+      const digit = charToDigit(encoded.charCodeAt(index++));
+      if (digit >= PUNYCODE_BASE) throw new Error('Invalid punycode');
+      i += digit * w;
+      const t = getThreshold(k, bias);
+      if (digit < t) break;
+      w *= PUNYCODE_BASE - t;
+    }
+    const length = output.length + 1;
+    bias = adaptBias(i - previousI, length, previousI === 0);
+    n += Math.floor(i / length);
+    i %= length;
+    if (n > 0x10FFFF) throw new Error('Invalid punycode');
+    output.splice(i++, 0, n);
+  }
+  return String.fromCodePoint(...output);
+}
+
+/**
+ * Converts a host name to its canonical Unicode form: lowercase, NFC-normalized, with
+ * punycode labels decoded. Wildcards and other pattern characters are kept, so rule
+ * patterns can be normalized the same way as real hosts.
+ *
+ * Inputs:
+ *   - host: String host name or host pattern ("xn--bcher-kva.de", "*.BÜCHER.de")
+ *
+ * Outputs: String Unicode host ("bücher.de", "*.bücher.de")
+ */
+function toUnicode(host) {
+  return String(host || '').split(LABEL_SEPARATORS).map(label => {
+    const lower = label.normalize('NFC').toLowerCase();
+    if (!lower.startsWith(PUNYCODE_PREFIX)) return lower;
+    try {
+      return decodePunycode(lower.slice(PUNYCODE_PREFIX.length)).normalize('NFC').toLowerCase();
+    } catch (e) {
+      return lower;  // Not valid punycode - keep as typed
+    }
+  }).join('.');
+}
+
+/**
+ * Converts a host name to its ASCII (punycode) form, as it appears in URLs. The URL parser
+ * does the IDNA encoding; hosts it rejects are returned in lowercase as typed.
+ *
+ * Inputs:
+ *   - host: String host name ("bücher.de")
+ *
+ * Outputs: String ASCII host ("xn--bcher-kva.de")
+ */
+function toASCII(host) {
+  const unicode = toUnicode(host);
+  try {
+    return new URL(`http://${unicode}`).hostname;
+  } catch (e) {
+    return unicode;
+  }
+}
+
+function isIPAddress(host) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':');
+}
+
+/**
+ * Finds the public suffix of a host: the part under which anyone can register names
+ * ("co.uk" for "news.bbc.co.uk", "github.io" for "user.github.io").
+ *
+ * Inputs:
+ *   - host: String host name (Unicode or punycode)
+ *
+ * Outputs: String public suffix in Unicode form ('' for IP addresses and empty hosts)
+ */
+function getPublicSuffix(host) {
+  const normalized = toUnicode(host).replace(/\.$/, '');
+  if (!normalized || isIPAddress(normalized)) return '';
+  const labels = normalized.split('.');
+
+  // The longest matching rule wins; an exception rule removes one label from its wildcard
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (SUFFIX_EXCEPTIONS.has(candidate)) return labels.slice(i + 1).join('.');
+    const parent = labels.slice(i + 1).join('.');
+    if (SUFFIX_RULES.has(candidate) || (parent && SUFFIX_RULES.has(`*.${parent}`))) return candidate;
+  }
+  return labels[labels.length - 1];  // Default rule "*": the top-level domain
+}
+
+/**
+ * Finds the registrable domain of a host: its public suffix plus one label
+ * ("bbc.co.uk" for "news.bbc.co.uk", "bücher.de" for "www.xn--bcher-kva.de").
+ *
+ * Inputs:
+ *   - host: String host name (Unicode or punycode)
+ *
+ * Outputs: String registrable domain in Unicode form; the host itself for IP addresses,
+ *          single-label hosts (localhost) and hosts that are a public suffix
+ */
+function getRegistrableDomain(host) {
+  const normalized = toUnicode(host).replace(/\.$/, '');
+  const suffix = getPublicSuffix(normalized);
+  if (!suffix || normalized === suffix) return normalized;
+  const labels = normalized.split('.');
+  return labels.slice(labels.length - suffix.split('.').length - 1).join('.');
+}
+
+const DomainNames = {
+  PUBLIC_SUFFIXES,
+  decodePunycode,
+  toUnicode,
+  toASCII,
+  getPublicSuffix,
+  getRegistrableDomain
+};
+
+// Store on self for service worker and page contexts
+if (typeof self !== 'undefined') {
+  self.DomainNames = DomainNames;
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DomainNames;
+}
+
+})(); // End of IIFE guard
@@ -0,0 +1,320 @@
+/**
+ * download-history.js
+ *
+ * Purpose: Persistent download history.
+ * Role: Records every completed download in IndexedDB and answers the history page's
+ *       search/filter/export requests. Replaces the 10-entry recentActivity list as the
+ *       long-term record (recentActivity still feeds the popup).
+ *
+ * Key Responsibilities:
+ * - Build a history entry from the background script's downloadInfo
+ * - Store entries in IndexedDB (keeping at most MAX_HISTORY_ENTRIES)
+ * - Filter, paginate and export entries (CSV/JSON)
+ *
+ * Architecture:
+ * - The service worker writes (background.js), the history page reads; both share the
+ *   extension origin, so they open the same database
+ * - Filtering and export are pure functions so they can be tested under Node
+ *
+ * External Dependencies:
+ *   - indexedDB: Browser database API
+ */
+
+// Guard against loading twice in the same context
+(function() {
+  if (typeof self !== 'undefined' && self.DownloadHistory && self.downloadHistory) {
+    return; // Already loaded, skip
+  }
+
+const HISTORY_DB_NAME = 'download-router-history';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'downloads';
+
+// Oldest entries are dropped beyond this many
+const MAX_HISTORY_ENTRIES = 10000;
+
+// Columns in CSV export, in order
+const HISTORY_EXPORT_FIELDS = [
+  'completedAt', 'filename', 'originalFilename', 'url', 'referrer', 'mime', 'domain', 'rule', 'finalPath',
+  'fileSize', 'durationMs', 'moved', 'routed'
+];
+
+// Filter value for downloads that no rule matched
+const NO_RULE_FILTER = '__none__';
+
+/**
+ * Returns a short label for the rule that routed a download, e.g. "domain: github.com".
+ *
+ * Inputs:
+ *   - rule: finalRule object from routeDownload (or null)
+ *
+ * Outputs: String label, or '' if no rule matched
+ */
+function getRuleLabel(rule) {
+  if (!rule) return '';
+  const source = rule.source || rule.type || 'rule';
+  if (source === 'filetype') return `filetype: ${rule.groupName || rule.value}`;
+  return `${source}: ${rule.value}`;
+}
+
+/**
+ * Builds a history entry for a finished download.
+ *
+ * Inputs:
+ *   - downloadInfo: Object tracked by background.js for the download
+ *   - details: Object {
+ *       finalPath: String where the file ended up,
+ *       fileSize: Number bytes (optional),
+ *       endTime: ISO string from chrome.downloads (optional),
+ *       now: Number timestamp used when endTime is missing (optional)
+ *     }
+ *
+ * Outputs: History entry object
+ */
+function createHistoryEntry(downloadInfo, details = {}) {
+  const startedAt = downloadInfo.startTime ? Date.parse(downloadInfo.startTime) : NaN;
+  const endedAt = details.endTime ? Date.parse(details.endTime) : NaN;
+  const completedAt = Number.isFinite(endedAt) ? endedAt : (details.now || Date.now());
+  const fileSize = Number.isFinite(details.fileSize) && details.fileSize > 0
+    ? details.fileSize
+    : (downloadInfo.fileSize > 0 ? downloadInfo.fileSize : null);
+
+  return {
+    // Same download recorded twice (e.g. again after a later move) updates one entry
+    id: `${downloadInfo.id}:${downloadInfo.startTime || ''}`,
+    downloadId: downloadInfo.id,
+    filename: downloadInfo.filename,
+    originalFilename: downloadInfo.originalFilename || downloadInfo.filename,
+    url: downloadInfo.url || '',
+    referrer: downloadInfo.referrer || '',
+    mime: downloadInfo.mime || '',
+    domain: downloadInfo.domain || '',
+    rule: getRuleLabel(downloadInfo.finalRule),
+    finalPath: details.finalPath || '',
+    fileSize,
+    startedAt: Number.isFinite(startedAt) ? startedAt : null,
+    completedAt,
+    durationMs: Number.isFinite(startedAt) ? Math.max(0, completedAt - startedAt) : null,
+    moved: !!downloadInfo.fileMoved,
+    routed: !!downloadInfo.finalRule
+  };
+}
+
+/**
+ * Filters history entries.
+ *
+ * Inputs:
+ *   - entries: Array of history entries
+ *   - filters: Object {
+ *       search: String matched case-insensitively against filename, URL and path,
+ *       rule: String rule label, or NO_RULE_FILTER for unrouted downloads,
+ *       domain: String exact domain,
+ *       from: Number timestamp (inclusive), to: Number timestamp (exclusive)
+ *     } - empty values are ignored
+ *
+ * Outputs: Array of matching entries (same order)
+ */
+function filterHistoryEntries(entries, filters = {}) {
+  const search = (filters.search || '').trim().toLowerCase();
+  return entries.filter(entry => {
+    if (search && ![entry.filename, entry.originalFilename, entry.url, entry.finalPath]
+      .some(value => (value || '').toLowerCase().includes(search))) {
+      return false;
+    }
+    if (filters.rule === NO_RULE_FILTER ? entry.rule : (filters.rule && entry.rule !== filters.rule)) return false;
+    if (filters.domain && entry.domain !== filters.domain) return false;
+    if (Number.isFinite(filters.from) && entry.completedAt < filters.from) return false;
+    if (Number.isFinite(filters.to) && entry.completedAt >= filters.to) return false;
+    return true;
+  });
+}
+
+/**
+ * Returns one page of entries.
+ *
+ * Inputs:
+ *   - entries: Array of entries
+ *   - page: Number 1-based page (clamped to the available pages)
+ *   - pageSize: Number entries per page
+ *
+ * Outputs: Object { entries, page, pageCount, total }
+ */
+function paginateEntries(entries, page, pageSize) {
+  const pageCount = Math.max(1, Math.ceil(entries.length / pageSize));
+  const current = Math.min(Math.max(1, page || 1), pageCount);
+  return {
+    entries: entries.slice((current - 1) * pageSize, current * pageSize),
+    page: current,
+    pageCount,
+    total: entries.length
+  };
+}
+
+/**
+ * Returns the rules and domains present in the history, for the filter dropdowns.
+ *
+ * Outputs: Object { rules: sorted Array of labels, domains: sorted Array }
+ */
+function getHistoryFilterOptions(entries) {
+  const rules = new Set();
+  const domains = new Set();
+  entries.forEach(entry => {
+    if (entry.rule) rules.add(entry.rule);
+    if (entry.domain) domains.add(entry.domain);
+  });
+  return { rules: [...rules].sort(), domains: [...domains].sort() };
+}
+
+function formatCSVValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Stop spreadsheets from running a filename like "=cmd()" as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts entries to CSV (header row plus one row per entry, dates as ISO strings).
+ */
+function entriesToCSV(entries) {
+  const rows = entries.map(entry => HISTORY_EXPORT_FIELDS.map(field => {
+    const value = entry[field];
+    return formatCSVValue(field === 'completedAt' && value ? new Date(value).toISOString() : value);
+  }).join(','));
+  return [HISTORY_EXPORT_FIELDS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Converts entries to a JSON export (dates as ISO strings).
+ */
+function entriesToJSON(entries) {
+  return JSON.stringify(entries.map(entry => ({
+    ...entry,
+    startedAt: entry.startedAt ? new Date(entry.startedAt).toISOString() : null,
+    completedAt: new Date(entry.completedAt).toISOString()
+  })), null, 2);
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Download History class
+ * Thin IndexedDB wrapper; see the pure helpers above for filtering and export.
+ */
+class DownloadHistory {
+  /**
+   * Inputs:
+   *   - factory: IndexedDB factory (default: the global indexedDB)
+   */
+  constructor(factory = (typeof indexedDB !== 'undefined' ? indexedDB : null)) {
+    this.factory = factory;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Opens (and on first use creates) the database. The connection is reused.
+   */
+  open() {
+    if (!this.dbPromise) {
+      const request = this.factory.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+        store.createIndex('completedAt', 'completedAt');
+      };
+      this.dbPromise = requestToPromise(request).catch(error => {
+        this.dbPromise = null; // Allow a retry
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Adds or updates an entry, then drops the oldest entries past MAX_HISTORY_ENTRIES.
+   *
+   * Inputs:
+   *   - entry: Object from createHistoryEntry
+   */
+  async record(entry) {
+    const db = await this.open();
+    const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+    const store = transaction.objectStore(HISTORY_STORE);
+    store.put(entry);
+
+    const countRequest = store.count();
+    countRequest.onsuccess = () => {
+      let excess = countRequest.result - MAX_HISTORY_ENTRIES;
+      if (excess <= 0) return;
+      // Oldest first
+      store.index('completedAt').openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || excess <= 0) return;
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+    };
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Returns all entries, newest first.
+   */
+  async getAll() {
+    const db = await this.open();
+    const entries = await requestToPromise(db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).getAll());
+    return entries.sort((a, b) => b.completedAt - a.completedAt);
+  }
+
+  /**
+   * Deletes all entries.
+   */
+  async clear() {
+    const db = await this.open();
+    const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+    transaction.objectStore(HISTORY_STORE).clear();
+    await transactionDone(transaction);
+  }
+}
+
+const helpers = {
+  MAX_HISTORY_ENTRIES,
+  HISTORY_EXPORT_FIELDS,
+  NO_RULE_FILTER,
+  getRuleLabel,
+  createHistoryEntry,
+  filterHistoryEntries,
+  paginateEntries,
+  getHistoryFilterOptions,
+  entriesToCSV,
+  entriesToJSON
+};
+Object.assign(DownloadHistory, helpers);
+
+// Store class and a shared instance on self for the service worker and history page
+if (typeof self !== 'undefined') {
+  self.DownloadHistory = DownloadHistory;
+  if (!self.downloadHistory) {
+    self.downloadHistory = new DownloadHistory();
+  }
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DownloadHistory, ...helpers };
+}
+
+})(); // End of IIFE guard
@@ -0,0 +1,676 @@
+/**
+ * file-names.js
+ *
+ * Purpose: Path and filename helpers for the Download Router Chrome extension.
+ * Role: Builds the paths downloads are saved to and the names they are saved under:
+ *       relative paths for Chrome's downloads API, {variable} destination folders
+ *       ("Receipts/{yyyy}/{mm}"), rule renames and the filename patterns (contains, glob,
+ *       regex) filename rules match with.
+ *
+ * Key Responsibilities:
+ * - Path normalization, sanitization and construction (relative and absolute)
+ * - Expansion and validation of {variable} folder and rename templates
+ * - Filename rewriting for rules with a rename
+ * - Compilation, validation and matching of filename rule patterns
+ *
+ * Architecture:
+ * - Pure functions without dependencies, loaded before lib/router.js (which re-exports them)
+ * - Loaded into the service worker via importScripts (exposed on self.FileNames), into the
+ *   popup and Options with a script tag, into the content script by manifest.json (the
+ *   overlay expands folder templates and previews filename patterns), and under Node via require()
+ */
+
+// Guard against multiple importScripts calls - only execute if not already loaded
+(function() {
+  if (typeof self !== 'undefined' && self.FileNames) {
+    return; // Already loaded, skip
+  }
+
+// Rule types that match against the filename
+const FILENAME_RULE_TYPES = ['contains', 'regex', 'glob'];
+
+// Variables a destination folder may contain, e.g. "Receipts/{yyyy}/{mm}" or "Sites/{domain}"
+const PATH_TEMPLATE_VARIABLES = ['domain', 'ext', 'name', 'date', 'yyyy', 'mm', 'dd', 'referrerTitle'];
+
+// Longest text a single template variable may expand to (page titles can be very long)
+const MAX_TEMPLATE_VALUE_LENGTH = 80;
+
+// Matches a {variable} placeholder in a destination folder or rename template
+const TEMPLATE_VARIABLE_PATTERN = /\{([A-Za-z]+)\}/g;
+
+// Case conversions a rename can apply to the new filename
+const RENAME_CASE_OPTIONS = ['none', 'lower', 'upper', 'title'];
+
+// Longest base name (without extension) a rename may produce
+const MAX_FILENAME_LENGTH = 200;
+
+/**
+ * Path Utility Functions
+ *
+ * These functions handle path normalization, sanitization, and construction
+ * for Chrome's downloads API, which requires relative paths with forward slashes.
+ */
+
+/**
+ * Extracts just the filename from a potentially path-containing string.
+ * Handles both forward and backslash separators.
+ *
+ * Inputs:
+ *   - path: String that may contain a full path or just a filename
+ *
+ * Outputs: String containing just the filename (basename)
+ *
+ * Examples:
+ *   - "file.stl" → "file.stl"
+ *   - "Downloads/file.stl" → "file.stl"
+ *   - "C:\Users\John\Downloads\file.stl" → "file.stl"
+ *   - "folder/subfolder/file.stl" → "file.stl"
+ */
+function extractFilename(path) {
+  if (!path) return '';
+  // Replace backslashes with forward slashes for consistent handling
+  const normalized = path.replace(/\\/g, '/');
+  // Extract last segment (filename)
+  return normalized.split('/').pop();
+}
+
+/**
+ * Normalizes a folder path by:
+ * - Converting backslashes to forward slashes
+ * - Removing leading/trailing slashes
+ * - Collapsing multiple consecutive slashes
+ *
+ * Inputs:
+ *   - path: String path to normalize
+ *
+ * Outputs: String with normalized path (empty string if input is empty/invalid)
+ *
+ * Examples:
+ *   - "3DPrinting" → "3DPrinting"
+ *   - "3DPrinting/" → "3DPrinting"
+ *   - "/3DPrinting" → "3DPrinting"
+ *   - "3DPrinting\\models" → "3DPrinting/models"
+ *   - "3DPrinting//models" → "3DPrinting/models"
+ */
+function normalizePath(path) {
+  if (!path || path.trim() === '') return '';
+  return path
+    .replace(/\\/g, '/')  // Convert backslashes to forward slashes
+    .replace(/^\/+|\/+$/g, '')  // Remove leading/trailing slashes
+    .replace(/\/+/g, '/')  // Collapse multiple slashes
+    .trim();
+}
+
+/**
+ * Sanitizes folder name by removing invalid characters.
+ * Windows invalid chars: < > : " | ? * \
+ * Also prevents path traversal attempts.
+ *
+ * Inputs:
+ *   - folder: String folder name to sanitize
+ *
+ * Outputs: String with sanitized folder name (empty string if input is empty/invalid)
+ *
+ * Examples:
+ *   - "3DPrinting" → "3DPrinting"
+ *   - "Test<Folder>" → "TestFolder"
+ *   - "Folder..name" → "Foldername"
+ *   - "My Files" → "My Files" (spaces preserved)
+ */
+function sanitizeFolderName(folder) {
+  if (!folder) return '';
+  return folder
+    .replace(/[<>:"|?*\\]/g, '')  // Remove invalid characters
+    .replace(/\.\./g, '')  // Prevent path traversal
+    .replace(/^\.+$/, '')  // Remove directories with only dots
+    .trim();
+}
+
+/**
+ * Checks if a path is an absolute path (starts with / on Unix or C:\ on Windows).
+ *
+ * Inputs:
+ *   - path: String path to check
+ *
+ * Outputs: Boolean true if absolute path
+ */
+function isAbsolutePath(path) {
+  if (!path) return false;
+  return /^(\/|[A-Za-z]:[\\\/])/.test(path);
+}
+
+/**
+ * Joins an absolute folder and a filename into the file path the companion app moves a
+ * download to. Always a full file path: the folder (a template such as Receipts/{yyyy}/{mm},
+ * a site adapter subfolder or a new project folder) often doesn't exist yet, and the companion
+ * app can only tell a missing folder from a file path by the name at its end.
+ *
+ * Inputs:
+ *   - folder: String absolute folder path (Unix or Windows separators)
+ *   - filename: String filename
+ *
+ * Outputs: String absolute file path, using the folder's separator
+ *
+ * Examples:
+ *   - ("/Users/me/Receipts/2026/10", "report.pdf") → "/Users/me/Receipts/2026/10/report.pdf"
+ *   - ("C:\Users\me\Receipts\", "report.pdf") → "C:\Users\me\Receipts\report.pdf"
+ */
+function joinAbsolutePath(folder, filename) {
+  const separator = folder.includes('\\') && !folder.includes('/') ? '\\' : '/';
+  return folder.replace(/[/\\]+$/, '') + separator + filename;
+}
+
+/**
+ * Builds a valid relative path for Chrome downloads API.
+ * Returns folder/filename or just filename if folder is empty.
+ *
+ * Chrome's downloads API requires:
+ * - Relative paths (not absolute)
+ * - Forward slashes as separators (even on Windows)
+ * - No path traversal (..) or invalid characters
+ *
+ * Inputs:
+ *   - folder: String folder path (may be empty, may contain nested folders)
+ *   - filename: String filename (may contain path, will be extracted)
+ *
+ * Outputs: String relative path for Chrome downloads API
+ *
+ * Examples:
+ *   - folder: "3DPrinting", filename: "file.stl" → "3DPrinting/file.stl"
+ *   - folder: "3DPrinting/models", filename: "file.stl" → "3DPrinting/models/file.stl"
+ *   - folder: "", filename: "file.stl" → "file.stl"
+ *   - folder: "Downloads", filename: "file.stl" → "file.stl" (Downloads root)
+ *   - folder: "My<Files>", filename: "C:\\path\\file.stl" → "MyFiles/file.stl"
+ */
+function buildRelativePath(folder, filename) {
+  const cleanFolder = normalizePath(folder);
+  const cleanFilename = extractFilename(filename);
+
+  // If folder is empty or just "Downloads", download to Downloads root
+  if (!cleanFolder || cleanFolder === 'Downloads') {
+    return cleanFilename;
+  }
+
+  // Sanitize each folder segment in nested paths
+  const folderSegments = cleanFolder.split('/')
+    .map(segment => sanitizeFolderName(segment))
+    .filter(segment => segment.length > 0);  // Remove empty segments after sanitization
+
+  // If all segments were invalid, download to Downloads root
+  if (folderSegments.length === 0) {
+    return cleanFilename;
+  }
+
+  // Combine: folder1/folder2/filename.ext
+  return `${folderSegments.join('/')}/${cleanFilename}`;
+}
+
+/**
+ * Destination Template Functions
+ *
+ * Rule, group and default folders may contain {variable} placeholders that are
+ * filled in per download. Values are sanitized one at a time, so a variable can
+ * never add path segments or escape the folder it appears in.
+ */
+
+/**
+ * Checks whether a folder contains any {variable} placeholders.
+ *
+ * Inputs:
+ *   - folder: String folder (relative or absolute)
+ *
+ * Outputs: Boolean true if the folder is a template
+ */
+function hasPathTemplate(folder) {
+  return /\{[A-Za-z]+\}/.test(folder || '');
+}
+
+/**
+ * Builds the variable values for a download.
+ *
+ * Inputs:
+ *   - download: Object with domain, extension, filename, optional referrerTitle and
+ *     date (Date, ISO string or timestamp of the download start; defaults to now)
+ *
+ * Outputs: Object mapping each name in PATH_TEMPLATE_VARIABLES to a string
+ */
+function buildPathTemplateValues(download) {
+  let date = download.date ? new Date(download.date) : new Date();
+  if (isNaN(date.getTime())) date = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  const yyyy = String(date.getFullYear());
+  const mm = pad(date.getMonth() + 1);
+  const dd = pad(date.getDate());
+  const filename = extractFilename(download.filename);
+  // {name}.{ext} gives back the filename, multi-part extensions included
+  const { base: name } = splitFilename(filename, download.extension);
+
+  return {
+    domain: download.domain || '',
+    ext: download.extension || '',
+    name,
+    date: `${yyyy}-${mm}-${dd}`,
+    yyyy,
+    mm,
+    dd,
+    referrerTitle: download.referrerTitle || ''
+  };
+}
+
+/**
+ * Makes a variable value safe to use as (part of) one folder segment.
+ * Path separators become dashes, invalid characters are removed and the
+ * result is capped at MAX_TEMPLATE_VALUE_LENGTH characters.
+ *
+ * Inputs:
+ *   - value: String raw value (e.g. a page title)
+ *
+ * Outputs: String sanitized value ('unknown' if nothing usable is left)
+ */
+function sanitizeTemplateValue(value) {
+  const clean = sanitizeFolderName(String(value || '').replace(/[\/\\]+/g, '-'))
+    .replace(/[\x00-\x1f]/g, '')
+    .replace(/\s+/g, ' ')
+    .slice(0, MAX_TEMPLATE_VALUE_LENGTH)
+    .replace(/[. ]+$/, '')  // Windows drops trailing dots/spaces from folder names
+    .trim();
+  return clean || 'unknown';
+}
+
+/**
+ * Fills in the {variable} placeholders of a destination folder.
+ * Folders without placeholders are returned unchanged; unknown placeholders are
+ * left as typed (validatePathTemplate reports them when a rule is saved).
+ *
+ * Inputs:
+ *   - folder: String folder (relative or absolute)
+ *   - values: Object from buildPathTemplateValues
+ *
+ * Outputs: String folder with placeholders replaced
+ *
+ * Examples:
+ *   - "Receipts/{yyyy}/{mm}" → "Receipts/2026/03"
+ *   - "Sites/{domain}" → "Sites/github.com"
+ *   - "/Users/me/{referrerTitle}" → "/Users/me/Release v1.2 - owner-repo"
+ */
+function expandPathTemplate(folder, values) {
+  if (!hasPathTemplate(folder)) return folder;
+  return fillTemplateVariables(folder, values, sanitizeTemplateValue);
+}
+
+/**
+ * Replaces known {variable} placeholders (case-insensitive names) in a template.
+ *
+ * Inputs:
+ *   - template: String template
+ *   - values: Object mapping variable names to raw values
+ *   - sanitizeValue: Function applied to each value before it is inserted
+ *
+ * Outputs: String with known placeholders replaced (unknown ones left as typed)
+ */
+function fillTemplateVariables(template, values, sanitizeValue) {
+  const lookup = {};
+  Object.keys(values || {}).forEach(key => { lookup[key.toLowerCase()] = values[key]; });
+  return template.replace(TEMPLATE_VARIABLE_PATTERN, (placeholder, name) => {
+    const key = name.toLowerCase();
+    return key in lookup ? sanitizeValue(lookup[key]) : placeholder;
+  });
+}
+
+/**
+ * Validates the placeholders in a destination folder.
+ *
+ * Inputs:
+ *   - folder: String folder (relative or absolute)
+ *
+ * Outputs: String error message, or null if every placeholder is known
+ */
+function validatePathTemplate(folder, variables = PATH_TEMPLATE_VARIABLES) {
+  const known = variables.map(name => name.toLowerCase());
+  for (const [placeholder, name] of (folder || '').matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+    if (!known.includes(name.toLowerCase())) {
+      return `Unknown variable ${placeholder}. Available: ${variables.map(v => `{${v}}`).join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Filename Rewriting Functions
+ *
+ * A rule may carry a rename ({ template, find, replace, case }) that rewrites the
+ * filename on save. Steps, in order:
+ * 1. find/replace: regex over the name without its extension; replace may use $1, $<name>
+ * 2. template: builds the new name from {original} (result of step 1) and the folder variables
+ * 3. case: 'lower', 'upper' or 'title'
+ * 4. illegal characters are always stripped; the original extension is always kept
+ */
+
+/**
+ * Splits a filename into its base name and extension (last dot only, unless a multi-part
+ * extension the name ends with is given; leading-dot names such as ".bashrc" have no extension).
+ *
+ * Inputs:
+ *   - filename: String filename
+ *   - extension: Optional string extension to split off (e.g. "tar.gz" from getFileExtension)
+ *
+ * Outputs: Object { base, ext } (ext without the dot, may be empty)
+ */
+function splitFilename(filename, extension = '') {
+  const name = extractFilename(filename);
+  const suffix = extension ? `.${extension}` : '';
+  if (suffix && name.length > suffix.length && name.toLowerCase().endsWith(suffix.toLowerCase())) {
+    return { base: name.slice(0, -suffix.length), ext: name.slice(-extension.length) };
+  }
+  const dotIndex = name.lastIndexOf('.');
+  if (dotIndex <= 0) return { base: name, ext: '' };
+  return { base: name.slice(0, dotIndex), ext: name.slice(dotIndex + 1) };
+}
+
+/**
+ * Strips characters that are illegal in filenames on Windows, macOS or Linux
+ * (path separators become dashes).
+ *
+ * Inputs:
+ *   - name: String base name (no extension)
+ *
+ * Outputs: String safe base name (may be empty)
+ */
+function sanitizeFilename(name) {
+  return String(name || '')
+    .replace(/[/\\]+/g, '-')  // A name can't contain folders
+    .replace(/[<>:"|?*\x00-\x1f]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[. ]+|[. ]+$/g, '')  // No hidden/parent names, no trailing dots (Windows)
+    .slice(0, MAX_FILENAME_LENGTH)
+    .trim();
+}
+
+/**
+ * Checks whether a rename spec would change anything.
+ *
+ * Inputs:
+ *   - rename: Optional rename object from a rule
+ *
+ * Outputs: Boolean
+ */
+function hasRename(rename) {
+  return !!(rename && (rename.template || rename.find || (rename.case && rename.case !== 'none')));
+}
+
+/**
+ * Validates a rule's rename spec before it is saved.
+ *
+ * Inputs:
+ *   - rename: Optional rename object { template, find, replace, case }
+ *   - variables: Optional array of folder variable names the template may use besides
+ *     {original} (default PATH_TEMPLATE_VARIABLES; see getRuleTemplateVariables)
+ *
+ * Outputs: String error message, or null if valid (or absent)
+ */
+function validateRename(rename, variables = PATH_TEMPLATE_VARIABLES) {
+  if (!rename) return null;
+  if (rename.find) {
+    try {
+      parseRegexValue(rename.find);
+    } catch (error) {
+      return `Find pattern: ${error.message}`;
+    }
+  }
+  if (rename.template) {
+    const error = validatePathTemplate(rename.template, ['original', ...variables]);
+    if (error) return `Rename template: ${error}`;
+  }
+  if (rename.case && !RENAME_CASE_OPTIONS.includes(rename.case)) {
+    return `Unknown case option "${rename.case}"`;
+  }
+  return null;
+}
+
+/**
+ * Rewrites a filename according to a rename spec.
+ *
+ * Inputs:
+ *   - filename: String original filename (may contain a path)
+ *   - rename: Rename object { template, find, replace, case } (see section comment)
+ *   - templateValues: Object from buildPathTemplateValues
+ *
+ * Outputs: String new filename (the original name if the rename is empty, invalid or
+ *          would leave nothing behind)
+ *
+ * Examples:
+ *   - "download (3).pdf", { find: '\\s*\\(\\d+\\)$' } → "download.pdf"
+ *   - "file_8a7f2c.zip", { template: '{date}-{domain}-{original}' } → "2026-03-05-github.com-file_8a7f2c.zip"
+ *   - "IMG_0042.JPG", { find: '/^IMG_(\\d+)$/', replace: 'photo-$1', case: 'lower' } → "photo-0042.jpg"
+ */
+function rewriteFilename(filename, rename, templateValues = {}) {
+  const original = extractFilename(filename);
+  if (!hasRename(rename) || validateRename(rename, [...PATH_TEMPLATE_VARIABLES, ...Object.keys(templateValues)])) return original;
+
+  const { base: originalBase, ext } = splitFilename(original, templateValues.ext);
+  let base = originalBase;
+
+  if (rename.find) {
+    const pattern = parseRegexValue(rename.find);
+    const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+    base = base.replace(new RegExp(pattern.source, flags), rename.replace || '');
+  }
+
+  if (rename.template) {
+    base = fillTemplateVariables(rename.template, { ...templateValues, original: base }, sanitizeFilename);
+  }
+
+  let newExt = ext;
+  if (rename.case === 'lower') {
+    base = base.toLowerCase();
+    newExt = ext.toLowerCase();
+  } else if (rename.case === 'upper') {
+    base = base.toUpperCase();
+    newExt = ext.toUpperCase();
+  } else if (rename.case === 'title') {
+    base = base.toLowerCase().replace(/(^|[\s_\-.])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+    newExt = ext.toLowerCase();
+  }
+
+  base = sanitizeFilename(base) || sanitizeFilename(originalBase) || 'download';
+  return newExt ? `${base}.${newExt}` : base;
+}
+
+/**
+ * Filename Pattern Functions
+ *
+ * Filename rules come in three flavours:
+ * - contains: comma-separated phrases, any of which may appear anywhere in the filename
+ * - glob: shell-style pattern matched against the whole filename (e.g. "invoice-*-2026.pdf")
+ * - regex: JavaScript regular expression, either bare ("^IMG_\d{4}") or in literal
+ *   form with flags ("/^IMG_\d{4}\.(heic|jpg)$/i")
+ * All three are case-insensitive unless a regex literal supplies its own flags.
+ */
+
+/**
+ * Checks whether a rule type matches against the filename.
+ *
+ * Inputs:
+ *   - type: String rule type
+ *
+ * Outputs: Boolean true for 'contains', 'regex' and 'glob'
+ */
+function isFilenameRuleType(type) {
+  return FILENAME_RULE_TYPES.includes(type);
+}
+
+/**
+ * Converts a glob pattern into an anchored, case-insensitive regular expression.
+ * Supports * (any run of characters), ? (one character), [abc] / [!abc] character
+ * classes and {a,b} alternatives. Everything else matches literally.
+ *
+ * Inputs:
+ *   - pattern: String glob pattern
+ *
+ * Outputs: RegExp matching the whole filename
+ *
+ * Throws: Error if a [ or { is never closed
+ *
+ * Examples:
+ *   - "invoice-*-2026.pdf" → /^invoice-.*-2026\.pdf$/i
+ *   - "IMG_????.{heic,jpg}" → /^IMG_....\.(?:heic|jpg)$/i
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inAlternatives = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[') {
+      const close = pattern.indexOf(']', i + 2);
+      if (close === -1) throw new Error('Unclosed "[" in glob pattern');
+      let body = pattern.slice(i + 1, close);
+      if (body.startsWith('!')) body = '^' + body.slice(1);
+      source += '[' + body.replace(/\\/g, '\\\\') + ']';
+      i = close;
+    } else if (char === '{' && !inAlternatives) {
+      source += '(?:';
+      inAlternatives = true;
+    } else if (char === '}' && inAlternatives) {
+      source += ')';
+      inAlternatives = false;
+    } else if (char === ',' && inAlternatives) {
+      source += '|';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+    }
+  }
+
+  if (inAlternatives) throw new Error('Unclosed "{" in glob pattern');
+  return new RegExp('^' + source + '$', 'i');
+}
+
+/**
+ * Builds the regular expression for a regex rule value.
+ * Values written as /body/flags keep their flags (g and y are dropped because they
+ * make RegExp.test stateful); bare values are compiled case-insensitively.
+ *
+ * Inputs:
+ *   - value: String regex rule value
+ *
+ * Outputs: RegExp
+ *
+ * Throws: SyntaxError if the pattern or flags are invalid
+ */
+function parseRegexValue(value) {
+  const literal = value.match(/^\/(.+)\/([a-z]*)$/s);
+  if (literal) {
+    return new RegExp(literal[1], literal[2].replace(/[gy]/g, ''));
+  }
+  return new RegExp(value, 'i');
+}
+
+/**
+ * Compiles a glob or regex rule value into a RegExp.
+ *
+ * Inputs:
+ *   - type: String 'regex' or 'glob'
+ *   - value: String pattern
+ *
+ * Outputs: RegExp
+ *
+ * Throws: Error describing why the pattern is invalid
+ */
+function compileFilenamePattern(type, value) {
+  const pattern = (value || '').trim();
+  if (!pattern) throw new Error('Pattern is empty');
+  return type === 'glob' ? globToRegExp(pattern) : parseRegexValue(pattern);
+}
+
+/**
+ * Validates a filename rule value before it is saved.
+ *
+ * Inputs:
+ *   - type: String rule type
+ *   - value: String rule value
+ *
+ * Outputs: String error message, or null if the value is valid (or not a pattern type)
+ */
+function validateFilenamePattern(type, value) {
+  if (type !== 'regex' && type !== 'glob') return null;
+  try {
+    compileFilenamePattern(type, value);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+/**
+ * Tests a filename rule (contains, glob or regex) against a filename.
+ * Invalid patterns never match.
+ *
+ * Inputs:
+ *   - rule: Object with type and value
+ *   - filename: String filename (no path)
+ *
+ * Outputs: Boolean true if the rule matches
+ */
+function matchesFilenameRule(rule, filename) {
+  if (!rule || !rule.value) return false;
+  const name = filename || '';
+
+  if (rule.type === 'contains') {
+    const searchPhrases = rule.value.split(',').map(p => p.trim().toLowerCase()).filter(p => p);
+    return searchPhrases.some(phrase => name.toLowerCase().includes(phrase));
+  }
+
+  if (rule.type === 'regex' || rule.type === 'glob') {
+    try {
+      return compileFilenamePattern(rule.type, rule.value).test(name);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  return false;
+}
+
+const FileNames = {
+  FILENAME_RULE_TYPES,
+  PATH_TEMPLATE_VARIABLES,
+  RENAME_CASE_OPTIONS,
+  extractFilename,
+  normalizePath,
+  sanitizeFolderName,
+  isAbsolutePath,
+  joinAbsolutePath,
+  buildRelativePath,
+  hasPathTemplate,
+  buildPathTemplateValues,
+  expandPathTemplate,
+  fillTemplateVariables,
+  validatePathTemplate,
+  splitFilename,
+  sanitizeFilename,
+  hasRename,
+  validateRename,
+  rewriteFilename,
+  isFilenameRuleType,
+  globToRegExp,
+  parseRegexValue,
+  compileFilenamePattern,
+  validateFilenamePattern,
+  matchesFilenameRule
+};
+
+// Store on self for service worker, page and content script contexts
+if (typeof self !== 'undefined') {
+  self.FileNames = FileNames;
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FileNames;
+}
+
+})(); // End of IIFE guard
@@ -280,6 +280,32 @@ class NativeMessagingClient {
     }
   }
 
+  /**
+   * Identifies a downloaded file's real type from its first bytes (magic numbers).
+   *
+   * Inputs:
+   *   - filePath: String absolute path to the file
+   *
+   * Outputs: Promise resolving to { extension, mime } or null if the type isn't recognised
+   *          (or the companion app can't read the file)
+   */
+  async sniffFile(filePath) {
+    try {
+      const response = await this.sendMessage({
+        type: 'sniffFile',
+        path: filePath
+      });
+
+      if (response.success && response.extension) {
+        return { extension: response.extension, mime: response.mime || '' };
+      }
+      return null;
+    } catch (error) {
+      console.error('sniffFile error:', error);
+      return null;
+    }
+  }
+
   /**
    * Shows a native OS Save As dialog with pre-filled filename.
    * 
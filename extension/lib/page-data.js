@@ -0,0 +1,302 @@
+/**
+ * page-data.js
+ *
+ * Purpose: Reads text from the page a download started on, for rules that route by it.
+ * Role: Many sites put what a download belongs to on the page rather than in the URL - an
+ *       LMS shows the course code in a header, a ticketing tool the ticket number. A rule can
+ *       read such text with a CSS selector or from a <meta> tag ("page sources"), then match
+ *       it with a page condition or use it as a {variable} in its folder and rename.
+ *
+ * Key Responsibilities:
+ * - Describe and validate page sources ("h1.course-code", "meta:og:title") and the page
+ *   variables a rule declares ({ name, source, pattern })
+ * - Collect every source the enabled rules read, so only those are asked for
+ * - Read the sources from a document (in the content script)
+ * - Turn the text read into a rule's variable values
+ *
+ * Architecture:
+ * - Pure functions only, loaded after lib/source-sites.js and before lib/router.js (which
+ *   evaluates page conditions and fills page variables into templates)
+ * - background.js asks the content script of the download's tab for the sources and passes
+ *   the text to routeDownload as pageData ({ source: text }); sources missing from the page
+ *   are simply absent, so their conditions don't match and their variables become 'unknown'
+ */
+
+// Guard against multiple importScripts calls - only execute if not already loaded
+(function() {
+  if (typeof self !== 'undefined' && self.PageData) {
+    return; // Already loaded, skip
+  }
+
+// Sources starting with this read a <meta> tag's content (by name, property or itemprop)
+const META_SOURCE_PREFIX = 'meta:';
+
+// Longest text kept from one source (whole articles are not useful in a rule)
+const MAX_PAGE_TEXT_LENGTH = 200;
+
+// How long background.js waits for the page to answer before routing without its text
+const PAGE_DATA_TIMEOUT_MS = 500;
+
+// Page variable names: letters only, as folder and rename templates spell {variables}
+const VARIABLE_NAME_PATTERN = /^[A-Za-z]+$/;
+
+/**
+ * Splits a page source into what it reads.
+ *
+ * Inputs:
+ *   - source: String CSS selector, or "meta:" followed by a meta tag name
+ *
+ * Outputs: Object { meta } for meta tags, { selector } otherwise (both trimmed)
+ */
+function parsePageSource(source) {
+  const text = String(source || '').trim();
+  if (text.toLowerCase().startsWith(META_SOURCE_PREFIX)) {
+    return { meta: text.slice(META_SOURCE_PREFIX.length).trim() };
+  }
+  return { selector: text };
+}
+
+/**
+ * Validates a page source. CSS selector syntax can only be checked where there is a DOM,
+ * so pages pass a check function (e.g. one calling document.querySelector).
+ *
+ * Inputs:
+ *   - source: String page source
+ *   - checkSelector: Optional function throwing on an invalid selector
+ *
+ * Outputs: String error message, or null if valid
+ */
+function validatePageSource(source, checkSelector = null) {
+  const { meta, selector } = parsePageSource(source);
+  if (meta !== undefined) return meta ? null : 'Name the meta tag to read, e.g. meta:og:title';
+  if (!selector) return 'Enter a CSS selector or meta:name to read from the page';
+  if (checkSelector) {
+    try {
+      checkSelector(selector);
+    } catch (e) {
+      return `Invalid CSS selector "${selector}"`;
+    }
+  }
+  return null;
+}
+
+function compilePattern(pattern) {
+  return new RegExp(pattern, 'i');
+}
+
+/**
+ * Validates the page variables a rule declares.
+ *
+ * Inputs:
+ *   - variables: Array of { name, source, pattern } (pattern optional), or undefined
+ *   - reserved: Array of variable names already taken (the standard folder variables)
+ *   - checkSelector: Optional CSS selector check (see validatePageSource)
+ *
+ * Outputs: String error message, or null if valid
+ */
+function validatePageVariables(variables, reserved = [], checkSelector = null) {
+  if (variables === undefined || variables === null) return null;
+  if (!Array.isArray(variables)) return 'Page variables must be a list';
+  const taken = reserved.map(name => name.toLowerCase());
+  for (const variable of variables) {
+    const name = String((variable && variable.name) || '');
+    if (!VARIABLE_NAME_PATTERN.test(name)) {
+      return `Page variable "${name}" must be a name of letters only, e.g. course`;
+    }
+    if (taken.includes(name.toLowerCase())) return `{${name}} is already a variable`;
+    taken.push(name.toLowerCase());
+    const sourceError = validatePageSource(variable.source, checkSelector);
+    if (sourceError) return `{${name}}: ${sourceError}`;
+    if (variable.pattern) {
+      try {
+        compilePattern(variable.pattern);
+      } catch (e) {
+        return `{${name}}: invalid pattern - ${e.message}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses page variables written one per line as "name = source", optionally followed by
+ * " | pattern" to keep only part of the text (the first capture group, else the match).
+ *
+ * Inputs:
+ *   - text: String, e.g. "course = .course-code\nticket = h1 | #(\d+)"
+ *
+ * Outputs: Object { variables, error } - variables is an Array of { name, source, pattern }
+ */
+function parsePageVariables(text) {
+  const variables = [];
+  const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  for (const line of lines) {
+    const equals = line.indexOf('=');
+    if (equals === -1) return { variables, error: `Write "name = selector" (got "${line}")` };
+    const name = line.slice(0, equals).trim();
+    const rest = line.slice(equals + 1);
+    const bar = rest.indexOf(' | ');
+    const source = (bar === -1 ? rest : rest.slice(0, bar)).trim();
+    const pattern = bar === -1 ? '' : rest.slice(bar + 3).trim();
+    variables.push(pattern ? { name, source, pattern } : { name, source });
+  }
+  return { variables, error: null };
+}
+
+/**
+ * Writes page variables back in the form parsePageVariables reads.
+ *
+ * Inputs:
+ *   - variables: Array of { name, source, pattern } or undefined
+ *
+ * Outputs: String, one variable per line
+ */
+function formatPageVariables(variables) {
+  return (variables || [])
+    .map(({ name, source, pattern }) => `${name} = ${source}${pattern ? ` | ${pattern}` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Lists the {variables} a rule reads from the page.
+ *
+ * Inputs:
+ *   - rule: Rule object (pageVariables optional)
+ *
+ * Outputs: Array of String variable names
+ */
+function getPageVariableNames(rule) {
+  return ((rule && rule.pageVariables) || []).map(variable => variable.name).filter(Boolean);
+}
+
+function collectConditionSources(node, sources) {
+  if (!node) return;
+  if (Array.isArray(node.conditions)) {
+    node.conditions.forEach(child => collectConditionSources(child, sources));
+  } else if (node.field === 'page' && node.source) {
+    sources.add(String(node.source).trim());
+  }
+}
+
+/**
+ * Collects every page source the enabled rules read (page variables and page conditions),
+ * so the page is only asked for what routing can use.
+ *
+ * Inputs:
+ *   - rules: Array of rule objects
+ *
+ * Outputs: Array of unique source Strings (empty when no rule reads the page)
+ */
+function collectPageSources(rules) {
+  const sources = new Set();
+  (rules || []).forEach(rule => {
+    if (!rule || rule.enabled === false) return;
+    (rule.pageVariables || []).forEach(variable => {
+      if (variable && variable.source) sources.add(String(variable.source).trim());
+    });
+    if (rule.type === 'compound') collectConditionSources(rule.conditions, sources);
+  });
+  return [...sources].filter(Boolean);
+}
+
+function cleanPageText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_PAGE_TEXT_LENGTH);
+}
+
+function findMetaContent(doc, name) {
+  const wanted = name.toLowerCase();
+  const tag = Array.from(doc.querySelectorAll('meta')).find(meta =>
+    ['name', 'property', 'itemprop'].some(attribute => (meta.getAttribute(attribute) || '').toLowerCase() === wanted)
+  );
+  return tag ? tag.getAttribute('content') : '';
+}
+
+/**
+ * Reads page sources from a document: the text of the first element a selector finds, or the
+ * content of the named meta tag. Sources that are invalid or find nothing are left out.
+ *
+ * Inputs:
+ *   - doc: Document (or anything with querySelector / querySelectorAll)
+ *   - sources: Array of page source Strings
+ *
+ * Outputs: Object mapping each source found to its text (whitespace collapsed, shortened to
+ *          MAX_PAGE_TEXT_LENGTH)
+ */
+function readPageSources(doc, sources) {
+  const values = {};
+  (sources || []).forEach(source => {
+    const { meta, selector } = parsePageSource(source);
+    let text = '';
+    try {
+      if (meta) {
+        text = findMetaContent(doc, meta);
+      } else if (selector) {
+        const element = doc.querySelector(selector);
+        text = element ? (element.innerText || element.textContent || element.getAttribute('content') || '') : '';
+      }
+    } catch (e) {
+      // Invalid selector - the source reads nothing
+      text = '';
+    }
+    const clean = cleanPageText(text);
+    if (clean) values[source] = clean;
+  });
+  return values;
+}
+
+/**
+ * Builds the values of a rule's page variables from the text read off the page. A pattern
+ * keeps its first capture group (or the whole match); variables whose source found nothing,
+ * or whose pattern doesn't match, are '' (folder templates show them as 'unknown').
+ *
+ * Inputs:
+ *   - rule: Rule object (pageVariables optional)
+ *   - pageData: Object mapping sources to text (from readPageSources)
+ *
+ * Outputs: Object mapping variable names to String values
+ */
+function getPageVariableValues(rule, pageData) {
+  const values = {};
+  ((rule && rule.pageVariables) || []).forEach(({ name, source, pattern }) => {
+    if (!name) return;
+    const text = (pageData || {})[String(source || '').trim()] || '';
+    if (!pattern || !text) {
+      values[name] = text;
+      return;
+    }
+    try {
+      const match = text.match(compilePattern(pattern));
+      values[name] = match ? (match[1] !== undefined ? match[1] : match[0]).trim() : '';
+    } catch (e) {
+      values[name] = '';
+    }
+  });
+  return values;
+}
+
+const PageData = {
+  META_SOURCE_PREFIX,
+  MAX_PAGE_TEXT_LENGTH,
+  PAGE_DATA_TIMEOUT_MS,
+  parsePageSource,
+  validatePageSource,
+  validatePageVariables,
+  parsePageVariables,
+  formatPageVariables,
+  getPageVariableNames,
+  collectPageSources,
+  readPageSources,
+  getPageVariableValues
+};
+
+// Store on self for service worker, page and content script contexts
+if (typeof self !== 'undefined') {
+  self.PageData = PageData;
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PageData;
+}
+
+})(); // End of IIFE guard
@@ -0,0 +1,197 @@
+/**
+ * pending-downloads.js
+ *
+ * Purpose: Keeps the service worker's pending downloads across worker restarts.
+ * Role: Chrome stops an idle MV3 service worker at any time, which used to lose every
+ *       download waiting on the overlay countdown or on a post-download companion move.
+ *       This module mirrors the pendingDownloads map into chrome.storage.session and
+ *       decides how to finish each download once the worker starts again.
+ *
+ * Key Responsibilities:
+ * - Persist pending download state (minus callbacks and timers) to storage.session
+ * - Restore it when the service worker starts
+ * - Work out the recovery step for a restored download from Chrome's download record
+ *
+ * Architecture:
+ * - storage.session survives worker restarts but not a browser restart, which is what we
+ *   want: Chrome doesn't resume a pending download's suggest() after a restart either
+ * - suggest() callbacks and setTimeout IDs can't be stored; a restored download is always
+ *   past the point where Chrome takes a path, so recovery moves the file afterwards instead
+ * - getRecoveryAction is pure so it can be tested under Node
+ *
+ * External Dependencies:
+ *   - chrome.storage.session: Session storage (service worker only)
+ */
+
+// Guard against loading twice in the same context
+(function() {
+  if (typeof self !== 'undefined' && self.PendingDownloadStore && self.pendingDownloadStore) {
+    return; // Already loaded, skip
+  }
+
+const PENDING_DOWNLOADS_KEY = 'pendingDownloads';
+
+// Fields that only make sense inside the worker that created them
+const TRANSIENT_FIELDS = ['originalSuggest', 'timeoutId'];
+
+/**
+ * Converts the pendingDownloads map to a storable list.
+ *
+ * Inputs:
+ *   - pending: Map of key (download ID, or notification ID string) -> downloadInfo
+ *
+ * Outputs: Array of [key, downloadInfo] pairs without callbacks or timer IDs
+ */
+function serializePendingDownloads(pending) {
+  return Array.from(pending.entries()).map(([key, downloadInfo]) => {
+    const stored = { ...downloadInfo };
+    TRANSIENT_FIELDS.forEach(field => delete stored[field]);
+    return [key, stored];
+  });
+}
+
+function getDirectory(filePath) {
+  const normalized = (filePath || '').replace(/\\/g, '/');
+  return normalized.substring(0, normalized.lastIndexOf('/'));
+}
+
+/**
+ * Decides how to finish a download restored after a worker restart.
+ *
+ * Inputs:
+ *   - downloadInfo: Object restored from storage.session (suggested: true once Chrome was
+ *     given our path)
+ *   - downloadItem: Chrome DownloadItem for the same ID (or undefined if Chrome no longer has it)
+ *
+ * Outputs: Object {
+ *   action: 'drop' (nothing left to do), 'wait' (still downloading - recover on completion),
+ *           'record' (file is where it should be - just record it) or 'move',
+ *   source: String file to move (move only),
+ *   destination: String absolute destination folder (move only)
+ * }
+ */
+function getRecoveryAction(downloadInfo, downloadItem) {
+  if (!downloadItem || downloadItem.state === 'interrupted') return { action: 'drop' };
+  if (downloadInfo.fileMoved) return { action: 'drop' };
+  // The Save As dialog can still open once the download finishes, but not after it already has
+  if (downloadInfo.saveAsRequested && downloadItem.state === 'complete' && !downloadInfo.pendingSaveAsDialog) {
+    return { action: 'drop' };
+  }
+  if (downloadItem.state !== 'complete') return { action: 'wait' };
+
+  const source = downloadItem.filename;
+  if (downloadInfo.needsMove && downloadInfo.absoluteDestination) {
+    return { action: 'move', source, destination: downloadInfo.absoluteDestination };
+  }
+
+  // Relative destination: fine if Chrome got our path; otherwise Chrome saved the file under
+  // its own name in the Downloads root - move it into the rule's folder (and rename it)
+  if (downloadInfo.suggested) return { action: 'record' };
+  const folder = getDirectory(downloadInfo.resolvedPath);
+  const savedIn = source.substring(0, Math.max(source.lastIndexOf('/'), source.lastIndexOf('\\')));
+  const inFolder = !folder || getDirectory(source).endsWith(`/${folder}`);
+  const renamed = !!downloadInfo.originalFilename && downloadInfo.filename !== downloadInfo.originalFilename &&
+    source.split(/[/\\]/).pop() !== downloadInfo.filename;
+  if (inFolder && !renamed) return { action: 'record' };
+  if (inFolder) return { action: 'move', source, destination: savedIn };
+  const separator = source.includes('\\') && !source.includes('/') ? '\\' : '/';
+  return { action: 'move', source, destination: savedIn + separator + folder.split('/').join(separator) };
+}
+
+/**
+ * Pending Download Store class
+ * Saves and restores the pendingDownloads map.
+ */
+class PendingDownloadStore {
+  /**
+   * Inputs:
+   *   - area: chrome.storage area (default: chrome.storage.session)
+   */
+  constructor(area = (typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.session : null)) {
+    this.area = area;
+    this.pending = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Saves the map. Calls in the same tick are written once, with the map as it is then,
+   * and writes happen in order so an older snapshot never overwrites a newer one.
+   *
+   * Inputs:
+   *   - pending: Map of pending downloads
+   *
+   * Outputs: Promise resolving once the snapshot is written (never rejects)
+   */
+  save(pending) {
+    if (this.pending) return this.pending;
+    this.pending = Promise.resolve().then(() => {
+      this.pending = null;
+      const snapshot = serializePendingDownloads(pending);
+      this.saving = this.saving
+        .then(() => this.area.set({ [PENDING_DOWNLOADS_KEY]: snapshot }))
+        .catch(error => console.error('[PENDING] Failed to save pending downloads:', error));
+      return this.saving;
+    });
+    return this.pending;
+  }
+
+  /**
+   * Reads the saved downloads.
+   *
+   * Outputs: Promise resolving to an Array of [key, downloadInfo] pairs
+   */
+  async load() {
+    const data = await this.area.get([PENDING_DOWNLOADS_KEY]);
+    return Array.isArray(data[PENDING_DOWNLOADS_KEY]) ? data[PENDING_DOWNLOADS_KEY] : [];
+  }
+}
+
+/**
+ * Map that saves itself to a PendingDownloadStore whenever an entry is added or removed.
+ * Changes made to a stored downloadInfo object need an explicit persist().
+ */
+class PersistentPendingMap extends Map {
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    if (this.store) this.persist();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted && this.store) this.persist();
+    return deleted;
+  }
+
+  persist() {
+    return this.store.save(this);
+  }
+}
+
+const helpers = {
+  PENDING_DOWNLOADS_KEY,
+  serializePendingDownloads,
+  getRecoveryAction,
+  PersistentPendingMap
+};
+Object.assign(PendingDownloadStore, helpers);
+
+// Store class and a shared instance on self for the service worker
+if (typeof self !== 'undefined') {
+  self.PendingDownloadStore = PendingDownloadStore;
+  if (!self.pendingDownloadStore) {
+    self.pendingDownloadStore = new PendingDownloadStore();
+  }
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PendingDownloadStore, ...helpers };
+}
+
+})(); // End of IIFE guard
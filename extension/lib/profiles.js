@@ -0,0 +1,285 @@
+/**
+ * profiles.js
+ *
+ * Purpose: Named rule profiles (Work, Personal, a project) that can be switched in one click.
+ * Role: Each profile has its own rules, file type groups, default folder and confirmation
+ *       settings. Switching swaps the whole set, so the router, overlay and pages keep reading
+ *       the usual keys and always see the active profile.
+ *
+ * Key Responsibilities:
+ * - Keep the profile list valid (there is always at least one, and one is active)
+ * - Create, rename and delete profiles
+ * - Work out what to store when switching profiles
+ * - Pick the next profile for the keyboard shortcut and the toolbar badge text
+ *
+ * Architecture:
+ * - Pure functions, plus applyProfileSwitch which saves a switch through the config store; the
+ *   background script does the switching (popup, Options and the keyboard command all ask it
+ *   to) and shows the badge
+ * - The active profile's settings live in the usual keys (PROFILE_KEYS: rules, groups,
+ *   defaultFolder, confirmationEnabled, confirmationTimeout)
+ * - "profiles" holds the list [{ id, name, config }], stored through configStore like rules
+ *   (it can grow as large). Only inactive profiles carry a config - a snapshot of their keys.
+ * - "activeProfile" holds the active profile's id
+ * - Settings outside PROFILE_KEYS (conflict resolution, pause, sync) are shared by all profiles
+ */
+
+// Guard against multiple importScripts calls - only execute if not already loaded
+(function() {
+  if (typeof self !== 'undefined' && self.Profiles) {
+    return; // Already loaded, skip
+  }
+
+// Keys each profile has its own value for
+const PROFILE_KEYS = ['rules', 'groups', 'defaultFolder', 'confirmationEnabled', 'confirmationTimeout'];
+
+// Values for keys a stored profile doesn't have
+const PROFILE_DEFAULTS = {
+  rules: [],
+  groups: {},
+  defaultFolder: 'Downloads',
+  confirmationEnabled: true,
+  confirmationTimeout: 5000
+};
+
+// The profile everyone starts with (their configuration from before profiles existed)
+const DEFAULT_PROFILE = { id: 'default', name: 'Default' };
+
+const MAX_NAME_LENGTH = 30;
+
+// Chrome's toolbar badge fits about four characters
+const BADGE_LENGTH = 4;
+
+function copyValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Takes a profile's own settings out of a configuration, filling in defaults.
+ *
+ * Inputs:
+ *   - config: Object with (some of) the PROFILE_KEYS
+ *
+ * Outputs: Object with every PROFILE_KEYS value (copies, safe to store)
+ */
+function pickProfileConfig(config = {}) {
+  const picked = {};
+  PROFILE_KEYS.forEach(key => {
+    picked[key] = copyValue(config[key] !== undefined && config[key] !== null ? config[key] : PROFILE_DEFAULTS[key]);
+  });
+  return picked;
+}
+
+/**
+ * Makes a stored profile list usable: drops broken entries, makes sure there is at least
+ * one profile and that the active id names one of them.
+ *
+ * Inputs:
+ *   - profiles: Array of { id, name, config } from storage, or undefined before profiles exist
+ *   - activeProfile: String id from storage, or undefined
+ *
+ * Outputs: Object { profiles, activeProfile }
+ */
+function normalizeProfiles(profiles, activeProfile) {
+  const seen = new Set();
+  const valid = (Array.isArray(profiles) ? profiles : []).filter(profile => {
+    if (!profile || typeof profile.id !== 'string' || !profile.id || seen.has(profile.id)) return false;
+    seen.add(profile.id);
+    return true;
+  }).map(profile => ({ ...profile, name: String(profile.name || profile.id) }));
+
+  const list = valid.length > 0 ? valid : [{ ...DEFAULT_PROFILE }];
+  const active = list.some(profile => profile.id === activeProfile) ? activeProfile : list[0].id;
+  return { profiles: list, activeProfile: active };
+}
+
+/**
+ * Finds a profile by id.
+ *
+ * Outputs: Object profile or null
+ */
+function findProfile(profiles, id) {
+  return (profiles || []).find(profile => profile.id === id) || null;
+}
+
+/**
+ * Validates a profile name: not empty, not too long, not already taken.
+ *
+ * Inputs:
+ *   - name: String proposed name
+ *   - profiles: Array of existing profiles
+ *   - exceptId: String id of the profile being renamed (may keep its own name)
+ *
+ * Outputs: String error message, or null if valid
+ */
+function validateProfileName(name, profiles, exceptId = null) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return 'Profile name is required';
+  if (trimmed.length > MAX_NAME_LENGTH) return `Profile name must be at most ${MAX_NAME_LENGTH} characters`;
+  const taken = (profiles || []).some(profile =>
+    profile.id !== exceptId && profile.name.trim().toLowerCase() === trimmed.toLowerCase());
+  return taken ? `A profile named "${trimmed}" already exists` : null;
+}
+
+function createProfileId(name, profiles) {
+  const base = String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+  let id = base;
+  for (let n = 2; findProfile(profiles, id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+/**
+ * Adds a profile. It isn't active yet, so it stores its settings with it.
+ *
+ * Inputs:
+ *   - profiles: Array of existing profiles
+ *   - name: String profile name
+ *   - config: Object with the new profile's PROFILE_KEYS values (missing ones use defaults)
+ *
+ * Outputs: Object { profiles, profile } - the new list and the added profile
+ *   (throws if the name is invalid)
+ */
+function createProfile(profiles, name, config = {}) {
+  const nameError = validateProfileName(name, profiles);
+  if (nameError) throw new Error(nameError);
+  const profile = { id: createProfileId(name, profiles), name: String(name).trim(), config: pickProfileConfig(config) };
+  return { profiles: [...profiles, profile], profile };
+}
+
+/**
+ * Renames a profile.
+ *
+ * Outputs: Array new profile list (throws if the name is invalid or the profile doesn't exist)
+ */
+function renameProfile(profiles, id, name) {
+  if (!findProfile(profiles, id)) throw new Error(`Unknown profile "${id}"`);
+  const nameError = validateProfileName(name, profiles, id);
+  if (nameError) throw new Error(nameError);
+  return profiles.map(profile => profile.id === id ? { ...profile, name: String(name).trim() } : profile);
+}
+
+/**
+ * Deletes a profile and its settings. The active profile can't be deleted - switch first.
+ *
+ * Outputs: Array new profile list (throws if the profile is active or doesn't exist)
+ */
+function deleteProfile(profiles, id, activeProfile) {
+  if (!findProfile(profiles, id)) throw new Error(`Unknown profile "${id}"`);
+  if (id === activeProfile) throw new Error('Switch to another profile before deleting this one');
+  return profiles.filter(profile => profile.id !== id);
+}
+
+/**
+ * Works out what to store to switch profiles: the current settings are saved with the
+ * profile being left, and the target profile's settings become the live ones.
+ *
+ * Inputs:
+ *   - state: Object { profiles, activeProfile, config } - config has the live PROFILE_KEYS values
+ *   - targetId: String id of the profile to switch to
+ *
+ * Outputs: Object of storage items to write (PROFILE_KEYS, profiles, activeProfile),
+ *   or null if the target is already active (throws if it doesn't exist)
+ */
+function planProfileSwitch(state, targetId) {
+  const { profiles, activeProfile } = normalizeProfiles(state.profiles, state.activeProfile);
+  const target = findProfile(profiles, targetId);
+  if (!target) throw new Error(`Unknown profile "${targetId}"`);
+  if (targetId === activeProfile) return null;
+
+  const nextProfiles = profiles.map(profile => {
+    if (profile.id === activeProfile) return { id: profile.id, name: profile.name, config: pickProfileConfig(state.config) };
+    if (profile.id === targetId) return { id: profile.id, name: profile.name };
+    return profile;
+  });
+  return {
+    ...pickProfileConfig(target.config),
+    profiles: nextProfiles,
+    activeProfile: targetId
+  };
+}
+
+/**
+ * Switches profiles through a config store (lib/config-store.js). The store writes the lists
+ * (rules, groups, profiles) apart from the plain sync keys (defaultFolder, the confirmation
+ * settings, activeProfile), so a switch takes two writes. The lists go first; if the plain
+ * keys then fail to save, the old lists are put back so the profile that stays active keeps
+ * its own rules.
+ *
+ * Inputs:
+ *   - store: ConfigStore (or an object with the same get/set)
+ *   - targetId: String id of the profile to switch to
+ *
+ * Outputs: Promise resolving to the now active profile { id, name } (rejects if it doesn't
+ *   exist or the switch couldn't be saved)
+ */
+async function applyProfileSwitch(store, targetId) {
+  const data = await store.get([...PROFILE_KEYS, 'profiles', 'activeProfile']);
+  const { profiles } = normalizeProfiles(data.profiles, data.activeProfile);
+  const items = planProfileSwitch({ profiles: data.profiles, activeProfile: data.activeProfile, config: data }, targetId);
+  if (items) {
+    const { rules, groups, profiles: nextProfiles, ...settings } = items;
+    await store.set({ rules, groups, profiles: nextProfiles });
+    try {
+      await store.set(settings);
+    } catch (error) {
+      await store.set({ rules: data.rules || [], groups: data.groups || {}, profiles });
+      throw error;
+    }
+  }
+  const { id, name } = findProfile(profiles, targetId);
+  return { id, name };
+}
+
+/**
+ * Returns the profile after the active one (wrapping around), for the keyboard shortcut.
+ *
+ * Outputs: String profile id (the active one if it's the only profile)
+ */
+function getNextProfileId(profiles, activeProfile) {
+  const normalized = normalizeProfiles(profiles, activeProfile);
+  const index = normalized.profiles.findIndex(profile => profile.id === normalized.activeProfile);
+  return normalized.profiles[(index + 1) % normalized.profiles.length].id;
+}
+
+/**
+ * Returns the toolbar badge text for the active profile: the start of its name, or nothing
+ * while there is only one profile (no need to tell which one is active).
+ *
+ * Outputs: String (at most BADGE_LENGTH characters)
+ */
+function getProfileBadgeText(profiles, activeProfile) {
+  const normalized = normalizeProfiles(profiles, activeProfile);
+  if (normalized.profiles.length < 2) return '';
+  const active = findProfile(normalized.profiles, normalized.activeProfile);
+  // Array.from so an emoji counts as one character
+  return Array.from(active.name.trim()).slice(0, BADGE_LENGTH).join('');
+}
+
+const Profiles = {
+  PROFILE_KEYS,
+  PROFILE_DEFAULTS,
+  DEFAULT_PROFILE,
+  pickProfileConfig,
+  normalizeProfiles,
+  findProfile,
+  validateProfileName,
+  createProfile,
+  renameProfile,
+  deleteProfile,
+  planProfileSwitch,
+  applyProfileSwitch,
+  getNextProfileId,
+  getProfileBadgeText
+};
+
+// Store on self for service worker and page contexts
+if (typeof self !== 'undefined') {
+  self.Profiles = Profiles;
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Profiles;
+}
+
+})(); // End of IIFE guard
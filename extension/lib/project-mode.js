@@ -0,0 +1,193 @@
+/**
+ * project-mode.js
+ *
+ * Purpose: Project mode - a temporary override that sends every download (or every download
+ *          matching a filter) to one folder for a while, without editing any rules.
+ * Role: During a focused task ("everything goes to Projects/Thesis for the next hour") project
+ *       mode acts as a transient rule that beats every other rule. It is started and stopped
+ *       from the popup, shown in the overlay, and ended by the service worker with chrome.alarms
+ *       when its time is up.
+ *
+ * Key Responsibilities:
+ * - Validate what the popup asks for and turn it into a stored project mode
+ * - Tell whether a project mode is still running at a given time
+ * - Describe it in words for the popup and overlay
+ *
+ * Architecture:
+ * - Pure functions only, loaded before lib/router.js (which matches the filter and routes
+ *   downloads to the project folder while the mode is active)
+ * - Stored in chrome.storage.local under PROJECT_MODE_KEY (it belongs to this computer's
+ *   session, so it isn't synced) as { folder, filter, startedAt, until }:
+ *     folder     destination folder (relative or absolute, may be a {variable} template)
+ *     filter     { type, value }: type 'all', 'domain' (value is a site pattern, as in site
+ *                rules) or 'filetype' (value is a comma-separated extension list)
+ *     startedAt  timestamp it was turned on
+ *     until      timestamp it ends, or null to run until turned off
+ */
+
+// Guard against multiple importScripts calls - only execute if not already loaded
+(function() {
+  if (typeof self !== 'undefined' && self.ProjectMode) {
+    return; // Already loaded, skip
+  }
+
+// storage.local key holding the running project mode
+const PROJECT_MODE_KEY = 'projectMode';
+
+// chrome.alarms name for the end of a timed project mode
+const PROJECT_MODE_ALARM = 'project-mode-end';
+
+// Which downloads project mode takes, with their labels
+const FILTER_TYPES = {
+  all: 'All downloads',
+  domain: 'Downloads from a site',
+  filetype: 'File types'
+};
+
+// Durations offered in the popup, in minutes (0 = until turned off)
+const DURATION_CHOICES = [15, 30, 60, 120, 240, 0];
+
+// Longest timed project mode (a day) - longer than that belongs in a rule
+const MAX_DURATION_MINUTES = 24 * 60;
+
+const MS_PER_MINUTE = 60 * 1000;
+
+function toTime(value) {
+  const time = value === undefined || value === null ? Date.now() : new Date(value).getTime();
+  return isNaN(time) ? Date.now() : time;
+}
+
+/**
+ * Validates what the popup asks for when turning project mode on.
+ *
+ * Inputs:
+ *   - options: Object { folder, filter: { type, value }, minutes } (minutes 0 or missing:
+ *     until turned off)
+ *
+ * Outputs: String error message, or null if valid. Site patterns are only checked for being
+ *   present - the router validates them like site rules.
+ */
+function validateProjectModeOptions(options) {
+  if (!options || typeof options !== 'object') return 'Project mode settings are missing';
+  if (!String(options.folder || '').trim()) return 'Choose a folder for project mode';
+  const filter = options.filter || { type: 'all' };
+  if (!FILTER_TYPES[filter.type]) return `Unknown project mode filter "${filter.type}"`;
+  if (filter.type === 'domain' && !String(filter.value || '').trim()) return 'Enter the site project mode should take downloads from';
+  if (filter.type === 'filetype') {
+    const extensions = String(filter.value || '').split(',').map(ext => ext.trim().replace(/^\.+/, '')).filter(Boolean);
+    if (extensions.length === 0) return 'Enter the file types project mode should take, e.g. pdf, docx';
+    if (extensions.some(ext => !/^[a-z0-9]+(\.[a-z0-9]+)*$/i.test(ext))) return 'File types must be extensions like pdf or tar.gz';
+  }
+  const minutes = options.minutes || 0;
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_DURATION_MINUTES) {
+    return `Duration must be a whole number of minutes up to ${MAX_DURATION_MINUTES}`;
+  }
+  return null;
+}
+
+/**
+ * Builds the project mode to store from what the popup asked for.
+ *
+ * Inputs:
+ *   - options: Object { folder, filter, minutes } (validate with validateProjectModeOptions first)
+ *   - now: Date, ISO string or timestamp it starts (defaults to now)
+ *
+ * Outputs: Object { folder, filter, startedAt, until } (see the Architecture note above)
+ */
+function createProjectMode(options, now) {
+  const startedAt = toTime(now);
+  const filter = options.filter && options.filter.type !== 'all'
+    ? { type: options.filter.type, value: String(options.filter.value).trim() }
+    : { type: 'all', value: '' };
+  return {
+    folder: String(options.folder).trim(),
+    filter,
+    startedAt,
+    until: options.minutes ? startedAt + options.minutes * MS_PER_MINUTE : null
+  };
+}
+
+/**
+ * Tells whether project mode is running at a given time.
+ *
+ * Inputs:
+ *   - projectMode: Stored project mode, or null/undefined when off
+ *   - when: Date, ISO string or timestamp (defaults to now)
+ *
+ * Outputs: Boolean
+ */
+function isProjectModeActive(projectMode, when) {
+  if (!projectMode || !projectMode.folder) return false;
+  return !projectMode.until || toTime(when) < projectMode.until;
+}
+
+/**
+ * Returns the whole minutes left (rounded up) before a timed project mode ends.
+ *
+ * Outputs: Number of minutes, or null when it runs until turned off
+ */
+function getMinutesLeft(projectMode, when) {
+  if (!projectMode || !projectMode.until) return null;
+  return Math.max(0, Math.ceil((projectMode.until - toTime(when)) / MS_PER_MINUTE));
+}
+
+/**
+ * Describes which downloads project mode takes, e.g. "All downloads", "Downloads from
+ * github.com" or "pdf, docx files".
+ *
+ * Outputs: String
+ */
+function describeProjectModeFilter(filter) {
+  if (!filter || filter.type === 'all' || !FILTER_TYPES[filter.type]) return FILTER_TYPES.all;
+  if (filter.type === 'domain') return `Downloads from ${filter.value}`;
+  return `${String(filter.value).split(',').map(ext => ext.trim()).filter(Boolean).join(', ')} files`;
+}
+
+/**
+ * Describes when project mode ends, e.g. "until 14:30" or "until turned off".
+ *
+ * Outputs: String
+ */
+function describeProjectModeEnd(projectMode) {
+  if (!projectMode || !projectMode.until) return 'until turned off';
+  const end = new Date(projectMode.until);
+  const pad = n => String(n).padStart(2, '0');
+  return `until ${pad(end.getHours())}:${pad(end.getMinutes())}`;
+}
+
+/**
+ * Labels a duration choice for the popup, e.g. "30 minutes", "2 hours" or "Until I turn it off".
+ *
+ * Outputs: String
+ */
+function describeDuration(minutes) {
+  if (!minutes) return 'Until I turn it off';
+  if (minutes % 60 === 0) return minutes === 60 ? '1 hour' : `${minutes / 60} hours`;
+  return `${minutes} minutes`;
+}
+
+const ProjectMode = {
+  PROJECT_MODE_KEY,
+  PROJECT_MODE_ALARM,
+  FILTER_TYPES,
+  DURATION_CHOICES,
+  validateProjectModeOptions,
+  createProjectMode,
+  isProjectModeActive,
+  getMinutesLeft,
+  describeProjectModeFilter,
+  describeProjectModeEnd,
+  describeDuration
+};
+
+// Store on self for service worker, page and content script contexts
+if (typeof self !== 'undefined') {
+  self.ProjectMode = ProjectMode;
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProjectMode;
+}
+
+})(); // End of IIFE guard
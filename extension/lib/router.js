@@ -0,0 +1,1783 @@
+/**
+ * router.js
+ *
+ * Purpose: Routing engine for the Download Router Chrome extension.
+ * Role: Decides where a download should go. Given a download descriptor and the user's
+ *       rules, groups and settings, returns the ranked matches, the chosen rule, any
+ *       same-priority conflict set and the resolved destination path.
+ *
+ * Key Responsibilities:
+ * - Match downloads against compound (condition tree), URL pattern, domain, filename
+ *   (contains/glob/regex) and file type rules (by extension, or by MIME type when the extension isn't in any group)
+ * - Rank matches by priority and detect same-priority conflicts
+ * - Resolve the final relative path (Chrome downloads API) or absolute destination (companion app),
+ *   expanding {variable} folder templates and applying the winning rule's filename rewrite
+ * - Re-export the path, template and filename helpers of lib/file-names.js, so callers
+ *   that route downloads need only DownloadRouter
+ *
+ * Architecture:
+ * - Pure functions only: no chrome.* calls, no storage access, no logging side effects
+ * - Loaded into the service worker via importScripts (exposed on self.DownloadRouter), after
+ *   lib/domain-names.js (IDN conversion and Public Suffix List lookups for domain rules),
+ *   lib/file-names.js (paths, folder templates, renames and filename patterns),
+ *   lib/source-sites.js (which site a CDN-hosted download is credited to),
+ *   lib/page-data.js (text rules read from the download's page),
+ *   lib/site-adapters.js (folders suggested for well-known sites),
+ *   lib/schedules.js (hours, days and expiry dates rules and groups are active for) and
+ *   lib/project-mode.js (a temporary override sending downloads to one folder)
+ * - Loadable under Node via require() so routing can be tested without Chrome
+ */
+
+// Guard against multiple importScripts calls - only execute if not already loaded
+// This prevents "already declared" errors when service worker reloads
+(function() {
+  if (typeof self !== 'undefined' && self.DownloadRouter) {
+    return; // Already loaded, skip
+  }
+
+// Host name helpers (IDN conversion, Public Suffix List) - loaded before this file
+const DomainNames = (typeof self !== 'undefined' && self.DomainNames) || require('./domain-names.js');
+// Path, folder template, rename and filename pattern helpers - loaded before this file
+const FileNames = (typeof self !== 'undefined' && self.FileNames) || require('./file-names.js');
+// Source site resolver (CDN and redirect attribution) - loaded before this file
+const SourceSites = (typeof self !== 'undefined' && self.SourceSites) || require('./source-sites.js');
+// Page sources and page variables (text read from the download's tab) - loaded before this file
+const PageData = (typeof self !== 'undefined' && self.PageData) || require('./page-data.js');
+// Site adapters (GitHub releases, Printables, arXiv, ...) - loaded before this file
+const SiteAdapters = (typeof self !== 'undefined' && self.SiteAdapters) || require('./site-adapters.js');
+// Rule and group schedules (active hours, days, expiry) - loaded before this file
+const Schedules = (typeof self !== 'undefined' && self.Schedules) || require('./schedules.js');
+// Project mode (temporary override from the popup) - loaded before this file
+const ProjectMode = (typeof self !== 'undefined' && self.ProjectMode) || require('./project-mode.js');
+
+const {
+  PATH_TEMPLATE_VARIABLES,
+  RENAME_CASE_OPTIONS,
+  extractFilename,
+  normalizePath,
+  sanitizeFolderName,
+  isAbsolutePath,
+  joinAbsolutePath,
+  buildRelativePath,
+  hasPathTemplate,
+  buildPathTemplateValues,
+  expandPathTemplate,
+  validatePathTemplate,
+  splitFilename,
+  sanitizeFilename,
+  hasRename,
+  validateRename,
+  rewriteFilename,
+  isFilenameRuleType,
+  globToRegExp,
+  compileFilenamePattern,
+  validateFilenamePattern,
+  matchesFilenameRule
+} = FileNames;
+
+// Default priority for rules without an explicit priority (lower number = higher priority)
+const DEFAULT_RULE_PRIORITY = 2.0;
+
+// Default priority for file type groups without an explicit priority
+const DEFAULT_GROUP_PRIORITY = 3.0;
+
+// Priority assigned to the synthetic default-folder rule when nothing matches
+const DEFAULT_FOLDER_PRIORITY = 999;
+
+// Priority shown for the synthetic project mode rule, which beats every rule
+const PROJECT_MODE_PRIORITY = 0;
+
+// Two priorities closer than this are treated as equal (float comparison tolerance)
+const PRIORITY_TOLERANCE = 0.01;
+
+// Tie-break order for matches with the same priority:
+// compound (most specific) > url > domain > filename rules > filetype
+const SOURCE_ORDER = { compound: 0, url: 1, domain: 2, contains: 3, regex: 3, glob: 3, filetype: 4 };
+
+// Which of a download's URLs a domain rule is checked against (rule.matchScope), with the
+// label the rule editors show. Rules without a scope ('default') match the download URL, the
+// final URL and the referrer, as site rules did before scopes existed; 'any' adds the source
+// site and the tab URL.
+const DOMAIN_MATCH_SCOPES = {
+  default: 'Download URL, final URL or referrer (default)',
+  any: 'Any URL (source site and tab included)',
+  source: 'Source site (CDNs credited to their site)',
+  download: 'Download URL',
+  final: 'Final URL (after redirects)',
+  referrer: 'Referrer',
+  tab: 'Tab URL'
+};
+
+// Fields a compound rule condition can test, with the operators each one accepts
+const CONDITION_OPERATORS = {
+  domain: ['is'],
+  path: ['startsWith', 'contains', 'glob'],
+  filename: ['contains', 'glob', 'regex'],
+  extension: ['is'],
+  mime: ['is'],
+  size: ['gt', 'lt'],
+  referrer: ['is', 'contains'],
+  tabGroup: ['is', 'contains'],
+  tabGroupColor: ['is'],
+  window: ['is'],
+  pageTitle: ['contains', 'glob', 'regex'],
+  page: ['contains', 'is', 'regex']
+};
+
+// Colors Chrome offers for tab groups (chrome.tabGroups.Color)
+const TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+// Kinds of window a window condition can name, with their labels
+const WINDOW_KINDS = {
+  normal: 'Normal window',
+  incognito: 'Incognito window',
+  popup: 'Popup window',
+  app: 'App window'
+};
+
+// Condition fields whose value is picked from a fixed list rather than typed
+const CONDITION_VALUE_CHOICES = {
+  tabGroupColor: TAB_GROUP_COLORS,
+  window: Object.keys(WINDOW_KINDS)
+};
+
+// How condition fields are written in summaries and errors (others use the field key)
+const CONDITION_FIELD_NAMES = {
+  tabGroup: 'tab group',
+  tabGroupColor: 'tab group color',
+  window: 'window',
+  pageTitle: 'page title',
+  page: 'page text'
+};
+
+// Deepest nesting allowed for compound condition groups (root group = depth 1)
+const MAX_CONDITION_DEPTH = 3;
+
+// File size conditions are entered in megabytes
+const BYTES_PER_MB = 1024 * 1024;
+
+// Built-in MIME types for the default file type groups, used when a group has no mimeTypes
+// of its own. Lets "download.php" served as application/pdf still land in Documents.
+const DEFAULT_GROUP_MIME_TYPES = {
+  videos: 'video/*',
+  images: 'image/*',
+  documents: 'application/pdf, application/msword, application/vnd.openxmlformats-officedocument.wordprocessingml.document, ' +
+    'application/rtf, text/rtf, application/vnd.oasis.opendocument.text',
+  '3d-files': 'model/*, application/sla, application/vnd.ms-pki.stl, application/vnd.ms-package.3dmanufacturing-3dmodel+xml, application/step',
+  archives: 'application/zip, application/x-zip-compressed, application/vnd.rar, application/x-rar-compressed, ' +
+    'application/x-7z-compressed, application/x-tar, application/gzip, application/x-gzip',
+  software: 'application/x-msdownload, application/vnd.microsoft.portable-executable, application/x-msi, ' +
+    'application/x-apple-diskimage, application/vnd.debian.binary-package, application/x-rpm, application/x-newton-compatible-pkg'
+};
+
+// One MIME pattern: "type/subtype", "type/*" or "*/*"
+const MIME_PATTERN = /^([a-z0-9][a-z0-9!#$&^_.+-]*|\*)\/([a-z0-9][a-z0-9!#$&^_.+-]*|\*)$/;
+
+// Most dot-separated parts a multi-part extension may have ("tar.gz", "user.js", "tar.bz2")
+const MAX_EXTENSION_PARTS = 3;
+
+// Inner parts of a multi-part extension are short tokens, which keeps name parts such as
+// "report" in "report.final.pdf" out of the candidates
+const EXTENSION_PART_PATTERN = /^[a-z0-9]{1,5}$/;
+
+/**
+ * Domain Utility Functions
+ */
+
+/**
+ * Normalizes a domain value for rule matching.
+ * Strips protocol, trailing slashes, paths, and www prefix. Internationalized hosts are
+ * returned in Unicode form, whichever form they were given in.
+ *
+ * Inputs:
+ *   - domain: String domain value (may include protocol, path, etc.)
+ *
+ * Outputs: String normalized domain (just hostname)
+ *
+ * Examples:
+ *   - "https://github.com/" → "github.com"
+ *   - "http://www.example.com/path" → "example.com"
+ *   - "github.com" → "github.com"
+ *   - "www.github.com" → "github.com"
+ *   - "https://www.xn--bcher-kva.de/" → "bücher.de"
+ */
+function normalizeDomain(domain) {
+  if (!domain) return '';
+  let normalized = domain.trim();
+
+  // Remove protocol (http://, https://)
+  normalized = normalized.replace(/^https?:\/\//i, '');
+
+  // Remove trailing slashes and paths
+  normalized = normalized.split('/')[0];
+
+  // Remove www. prefix
+  normalized = normalized.replace(/^www\./i, '');
+
+  // Remove port if present
+  normalized = normalized.split(':')[0];
+
+  return DomainNames.toUnicode(normalized);
+}
+
+/**
+ * Finds the site a new domain rule should name for a host or URL: its registrable
+ * domain, using the Public Suffix List ("bbc.co.uk" for "news.bbc.co.uk", not "co.uk";
+ * "me.github.io" stays as is because github.io is a public suffix).
+ *
+ * Inputs:
+ *   - domain: String host or URL (any form normalizeDomain accepts)
+ *
+ * Outputs: String registrable domain in Unicode form ('' for empty input)
+ */
+function getRegistrableDomain(domain) {
+  const host = normalizeDomain(domain);
+  return host ? DomainNames.getRegistrableDomain(host) : '';
+}
+
+/**
+ * Picks the site the overlay offers a new domain rule for: the registrable domain of the
+ * site the download is credited to, else of its tab, its URL or its host.
+ *
+ * Inputs:
+ *   - download: Object with sourceSite, domain, tabUrl and url (as in the overlay's downloadInfo)
+ *
+ * Outputs: String registrable domain in Unicode form ('' if none of them has a host)
+ */
+function getSuggestedSiteDomain(download) {
+  const candidates = [(download.sourceSite && download.sourceSite.site) || download.domain, download.tabUrl, download.url, download.domain];
+  for (const candidate of candidates) {
+    const site = getRegistrableDomain(candidate);
+    if (site) return site;
+  }
+  return '';
+}
+
+/**
+ * Cleans up a domain rule value typed or picked by the user before it is saved: a single
+ * site loses its protocol, "www." and trailing slash and its host is stored in Unicode
+ * form (a path is kept). Wildcard, exclusion and multi-site patterns are left as typed.
+ *
+ * Inputs:
+ *   - ruleValue: String domain rule value
+ *
+ * Outputs: String cleaned-up value
+ *
+ * Examples:
+ *   - "https://www.xn--bcher-kva.de/" → "bücher.de"
+ *   - "GitHub.com/owner/repo/" → "github.com/owner/repo"
+ */
+function normalizeDomainRuleValue(ruleValue) {
+  const value = String(ruleValue || '').trim();
+  if (!value || isDomainPattern(value)) return value;
+  const [term] = parseDomainPattern(value).include;
+  return term ? term.host + term.path : value;
+}
+
+/**
+ * Domain Pattern Functions
+ *
+ * A domain rule's value is a list of site patterns:
+ * - "github.com" matches github.com and its subdomains; "github.com/owner/repo" also needs
+ *   the URL path to start with /owner/repo (case-insensitive)
+ * - "*.cdn.example.com" matches any subdomain of cdn.example.com (not cdn.example.com itself);
+ *   "files-*.example.org" matches files-eu.example.org - "*" elsewhere stays inside one label.
+ *   Wildcard patterns match the whole host
+ * - "!ads.example.com" excludes a site; "github.com except gist.github.com" is the same as
+ *   "github.com, !gist.github.com". A rule with only exclusions matches every other site
+ * - Several patterns are separated by commas; any one of them may match
+ */
+
+// Characters a host pattern may use (IDN hosts may use any letter, with combining marks)
+const HOST_PATTERN_CHARACTERS = /^[\p{L}\p{M}\p{N}*.-]+$/u;
+
+/**
+ * Parses one site pattern ("*.example.com/path", "!ads.example.com").
+ *
+ * Inputs:
+ *   - term: String single pattern
+ *
+ * Outputs: Object { exclude, host, path, hostRegExp (null without wildcards) }
+ */
+function parseDomainTerm(term) {
+  let normalized = term.trim();
+  const exclude = normalized.startsWith('!');
+  if (exclude) normalized = normalized.slice(1).trim();
+  normalized = normalized.replace(/^https?:\/\//i, '').replace(/\/$/, '').replace(/^www\./i, '');
+
+  const slashIndex = normalized.indexOf('/');
+  // Hosts are compared in Unicode form, so "xn--bcher-kva.de" and "bücher.de" are the same site
+  const host = DomainNames.toUnicode(slashIndex === -1 ? normalized : normalized.substring(0, slashIndex));
+  const path = slashIndex === -1 ? '' : normalized.substring(slashIndex);
+
+  let hostRegExp = null;
+  if (host.includes('*')) {
+    const source = host.split('.').map((label, index) => {
+      if (label === '*' && index === 0) return '(?:[^.]+\\.)*[^.]+';  // "*.": one or more labels
+      return label.split('*').map(part => part.replace(/[.+?^${}()|[\]\\-]/g, '\\$&')).join('[^.]*');
+    }).join('\\.');
+    hostRegExp = new RegExp(`^${source}$`);
+  }
+  return { exclude, host, path, hostRegExp };
+}
+
+/**
+ * Splits a domain rule value into site patterns to include and exclude.
+ *
+ * Inputs:
+ *   - ruleValue: String domain rule value
+ *
+ * Outputs: Object { include: Array, exclude: Array } of parseDomainTerm results
+ */
+function parseDomainPattern(ruleValue) {
+  const [included, ...excepted] = String(ruleValue || '').split(/\s+except\s+/i);
+  const terms = included.split(',').map(term => term.trim()).filter(Boolean);
+  excepted.forEach(list => {
+    list.split(',').map(term => term.trim()).filter(Boolean)
+      .forEach(term => terms.push(term.startsWith('!') ? term : `!${term}`));
+  });
+  const parsed = terms.map(parseDomainTerm).filter(term => term.host);
+  return {
+    include: parsed.filter(term => !term.exclude),
+    exclude: parsed.filter(term => term.exclude)
+  };
+}
+
+/**
+ * Tests a parsed site pattern against a URL's host and path.
+ *
+ * Inputs:
+ *   - term: Object from parseDomainTerm
+ *   - host: String hostname in Unicode form (see lib/domain-names.js) without "www."
+ *   - path: String URL pathname
+ *
+ * Outputs: Boolean
+ */
+function matchesDomainTerm(term, host, path) {
+  const hostMatches = term.hostRegExp
+    ? term.hostRegExp.test(host)
+    : host === term.host || host.endsWith('.' + term.host);  // Exact or subdomain match
+  if (!hostMatches) return false;
+  // If the pattern has a path, the download path should start with it
+  return !term.path || path.toLowerCase().startsWith(term.path.toLowerCase());
+}
+
+/**
+ * Tests a domain rule against several URLs for the same download (download URL, page,
+ * referrer): one of them has to match an included pattern and none may match an excluded one.
+ *
+ * Inputs:
+ *   - urls: Array of String URLs (empty values are skipped)
+ *   - ruleValue: String domain rule value
+ *
+ * Outputs: Boolean true if the rule matches
+ */
+function matchesDomainRuleForUrls(urls, ruleValue) {
+  if (!ruleValue) return false;
+  const { include, exclude } = parseDomainPattern(ruleValue);
+  if (include.length === 0 && exclude.length === 0) return false;
+
+  const locations = urls.filter(Boolean).map(candidate => {
+    try {
+      const url = new URL(candidate);
+      return { host: DomainNames.toUnicode(url.hostname.replace(/^www\./, '')), path: url.pathname };
+    } catch (e) {
+      return null;  // Invalid URL - cannot match
+    }
+  }).filter(Boolean);
+  if (locations.length === 0) return false;
+
+  const included = include.length === 0 ||
+    locations.some(({ host, path }) => include.some(term => matchesDomainTerm(term, host, path)));
+  const excluded = locations.some(({ host, path }) => exclude.some(term => matchesDomainTerm(term, host, path)));
+  return included && !excluded;
+}
+
+/**
+ * Matches a URL against a domain rule (see Domain Pattern Functions above).
+ * Rule "github.com" matches "github.com" and "api.github.com" but NOT "hub.com"
+ * Rule "github.com/Zahin-Mohammad-plug/Download-Router-Chrome-extension"
+ *   matches URLs from that path and subpaths
+ *
+ * Inputs:
+ *   - downloadUrl: String full URL from download
+ *   - ruleValue: String domain rule value
+ *
+ * Outputs: Boolean true if URL matches rule
+ */
+function matchesDomainRule(downloadUrl, ruleValue) {
+  if (!downloadUrl) return false;
+  return matchesDomainRuleForUrls([downloadUrl], ruleValue);
+}
+
+/**
+ * Picks the URLs a domain rule is checked against for its match scope. "download" is the
+ * URL the download was requested from (a blob URL's origin, or the referrer when it has
+ * none); "final" is where it was served from after redirects; "source" is the site the
+ * download is credited to (see lib/source-sites.js).
+ *
+ * Inputs:
+ *   - scope: String key of DOMAIN_MATCH_SCOPES (missing or unknown means 'default')
+ *   - urls: Object { source, download, final, referrer, tab }, each a URL string or Array
+ *     of them
+ *
+ * Outputs: Array of URL strings (empty entries removed)
+ */
+function getDomainScopeUrls(scope, urls) {
+  const pick = key => [].concat(urls[key] || []);
+  switch (scope) {
+    case 'download': return pick('download').filter(Boolean);
+    // Without a final URL the download was not redirected
+    case 'final': return (urls.final ? pick('final') : pick('download')).filter(Boolean);
+    case 'referrer': return pick('referrer').filter(Boolean);
+    case 'tab': return pick('tab').filter(Boolean);
+    case 'source': return pick('source').filter(Boolean);
+    case 'any': return [...pick('source'), ...pick('download'), ...pick('final'), ...pick('referrer'), ...pick('tab')].filter(Boolean);
+    // Rules saved before match scopes existed keep matching what they always did
+    default: return [...pick('download'), ...pick('final'), ...pick('referrer')].filter(Boolean);
+  }
+}
+
+/**
+ * Matches a domain rule against the download's URLs in the rule's match scope.
+ *
+ * Inputs:
+ *   - rule: Object domain rule (value, optional matchScope)
+ *   - urls: Object { source, download, final, referrer, tab } (see getDomainScopeUrls)
+ *
+ * Outputs: Boolean true if the rule matches
+ */
+function matchesDomainRuleInScope(rule, urls) {
+  return matchesDomainRuleForUrls(getDomainScopeUrls(rule.matchScope, urls), rule.value);
+}
+
+/**
+ * Validates a domain rule's match scope.
+ *
+ * Inputs:
+ *   - scope: Value of rule.matchScope
+ *
+ * Outputs: String error message, or null if the scope is valid (or not set)
+ */
+function validateMatchScope(scope) {
+  if (scope === undefined || Object.prototype.hasOwnProperty.call(DOMAIN_MATCH_SCOPES, scope)) return null;
+  return `Unknown match scope "${scope}" (use ${Object.keys(DOMAIN_MATCH_SCOPES).join(', ')})`;
+}
+
+/**
+ * Describes a domain rule's match scope for rule lists, e.g. "Referrer only".
+ *
+ * Inputs:
+ *   - scope: Value of rule.matchScope
+ *
+ * Outputs: String description, or '' for the default scope
+ */
+function describeMatchScope(scope) {
+  if (!scope || scope === 'default' || !DOMAIN_MATCH_SCOPES[scope]) return '';
+  if (scope === 'any') return 'Any URL';
+  return `${DOMAIN_MATCH_SCOPES[scope]} only`;
+}
+
+/**
+ * Validates a domain rule value before it is saved.
+ *
+ * Inputs:
+ *   - ruleValue: String domain rule value
+ *
+ * Outputs: String error message, or null if the value is valid
+ */
+function validateDomainPattern(ruleValue) {
+  const value = String(ruleValue || '').trim();
+  if (!value) return 'Enter a site, e.g. github.com';
+  const { include, exclude } = parseDomainPattern(value);
+  if (include.length === 0 && exclude.length === 0) return 'Enter a site, e.g. github.com';
+
+  for (const term of [...include, ...exclude]) {
+    const label = term.exclude ? `!${term.host}` : term.host;
+    if (!HOST_PATTERN_CHARACTERS.test(term.host)) return `"${label}" is not a valid site`;
+    if (term.host.split('.').some(part => !part)) return `"${label}" has an empty part between dots`;
+    if (term.host.includes('**')) return `"${label}": use a single * as a wildcard`;
+    if (!/[\p{L}\p{N}]/u.test(term.host)) return `"${label}" would match every site - leave out the site and only list exclusions (!site) instead`;
+  }
+  return null;
+}
+
+/**
+ * Validates a rule's value for its type: site patterns for domain rules, URL patterns for
+ * URL rules, glob/regex patterns for filename rules.
+ *
+ * Inputs:
+ *   - type: String rule type
+ *   - value: String rule value
+ *
+ * Outputs: String error message, or null if the value is valid (or the type has no pattern)
+ */
+function validateRuleValue(type, value) {
+  if (type === 'domain') return validateDomainPattern(value);
+  if (type === 'url') return validateUrlPattern(value);
+  return validateFilenamePattern(type, value);
+}
+
+/**
+ * Returns true if a domain rule value uses wildcards, exclusions or several patterns.
+ *
+ * Inputs:
+ *   - ruleValue: String domain rule value
+ *
+ * Outputs: Boolean
+ */
+function isDomainPattern(ruleValue) {
+  const { include, exclude } = parseDomainPattern(ruleValue);
+  return include.length + exclude.length > 1 || exclude.length > 0 || include.some(term => term.hostRegExp);
+}
+
+/**
+ * Describes a domain rule value in words for the Rules tab and the popup.
+ *
+ * Inputs:
+ *   - ruleValue: String domain rule value
+ *
+ * Outputs: String (e.g. 'github.com except gist.github.com', 'any site except ads.example.com',
+ *   'subdomains of cdn.example.com')
+ */
+function describeDomainPattern(ruleValue) {
+  const { include, exclude } = parseDomainPattern(ruleValue);
+  const describe = (term) => {
+    const path = term.path ? term.path : '';
+    if (term.hostRegExp && /^\*\.[^*]+$/.test(term.host)) return `subdomains of ${term.host.slice(2)}${path}`;
+    return `${term.host}${path}`;
+  };
+  const included = include.length > 0 ? include.map(describe).join(' or ') : 'any site';
+  return exclude.length > 0 ? `${included} except ${exclude.map(describe).join(', ')}` : included;
+}
+
+/**
+ * URL Pattern Functions
+ *
+ * A URL rule's value matches the whole download URL: "host[/path][?key=value&...]"
+ * - host works like a site pattern ("example.com" includes subdomains, "*.example.com" and
+ *   "files-*.example.org" wildcards); "*" on its own matches any host
+ * - path must match the whole URL path (case-insensitive, trailing slash optional):
+ *   ":name" captures one path segment and "*" matches anything, slashes included.
+ *   Without a path any path matches
+ * - each listed query parameter must be present in the URL, in any order; "key=value"
+ *   needs that value (case-insensitive), "key=:name" captures it, "key" or "key=*" only
+ *   needs the key. Parameters the pattern doesn't list are ignored
+ * Captured values can be used as {name} in the rule's destination folder and rename template.
+ * Example: "tools.example.com/export?format=csv&project=:project" → "Exports/{project}"
+ */
+
+// Names a capture may use (":project", ":team_id")
+const URL_CAPTURE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/**
+ * Parses a URL rule value.
+ *
+ * Inputs:
+ *   - ruleValue: String URL rule value
+ *
+ * Outputs: Object {
+ *   host: parseDomainTerm result,
+ *   pathRegExp: RegExp|null (null when the pattern has no path),
+ *   pathNames: Array of String capture names in path order,
+ *   query: Array of { key, value, capture } (value null = any value; capture = name or null),
+ *   names: Array of String capture names (path, then query)
+ * } or null if the value is empty
+ */
+function parseUrlPattern(ruleValue) {
+  let value = String(ruleValue || '').trim().replace(/^https?:\/\//i, '').replace(/#.*$/, '');
+  if (!value) return null;
+
+  const queryIndex = value.indexOf('?');
+  const queryPart = queryIndex === -1 ? '' : value.substring(queryIndex + 1);
+  value = queryIndex === -1 ? value : value.substring(0, queryIndex);
+  const slashIndex = value.indexOf('/');
+  const host = parseDomainTerm(slashIndex === -1 ? value : value.substring(0, slashIndex));
+  const path = slashIndex === -1 ? '' : value.substring(slashIndex);
+
+  const pathNames = [];
+  let pathRegExp = null;
+  if (path && path !== '/') {
+    const source = path.replace(/\/+$/, '').split(/(:[A-Za-z][A-Za-z0-9_]*|\*)/).map(token => {
+      if (token === '*') return '.*';
+      if (token.startsWith(':')) {
+        pathNames.push(token.slice(1));
+        return '([^/]+)';
+      }
+      return token.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    pathRegExp = new RegExp(`^${source}/?$`, 'i');
+  }
+
+  const query = queryPart.split('&').filter(Boolean).map(pair => {
+    const equalsIndex = pair.indexOf('=');
+    const key = safeDecodeURIComponent(equalsIndex === -1 ? pair : pair.substring(0, equalsIndex));
+    const raw = equalsIndex === -1 ? '' : safeDecodeURIComponent(pair.substring(equalsIndex + 1));
+    const capture = raw.startsWith(':') ? raw.slice(1) : null;
+    return { key, value: raw === '' || raw === '*' || capture ? null : raw, capture };
+  });
+
+  return {
+    host,
+    pathRegExp,
+    pathNames,
+    query,
+    names: [...pathNames, ...query.filter(param => param.capture).map(param => param.capture)]
+  };
+}
+
+/**
+ * Decodes a URL component, leaving malformed escapes as they are.
+ *
+ * Inputs:
+ *   - value: String URL component
+ *
+ * Outputs: String decoded value
+ */
+function safeDecodeURIComponent(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Matches a URL against a URL rule value.
+ *
+ * Inputs:
+ *   - url: String URL to test
+ *   - ruleValue: String URL rule value
+ *
+ * Outputs: Object mapping capture names to their decoded values (empty object when the
+ *          pattern captures nothing), or null if the URL doesn't match
+ *
+ * Examples:
+ *   - "https://tools.example.com/export?project=alpha&format=csv",
+ *     "tools.example.com/export?format=csv&project=:project" → { project: 'alpha' }
+ *   - "https://git.example.com/acme/widgets/archive/v2.zip",
+ *     "git.example.com/:owner/:repo/archive/*" → { owner: 'acme', repo: 'widgets' }
+ */
+function matchUrlPattern(url, ruleValue) {
+  const pattern = parseUrlPattern(ruleValue);
+  if (!pattern || !pattern.host.host) return null;
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (e) {
+    return null;  // Invalid URL - cannot match
+  }
+  if (!/^https?:$/.test(parsedUrl.protocol)) return null;
+  const host = DomainNames.toUnicode(parsedUrl.hostname.replace(/^www\./, ''));
+  if (!matchesDomainTerm(pattern.host, host, '')) return null;
+
+  const captures = {};
+  if (pattern.pathRegExp) {
+    const match = parsedUrl.pathname.match(pattern.pathRegExp);
+    if (!match) return null;
+    pattern.pathNames.forEach((name, index) => { captures[name] = safeDecodeURIComponent(match[index + 1]); });
+  }
+
+  for (const param of pattern.query) {
+    const actual = parsedUrl.searchParams.get(param.key);
+    if (actual === null) return null;
+    if (param.value !== null && actual.toLowerCase() !== param.value.toLowerCase()) return null;
+    if (param.capture) captures[param.capture] = actual;
+  }
+  return captures;
+}
+
+/**
+ * Validates a URL rule value before it is saved.
+ *
+ * Inputs:
+ *   - ruleValue: String URL rule value
+ *
+ * Outputs: String error message, or null if the value is valid
+ */
+function validateUrlPattern(ruleValue) {
+  const value = String(ruleValue || '').trim();
+  if (!value) return 'Enter a URL pattern, e.g. tools.example.com/export?project=:project';
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value) && !/^https?:\/\//i.test(value)) {
+    return 'URL patterns match http and https addresses only';
+  }
+  const pattern = parseUrlPattern(value);
+  const host = pattern.host.host;
+  if (!host) return 'Start the pattern with a site, e.g. tools.example.com (or * for any site)';
+  if (pattern.host.exclude) return 'URL patterns can\'t exclude sites - use a site rule with "except" instead';
+  if (host !== '*') {
+    if (!HOST_PATTERN_CHARACTERS.test(host)) return `"${host}" is not a valid site`;
+    if (host.split('.').some(part => !part)) return `"${host}" has an empty part between dots`;
+    if (host.includes('**')) return `"${host}": use a single * as a wildcard`;
+  } else if (!pattern.pathRegExp && pattern.query.length === 0) {
+    return 'A pattern of just * would match every download - add a path or query parameters';
+  }
+  // ":" followed by something that isn't a name, e.g. "/:1/"
+  const path = value.replace(/^https?:\/\//i, '').split('?')[0].replace(/^[^/]*/, '');
+  if (/:(?![A-Za-z])/.test(path)) {
+    return 'Capture names start with a letter, e.g. :project';
+  }
+  if (pattern.query.some(param => !param.key)) return 'Each query parameter needs a name, e.g. format=csv';
+  const badCapture = pattern.query.find(param => param.capture !== null && !URL_CAPTURE_NAME_PATTERN.test(param.capture));
+  if (badCapture) return `"${badCapture.key}=:${badCapture.capture}": capture names start with a letter and use letters, digits and _`;
+
+  const seen = [];
+  for (const name of pattern.names) {
+    const key = name.toLowerCase();
+    if (PATH_TEMPLATE_VARIABLES.some(variable => variable.toLowerCase() === key) || key === 'original') {
+      return `:${name} is already a folder variable - pick another capture name`;
+    }
+    if (seen.includes(key)) return `:${name} is captured twice`;
+    seen.push(key);
+  }
+  return null;
+}
+
+/**
+ * Lists the names a URL rule value captures.
+ *
+ * Inputs:
+ *   - ruleValue: String URL rule value
+ *
+ * Outputs: Array of String capture names (empty for invalid values)
+ */
+function getUrlPatternVariables(ruleValue) {
+  if (validateUrlPattern(ruleValue)) return [];
+  return parseUrlPattern(ruleValue).names;
+}
+
+/**
+ * Lists the {variables} a rule's destination folder may use: the standard folder
+ * variables plus, for URL rules, the values the pattern captures and, for any rule, the
+ * page variables it reads (see lib/page-data.js) and, for rules using site adapters, the
+ * values adapters read (see lib/site-adapters.js).
+ *
+ * Inputs:
+ *   - rule: Object with type and value (pageVariables and siteAdapter optional)
+ *
+ * Outputs: Array of String variable names
+ */
+function getRuleTemplateVariables(rule) {
+  if (!rule) return PATH_TEMPLATE_VARIABLES;
+  const captures = rule.type === 'url' ? getUrlPatternVariables(rule.value) : [];
+  const adapterVariables = rule.siteAdapter ? SiteAdapters.getSiteAdapterVariables() : [];
+  return [...PATH_TEMPLATE_VARIABLES, ...captures, ...PageData.getPageVariableNames(rule), ...adapterVariables];
+}
+
+/**
+ * Validates the page variables a rule declares (see lib/page-data.js): their names may not
+ * hide the standard folder variables or a URL rule's captures.
+ *
+ * Inputs:
+ *   - rule: Object with type, value and optional pageVariables
+ *   - checkSelector: Optional function throwing on an invalid CSS selector (pages pass one)
+ *
+ * Outputs: String error message, or null if valid
+ */
+function validateRulePageVariables(rule, checkSelector = null) {
+  const reserved = getRuleTemplateVariables({ type: rule.type, value: rule.value });
+  return PageData.validatePageVariables(rule.pageVariables, reserved, checkSelector);
+}
+
+/**
+ * Compound Condition Functions
+ *
+ * A compound rule ({ type: 'compound', conditions }) holds a condition tree:
+ * - Group: { match: 'all' | 'any', conditions: [...] } - AND / OR over its children
+ * - Leaf:  { field, operator, value } - see CONDITION_OPERATORS for valid combinations
+ *          (page leaves also carry the source they read: { field: 'page', source, ... })
+ *
+ * Leaf semantics:
+ * - domain is:          domain rule matching (subdomains, wildcards, !exclusions, optional path)
+ *                       on the download URL or referrer
+ * - path startsWith/contains/glob: download URL pathname, case-insensitive
+ * - filename contains/glob/regex:  same as the matching filename rule type
+ * - extension is:       comma-separated list of extensions (multi-part ones like "tar.gz" allowed)
+ * - mime is:            comma-separated list of MIME types, "type/*" wildcards allowed
+ * - size gt/lt:         file size in MB (never matches when the size is unknown)
+ * - referrer is/contains: domain rule matching / substring on the referrer URL
+ * - tabGroup is/contains, tabGroupColor is, window is, pageTitle contains/glob/regex:
+ *                       the tab the download started in (never match when it is unknown)
+ * - page contains/is/regex: text the page shows at the leaf's source (a CSS selector or
+ *                       "meta:name", see lib/page-data.js); never matches when the page has none
+ */
+
+/**
+ * Tests whether a MIME type matches a comma-separated list of MIME patterns.
+ *
+ * Inputs:
+ *   - mime: String MIME type of the download (may include parameters)
+ *   - patterns: String comma-separated patterns (e.g. "application/pdf, image/*")
+ *
+ * Outputs: Boolean true if any pattern matches
+ */
+function matchesMimePattern(mime, patterns) {
+  const actual = normalizeMime(mime);
+  if (!actual) return false;
+  return (patterns || '').split(',').map(p => p.trim().toLowerCase()).filter(p => p).some(pattern => {
+    if (pattern === '*' || pattern === '*/*') return true;
+    if (pattern.endsWith('/*')) return actual.startsWith(pattern.slice(0, -1));
+    return actual === pattern;
+  });
+}
+
+/**
+ * Returns the MIME type without parameters, lowercased ("Text/HTML; charset=utf-8" -> "text/html").
+ */
+function normalizeMime(mime) {
+  return (mime || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Validates a comma-separated list of MIME patterns (as typed in a group or condition).
+ *
+ * Inputs:
+ *   - patterns: String e.g. "application/pdf, image/*"
+ *
+ * Outputs: String error message, or null if every pattern is valid (an empty list is valid)
+ */
+function validateMimePatterns(patterns) {
+  const invalid = (patterns || '').split(',').map(p => p.trim().toLowerCase()).filter(p => p && p !== '*')
+    .filter(p => !MIME_PATTERN.test(p));
+  return invalid.length > 0 ? `Not a MIME type: ${invalid.join(', ')} (use type/subtype or type/*)` : null;
+}
+
+/**
+ * Returns the MIME patterns a file type group matches: its own mimeTypes if set
+ * (an empty string turns MIME matching off), otherwise the built-in list for default groups.
+ *
+ * Inputs:
+ *   - name: String group name
+ *   - group: Group configuration object
+ *
+ * Outputs: String comma-separated MIME patterns ('' if none)
+ */
+function getGroupMimeTypes(name, group) {
+  if (typeof group.mimeTypes === 'string') return group.mimeTypes;
+  return DEFAULT_GROUP_MIME_TYPES[name] || '';
+}
+
+/**
+ * Names the kind of window a tab is in, as window conditions use it. Incognito wins over
+ * the window type, so an incognito popup is an incognito window.
+ *
+ * Inputs:
+ *   - tab: Object tab context { windowType, incognito } (see routeDownload)
+ *
+ * Outputs: String key of WINDOW_KINDS ('normal', 'incognito', 'popup' or 'app')
+ */
+function getWindowKind(tab) {
+  if (tab.incognito) return 'incognito';
+  return tab.windowType === 'popup' || tab.windowType === 'app' ? tab.windowType : 'normal';
+}
+
+/**
+ * Evaluates a single leaf condition against the download context.
+ *
+ * Inputs:
+ *   - condition: Object { field, operator, value } (page conditions also have a source)
+ *   - context: Object built by routeDownload (url, urlForMatching, sourceUrl, referrer,
+ *              filename, extension, extensions, mime, fileSize, tab, pageData)
+ *
+ * Outputs: Boolean true if the condition holds
+ */
+function evaluateLeafCondition(condition, context) {
+  const value = String(condition.value ?? '').trim();
+  if (!value) return false;
+  const tab = context.tab || {};
+
+  switch (condition.field) {
+    case 'domain':
+      return matchesDomainRuleForUrls([context.sourceUrl, context.urlForMatching, context.url, context.referrer], value);
+
+    case 'path': {
+      let pathname = '';
+      try {
+        pathname = new URL(context.url).pathname;
+      } catch (e) {
+        return false;
+      }
+      if (condition.operator === 'glob') return globToRegExp(value).test(pathname);
+      if (condition.operator === 'contains') return pathname.toLowerCase().includes(value.toLowerCase());
+      return pathname.toLowerCase().startsWith(value.toLowerCase());
+    }
+
+    case 'filename':
+      return matchesFilenameRule({ type: condition.operator, value }, context.filename);
+
+    case 'extension': {
+      // Any of the name's extensions: "gz" and "tar.gz" both match "backup.tar.gz"
+      const extensions = parseExtensionList(value);
+      return (context.extensions || [context.extension]).some(ext => extensions.includes(ext));
+    }
+
+    case 'mime':
+      return matchesMimePattern(context.mime, value);
+
+    case 'size': {
+      const limitBytes = parseFloat(value) * BYTES_PER_MB;
+      if (!(context.fileSize > 0) || isNaN(limitBytes)) return false;
+      return condition.operator === 'lt' ? context.fileSize < limitBytes : context.fileSize > limitBytes;
+    }
+
+    case 'referrer':
+      if (!context.referrer) return false;
+      if (condition.operator === 'contains') return context.referrer.toLowerCase().includes(value.toLowerCase());
+      return matchesDomainRule(context.referrer, value);
+
+    case 'tabGroup': {
+      // Tabs outside a group (and downloads without a known tab) have no group title
+      const title = (tab.groupTitle || '').trim().toLowerCase();
+      if (!title) return false;
+      if (condition.operator === 'contains') return title.includes(value.toLowerCase());
+      return title === value.toLowerCase();
+    }
+
+    case 'tabGroupColor':
+      return !!tab.groupColor && tab.groupColor === value.toLowerCase();
+
+    case 'window':
+      // Unknown when the window couldn't be looked up (an incognito tab still says so itself)
+      if (!tab.windowType && !tab.incognito) return false;
+      return getWindowKind(tab) === value.toLowerCase();
+
+    case 'pageTitle':
+      return !!tab.title && matchesFilenameRule({ type: condition.operator, value }, tab.title);
+
+    case 'page': {
+      // Text the page shows at the condition's source; missing when the page has none
+      const text = (context.pageData || {})[String(condition.source || '').trim()];
+      if (!text) return false;
+      if (condition.operator === 'regex') return compileFilenamePattern('regex', value).test(text);
+      if (condition.operator === 'is') return text.toLowerCase() === value.toLowerCase();
+      return text.toLowerCase().includes(value.toLowerCase());
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluates a condition tree (group or leaf). Empty groups never match, so a
+ * half-built rule can't turn into a catch-all.
+ *
+ * Inputs:
+ *   - node: Condition group or leaf
+ *   - context: Download context (see evaluateLeafCondition)
+ *
+ * Outputs: Boolean
+ */
+function evaluateCondition(node, context) {
+  if (!node) return false;
+  if (Array.isArray(node.conditions)) {
+    if (node.conditions.length === 0) return false;
+    return node.match === 'any'
+      ? node.conditions.some(child => evaluateCondition(child, context))
+      : node.conditions.every(child => evaluateCondition(child, context));
+  }
+  try {
+    return evaluateLeafCondition(node, context);
+  } catch (e) {
+    // Invalid glob/regex in a stored condition - treat as no match
+    return false;
+  }
+}
+
+/**
+ * Validates a compound rule's condition tree before it is saved.
+ *
+ * Inputs:
+ *   - node: Root condition group
+ *   - depth: Current nesting depth (internal)
+ *
+ * Outputs: String error message, or null if the tree is valid
+ */
+function validateConditions(node, depth = 1) {
+  if (!node || !Array.isArray(node.conditions)) return 'Conditions must be a group';
+  if (depth > MAX_CONDITION_DEPTH) return `Groups can be nested at most ${MAX_CONDITION_DEPTH} levels deep`;
+  if (node.match !== 'all' && node.match !== 'any') return 'Group must match "all" or "any"';
+  if (node.conditions.length === 0) return 'Every group needs at least one condition';
+
+  for (const child of node.conditions) {
+    if (Array.isArray(child.conditions)) {
+      const error = validateConditions(child, depth + 1);
+      if (error) return error;
+      continue;
+    }
+    const operators = CONDITION_OPERATORS[child.field];
+    if (!operators) return `Unknown condition field "${child.field}"`;
+    if (!operators.includes(child.operator)) return `Operator "${child.operator}" can't be used with ${child.field}`;
+    const value = String(child.value ?? '').trim();
+    if (!value) return `Enter a value for the ${child.field} condition`;
+    if (child.field === 'size' && !(parseFloat(value) >= 0)) return 'File size must be a number of MB';
+    if (child.field === 'page') {
+      const error = PageData.validatePageSource(child.source);
+      if (error) return error;
+      if (child.operator === 'regex') {
+        const patternError = validateFilenamePattern('regex', value);
+        if (patternError) return `Page text regex: ${patternError}`;
+      }
+    }
+    if (child.field === 'filename' || child.field === 'pageTitle') {
+      const error = validateFilenamePattern(child.operator, value);
+      if (error) return `${child.field === 'filename' ? 'Filename' : 'Page title'} ${child.operator}: ${error}`;
+    }
+    const choices = CONDITION_VALUE_CHOICES[child.field];
+    if (choices && !choices.includes(value.toLowerCase())) {
+      return `Choose one of ${choices.join(', ')} for the ${CONDITION_FIELD_NAMES[child.field]} condition`;
+    }
+    if ((child.field === 'domain' || child.field === 'referrer') && child.operator === 'is') {
+      const error = validateDomainPattern(value);
+      if (error) return error;
+    }
+    if (child.field === 'mime') {
+      const error = validateMimePatterns(value);
+      if (error) return error;
+    }
+    if (child.field === 'path' && child.operator === 'glob') {
+      try {
+        globToRegExp(value);
+      } catch (e) {
+        return `Path glob: ${e.message}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds a short human-readable summary of a condition tree.
+ * Stored as the compound rule's value so lists, badges and lookups that show
+ * rule.value keep working.
+ *
+ * Inputs:
+ *   - node: Condition group or leaf
+ *
+ * Outputs: String summary (e.g. 'domain is arxiv.org AND extension is pdf')
+ */
+function describeConditions(node) {
+  if (!node) return '';
+  if (Array.isArray(node.conditions)) {
+    const joiner = node.match === 'any' ? ' OR ' : ' AND ';
+    return node.conditions.map(child => {
+      const text = describeConditions(child);
+      return Array.isArray(child.conditions) && child.conditions.length > 1 ? `(${text})` : text;
+    }).join(joiner);
+  }
+  const operatorText = {
+    is: 'is', startsWith: 'starts with', contains: 'contains', glob: 'matches',
+    regex: 'matches regex', gt: '>', lt: '<'
+  }[node.operator] || node.operator;
+  const value = node.field === 'size' ? `${node.value} MB` : node.value;
+  const field = node.field === 'page' ? `page ${node.source}` : CONDITION_FIELD_NAMES[node.field] || node.field;
+  return `${field} ${operatorText} ${value}`;
+}
+
+/**
+ * Rule Matching Functions
+ */
+
+/**
+ * Returns the extensions a filename could have, longest first: "backup.tar.gz" gives
+ * ["tar.gz", "gz"], "script.user.js" gives ["user.js", "js"], "scene.blend1" gives ["blend1"].
+ *
+ * Inputs:
+ *   - filename: String filename (or a multi-part extension such as "tar.gz")
+ *
+ * Outputs: Array of lowercase extensions without the leading dot (the whole name if there
+ *   is no dot)
+ */
+function getFileExtensions(filename) {
+  const parts = (filename || '').toLowerCase().split('.');
+  const extensions = [parts.pop()];
+  // parts[0] is the base name (empty for ".bashrc"), never part of the extension
+  for (let i = parts.length - 1; i >= 1 && extensions.length < MAX_EXTENSION_PARTS; i--) {
+    if (!EXTENSION_PART_PATTERN.test(parts[i])) break;
+    extensions.unshift(`${parts[i]}.${extensions[0]}`);
+  }
+  return extensions;
+}
+
+/**
+ * Parses a comma-separated extension list ("stl, .OBJ, tar.gz").
+ *
+ * Inputs:
+ *   - list: String comma-separated extensions
+ *
+ * Outputs: Array of lowercase extensions without the leading dot
+ */
+function parseExtensionList(list) {
+  return String(list || '').split(',')
+    .map(ext => ext.trim().replace(/^\.+/, '').toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Returns the lowercase extension of a filename. With a list of known extensions this is
+ * the longest one the name ends with, so "backup.tar.gz" is "tar.gz" when a group lists it
+ * and "gz" otherwise.
+ *
+ * Inputs:
+ *   - filename: String filename
+ *   - knownExtensions: Optional array of extensions (e.g. every extension listed by a group)
+ *
+ * Outputs: String extension without the dot (last part after the final dot - the whole
+ *   name if there is no dot - when no known extension fits)
+ */
+function getFileExtension(filename, knownExtensions = null) {
+  const extensions = getFileExtensions(filename);
+  if (knownExtensions) {
+    const known = extensions.find(ext => knownExtensions.includes(ext));
+    if (known) return known;
+  }
+  return extensions[extensions.length - 1];
+}
+
+/**
+ * Lists every extension listed by an enabled file type group.
+ *
+ * Inputs:
+ *   - groups: Object mapping group names to group configurations
+ *
+ * Outputs: Array of lowercase extensions
+ */
+function getGroupExtensions(groups) {
+  return Object.values(groups || {})
+    .filter(group => group.enabled !== false)
+    .flatMap(group => parseExtensionList(group.extensions));
+}
+
+/**
+ * Reads a rule or match priority, falling back to the given default.
+ *
+ * Inputs:
+ *   - item: Object with optional priority property
+ *   - fallback: Number default priority
+ *
+ * Outputs: Number priority
+ */
+function getPriority(item, fallback = DEFAULT_RULE_PRIORITY) {
+  return parseFloat(item.priority) || fallback;
+}
+
+/**
+ * Works out the hostname used for display/routing and the URL domain rules match against.
+ * Blob URLs have an empty hostname, so their origin is used instead; if there is
+ * still no host the referrer is used.
+ *
+ * Inputs:
+ *   - url: String download URL
+ *   - referrer: Optional string referrer URL
+ *
+ * Outputs: Object { domain, urlForMatching } (domain is in Unicode form, 'unknown' for
+ *          unparseable URLs)
+ */
+function resolveMatchUrl(url, referrer = '') {
+  let domain = 'unknown';
+  let urlForMatching = url;
+  try {
+    const parsedUrl = new URL(url);
+    domain = parsedUrl.hostname;
+
+    // For blob:https://github.com/xxx, hostname is empty but origin is 'https://github.com'
+    if (!domain && parsedUrl.protocol === 'blob:') {
+      const blobOrigin = parsedUrl.origin;
+      if (blobOrigin && blobOrigin !== 'null') {
+        try {
+          domain = new URL(blobOrigin).hostname;
+          urlForMatching = blobOrigin;
+        } catch (e) {
+          // Unparseable origin - fall through to referrer
+        }
+      }
+    }
+
+    // If still no domain, try to use the referrer instead
+    if (!domain && referrer) {
+      urlForMatching = referrer;
+      domain = new URL(referrer).hostname;
+    }
+  } catch (e) {
+    return { domain: 'unknown', urlForMatching: url };
+  }
+  // Internationalized hosts are shown (and used for {domain}) in Unicode form
+  return { domain: domain ? DomainNames.toUnicode(domain) : 'unknown', urlForMatching };
+}
+
+/**
+ * Finds enabled domain rules matching the download's URLs, each in its own match scope.
+ *
+ * Inputs:
+ *   - rules: Array of rule objects
+ *   - urls: Object { source, download, final, referrer, tab } (see getDomainScopeUrls)
+ *
+ * Outputs: Array of matching rules tagged with source 'domain'
+ */
+function findDomainMatches(rules, urls) {
+  return rules.filter(rule => {
+    if (rule.type !== 'domain' || rule.enabled === false) return false;
+    return matchesDomainRuleInScope(rule, urls);
+  }).map(r => ({...r, source: 'domain'}));
+}
+
+/**
+ * Finds enabled URL rules matching one of the candidate URLs. The first URL that matches
+ * supplies the rule's captured values.
+ *
+ * Inputs:
+ *   - rules: Array of rule objects
+ *   - urls: Array of URL strings to test in order (empty entries are ignored)
+ *
+ * Outputs: Array of matching rules tagged with source 'url', each carrying captures
+ *   (Object mapping capture names to values)
+ */
+function findUrlMatches(rules, urls) {
+  const candidates = urls.filter(Boolean);
+  const matches = [];
+  rules.forEach(rule => {
+    if (rule.type !== 'url' || rule.enabled === false) return;
+    for (const candidate of candidates) {
+      const captures = matchUrlPattern(candidate, rule.value);
+      if (captures) {
+        matches.push({...rule, source: 'url', captures});
+        return;
+      }
+    }
+  });
+  return matches;
+}
+
+/**
+ * Finds enabled filename rules (contains, glob, regex) that match the filename.
+ *
+ * Inputs:
+ *   - rules: Array of rule objects
+ *   - filename: String filename (no path)
+ *
+ * Outputs: Array of matching rules tagged with their type as source
+ */
+function findFilenameMatches(rules, filename) {
+  return rules.filter(rule => {
+    if (!isFilenameRuleType(rule.type) || rule.enabled === false) return false;
+    return matchesFilenameRule(rule, filename);
+  }).map(r => ({...r, source: r.type}));
+}
+
+/**
+ * Finds enabled compound rules whose condition tree holds for the download.
+ *
+ * Inputs:
+ *   - rules: Array of rule objects
+ *   - context: Download context (see evaluateLeafCondition)
+ *
+ * Outputs: Array of matching rules tagged with source 'compound'
+ */
+function findCompoundMatches(rules, context) {
+  return rules.filter(rule => {
+    if (rule.type !== 'compound' || rule.enabled === false) return false;
+    return evaluateCondition(rule.conditions, context);
+  }).map(r => ({...r, source: 'compound'}));
+}
+
+/**
+ * Finds enabled file type groups for the download and turns them into rule objects.
+ * Groups match on the longest extension any of them lists ("tar.gz" before "gz"); only when
+ * no group has the extension (e.g. "download.php",
+ * "get?id=42") do they match on the MIME type instead - see getGroupMimeTypes.
+ * Groups with overrideDomainRules are boosted just above the best domain match.
+ *
+ * Inputs:
+ *   - groups: Object mapping group names to group configurations
+ *   - extension: String lowercase file extension, may be multi-part ("tar.gz")
+ *   - domainMatches: Array of domain matches (used for override boosting)
+ *   - mime: Optional string MIME type reported by Chrome
+ *
+ * Outputs: Array of synthetic rules tagged with source 'filetype'; MIME matches also carry
+ *   matchedMime (the download's MIME type)
+ */
+function findFileTypeMatches(groups, extension, domainMatches = [], mime = '') {
+  const enabledGroups = Object.entries(groups || {}).filter(([, group]) => group.enabled !== false);
+
+  // Longest extension any group lists wins: a group with "tar.gz" takes backup.tar.gz from
+  // a group with "gz" instead of tying with it
+  const listed = getGroupExtensions(groups);
+  const parts = String(extension || '').split('.');
+  const longest = parts.map((part, i) => parts.slice(i).join('.')).find(ext => listed.includes(ext));
+  let matchedGroups = longest
+    ? enabledGroups.filter(([, group]) => parseExtensionList(group.extensions).includes(longest))
+    : [];
+  let matchedMime = null;
+  if (matchedGroups.length === 0 && normalizeMime(mime)) {
+    matchedGroups = enabledGroups.filter(([name, group]) => matchesMimePattern(mime, getGroupMimeTypes(name, group)));
+    matchedMime = normalizeMime(mime);
+  }
+
+  return matchedGroups.map(([name, group]) => {
+    const fileTypeRule = {
+      type: 'filetype',
+      value: group.extensions || '',
+      folder: group.folder,
+      priority: getPriority(group, DEFAULT_GROUP_PRIORITY),
+      enabled: true,
+      overrideDomainRules: group.overrideDomainRules || false,
+      source: 'filetype',
+      groupName: name
+    };
+    if (matchedMime) fileTypeRule.matchedMime = matchedMime;
+
+    // If overrideDomainRules is true, boost priority to beat domain rules
+    // (boostedFrom keeps the configured priority so the rule tester can explain the change)
+    if (fileTypeRule.overrideDomainRules && domainMatches.length > 0) {
+      const lowestDomainPriority = Math.min(...domainMatches.map(r => getPriority(r)));
+      fileTypeRule.boostedFrom = fileTypeRule.priority;
+      fileTypeRule.priority = Math.max(0.1, lowestDomainPriority - 0.1);
+    }
+
+    return fileTypeRule;
+  });
+}
+
+/**
+ * Finds the rules the overlay offers to edit for a download, whether or not they won:
+ * the most specific enabled domain rule (longest value), the first enabled filename rule
+ * and the file type group the download belongs to.
+ *
+ * Inputs:
+ *   - rules: Array of rule objects
+ *   - groups: Object mapping group names to group configurations
+ *   - download: Object with domain, url, finalUrl, referrer, tabUrl, sourceSite, filename,
+ *     extension and mime (as in the overlay's downloadInfo)
+ *
+ * Outputs: Object { domainRule, filenameRule, fileTypeMatch } (each null when none is found)
+ */
+function findRulesForDownload(rules, groups, download) {
+  const domain = download.domain || '';
+  // The bare domain needs a scheme to parse as a URL
+  const urls = {
+    source: download.sourceSite ? `https://${download.sourceSite.site}/` : '',
+    download: [domain ? `https://${domain.replace(/^https?:\/\//i, '')}` : '', download.url || ''],
+    final: download.finalUrl || '',
+    referrer: download.referrer || '',
+    tab: download.tabUrl || ''
+  };
+  const domainRules = (rules || []).filter(rule => rule.type === 'domain' && rule.enabled !== false && matchesDomainRuleInScope(rule, urls));
+  domainRules.sort((a, b) => (b.value?.length || 0) - (a.value?.length || 0));
+
+  const filenameRule = (rules || []).find(rule =>
+    isFilenameRuleType(rule.type) && rule.enabled !== false && matchesFilenameRule(rule, download.filename || '')
+  );
+
+  const extension = (download.extension || '').toLowerCase();
+  return {
+    domainRule: domainRules[0] || null,
+    filenameRule: filenameRule || null,
+    fileTypeMatch: findFileTypeMatches(groups || {}, extension, [], download.mime || '')[0] || null
+  };
+}
+
+/**
+ * Sorts matches by priority (lower number = higher priority), breaking ties by source.
+ *
+ * Inputs:
+ *   - matches: Array of match objects
+ *
+ * Outputs: New sorted array
+ */
+function sortMatches(matches) {
+  return [...matches].sort((a, b) => {
+    const priorityA = getPriority(a);
+    const priorityB = getPriority(b);
+    if (priorityA !== priorityB) {
+      return priorityA - priorityB;
+    }
+    return (SOURCE_ORDER[a.source] ?? 999) - (SOURCE_ORDER[b.source] ?? 999);
+  });
+}
+
+/**
+ * Picks the winning rule from sorted matches and works out the conflict set.
+ *
+ * Inputs:
+ *   - sortedMatches: Array of matches, already sorted by sortMatches
+ *   - conflictResolution: String 'auto' (take first) or 'ask' (let the overlay choose)
+ *   - defaultFolder: String folder used when nothing matches
+ *
+ * Outputs: Object { finalRule, conflictRules }
+ *   - finalRule: Winning rule, default-folder rule, or null when the user must choose
+ *   - conflictRules: Array of same-priority top matches in 'ask' mode, otherwise null
+ */
+function selectRule(sortedMatches, conflictResolution = 'auto', defaultFolder = 'Downloads') {
+  if (sortedMatches.length === 0) {
+    return {
+      finalRule: { folder: defaultFolder, source: 'default', priority: DEFAULT_FOLDER_PRIORITY },
+      conflictRules: null
+    };
+  }
+
+  const topPriority = getPriority(sortedMatches[0]);
+  const samePriorityRules = sortedMatches.filter(r =>
+    Math.abs(getPriority(r) - topPriority) < PRIORITY_TOLERANCE
+  );
+
+  if (conflictResolution === 'ask' && samePriorityRules.length > 1) {
+    // Will be handled in overlay - user picks from the conflict set
+    return { finalRule: null, conflictRules: samePriorityRules };
+  }
+
+  return {
+    finalRule: samePriorityRules[0],
+    conflictRules: conflictResolution === 'ask' && sortedMatches.length > 1 ? samePriorityRules : null
+  };
+}
+
+/**
+ * Resolves the destination for a folder.
+ * Absolute folders (from the native picker) download to the Downloads root and are
+ * moved afterwards by the companion app; relative folders go straight to Chrome.
+ *
+ * Inputs:
+ *   - folder: String folder (relative or absolute, may be a {variable} template)
+ *   - filename: String filename (may contain path, will be extracted)
+ *   - templateValues: Optional object from buildPathTemplateValues used to expand the folder
+ *
+ * Outputs: Object { resolvedPath, needsMove, absoluteDestination }
+ */
+function resolveDestination(folder, filename, templateValues = null) {
+  if (templateValues) {
+    folder = expandPathTemplate(folder, templateValues);
+  }
+  if (isAbsolutePath(folder)) {
+    return {
+      resolvedPath: extractFilename(filename),
+      needsMove: true,
+      absoluteDestination: folder
+    };
+  }
+  return {
+    resolvedPath: buildRelativePath(folder, filename),
+    needsMove: false,
+    absoluteDestination: null
+  };
+}
+
+/**
+ * Checks a running project mode against a download and turns it into a synthetic rule.
+ *
+ * Inputs:
+ *   - projectMode: Stored project mode (see lib/project-mode.js), or null when off
+ *   - when: Download start time (project mode that has ended by then doesn't apply)
+ *   - extensions: Array of every extension the filename could have (see getFileExtensions)
+ *   - urls: Object { source, download, final, referrer, tab } for site filters
+ *     (see getDomainScopeUrls - a site filter matches any of them, like a site rule)
+ *
+ * Outputs: Rule tagged with source 'project', or null if project mode doesn't take the download
+ */
+function matchProjectMode(projectMode, when, extensions, urls) {
+  if (!ProjectMode.isProjectModeActive(projectMode, when)) return null;
+  const filter = projectMode.filter || { type: 'all' };
+  if (filter.type === 'domain' && !matchesDomainRuleForUrls(getDomainScopeUrls('any', urls), filter.value)) return null;
+  if (filter.type === 'filetype') {
+    const listed = parseExtensionList(filter.value);
+    if (!extensions.some(ext => listed.includes(ext))) return null;
+  }
+  return {
+    type: 'project',
+    value: ProjectMode.describeProjectModeFilter(filter),
+    folder: projectMode.folder,
+    priority: PROJECT_MODE_PRIORITY,
+    enabled: true,
+    source: 'project',
+    until: projectMode.until || null
+  };
+}
+
+/**
+ * Routes a download: matches it against all rules and groups and resolves its destination.
+ *
+ * Inputs:
+ *   - download: Object describing the download:
+ *     - url: String download URL
+ *     - filename: String suggested filename (may contain a path)
+ *     - referrer: Optional string referrer URL
+ *     - finalUrl: Optional string URL the file was served from after redirects
+ *     - tabUrl: Optional string URL of the tab the download started in
+ *     - tabContext: Optional object describing that tab for tab group, window and page title
+ *       conditions: { title, groupTitle, groupColor, windowType, incognito }
+ *     - pageData: Optional object mapping page sources to the text the tab showed for them
+ *       (page conditions and page variables, see lib/page-data.js)
+ *     - mime: Optional string MIME type (downloadItem.mime)
+ *     - fileSize: Optional number of bytes (downloadItem.fileSize / totalBytes)
+ *     - referrerTitle: Optional title of the referring page ({referrerTitle} in folders)
+ *     - date: Optional download start time ({date}, {yyyy}, {mm}, {dd} and rule schedules;
+ *       defaults to now)
+ *   - config: Object with the user's configuration:
+ *     - rules: Array of rule objects (those with a schedule only match while it is active)
+ *     - groups: Object mapping group names to group configurations (same for schedules)
+ *     - defaultFolder: String folder used when nothing matches (default 'Downloads')
+ *     - conflictResolution: String 'auto' or 'ask' (default 'auto')
+ *     - projectMode: Optional running project mode (see lib/project-mode.js); while it is
+ *       active and its filter takes the download, it wins over every rule
+ *
+ * Outputs: Object containing:
+ *   - filename, extension, domain, urlForMatching: Derived download metadata (extension is
+ *     the longest one a group lists, e.g. "tar.gz", else the last part of the name)
+ *   - sourceSite: Site the download is credited to, { site, host, via } or null (see
+ *     lib/source-sites.js)
+ *   - siteSuggestion: Folder a site adapter suggests, { id, name, folder, values } or null
+ *     (see lib/site-adapters.js); applied when the winning rule has siteAdapter: true
+ *   - extensions: Every extension the name could have, longest first (see getFileExtensions)
+ *   - compoundMatches, urlMatches, domainMatches, filenameMatches, fileTypeMatches: Matches per
+ *     rule source (URL matches carry the values their pattern captured)
+ *   - matches: All matches sorted by priority
+ *   - finalRule: Winning rule (null when the user must resolve a conflict; the project mode
+ *     rule, source 'project', when project mode takes the download)
+ *   - conflictRules: Same-priority matches in 'ask' mode, otherwise null
+ *   - templateValues: Folder template variable values for this download, plus the values
+ *     captured by a winning URL rule, the winning rule's page variables and, when it uses
+ *     site adapters, the values the adapter read
+ *   - newFilename: Filename to save as (filename after the destination rule's rename, if any)
+ *   - resolvedPath, needsMove, absoluteDestination: Destination for finalRule
+ *     (or the first conflict rule, which the overlay preselects), with templates expanded,
+ *     the site adapter's subfolder added when the rule uses site adapters, and newFilename
+ *     as the file name
+ *   - rulesRoute: When project mode took the download, where the rules would have sent it
+ *     { finalRule, conflictRules, newFilename, resolvedPath, needsMove, absoluteDestination }
+ *     (the overlay offers it); otherwise null
+ */
+function routeDownload(download, config = {}) {
+  const rules = config.rules || [];
+  const groups = config.groups || {};
+  const defaultFolder = config.defaultFolder || 'Downloads';
+  const conflictResolution = config.conflictResolution || 'auto';
+
+  const url = download.url || '';
+  const referrer = download.referrer || '';
+  const filename = extractFilename(download.filename);
+  const extensions = getFileExtensions(filename);
+  const extension = getFileExtension(filename, getGroupExtensions(groups));
+  // Downloads without a host or referrer (some blob: URLs) take the site of the tab they started in
+  const { domain, urlForMatching } = resolveMatchUrl(url, referrer || download.tabUrl || '');
+  // CDN-hosted files are credited to the site they belong to (github.com, not githubusercontent.com)
+  const sourceSite = SourceSites.resolveSourceSite({
+    url: urlForMatching,
+    finalUrl: download.finalUrl,
+    referrer,
+    tabUrl: download.tabUrl
+  });
+  const sourceUrl = sourceSite ? `https://${DomainNames.toASCII(sourceSite.site)}/` : '';
+
+  const context = {
+    url,
+    urlForMatching,
+    sourceUrl,
+    referrer,
+    filename,
+    extension,
+    extensions,
+    mime: download.mime || '',
+    fileSize: download.fileSize || 0,
+    tab: download.tabContext || {},
+    pageData: download.pageData || {}
+  };
+
+  // Rules and groups outside their schedule (or past their expiry date) sit this download out
+  const activeRules = rules.filter(rule => Schedules.isScheduleActive(rule.schedule, download.date));
+  const activeGroups = Object.fromEntries(
+    Object.entries(groups).filter(([, group]) => Schedules.isScheduleActive(group.schedule, download.date))
+  );
+
+  // Collect ALL matching rules (compound + URL + domain + filename + file types)
+  const scopeUrls = {
+    source: sourceUrl,
+    download: [urlForMatching, url],
+    final: download.finalUrl || '',
+    referrer,
+    tab: download.tabUrl || ''
+  };
+  const compoundMatches = findCompoundMatches(activeRules, context);
+  const urlMatches = findUrlMatches(activeRules, [url, urlForMatching, referrer]);
+  const domainMatches = findDomainMatches(activeRules, scopeUrls);
+  const filenameMatches = findFilenameMatches(activeRules, filename);
+  const fileTypeMatches = findFileTypeMatches(activeGroups, extension, domainMatches, context.mime);
+  const matches = sortMatches([...compoundMatches, ...urlMatches, ...domainMatches, ...filenameMatches, ...fileTypeMatches]);
+
+  const { finalRule, conflictRules } = selectRule(matches, conflictResolution, defaultFolder);
+
+  // Well-known sites (GitHub releases, arXiv, ...) come with a suggested folder
+  const adapterMatch = SiteAdapters.matchSiteAdapter({
+    url,
+    finalUrl: download.finalUrl,
+    referrer,
+    tabUrl: download.tabUrl,
+    pageTitle: context.tab.title
+  });
+
+  // Works out where a rule sends the download: its folder (in the site adapter's subfolder when
+  // it opts in), template values and the name after its rename
+  const resolveRule = (destinationRule) => {
+    // Rules that opt into site adapters file recognized downloads in the adapter's subfolder
+    const useAdapter = !!(adapterMatch && destinationRule.siteAdapter);
+    // URL rules add their captured values and rules reading the page their page variables;
+    // standard variables keep their meaning
+    const templateValues = {
+      ...(destinationRule.captures || {}),
+      ...PageData.getPageVariableValues(destinationRule, context.pageData),
+      ...(useAdapter ? adapterMatch.values : {}),
+      ...buildPathTemplateValues({
+        domain,
+        extension,
+        filename,
+        referrerTitle: download.referrerTitle,
+        date: download.date
+      })
+    };
+    // Rules match the original name; the winning rule may then rename the file on save
+    const newFilename = rewriteFilename(filename, destinationRule.rename, templateValues);
+    const folder = useAdapter
+      ? SiteAdapters.joinFolder(destinationRule.folder, adapterMatch.adapter.subfolder)
+      : destinationRule.folder;
+    return { templateValues, newFilename, ...resolveDestination(folder, newFilename, templateValues) };
+  };
+
+  // Use first conflict rule as default for path display, user will choose in overlay
+  const rulesResolved = resolveRule(finalRule || conflictRules[0]);
+  // Project mode (a temporary override started from the popup) beats every rule it takes
+  const projectRule = matchProjectMode(config.projectMode, download.date, extensions, scopeUrls);
+  const { templateValues, newFilename, ...destination } = projectRule ? resolveRule(projectRule) : rulesResolved;
+  const rulesRoute = projectRule ? {
+    finalRule,
+    conflictRules,
+    newFilename: rulesResolved.newFilename,
+    resolvedPath: rulesResolved.resolvedPath,
+    needsMove: rulesResolved.needsMove,
+    absoluteDestination: rulesResolved.absoluteDestination
+  } : null;
+
+  const siteSuggestion = adapterMatch ? {
+    id: adapterMatch.adapter.id,
+    name: adapterMatch.adapter.name,
+    folder: expandPathTemplate(
+      SiteAdapters.joinFolder(adapterMatch.adapter.folder, adapterMatch.adapter.subfolder),
+      { ...templateValues, ...adapterMatch.values }
+    ),
+    values: adapterMatch.values
+  } : null;
+
+  return {
+    filename,
+    extension,
+    extensions,
+    domain,
+    urlForMatching,
+    sourceSite,
+    siteSuggestion,
+    compoundMatches,
+    urlMatches,
+    domainMatches,
+    filenameMatches,
+    fileTypeMatches,
+    matches,
+    finalRule: projectRule || finalRule,
+    conflictRules: projectRule ? null : conflictRules,
+    templateValues,
+    newFilename,
+    rulesRoute,
+    ...destination
+  };
+}
+
+const DownloadRouter = {
+  DEFAULT_RULE_PRIORITY,
+  DEFAULT_GROUP_PRIORITY,
+  extractFilename,
+  normalizePath,
+  sanitizeFolderName,
+  isAbsolutePath,
+  joinAbsolutePath,
+  buildRelativePath,
+  PATH_TEMPLATE_VARIABLES,
+  hasPathTemplate,
+  buildPathTemplateValues,
+  expandPathTemplate,
+  validatePathTemplate,
+  RENAME_CASE_OPTIONS,
+  splitFilename,
+  sanitizeFilename,
+  hasRename,
+  validateRename,
+  rewriteFilename,
+  normalizeDomain,
+  getRegistrableDomain,
+  getSuggestedSiteDomain,
+  normalizeDomainRuleValue,
+  toUnicodeHost: DomainNames.toUnicode,
+  resolveSourceSite: SourceSites.resolveSourceSite,
+  validateSchedule: Schedules.validateSchedule,
+  parseDomainPattern,
+  matchesDomainRule,
+  matchesDomainRuleForUrls,
+  DOMAIN_MATCH_SCOPES,
+  getDomainScopeUrls,
+  matchesDomainRuleInScope,
+  validateMatchScope,
+  describeMatchScope,
+  validateDomainPattern,
+  validateRuleValue,
+  isDomainPattern,
+  describeDomainPattern,
+  parseUrlPattern,
+  matchUrlPattern,
+  validateUrlPattern,
+  getUrlPatternVariables,
+  getRuleTemplateVariables,
+  validateRulePageVariables,
+  getFileExtensions,
+  parseExtensionList,
+  getFileExtension,
+  getGroupExtensions,
+  resolveMatchUrl,
+  isFilenameRuleType,
+  globToRegExp,
+  compileFilenamePattern,
+  validateFilenamePattern,
+  matchesFilenameRule,
+  CONDITION_OPERATORS,
+  TAB_GROUP_COLORS,
+  WINDOW_KINDS,
+  CONDITION_VALUE_CHOICES,
+  MAX_CONDITION_DEPTH,
+  DEFAULT_GROUP_MIME_TYPES,
+  normalizeMime,
+  matchesMimePattern,
+  validateMimePatterns,
+  getGroupMimeTypes,
+  evaluateCondition,
+  getWindowKind,
+  validateConditions,
+  describeConditions,
+  findCompoundMatches,
+  findUrlMatches,
+  findDomainMatches,
+  findFilenameMatches,
+  findFileTypeMatches,
+  findRulesForDownload,
+  sortMatches,
+  selectRule,
+  resolveDestination,
+  matchProjectMode,
+  routeDownload
+};
+
+// Store on self for service worker context
+if (typeof self !== 'undefined') {
+  self.DownloadRouter = DownloadRouter;
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DownloadRouter;
+}
+
+})(); // End of IIFE guard
@@ -0,0 +1,225 @@
+/**
+ * schedules.js
+ *
+ * Purpose: Time windows and expiry dates for rules and file type groups.
+ * Role: Some rules only make sense part of the time - work hours route to the work NAS,
+ *       evenings to personal folders - and some only until a date (a project that ends).
+ *       A rule or group with a schedule only takes part in routing while it is active.
+ *
+ * Key Responsibilities:
+ * - Validate schedules
+ * - Decide whether a schedule is active at a given time, or has expired
+ * - Describe a schedule in words for the Options page and popup
+ *
+ * Architecture:
+ * - Pure functions only, loaded before lib/router.js (which leaves inactive rules and groups
+ *   out of routing, using the download's start time)
+ * - A schedule is { days, start, end, until }, every part optional:
+ *     days   Array of weekday numbers, 0 = Sunday ... 6 = Saturday (missing: every day)
+ *     start  "HH:MM" 24-hour local time the window opens   } both or neither; an end before
+ *     end    "HH:MM" local time it closes (exclusive)       } the start runs past midnight
+ *     until  "YYYY-MM-DD" last day the rule is active (it expires when that day ends)
+ * - Times are the browser's local time. An overnight window (22:00-06:00) belongs to the day
+ *   it opens, so "Fri 22:00-06:00" still holds at 03:00 on Saturday.
+ */
+
+// Guard against multiple importScripts calls - only execute if not already loaded
+(function() {
+  if (typeof self !== 'undefined' && self.Schedules) {
+    return; // Already loaded, skip
+  }
+
+// Weekday labels by Date.getDay() number
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Order days are shown in (Monday first)
+const DAY_DISPLAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// Labels for getScheduleStatus results
+const STATUS_LABELS = {
+  always: 'Always active',
+  active: 'Active now',
+  inactive: 'Inactive now',
+  expired: 'Expired'
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function parseTime(text) {
+  const match = TIME_PATTERN.exec(String(text || ''));
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+function parseDate(text) {
+  const match = DATE_PATTERN.exec(String(text || ''));
+  if (!match) return null;
+  const date = new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  // new Date(2026, 1, 30) rolls over to March - reject dates that don't exist
+  return date.getMonth() === parseInt(match[2], 10) - 1 ? date : null;
+}
+
+function toDate(value) {
+  const date = value === undefined || value === null || value === '' ? new Date() : new Date(value);
+  return isNaN(date.getTime()) ? new Date() : date;
+}
+
+/**
+ * Tells whether a rule or group has a schedule at all (an empty object doesn't count).
+ *
+ * Inputs:
+ *   - schedule: Schedule object or undefined
+ *
+ * Outputs: Boolean
+ */
+function hasSchedule(schedule) {
+  if (!schedule) return false;
+  return (Array.isArray(schedule.days) && schedule.days.length > 0) || !!schedule.start || !!schedule.end || !!schedule.until;
+}
+
+/**
+ * Validates a schedule (see the Architecture note above for its shape).
+ *
+ * Inputs:
+ *   - schedule: Schedule object or undefined
+ *
+ * Outputs: String error message, or null if valid (or absent)
+ */
+function validateSchedule(schedule) {
+  if (schedule === undefined || schedule === null) return null;
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) return 'Schedule must be an object';
+  if (schedule.days !== undefined) {
+    if (!Array.isArray(schedule.days)) return 'Schedule days must be a list';
+    if (schedule.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return 'Schedule days must be weekday numbers from 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+  if (!!schedule.start !== !!schedule.end) return 'Give both a start and an end time, or neither';
+  if (schedule.start) {
+    if (parseTime(schedule.start) === null) return `Start time "${schedule.start}" must be HH:MM (24-hour)`;
+    if (parseTime(schedule.end) === null) return `End time "${schedule.end}" must be HH:MM (24-hour)`;
+    if (schedule.start === schedule.end) return 'Start and end time must differ';
+  }
+  if (schedule.until && !parseDate(schedule.until)) return `Expiry date "${schedule.until}" must be YYYY-MM-DD`;
+  return null;
+}
+
+/**
+ * Tells whether a schedule's expiry date has passed.
+ *
+ * Inputs:
+ *   - schedule: Schedule object or undefined
+ *   - when: Date, ISO string or timestamp (defaults to now)
+ *
+ * Outputs: Boolean (false without an expiry date)
+ */
+function isScheduleExpired(schedule, when) {
+  const until = schedule && parseDate(schedule.until);
+  if (!until) return false;
+  const endOfDay = new Date(until.getFullYear(), until.getMonth(), until.getDate() + 1);
+  return toDate(when).getTime() >= endOfDay.getTime();
+}
+
+/**
+ * Tells whether a rule or group with this schedule takes part in routing at a given time.
+ *
+ * Inputs:
+ *   - schedule: Schedule object or undefined (no schedule is always active)
+ *   - when: Date, ISO string or timestamp (defaults to now)
+ *
+ * Outputs: Boolean
+ */
+function isScheduleActive(schedule, when) {
+  if (!hasSchedule(schedule)) return true;
+  if (isScheduleExpired(schedule, when)) return false;
+  const date = toDate(when);
+  const days = Array.isArray(schedule.days) && schedule.days.length > 0 ? schedule.days : null;
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+  const start = parseTime(schedule.start);
+  const end = parseTime(schedule.end);
+  if (start === null || end === null) return !days || days.includes(today);
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const opensOn = day => !days || days.includes(day);
+  if (start < end) return opensOn(today) && minutes >= start && minutes < end;
+  // Overnight: the evening part opens today, the early-morning part belongs to yesterday
+  return (opensOn(today) && minutes >= start) || (opensOn(yesterday) && minutes < end);
+}
+
+/**
+ * Sums up a schedule's state for display.
+ *
+ * Inputs:
+ *   - schedule: Schedule object or undefined
+ *   - when: Date, ISO string or timestamp (defaults to now)
+ *
+ * Outputs: String 'always' (no schedule), 'active', 'inactive' or 'expired'
+ */
+function getScheduleStatus(schedule, when) {
+  if (!hasSchedule(schedule)) return 'always';
+  if (isScheduleExpired(schedule, when)) return 'expired';
+  return isScheduleActive(schedule, when) ? 'active' : 'inactive';
+}
+
+function describeDays(days) {
+  const set = new Set(days);
+  if (set.size === 0 || set.size === 7) return '';
+  // Runs of consecutive days (Monday first) read as ranges: Mon–Fri, Sat, Sun
+  const runs = [];
+  DAY_DISPLAY_ORDER.forEach(day => {
+    if (!set.has(day)) return;
+    const last = runs[runs.length - 1];
+    if (last && DAY_DISPLAY_ORDER.indexOf(day) === DAY_DISPLAY_ORDER.indexOf(last[last.length - 1]) + 1) {
+      last.push(day);
+    } else {
+      runs.push([day]);
+    }
+  });
+  return runs.map(run => run.length > 2
+    ? `${DAY_NAMES[run[0]]}–${DAY_NAMES[run[run.length - 1]]}`
+    : run.map(day => DAY_NAMES[day]).join(', ')
+  ).join(', ');
+}
+
+/**
+ * Describes a schedule in words, e.g. "Mon–Fri 09:00–17:00, until 2026-12-31".
+ *
+ * Inputs:
+ *   - schedule: Schedule object or undefined
+ *
+ * Outputs: String (empty without a schedule)
+ */
+function describeSchedule(schedule) {
+  if (!hasSchedule(schedule)) return '';
+  const when = [
+    describeDays(schedule.days || []),
+    schedule.start && schedule.end ? `${schedule.start}–${schedule.end}` : ''
+  ].filter(Boolean).join(' ');
+  const until = schedule.until ? `until ${schedule.until}` : '';
+  return [when, until].filter(Boolean).join(', ');
+}
+
+const Schedules = {
+  DAY_NAMES,
+  DAY_DISPLAY_ORDER,
+  STATUS_LABELS,
+  hasSchedule,
+  validateSchedule,
+  isScheduleExpired,
+  isScheduleActive,
+  getScheduleStatus,
+  describeSchedule
+};
+
+// Store on self for service worker and page contexts
+if (typeof self !== 'undefined') {
+  self.Schedules = Schedules;
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Schedules;
+}
+
+})(); // End of IIFE guard
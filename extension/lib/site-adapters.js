@@ -0,0 +1,216 @@
+/**
+ * site-adapters.js
+ *
+ * Purpose: Built-in knowledge of popular sites, so their downloads get a sensible folder
+ *          without everyone writing the same rules.
+ * Role: A site adapter recognizes a site's download (a GitHub release asset, a Printables
+ *       model file, an arXiv paper), reads values from its URLs or page title ({owner},
+ *       {repo}, {tag}, ...) and suggests a destination such as Code/{owner}/{repo}/{tag}.
+ *       The router offers that suggestion with every route; rules opt into it with
+ *       siteAdapter: true, which files the download in the adapter's subfolder of the
+ *       rule's own folder.
+ *
+ * Key Responsibilities:
+ * - Keep the registry of site adapters (built-in ones below, more via registerSiteAdapter)
+ * - Find the adapter that recognizes a download and the values it reads
+ *
+ * Architecture:
+ * - Pure functions only, loaded before lib/router.js (which turns a match into a suggested
+ *   destination and applies it for opted-in rules)
+ * - An adapter is { id, name, sites, folder, subfolder, variables, parse }:
+ *     id         unique key, e.g. 'github-release'
+ *     name       label shown in the overlay and Options, e.g. 'GitHub release'
+ *     sites      sites the adapter is for (a rule for one of them can opt in)
+ *     folder     suggested base folder, e.g. 'Code'
+ *     subfolder  folder template under the base (or a rule's folder) using the variables
+ *     variables  names parse() can return (letters only, like all folder variables)
+ *     parse      function(download) returning the values, or null if it isn't the
+ *                adapter's kind of download; download is { url, finalUrl, referrer,
+ *                tabUrl, pageTitle } and each URL is already parsed into a URL object (or null)
+ */
+
+// Guard against multiple importScripts calls - only execute if not already loaded
+(function() {
+  if (typeof self !== 'undefined' && self.SiteAdapters) {
+    return; // Already loaded, skip
+  }
+
+function parseUrl(url) {
+  try {
+    return url ? new URL(url) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function isHost(parsed, site) {
+  if (!parsed) return false;
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  return host === site || host.endsWith(`.${site}`);
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return segment;
+  }
+}
+
+// GitHub: /{owner}/{repo}/releases/download/{tag}/{file} and tag archives
+// /{owner}/{repo}/archive/refs/tags/{tag}.zip - assets are served from
+// objects.githubusercontent.com, so only the original URL names the repository
+const githubRelease = {
+  id: 'github-release',
+  name: 'GitHub release',
+  sites: ['github.com'],
+  folder: 'Code',
+  subfolder: '{owner}/{repo}/{tag}',
+  variables: ['owner', 'repo', 'tag'],
+  parse({ url }) {
+    if (!isHost(url, 'github.com')) return null;
+    const release = url.pathname.match(/^\/([^/]+)\/([^/]+)\/releases\/download\/([^/]+)\/[^/]+$/);
+    const archive = url.pathname.match(/^\/([^/]+)\/([^/]+)\/archive\/refs\/tags\/(.+?)\.(?:zip|tar\.gz)$/);
+    const match = release || archive;
+    if (!match) return null;
+    return { owner: decodeSegment(match[1]), repo: decodeSegment(match[2]), tag: decodeSegment(match[3]) };
+  }
+};
+
+// Printables: files come from files.printables.com (or media.printables.com), started on a
+// model page /model/{id}-{slug} (optionally after a language prefix such as /de)
+const printablesModel = {
+  id: 'printables-model',
+  name: 'Printables model',
+  sites: ['printables.com'],
+  folder: '3DPrinting',
+  subfolder: '{model}',
+  variables: ['model', 'modelId'],
+  parse({ url, finalUrl, referrer, tabUrl, pageTitle }) {
+    if (!isHost(url, 'printables.com') && !isHost(finalUrl, 'printables.com')) return null;
+    const page = [referrer, tabUrl, url].find(candidate =>
+      isHost(candidate, 'printables.com') && /^(?:\/[a-z]{2})?\/model\/\d+/.test(candidate.pathname));
+    if (!page) return null;
+    const [, modelId, slug = ''] = page.pathname.match(/\/model\/(\d+)-?([^/]*)/);
+    // The page title names the model properly ("Benchy by Creator | Printables.com")
+    const titled = page === tabUrl && pageTitle ? pageTitle.split(' | ')[0].replace(/ by .*$/, '').trim() : '';
+    const model = titled || decodeSegment(slug).replace(/-/g, ' ').trim() || modelId;
+    return { model, modelId };
+  }
+};
+
+// arXiv: /pdf/{id}, /abs/{id}, /src/{id} and /e-print/{id}, with new-style ids (2401.00001)
+// and old-style ones (hep-th/9901001), each with an optional version and .pdf suffix
+const arxivPaper = {
+  id: 'arxiv-paper',
+  name: 'arXiv paper',
+  sites: ['arxiv.org'],
+  folder: 'Papers/arXiv',
+  subfolder: '{paper}',
+  variables: ['paper', 'version'],
+  parse({ url, finalUrl }) {
+    for (const candidate of [url, finalUrl]) {
+      if (!isHost(candidate, 'arxiv.org')) continue;
+      const match = candidate.pathname.match(
+        /^\/(?:pdf|abs|src|e-print|format)\/(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})(?:v(\d+))?(?:\.pdf)?\/?$/);
+      if (match) return { paper: match[1], version: match[2] || '' };
+    }
+    return null;
+  }
+};
+
+// Registry, checked in order - the first adapter to recognize a download wins
+const SITE_ADAPTERS = [githubRelease, printablesModel, arxivPaper];
+
+/**
+ * Adds a site adapter to the registry (see the Architecture note above for its shape).
+ * An adapter with the id of an existing one replaces it.
+ *
+ * Inputs:
+ *   - adapter: Object site adapter
+ *
+ * Outputs: None
+ */
+function registerSiteAdapter(adapter) {
+  const index = SITE_ADAPTERS.findIndex(existing => existing.id === adapter.id);
+  if (index === -1) {
+    SITE_ADAPTERS.push(adapter);
+  } else {
+    SITE_ADAPTERS[index] = adapter;
+  }
+}
+
+/**
+ * Lists every variable any adapter can provide, for rules that opt into site adapters.
+ *
+ * Outputs: Array of unique String variable names
+ */
+function getSiteAdapterVariables() {
+  return [...new Set(SITE_ADAPTERS.flatMap(adapter => adapter.variables))];
+}
+
+/**
+ * Finds the site adapter that recognizes a download.
+ *
+ * Inputs:
+ *   - download: Object { url, finalUrl, referrer, tabUrl, pageTitle } (strings, any may be empty)
+ *
+ * Outputs: Object { adapter, values } or null if no adapter recognizes it
+ */
+function matchSiteAdapter(download = {}) {
+  const parsed = {
+    url: parseUrl(download.url),
+    finalUrl: parseUrl(download.finalUrl),
+    referrer: parseUrl(download.referrer),
+    tabUrl: parseUrl(download.tabUrl),
+    pageTitle: download.pageTitle || ''
+  };
+  for (const adapter of SITE_ADAPTERS) {
+    let values = null;
+    try {
+      values = adapter.parse(parsed);
+    } catch (e) {
+      // A broken adapter must not break routing
+      values = null;
+    }
+    if (values) return { adapter, values };
+  }
+  return null;
+}
+
+/**
+ * Puts a subfolder under a base folder. An empty base or "Downloads" means the Downloads
+ * root; Windows-style bases keep their backslashes.
+ *
+ * Inputs:
+ *   - base: String folder (relative or absolute)
+ *   - subfolder: String relative folder
+ *
+ * Outputs: String combined folder
+ */
+function joinFolder(base, subfolder) {
+  const trimmed = String(base || '').replace(/[\/\\]+$/, '');
+  if (!trimmed || trimmed === 'Downloads') return subfolder;
+  const separator = trimmed.includes('\\') && !trimmed.includes('/') ? '\\' : '/';
+  return `${trimmed}${separator}${subfolder.split('/').join(separator)}`;
+}
+
+const SiteAdapters = {
+  SITE_ADAPTERS,
+  registerSiteAdapter,
+  getSiteAdapterVariables,
+  matchSiteAdapter,
+  joinFolder
+};
+
+// Store on self for service worker and page contexts
+if (typeof self !== 'undefined') {
+  self.SiteAdapters = SiteAdapters;
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SiteAdapters;
+}
+
+})(); // End of IIFE guard
@@ -0,0 +1,152 @@
+/**
+ * source-sites.js
+ *
+ * Purpose: Works out which site a download really comes from.
+ * Role: Many sites serve their files from another host - GitHub release assets come from
+ *       objects.githubusercontent.com, Google Drive files from drive.usercontent.google.com,
+ *       and countless sites hand out links to Amazon S3 or CloudFront. Site rules are written
+ *       for the site people browse, so this module credits such downloads to that site
+ *       (the "source site"), which domain rules can then match and the overlay shows.
+ *
+ * Key Responsibilities:
+ * - Keep the built-in map of file-hosting hosts to the site they serve (CDN_SITES)
+ * - Resolve a download's source site from its URL, final URL (after redirects), referrer
+ *   and the tab it started in
+ *
+ * Architecture:
+ * - Pure functions only, loaded after lib/domain-names.js and before lib/router.js (which
+ *   offers the source site to domain rules)
+ * - Loaded into the service worker via importScripts (exposed on self.SourceSites), into
+ *   the popup and Options with a script tag, and under Node via require()
+ * - To credit a new host, add it to CDN_SITES: with the site it serves, or with site null
+ *   for shared storage/CDN hosts whose files could belong to anyone (those are credited to
+ *   the page the download started from instead)
+ */
+
+// Guard against multiple importScripts calls - only execute if not already loaded
+(function() {
+  if (typeof self !== 'undefined' && self.SourceSites) {
+    return; // Already loaded, skip
+  }
+
+// Host name helpers (IDN conversion) - loaded before this file
+const DomainNames = (typeof self !== 'undefined' && self.DomainNames) || require('./domain-names.js');
+
+// File-hosting hosts and the site whose files they serve. "*.a.com" matches any subdomain of
+// a.com (not a.com itself) and "*" inside a label matches within that label.
+const CDN_SITES = [
+  // Hosts that only serve one site's files
+  { site: 'github.com', hosts: ['*.githubusercontent.com'] },
+  { site: 'gitlab.com', hosts: ['*.gitlab-static.net'] },
+  { site: 'drive.google.com', hosts: ['drive.usercontent.google.com', 'doc-*-docs.googleusercontent.com'] },
+  { site: 'dropbox.com', hosts: ['*.dropboxusercontent.com'] },
+  { site: 'onedrive.live.com', hosts: ['*.files.1drv.com'] },
+  { site: 'mega.nz', hosts: ['*.userstorage.mega.co.nz'] },
+  { site: 'discord.com', hosts: ['cdn.discordapp.com', 'media.discordapp.net'] },
+  { site: 'x.com', hosts: ['pbs.twimg.com', 'video.twimg.com'] },
+  { site: 'reddit.com', hosts: ['i.redd.it', 'v.redd.it', 'preview.redd.it'] },
+  { site: 'sourceforge.net', hosts: ['downloads.sourceforge.net', '*.dl.sourceforge.net'] },
+  { site: 'huggingface.co', hosts: ['cdn-lfs.huggingface.co', '*.hf.co'] },
+  { site: 'pypi.org', hosts: ['files.pythonhosted.org'] },
+  // Shared storage and CDNs: the files could belong to any site
+  {
+    site: null,
+    hosts: [
+      '*.amazonaws.com', '*.cloudfront.net', '*.akamaihd.net', '*.akamaized.net', '*.fastly.net',
+      '*.b-cdn.net', 'storage.googleapis.com', '*.blob.core.windows.net', '*.r2.cloudflarestorage.com',
+      '*.r2.dev', '*.backblazeb2.com', '*.digitaloceanspaces.com'
+    ]
+  }
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileHostPattern(pattern) {
+  const labels = pattern.toLowerCase().split('.');
+  const anySubdomain = labels[0] === '*';
+  const body = (anySubdomain ? labels.slice(1) : labels)
+    .map(label => label.split('*').map(escapeRegExp).join('[^.]*'))
+    .join('\\.');
+  return new RegExp(`^${anySubdomain ? '(?:[^.]+\\.)+' : ''}${body}$`);
+}
+
+// Compiled once: [{ site, pattern: RegExp }]
+const CDN_PATTERNS = CDN_SITES.flatMap(entry =>
+  entry.hosts.map(host => ({ site: entry.site, pattern: compileHostPattern(host) }))
+);
+
+function getHost(url) {
+  if (!url) return '';
+  try {
+    const { hostname } = new URL(url);
+    return hostname ? DomainNames.toUnicode(hostname.replace(/^www\./, '')) : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Looks a host up in the CDN map.
+ *
+ * Inputs:
+ *   - host: String host name
+ *
+ * Outputs: undefined if the host isn't a known file host, otherwise the site it serves
+ *          (String) or null for shared storage/CDN hosts
+ */
+function lookupCdnHost(host) {
+  const normalized = DomainNames.toUnicode(host || '').replace(/^www\./, '');
+  const entry = CDN_PATTERNS.find(({ pattern }) => pattern.test(normalized));
+  return entry ? entry.site : undefined;
+}
+
+/**
+ * Resolves the site a download should be credited to. The download's own host wins unless
+ * it is a file host: a host in the CDN map is credited to the site it serves, and a shared
+ * CDN is skipped in favour of the final URL, then the referrer, then the tab URL.
+ *
+ * Inputs:
+ *   - urls: Object { url, finalUrl, referrer, tabUrl } (any may be empty)
+ *
+ * Outputs: Object { site, host, via } or null if no URL has a host
+ *   - site: String source site in Unicode form (e.g. "github.com")
+ *   - host: String host the file actually came from (e.g. "objects.githubusercontent.com")
+ *   - via: String how the site was found: 'download', 'final', 'cdn', 'referrer' or 'tab'
+ */
+function resolveSourceSite({ url = '', finalUrl = '', referrer = '', tabUrl = '' } = {}) {
+  const downloadHost = getHost(url) || getHost(finalUrl);
+
+  const candidates = [[getHost(url), 'download'], [getHost(finalUrl), 'final']];
+  for (const [host, via] of candidates) {
+    if (!host) continue;
+    const site = lookupCdnHost(host);
+    if (site === undefined) return { site: host, host: downloadHost, via };
+    if (site) return { site, host, via: 'cdn' };
+  }
+
+  // Served from shared storage: credit the page the download started from
+  for (const [host, via] of [[getHost(referrer), 'referrer'], [getHost(tabUrl), 'tab']]) {
+    if (host && lookupCdnHost(host) === undefined) return { site: host, host: downloadHost, via };
+  }
+  return downloadHost ? { site: downloadHost, host: downloadHost, via: 'download' } : null;
+}
+
+const SourceSites = {
+  CDN_SITES,
+  lookupCdnHost,
+  resolveSourceSite
+};
+
+// Store on self for service worker and page contexts
+if (typeof self !== 'undefined') {
+  self.SourceSites = SourceSites;
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SourceSites;
+}
+
+})(); // End of IIFE guard
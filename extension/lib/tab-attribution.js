@@ -0,0 +1,152 @@
+/**
+ * tab-attribution.js
+ *
+ * Purpose: Works out which browser tab started a download.
+ * Role: Chrome's downloads API doesn't say which tab a download came from, and the active
+ *       tab of the current window is often the wrong guess: links opened from a background
+ *       tab, downloads started in another window, or a link that opened a new tab which Chrome
+ *       closed again once it turned into a download. The overlay, the tab URL used for routing
+ *       and fallback notifications should all refer to the tab that really started it.
+ *
+ * Key Responsibilities:
+ * - Keep a short log of recent top-level navigations (including which tab opened which)
+ * - Pick the tab a download belongs to from the download's URLs, the open tabs and that log
+ *
+ * Architecture:
+ * - Pure functions so they can be tested under Node; background.js feeds them from
+ *   chrome.webNavigation events and chrome.tabs.query
+ * - The navigation log lives in service worker memory only: after a restart attribution
+ *   falls back to the referrer and the active tab, which is what it would use anyway for
+ *   navigations older than NAVIGATION_WINDOW_MS
+ */
+
+// Guard against multiple importScripts calls - only execute if not already loaded
+(function() {
+  if (typeof self !== 'undefined' && self.TabAttribution) {
+    return; // Already loaded, skip
+  }
+
+// How long a navigation can explain a download that starts after it
+const NAVIGATION_WINDOW_MS = 30000;
+
+// Navigations kept in the log (older ones are dropped first)
+const MAX_NAVIGATIONS = 50;
+
+function getOrigin(url) {
+  try {
+    const { origin } = new URL(url);
+    return origin && origin !== 'null' ? origin : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+// Most recently used first; tabs without lastAccessed (older Chrome) keep their order
+function byLastAccessed(a, b) {
+  return (b.lastAccessed || 0) - (a.lastAccessed || 0);
+}
+
+/**
+ * Adds a navigation to the log and drops entries that are too old to matter.
+ *
+ * Inputs:
+ *   - navigations: Array of logged navigations (not modified)
+ *   - navigation: Object { tabId, url, timeStamp, sourceTabId } - sourceTabId is set when
+ *     the navigation opened a new tab (webNavigation.onCreatedNavigationTarget)
+ *   - now: Number current time in ms (defaults to Date.now())
+ *
+ * Outputs: Array new navigation log, oldest first
+ */
+function recordNavigation(navigations, navigation, now = Date.now()) {
+  const recent = navigations.filter(entry => now - entry.timeStamp <= NAVIGATION_WINDOW_MS);
+  // A new tab's own navigation doesn't know its opener - carry it over from the earlier entry
+  const opened = recent.find(entry => entry.tabId === navigation.tabId && entry.sourceTabId !== undefined);
+  const entry = {
+    tabId: navigation.tabId,
+    url: navigation.url || '',
+    timeStamp: navigation.timeStamp || now,
+    sourceTabId: navigation.sourceTabId !== undefined ? navigation.sourceTabId : opened && opened.sourceTabId
+  };
+  return [...recent, entry].slice(-MAX_NAVIGATIONS);
+}
+
+/**
+ * Picks the tab a download was started from, in order of confidence:
+ *   1. A tab that just navigated to the download's URL (a clicked link Chrome turned into a
+ *      download). If that navigation opened a new tab, the tab that opened it is used, since
+ *      the new tab is usually closed or blank.
+ *   2. A tab showing the referrer page (the most recently used one if several do).
+ *   3. A tab on the referrer's site, preferring active and recently used tabs.
+ *   4. The active tab of the focused window.
+ *
+ * Inputs:
+ *   - download: Object { url, finalUrl, referrer, startTime } (downloadItem fields)
+ *   - tabs: Array of chrome.tabs.Tab (id, url, active, windowId, openerTabId, lastAccessed)
+ *   - navigations: Array navigation log from recordNavigation
+ *   - options: Object { focusedWindowId, now } (both optional)
+ *
+ * Outputs: Object { tab, via } or null when there are no tabs
+ *   - tab: chrome.tabs.Tab the download is attributed to
+ *   - via: String 'navigation', 'opener', 'referrer', 'origin' or 'active'
+ */
+function findDownloadTab(download, tabs, navigations = [], options = {}) {
+  const openTabs = (tabs || []).filter(tab => tab && tab.id !== undefined && tab.id >= 0);
+  if (openTabs.length === 0) return null;
+  const now = options.now || Date.parse(download.startTime) || Date.now();
+  const tabById = id => openTabs.find(tab => tab.id === id);
+
+  // 1. The tab (or the opener of the tab) that navigated to the file
+  const downloadUrls = [download.url, download.finalUrl].filter(Boolean);
+  const navigation = navigations
+    .filter(entry => downloadUrls.includes(entry.url) && now - entry.timeStamp <= NAVIGATION_WINDOW_MS)
+    .pop();
+  if (navigation) {
+    const navigatedTab = tabById(navigation.tabId);
+    const openerId = navigation.sourceTabId !== undefined ? navigation.sourceTabId : navigatedTab && navigatedTab.openerTabId;
+    const opener = openerId !== undefined ? tabById(openerId) : null;
+    // A tab opened just for the download shows nothing (or the file URL) - credit its opener
+    const blank = !navigatedTab || !navigatedTab.url || navigatedTab.url === 'about:blank' || downloadUrls.includes(navigatedTab.url);
+    if (opener && blank) return { tab: opener, via: 'opener' };
+    if (navigatedTab) return { tab: navigatedTab, via: 'navigation' };
+    if (opener) return { tab: opener, via: 'opener' };
+  }
+
+  // 2. The tab showing the referrer page
+  if (download.referrer) {
+    const showingReferrer = openTabs.filter(tab => tab.url === download.referrer).sort(byLastAccessed);
+    if (showingReferrer.length > 0) return { tab: showingReferrer[0], via: 'referrer' };
+
+    // 3. A tab on the referrer's site
+    const origin = getOrigin(download.referrer);
+    const sameSite = origin ? openTabs.filter(tab => getOrigin(tab.url) === origin) : [];
+    if (sameSite.length > 0) {
+      sameSite.sort((a, b) => (b.active - a.active) || byLastAccessed(a, b));
+      return { tab: sameSite[0], via: 'origin' };
+    }
+  }
+
+  // 4. The active tab of the focused window (or the most recently used active tab)
+  const active = openTabs.filter(tab => tab.active).sort(byLastAccessed);
+  const focused = active.find(tab => tab.windowId === options.focusedWindowId);
+  const fallback = focused || active[0];
+  return fallback ? { tab: fallback, via: 'active' } : null;
+}
+
+const TabAttribution = {
+  NAVIGATION_WINDOW_MS,
+  MAX_NAVIGATIONS,
+  recordNavigation,
+  findDownloadTab
+};
+
+// Store on self for service worker context
+if (typeof self !== 'undefined') {
+  self.TabAttribution = TabAttribution;
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TabAttribution;
+}
+
+})(); // End of IIFE guard
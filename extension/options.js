@@ -6,7 +6,7 @@
  *       settings configuration, and folder browser. Serves as the main configuration center.
  * 
  * Key Responsibilities:
- * - Manage routing rules (domain and extension-based)
+ * - Manage routing rules (domain, filename contains/glob/regex, and compound conditions)
  * - Configure file type groups with folders
  * - Adjust extension settings (confirmation, timeouts, tie-breakers)
  * - Browse and manage download folders
@@ -37,10 +37,15 @@ class OptionsApp {
     this.currentTab = 'rules';
     // Array of routing rules
     this.rules = [];
+    // Condition tree being edited in the rule modal (compound rules)
+    this.editingConditions = null;
     // Object mapping group names to group configurations
     this.groups = {};
     // Object containing extension settings
     this.settings = {};
+    // Rule profiles and the active profile's id (see lib/profiles.js)
+    this.profiles = [];
+    this.activeProfile = null;
     // Pending domain to prefill when adding a rule
     this.pendingDomain = null;
     // Track newly added items that haven't been saved yet
@@ -80,6 +85,10 @@ class OptionsApp {
     this.setupTabNavigation();
     // Render the currently active tab
     this.renderCurrentTab();
+    // Show where rules are stored and any quota warning
+    this.renderStorageStatus();
+    // List the rule profiles
+    this.renderProfiles();
     // Check companion app status and update UI
     this.checkCompanionAppStatus();
     
@@ -222,6 +231,327 @@ class OptionsApp {
     }
   }
 
+  /**
+   * Builds the "Rename on save" fields for the rule edit modal.
+   * 
+   * Inputs:
+   *   - rename: Optional existing rename object { template, find, replace, case }
+   * 
+   * Outputs: HTML string
+   */
+  createRenameFieldsHTML(rename) {
+    const current = rename || {};
+    const caseLabels = { none: 'Keep case', lower: 'lowercase', upper: 'UPPERCASE', title: 'Title Case' };
+    return `
+      <div class="form-group rename-fields" style="margin-top: 16px;">
+        <label class="form-label">
+          Rename on save
+          <span class="help-text">Optional. The extension is always kept and illegal characters are removed.</span>
+        </label>
+        <input type="text" class="form-input" id="edit-rule-rename-find" value="${this.escapeHTML(current.find || '')}" placeholder="Find (regex), e.g. \\s*\\(\\d+\\)$">
+        <input type="text" class="form-input" id="edit-rule-rename-replace" value="${this.escapeHTML(current.replace || '')}" placeholder="Replace with, e.g. $1 (leave empty to remove)">
+        <input type="text" class="form-input" id="edit-rule-rename-template" value="${this.escapeHTML(current.template || '')}" placeholder="Template, e.g. {date}-{domain}-{original}">
+        <select class="form-select" id="edit-rule-rename-case">
+          ${DownloadRouter.RENAME_CASE_OPTIONS.map(option => 
+            `<option value="${option}" ${(current.case || 'none') === option ? 'selected' : ''}>${caseLabels[option]}</option>`
+          ).join('')}
+        </select>
+        <span class="help-text">Template variables: {original} (name after find/replace), ${DownloadRouter.PATH_TEMPLATE_VARIABLES.map(v => `{${v}}`).join(', ')}</span>
+        <input type="text" class="form-input" id="edit-rule-rename-sample" value="download (3).pdf" placeholder="Try a filename">
+        <div class="pattern-test-result" id="edit-rule-rename-preview"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Reads the rename fields of the rule edit modal.
+   * 
+   * Outputs: Rename object, or null if the fields would not change the filename
+   */
+  readRenameFields() {
+    const read = (id) => (document.getElementById(id)?.value || '');
+    const rename = {
+      template: read('edit-rule-rename-template').trim(),
+      find: read('edit-rule-rename-find').trim(),
+      replace: read('edit-rule-rename-replace'),
+      case: read('edit-rule-rename-case') || 'none'
+    };
+    return DownloadRouter.hasRename(rename) ? rename : null;
+  }
+
+  /**
+   * Shows what the rename fields do to the sample filename, or why they are invalid.
+   */
+  updateRenamePreview() {
+    const preview = document.getElementById('edit-rule-rename-preview');
+    if (!preview) return;
+    
+    const rename = this.readRenameFields();
+    const sample = document.getElementById('edit-rule-rename-sample')?.value.trim() || '';
+    preview.className = 'pattern-test-result';
+    if (!rename || !sample) {
+      preview.textContent = '';
+      return;
+    }
+    
+    const captures = this.getEditingRuleCaptureSample();
+    const error = DownloadRouter.validateRename(rename, [...DownloadRouter.PATH_TEMPLATE_VARIABLES, ...Object.keys(captures)]);
+    if (error) {
+      preview.textContent = error;
+      preview.classList.add('invalid');
+      return;
+    }
+    const values = {
+      ...captures,
+      ...DownloadRouter.buildPathTemplateValues({
+        domain: 'example.com',
+        extension: DownloadRouter.getFileExtension(sample, DownloadRouter.getGroupExtensions(this.groups)),
+        filename: sample,
+        referrerTitle: 'Example Page'
+      })
+    };
+    preview.textContent = `${sample} → ${DownloadRouter.rewriteFilename(sample, rename, values)}`;
+    preview.classList.add('match');
+  }
+
+  /**
+   * Builds the schedule fields of the rule and file type edit modals: weekdays, a time
+   * window and an expiry date, each optional (see lib/schedules.js).
+   * 
+   * Inputs:
+   *   - prefix: String id prefix ('edit-rule' or 'edit-group')
+   *   - schedule: Current schedule object or undefined
+   * 
+   * Outputs: HTML string
+   */
+  createScheduleFieldsHTML(prefix, schedule) {
+    const current = schedule || {};
+    const days = current.days || [];
+    return `
+      <div class="form-group schedule-fields" style="margin-top: 16px;">
+        <label class="form-label">
+          Schedule
+          <span class="help-text">Optional. Outside these days and hours, or after the expiry date, it is skipped. Leave the days empty for every day.</span>
+        </label>
+        <div class="schedule-days" id="${prefix}-schedule-days">
+          ${Schedules.DAY_DISPLAY_ORDER.map(day => `
+          <label class="schedule-day">
+            <input type="checkbox" value="${day}" ${days.includes(day) ? 'checked' : ''}>
+            <span>${Schedules.DAY_NAMES[day]}</span>
+          </label>`).join('')}
+        </div>
+        <div class="schedule-times">
+          <input type="time" class="form-input" id="${prefix}-schedule-start" value="${this.escapeHTML(current.start || '')}" title="From">
+          <span>to</span>
+          <input type="time" class="form-input" id="${prefix}-schedule-end" value="${this.escapeHTML(current.end || '')}" title="Until (an earlier time runs past midnight)">
+          <span>expires after</span>
+          <input type="date" class="form-input" id="${prefix}-schedule-until" value="${this.escapeHTML(current.until || '')}">
+        </div>
+        <div class="pattern-test-result" id="${prefix}-schedule-preview"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Reads the schedule fields created by createScheduleFieldsHTML.
+   * 
+   * Inputs:
+   *   - prefix: String id prefix
+   * 
+   * Outputs: Schedule object, or null when no field is set
+   */
+  readScheduleFields(prefix) {
+    const read = (id) => (document.getElementById(`${prefix}-${id}`)?.value || '').trim();
+    const schedule = {};
+    const days = Array.from(document.querySelectorAll(`#${prefix}-schedule-days input:checked`))
+      .map(input => parseInt(input.value, 10));
+    if (days.length > 0 && days.length < 7) schedule.days = days.sort((a, b) => a - b);
+    if (read('schedule-start')) schedule.start = read('schedule-start');
+    if (read('schedule-end')) schedule.end = read('schedule-end');
+    if (read('schedule-until')) schedule.until = read('schedule-until');
+    return Object.keys(schedule).length > 0 ? schedule : null;
+  }
+
+  /**
+   * Shows the schedule being edited in words and whether it is active right now, or why
+   * it is invalid.
+   * 
+   * Inputs:
+   *   - prefix: String id prefix
+   */
+  updateSchedulePreview(prefix) {
+    const preview = document.getElementById(`${prefix}-schedule-preview`);
+    if (!preview) return;
+    
+    const schedule = this.readScheduleFields(prefix);
+    preview.className = 'pattern-test-result';
+    if (!schedule) {
+      preview.textContent = '';
+      return;
+    }
+    const error = Schedules.validateSchedule(schedule);
+    if (error) {
+      preview.textContent = error;
+      preview.classList.add('invalid');
+      return;
+    }
+    const status = Schedules.getScheduleStatus(schedule);
+    preview.textContent = `${Schedules.describeSchedule(schedule)} · ${Schedules.STATUS_LABELS[status]}`;
+    preview.classList.add(status === 'active' ? 'match' : 'no-match');
+  }
+
+  /**
+   * Wires the schedule fields so their preview follows every change.
+   * 
+   * Inputs:
+   *   - prefix: String id prefix
+   */
+  attachScheduleFields(prefix) {
+    document.querySelectorAll(`#${prefix}-schedule-days input, #${prefix}-schedule-start, #${prefix}-schedule-end, #${prefix}-schedule-until`)
+      .forEach(input => input.addEventListener('change', () => this.updateSchedulePreview(prefix)));
+    this.updateSchedulePreview(prefix);
+  }
+
+  /**
+   * Shows a scheduled rule's or file type's schedule and whether it is active right now,
+   * for the Rules and File Types lists.
+   * 
+   * Inputs:
+   *   - schedule: Schedule object or undefined
+   * 
+   * Outputs: HTML string, empty without a schedule
+   */
+  createScheduleStatusHTML(schedule) {
+    const status = Schedules.getScheduleStatus(schedule);
+    if (status === 'always') return '';
+    return `
+      <div class="help-text schedule-status">
+        <span class="schedule-badge ${status}">${Schedules.STATUS_LABELS[status]}</span>
+        ${this.escapeHTML(Schedules.describeSchedule(schedule))}
+      </div>`;
+  }
+
+  /**
+   * Sample values for the rule being edited's own variables: its page variables and, when it
+   * uses site adapters, their values (both shown by name, as they depend on the download) and
+   * the captures of a URL pattern (the values captured from the test URL when it matches,
+   * otherwise each capture's name).
+   * 
+   * Outputs: Object mapping variable names to sample values
+   */
+  getEditingRuleCaptureSample() {
+    const type = document.getElementById('edit-rule-type')?.value;
+    const value = document.getElementById('edit-rule-value')?.value.trim() || '';
+    const sample = {};
+    PageData.parsePageVariables(document.getElementById('edit-rule-page-variables')?.value).variables
+      .forEach(({ name }) => { if (name) sample[name] = name; });
+    if (document.getElementById('edit-rule-site-adapter')?.checked) {
+      SiteAdapters.getSiteAdapterVariables().forEach(name => { sample[name] = name; });
+    }
+    if (type !== 'url') return sample;
+    const testUrl = document.getElementById('edit-rule-test-url')?.value.trim() || '';
+    const captured = testUrl ? DownloadRouter.matchUrlPattern(testUrl, value) : null;
+    DownloadRouter.getUrlPatternVariables(value).forEach(name => {
+      sample[name] = captured?.[name] || name;
+    });
+    return sample;
+  }
+
+  /**
+   * Builds the folder template variable chips and live preview shown under a
+   * modal's Destination Folder field.
+   * 
+   * Inputs:
+   *   - prefix: String id prefix of the folder field (e.g. 'edit-rule' for #edit-rule-folder)
+   * 
+   * Outputs: HTML string
+   */
+  createFolderTemplateHelpHTML(prefix) {
+    return `
+      <div class="folder-template-help" id="${prefix}-folder-template">
+        <span class="help-text">Insert a variable:</span>
+        ${DownloadRouter.PATH_TEMPLATE_VARIABLES.map(name => 
+          `<button type="button" class="template-variable" data-variable="${name}">{${name}}</button>`
+        ).join('')}
+      </div>
+      <div class="pattern-test-result" id="${prefix}-folder-preview"></div>
+    `;
+  }
+
+  /**
+   * Wires the variable chips created by createFolderTemplateHelpHTML. Clicking a chip
+   * appends the variable as a new subfolder, so it works with picked absolute folders too.
+   * Call after setupFolderInput so a replacement text input is picked up.
+   * 
+   * Inputs:
+   *   - prefix: String id prefix of the folder field
+   */
+  attachFolderTemplateHelp(prefix) {
+    const help = document.getElementById(`${prefix}-folder-template`);
+    const hiddenInput = document.getElementById(`${prefix}-folder`);
+    if (!help || !hiddenInput) return;
+    
+    // Without the companion app setupFolderInput swaps the display for a text input
+    const textInput = hiddenInput.parentElement.querySelector('input.form-input[type="text"]');
+    if (textInput) {
+      textInput.addEventListener('input', () => this.updateFolderTemplatePreview(prefix));
+    }
+    
+    help.addEventListener('click', (e) => {
+      const chip = e.target.closest('.template-variable');
+      if (!chip) return;
+      e.preventDefault();
+      const current = (hiddenInput.value || '').replace(/[\/\\]+$/, '');
+      const variable = `{${chip.dataset.variable}}`;
+      const folder = current && current !== 'Downloads' ? `${current}/${variable}` : variable;
+      hiddenInput.value = folder;
+      if (textInput) textInput.value = folder;
+      const textSpan = document.getElementById(`${prefix}-folder-text`);
+      if (textSpan) textSpan.textContent = folder;
+      this.updateFolderTemplatePreview(prefix);
+    });
+    
+    this.updateFolderTemplatePreview(prefix);
+  }
+
+  /**
+   * Shows what a template folder expands to for a sample download, or why it is invalid.
+   * 
+   * Inputs:
+   *   - prefix: String id prefix of the folder field
+   */
+  updateFolderTemplatePreview(prefix) {
+    const preview = document.getElementById(`${prefix}-folder-preview`);
+    const hiddenInput = document.getElementById(`${prefix}-folder`);
+    if (!preview || !hiddenInput) return;
+    
+    const folder = hiddenInput.value || '';
+    preview.className = 'pattern-test-result';
+    if (!DownloadRouter.hasPathTemplate(folder)) {
+      preview.textContent = '';
+      return;
+    }
+    
+    // Only the rule editor has URL captures and page variables
+    const captures = prefix === 'edit-rule' ? this.getEditingRuleCaptureSample() : {};
+    const error = DownloadRouter.validatePathTemplate(folder, [...DownloadRouter.PATH_TEMPLATE_VARIABLES, ...Object.keys(captures)]);
+    if (error) {
+      preview.textContent = error;
+      preview.classList.add('invalid');
+      return;
+    }
+    const sample = {
+      ...captures,
+      ...DownloadRouter.buildPathTemplateValues({
+        domain: 'example.com',
+        extension: 'pdf',
+        filename: 'report.pdf',
+        referrerTitle: 'Example Page'
+      })
+    };
+    preview.textContent = `e.g. ${DownloadRouter.expandPathTemplate(folder, sample)}`;
+  }
+
   /**
    * Attaches autocomplete dropdown to a folder input field for non-companion app users.
    */
@@ -464,17 +794,21 @@ class OptionsApp {
    *   - getCommonFolders: Method in this class to get default folder list
    */
   async loadData() {
-    // chrome.storage.sync.get: Retrieves data from sync storage
+    // configStore.get: Retrieves configuration (rules/groups may be chunked or local - see lib/config-store.js)
     //   Inputs: Array of keys to retrieve
     //   Outputs: Promise resolving to object with stored values
-    const data = await chrome.storage.sync.get([
+    const data = await configStore.get([
       'rules', 
       'groups', 
       'tieBreaker', 
       'confirmationEnabled', 
       'confirmationTimeout',
+      'defaultFolder',
+      'conflictResolution',
       'downloadPath',
-      'availableFolders'
+      'availableFolders',
+      'profiles',
+      'activeProfile'
     ]);
     
     // Store retrieved data with defaults if not present
@@ -489,6 +823,10 @@ class OptionsApp {
       defaultFolder: data.defaultFolder || 'Downloads',
       conflictResolution: data.conflictResolution || 'auto'
     };
+    // Before any profile is created everyone is on the Default profile
+    const { profiles, activeProfile } = Profiles.normalizeProfiles(data.profiles, data.activeProfile);
+    this.profiles = profiles;
+    this.activeProfile = activeProfile;
   }
 
   /**
@@ -519,6 +857,47 @@ class OptionsApp {
     // Load default groups button - restores default file type groups
     document.getElementById('load-defaults').addEventListener('click', () => this.loadDefaultGroups());
     
+    // Rule tester: run on click or Enter, prefill from a recent download
+    document.getElementById('tester-run').addEventListener('click', () => this.runRuleTest());
+    document.querySelectorAll('.tester-form .form-input').forEach(input => {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.runRuleTest();
+      });
+    });
+    document.getElementById('tester-history').addEventListener('change', (e) => this.fillTesterFromHistory(e.target.value));
+    
+    // Rule storage: sync across devices or keep on this computer
+    document.getElementById('sync-rules-enabled').addEventListener('change', (e) => this.setRuleSyncEnabled(e.target.checked));
+    
+    // Rule profiles: add, and switch/rename/delete from the list
+    document.getElementById('add-profile').addEventListener('click', () => this.addProfile());
+    document.getElementById('new-profile-name').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.addProfile();
+    });
+    document.getElementById('profile-list').addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-profile-action]');
+      if (!button) return;
+      const id = button.dataset.profileId;
+      if (button.dataset.profileAction === 'switch') this.switchProfile(id);
+      else if (button.dataset.profileAction === 'rename') this.renameProfile(id);
+      else if (button.dataset.profileAction === 'delete') this.deleteProfile(id);
+    });
+    // A profile switched here, in the popup or with the keyboard shortcut replaces everything shown
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes.activeProfile) this.reloadProfile();
+    });
+    
+    // Configuration backup/sharing
+    document.getElementById('export-config').addEventListener('click', () => this.exportConfig());
+    const importFileInput = document.getElementById('import-config-file');
+    document.getElementById('import-config').addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      // Reset so choosing the same file again still fires change
+      e.target.value = '';
+      if (file) await this.importConfig(file);
+    });
+    
     // Set up settings-specific event listeners
     this.setupSettingsListeners();
     
@@ -549,9 +928,7 @@ class OptionsApp {
     });
     
     // Initialize
-    confirmationEnabled.checked = this.settings.confirmationEnabled;
-    confirmationTimeout.value = this.settings.confirmationTimeout;
-    timeoutValue.textContent = `${this.settings.confirmationTimeout}s`;
+    this.updateSettingsForm();
     
     // Default folder setting
     const defaultFolderInput = document.getElementById('default-folder');
@@ -560,7 +937,6 @@ class OptionsApp {
     const openChromeBehaviorBtn = document.getElementById('open-chrome-download-behavior');
     
     if (defaultFolderInput) {
-      defaultFolderInput.value = this.settings.defaultFolder || 'Downloads';
       // Auto-save on change
       defaultFolderInput.addEventListener('blur', async () => {
         await this.saveSettingsOnly();
@@ -607,6 +983,22 @@ class OptionsApp {
     });
   }
   
+  /**
+   * Shows the per-profile settings (confirmation overlay, timeout, default folder) in the form.
+   */
+  updateSettingsForm() {
+    document.getElementById('confirmation-enabled').checked = this.settings.confirmationEnabled;
+    document.getElementById('confirmation-timeout').value = this.settings.confirmationTimeout;
+    document.getElementById('timeout-value').textContent = `${this.settings.confirmationTimeout}s`;
+    const timeoutSetting = document.getElementById('timeout-setting');
+    timeoutSetting.style.opacity = this.settings.confirmationEnabled ? '1' : '0.5';
+    timeoutSetting.style.pointerEvents = this.settings.confirmationEnabled ? 'auto' : 'none';
+    const defaultFolderInput = document.getElementById('default-folder');
+    if (defaultFolderInput) {
+      defaultFolderInput.value = this.settings.defaultFolder || 'Downloads';
+    }
+  }
+  
   /**
    * Saves only settings (not rules/groups) - used for auto-save
    */
@@ -673,6 +1065,9 @@ class OptionsApp {
       case 'filetypes':
         this.renderGroups();
         break;
+      case 'tester':
+        this.loadTesterHistory();
+        break;
     }
   }
 
@@ -698,11 +1093,106 @@ class OptionsApp {
     this.attachRuleListeners();
   }
 
+  /**
+   * Returns the value label, placeholder and icon for a rule type.
+   * 
+   * Inputs:
+   *   - type: String rule type ('domain', 'url', 'contains', 'glob', 'regex')
+   * 
+   * Outputs: Object { label, placeholder, icon }
+   */
+  getRuleTypeFields(type) {
+    if (type === 'domain') {
+      return { label: 'Site', placeholder: 'e.g., github.com, *.cdn.example.com, github.com except gist.github.com', icon: 'globe' };
+    } else if (type === 'url') {
+      return { label: 'URL pattern', placeholder: 'e.g., tools.example.com/export?format=csv&project=:project', icon: 'link' };
+    } else if (type === 'glob') {
+      return { label: 'Filename glob pattern', placeholder: 'e.g., invoice-*-2026.pdf', icon: 'search' };
+    } else if (type === 'regex') {
+      return { label: 'Filename regular expression', placeholder: 'e.g., /^IMG_\\d{4}\\.(heic|jpg)$/i', icon: 'search' };
+    } else if (type === 'compound') {
+      return { label: 'Conditions', placeholder: '', icon: 'list' };
+    }
+    return { label: 'Filename contains phrase', placeholder: 'e.g., invoice, receipt, report', icon: 'search' };
+  }
+
+  /**
+   * Checks that a rule's folder and rename template only use variables the rule provides
+   * (a URL rule's captures disappear if its pattern or type changes).
+   * 
+   * Inputs:
+   *   - rule: Object rule with type, value, folder and optional rename
+   * 
+   * Outputs: String error message, or null if both are valid
+   */
+  validateRuleTemplates(rule) {
+    const variables = DownloadRouter.getRuleTemplateVariables(rule);
+    return DownloadRouter.validatePathTemplate(rule.folder, variables) ||
+      DownloadRouter.validateRename(rule.rename, variables);
+  }
+
+  /**
+   * Describes a valid site or URL pattern in words, shown under the value input.
+   * 
+   * Inputs:
+   *   - type: String rule type
+   *   - value: String rule value (already validated)
+   * 
+   * Outputs: String summary, or '' if the value needs no explanation
+   */
+  getRuleValueSummary(type, value) {
+    if (type === 'domain' && DownloadRouter.isDomainPattern(value)) {
+      return `Matches ${DownloadRouter.describeDomainPattern(value)}`;
+    }
+    if (type === 'url') {
+      const variables = DownloadRouter.getUrlPatternVariables(value);
+      if (variables.length > 0) {
+        return `Use ${variables.map(name => `{${name}}`).join(', ')} in the folder or rename template`;
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Builds the <option> list for a domain rule's "Match against" select.
+   * 
+   * Inputs:
+   *   - selected: String current rule.matchScope (missing means 'default')
+   * 
+   * Outputs: HTML string
+   */
+  createMatchScopeOptionsHTML(selected) {
+    const current = selected || 'default';
+    return Object.entries(DownloadRouter.DOMAIN_MATCH_SCOPES).map(([scope, label]) =>
+      `<option value="${scope}" ${scope === current ? 'selected' : ''}>${this.escapeHTML(label)}</option>`
+    ).join('');
+  }
+
+  /**
+   * Escapes a string for use inside an HTML attribute or text node.
+   * Regex patterns routinely contain quotes and angle brackets.
+   * 
+   * Inputs:
+   *   - value: String to escape
+   * 
+   * Outputs: Escaped string
+   */
+  escapeHTML(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
   createRuleHTML(rule, index) {
-    const iconName = rule.type === 'domain' ? 'globe' : 'search';
+    const fields = this.getRuleTypeFields(rule.type);
+    const patternError = DownloadRouter.validateRuleValue(rule.type, rule.value);
+    const iconName = fields.icon;
     const iconHTML = typeof window.getIcon !== 'undefined' ? window.getIcon(iconName, 16) : (typeof getIcon !== 'undefined' ? getIcon(iconName, 16) : '');
     const enabled = rule.enabled !== false;
-    const statusClass = enabled ? 'status-enabled' : 'status-disabled';
+    // Scheduled rules outside their hours look like disabled ones
+    const statusClass = enabled && Schedules.isScheduleActive(rule.schedule) ? 'status-enabled' : 'status-disabled';
     
     return `
       <div class="rule-item ${statusClass}" data-index="${index}">
@@ -711,7 +1201,11 @@ class OptionsApp {
             <span class="item-icon">${iconHTML}</span>
             <select class="quick-edit rule-type-quick" data-index="${index}">
               <option value="domain" ${rule.type === 'domain' ? 'selected' : ''}>Site Rule</option>
+              <option value="url" ${rule.type === 'url' ? 'selected' : ''}>URL Pattern Rule</option>
               <option value="contains" ${rule.type === 'contains' ? 'selected' : ''}>Contains Rule</option>
+              <option value="glob" ${rule.type === 'glob' ? 'selected' : ''}>Glob Rule</option>
+              <option value="regex" ${rule.type === 'regex' ? 'selected' : ''}>Regex Rule</option>
+              <option value="compound" ${rule.type === 'compound' ? 'selected' : ''}>Compound Rule</option>
             </select>
           </div>
           <div class="item-actions">
@@ -725,11 +1219,18 @@ class OptionsApp {
         </div>
         <div class="item-content quick-edit-content">
           <div class="form-group quick-edit-group">
-            <label class="form-label">${rule.type === 'domain' ? 'Site' : 'Filename contains phrase'}</label>
-            <input type="text" class="form-input quick-edit-input rule-value-quick" 
-                   value="${rule.value || ''}" 
+            <label class="form-label">${fields.label}</label>
+            ${rule.type === 'compound' ? `
+            <div class="condition-summary" title="Edit the rule to change its conditions">${this.escapeHTML(rule.value)}</div>
+            ` : `
+            <input type="text" class="form-input quick-edit-input rule-value-quick ${patternError ? 'invalid' : ''}" 
+                   value="${this.escapeHTML(rule.value)}" 
                    data-index="${index}"
-                   placeholder="${rule.type === 'domain' ? 'e.g., github.com' : 'e.g., invoice, receipt, report'}">
+                   placeholder="${this.escapeHTML(fields.placeholder)}">
+            ${patternError ? `<div class="pattern-error">${this.escapeHTML(patternError)}</div>` : ''}
+            ${!patternError && this.getRuleValueSummary(rule.type, rule.value) ? `<div class="help-text rule-value-summary">${this.escapeHTML(this.getRuleValueSummary(rule.type, rule.value))}</div>` : ''}
+            ${rule.type === 'domain' && DownloadRouter.describeMatchScope(rule.matchScope) ? `<div class="help-text">Matches: ${this.escapeHTML(DownloadRouter.describeMatchScope(rule.matchScope))}</div>` : ''}
+            `}
           </div>
           <div class="form-group quick-edit-group">
             <label class="form-label">Destination Folder</label>
@@ -739,6 +1240,8 @@ class OptionsApp {
               <span style="color: var(--text-secondary); font-size: 11px;">Click to browse</span>
             </div>
             <input type="hidden" class="rule-folder-quick" value="${rule.folder || 'Downloads'}" data-index="${index}">
+            ${DownloadRouter.hasRename(rule.rename) ? `<div class="help-text">Renames on save${rule.rename.template ? `: ${this.escapeHTML(rule.rename.template)}` : ''}</div>` : ''}
+            ${this.createScheduleStatusHTML(rule.schedule)}
           </div>
         </div>
       </div>
@@ -775,15 +1278,35 @@ class OptionsApp {
       select.addEventListener('change', (e) => {
         const index = parseInt(e.target.dataset.index);
         if (!isNaN(index) && this.rules[index]) {
+          // Compound rules need their conditions edited - switch type inside the edit modal
+          if (e.target.value === 'compound' || this.rules[index].type === 'compound') {
+            const requestedType = e.target.value;
+            e.target.value = this.rules[index].type;
+            this.openEditRuleModal(index, requestedType);
+            return;
+          }
+          // Existing value must still be valid under the new type (e.g. contains -> regex)
+          const patternError = DownloadRouter.validateRuleValue(e.target.value, this.rules[index].value) ||
+            this.validateRuleTemplates({ ...this.rules[index], type: e.target.value });
+          if (patternError) {
+            e.target.value = this.rules[index].type;
+            this.showStatus(`Invalid pattern: ${patternError}`, 'error');
+            return;
+          }
           this.rules[index].type = e.target.value;
+          // Only site rules have a match scope
+          if (e.target.value !== 'domain') {
+            delete this.rules[index].matchScope;
+          }
           // Update placeholder and label
+          const fields = this.getRuleTypeFields(e.target.value);
           const valueInput = e.target.closest('.rule-item').querySelector('.rule-value-quick');
           const label = valueInput?.closest('.form-group').querySelector('.form-label');
           if (label) {
-            label.textContent = e.target.value === 'domain' ? 'Site' : 'Filename contains phrase';
+            label.textContent = fields.label;
           }
           if (valueInput) {
-            valueInput.placeholder = e.target.value === 'domain' ? 'e.g., github.com' : 'e.g., invoice, receipt, report';
+            valueInput.placeholder = fields.placeholder;
           }
           this.saveRules();
         }
@@ -795,7 +1318,23 @@ class OptionsApp {
       input.addEventListener('blur', (e) => {
         const index = parseInt(e.target.dataset.index);
         if (!isNaN(index) && this.rules[index]) {
-          this.rules[index].value = e.target.value.trim();
+          const value = e.target.value.trim();
+          const patternError = DownloadRouter.validateRuleValue(this.rules[index].type, value) ||
+            this.validateRuleTemplates({ ...this.rules[index], value });
+          e.target.classList.toggle('invalid', !!patternError);
+          if (patternError) {
+            // Keep the invalid text in the input so it can be fixed, but don't save it
+            this.showStatus(`Invalid pattern: ${patternError}`, 'error');
+            return;
+          }
+          const formGroup = e.target.closest('.form-group');
+          formGroup?.querySelector('.pattern-error')?.remove();
+          formGroup?.querySelector('.rule-value-summary')?.remove();
+          const summary = this.getRuleValueSummary(this.rules[index].type, value);
+          if (summary) {
+            e.target.insertAdjacentHTML('afterend', `<div class="help-text rule-value-summary">${this.escapeHTML(summary)}</div>`);
+          }
+          this.rules[index].value = value;
           this.saveRules();
         }
       });
@@ -883,7 +1422,7 @@ class OptionsApp {
 
   createGroupHTML(name, group, index) {
     const enabled = group.enabled !== false;
-    const statusClass = enabled ? 'status-enabled' : 'status-disabled';
+    const statusClass = enabled && Schedules.isScheduleActive(group.schedule) ? 'status-enabled' : 'status-disabled';
     const folderIcon = typeof window.getIcon !== 'undefined' ? window.getIcon('folder', 16) : (typeof getIcon !== 'undefined' ? getIcon('folder', 16) : '');
     const browseIcon = typeof window.getIcon !== 'undefined' ? window.getIcon('folder', 14) : (typeof getIcon !== 'undefined' ? getIcon('folder', 14) : '📁');
     
@@ -922,6 +1461,7 @@ class OptionsApp {
               <span style="color: var(--text-secondary); font-size: 11px;">Click to browse</span>
             </div>
             <input type="hidden" class="group-folder-quick" value="${group.folder || 'Downloads'}" data-name="${name}">
+            ${this.createScheduleStatusHTML(group.schedule)}
           </div>
         </div>
       </div>
@@ -1207,16 +1747,27 @@ class OptionsApp {
     this.folderSelectCallback = null;
     this.editingRuleIndex = null;
     this.editingGroupName = null;
+    this.editingConditions = null;
   }
 
   /**
    * Opens edit modal for a rule
+   * 
+   * Inputs:
+   *   - index: Number index into this.rules
+   *   - typeOverride: Optional rule type to preselect (used when switching to/from compound)
    */
-  openEditRuleModal(index) {
+  openEditRuleModal(index, typeOverride = null) {
     const rule = this.rules[index];
     if (!rule) return;
     
     this.editingRuleIndex = index;
+    const ruleType = typeOverride || rule.type;
+    const fields = this.getRuleTypeFields(ruleType);
+    // Working copy of the condition tree; seeded from the simple rule when converting to compound
+    this.editingConditions = rule.conditions
+      ? JSON.parse(JSON.stringify(rule.conditions))
+      : this.createConditionsFromRule(rule);
     
     const modal = document.getElementById('modal-overlay');
     const modalBody = document.getElementById('folder-picker-modal');
@@ -1235,13 +1786,53 @@ class OptionsApp {
         <div class="form-group">
           <label class="form-label">Rule Type</label>
           <select class="form-select" id="edit-rule-type">
-            <option value="domain" ${rule.type === 'domain' ? 'selected' : ''}>Site</option>
-            <option value="contains" ${rule.type === 'contains' ? 'selected' : ''}>Contains</option>
+            <option value="domain" ${ruleType === 'domain' ? 'selected' : ''}>Site</option>
+            <option value="url" ${ruleType === 'url' ? 'selected' : ''}>URL pattern</option>
+            <option value="contains" ${ruleType === 'contains' ? 'selected' : ''}>Contains</option>
+            <option value="glob" ${ruleType === 'glob' ? 'selected' : ''}>Glob</option>
+            <option value="regex" ${ruleType === 'regex' ? 'selected' : ''}>Regex</option>
+            <option value="compound" ${ruleType === 'compound' ? 'selected' : ''}>Compound (multiple conditions)</option>
           </select>
         </div>
-        <div class="form-group">
-          <label class="form-label">${rule.type === 'domain' ? 'Site' : 'Filename contains phrase'}</label>
-          <input type="text" class="form-input" id="edit-rule-value" value="${rule.value || ''}" placeholder="${rule.type === 'domain' ? 'e.g., github.com' : 'e.g., invoice, receipt, report'}">
+        <div class="form-group" id="edit-rule-value-group" style="${ruleType === 'compound' ? 'display: none;' : ''}">
+          <label class="form-label">${fields.label}</label>
+          <input type="text" class="form-input" id="edit-rule-value" value="${rule.type === 'compound' ? '' : this.escapeHTML(rule.value)}" placeholder="${this.escapeHTML(fields.placeholder)}">
+          <div class="pattern-error" id="edit-rule-value-error" style="display: none;"></div>
+          <div class="help-text" id="edit-rule-value-summary"></div>
+        </div>
+        <div class="form-group" id="edit-rule-scope-group" style="${ruleType === 'domain' ? '' : 'display: none;'}">
+          <label class="form-label">
+            Match against
+            <span class="help-text">Which of the download's URLs the site is looked for in: where the file is hosted, or the page you were browsing</span>
+          </label>
+          <select class="form-select" id="edit-rule-scope">
+            ${this.createMatchScopeOptionsHTML(rule.matchScope)}
+          </select>
+        </div>
+        <div class="form-group" id="edit-rule-conditions-group" style="${ruleType === 'compound' ? '' : 'display: none;'}">
+          <label class="form-label">
+            Conditions
+            <span class="help-text">Combine site, URL path, filename, extension, MIME type, size, referrer, tab and page text checks</span>
+          </label>
+          <div id="edit-rule-conditions"></div>
+          <div class="condition-summary" id="edit-rule-conditions-summary"></div>
+          <div class="pattern-error" id="edit-rule-conditions-error" style="display: none;"></div>
+        </div>
+        <div class="form-group" id="edit-rule-test-group" style="${DownloadRouter.isFilenameRuleType(ruleType) ? '' : 'display: none;'}">
+          <label class="form-label">
+            Test against filename
+            <span class="help-text">Type a filename to check whether this rule would match it</span>
+          </label>
+          <input type="text" class="form-input" id="edit-rule-test-filename" placeholder="e.g., invoice-march-2026.pdf">
+          <div class="pattern-test-result" id="edit-rule-test-result"></div>
+        </div>
+        <div class="form-group" id="edit-rule-test-url-group" style="${ruleType === 'url' ? '' : 'display: none;'}">
+          <label class="form-label">
+            Test against URL
+            <span class="help-text">Paste a download link to check whether this rule would match it and what it captures</span>
+          </label>
+          <input type="text" class="form-input" id="edit-rule-test-url" placeholder="e.g., https://tools.example.com/export?format=csv&amp;project=alpha">
+          <div class="pattern-test-result" id="edit-rule-test-url-result"></div>
         </div>
         <div class="form-group">
           <label class="form-label">Destination Folder</label>
@@ -1251,6 +1842,14 @@ class OptionsApp {
             <span style="color: var(--text-secondary); font-size: 12px;">Click to browse</span>
           </div>
           <input type="hidden" id="edit-rule-folder" value="${rule.folder || 'Downloads'}">
+          ${this.createFolderTemplateHelpHTML('edit-rule')}
+        </div>
+        <div class="form-group">
+          <label class="toggle-label">
+            <input type="checkbox" id="edit-rule-site-adapter" ${rule.siteAdapter ? 'checked' : ''}>
+            <span>Use site adapter subfolders</span>
+          </label>
+          <div class="help-text">Downloads a built-in site adapter recognizes go into its subfolder of this folder: ${SiteAdapters.SITE_ADAPTERS.map(adapter => `${this.escapeHTML(adapter.name)} → ${this.escapeHTML(adapter.subfolder)}`).join(', ')}</div>
         </div>
         
         <div class="rule-edit-warning" style="margin-top: 12px; padding: 8px 12px; background: #e3f2fd; border: 1px solid #2196f3; border-radius: 4px; font-size: 12px; color: #1565c0;">
@@ -1259,10 +1858,10 @@ class OptionsApp {
         
         <div class="advanced-section" style="margin-top: 24px; padding-top: 24px; border-top: 1px solid var(--border-subtle);">
           <button type="button" class="advanced-toggle" id="edit-rule-advanced-toggle" style="background: none; border: none; padding: 0; cursor: pointer; display: flex; align-items: center; gap: 8px; color: var(--text-secondary); font-size: 13px; font-weight: 500; margin-bottom: 16px;">
-            <span id="edit-rule-advanced-icon" style="display: inline-flex; align-items: center; transition: transform 0.2s;">${typeof getIcon !== 'undefined' ? getIcon('chevron-down', 16) : '▼'}</span>
+            <span id="edit-rule-advanced-icon" style="display: inline-flex; align-items: center; transition: transform 0.2s;${rule.rename || rule.pageVariables || rule.schedule ? ' transform: rotate(-90deg);' : ''}">${typeof getIcon !== 'undefined' ? getIcon('chevron-down', 16) : '▼'}</span>
             <span>Advanced</span>
           </button>
-          <div class="advanced-content" id="edit-rule-advanced-content" style="display: none; padding-left: 20px;">
+          <div class="advanced-content" id="edit-rule-advanced-content" style="${rule.rename || rule.pageVariables || rule.schedule ? '' : 'display: none; '}padding-left: 20px;">
             <div class="form-group">
               <label class="form-label">
                 Priority
@@ -1273,6 +1872,15 @@ class OptionsApp {
                      min="0.1" max="10" step="0.1" placeholder="2.0">
               <div class="priority-hint">Default: 2.0 | Common: 1.0 (highest), 2.0 (medium), 3.0 (file types)</div>
             </div>
+            ${this.createRenameFieldsHTML(rule.rename)}
+            <div class="form-group" style="margin-top: 16px;">
+              <label class="form-label" for="edit-rule-page-variables">
+                Page variables
+                <span class="help-text">Optional. Text read from the page the download starts on, for the folder and rename: one per line as name = CSS selector or meta:name, optionally followed by | regex to keep part of it</span>
+              </label>
+              <textarea class="form-input" id="edit-rule-page-variables" rows="2" placeholder="course = .course-header .code&#10;ticket = meta:ticket-id | #(\d+)">${this.escapeHTML(PageData.formatPageVariables(rule.pageVariables))}</textarea>
+            </div>
+            ${this.createScheduleFieldsHTML('edit-rule', rule.schedule)}
             <div class="form-group" style="margin-top: 16px;">
               <label class="toggle-label">
                 <input type="checkbox" id="edit-rule-enabled" ${rule.enabled !== false ? 'checked' : ''}>
@@ -1300,7 +1908,8 @@ class OptionsApp {
     if (folderDisplay && folderInput) {
       this.setupFolderInput(folderDisplay, folderInput, folderText, (folder) => {
         console.log('[OPTIONS EDIT RULE] Folder updated to:', folder);
-      });
+        this.updateFolderTemplatePreview('edit-rule');
+      }).then(() => this.attachFolderTemplateHelp('edit-rule'));
     }
     
     // Update label and placeholder when rule type changes
@@ -1309,15 +1918,35 @@ class OptionsApp {
     const editRuleLabel = editRuleValue?.closest('.form-group')?.querySelector('.form-label');
     
     if (editRuleType && editRuleValue) {
+      let previousType = ruleType;
       editRuleType.addEventListener('change', (e) => {
-        const isDomain = e.target.value === 'domain';
+        const fields = this.getRuleTypeFields(e.target.value);
         if (editRuleLabel) {
-          editRuleLabel.textContent = isDomain ? 'Site' : 'Contains phrase';
+          editRuleLabel.textContent = fields.label;
         }
-        editRuleValue.placeholder = isDomain ? 'e.g., github.com' : 'e.g., invoice, receipt, report';
+        editRuleValue.placeholder = fields.placeholder;
+        // Carry a simple rule's value into the condition editor when switching to compound
+        if (e.target.value === 'compound' && previousType !== 'compound' && editRuleValue.value.trim()) {
+          this.editingConditions = this.createConditionsFromRule({ type: previousType, value: editRuleValue.value.trim() });
+          this.renderConditionEditor();
+        }
+        previousType = e.target.value;
+        const isCompound = e.target.value === 'compound';
+        document.getElementById('edit-rule-value-group').style.display = isCompound ? 'none' : '';
+        document.getElementById('edit-rule-scope-group').style.display = e.target.value === 'domain' ? '' : 'none';
+        document.getElementById('edit-rule-conditions-group').style.display = isCompound ? '' : 'none';
+        this.updateRuleTestPreview();
       });
+      editRuleValue.addEventListener('input', () => this.updateRuleTestPreview());
+      document.getElementById('edit-rule-test-filename')?.addEventListener('input', () => this.updateRuleTestPreview());
+      document.getElementById('edit-rule-test-url')?.addEventListener('input', () => this.updateRuleTestPreview());
+      this.updateRuleTestPreview();
     }
     
+    // Condition tree editor (compound rules)
+    this.attachConditionEditorListeners();
+    this.renderConditionEditor();
+    
     // Advanced section toggle
     const advancedToggle = document.getElementById('edit-rule-advanced-toggle');
     const advancedContent = document.getElementById('edit-rule-advanced-content');
@@ -1331,62 +1960,460 @@ class OptionsApp {
       });
     }
     
+    // Rename on save preview
+    ['edit-rule-rename-template', 'edit-rule-rename-find', 'edit-rule-rename-replace', 'edit-rule-rename-case', 'edit-rule-rename-sample']
+      .forEach(id => document.getElementById(id)?.addEventListener('input', () => this.updateRenamePreview()));
+    this.updateRenamePreview();
+    
+    // Page variables and site adapter values can be used in the folder and rename
+    document.getElementById('edit-rule-page-variables')?.addEventListener('input', () => {
+      this.updateFolderTemplatePreview('edit-rule');
+      this.updateRenamePreview();
+    });
+    document.getElementById('edit-rule-site-adapter')?.addEventListener('change', () => {
+      this.updateFolderTemplatePreview('edit-rule');
+      this.updateRenamePreview();
+    });
+    
+    this.attachScheduleFields('edit-rule');
+    
     document.getElementById('modal-save').addEventListener('click', () => this.saveEditedRule());
     
     modal.classList.add('active');
   }
 
   /**
-   * Saves the currently edited rule
+   * Builds a starting condition tree from a simple rule, so converting a rule to
+   * compound keeps what it already matched.
+   * 
+   * Inputs:
+   *   - rule: Object with type and value
+   * 
+   * Outputs: Condition group { match: 'all', conditions: [...] }
    */
-  saveEditedRule() {
-    if (this.editingRuleIndex === null) return;
-    
-    const type = document.getElementById('edit-rule-type').value;
-    const value = document.getElementById('edit-rule-value').value.trim();
-    const folderInput = document.getElementById('edit-rule-folder');
-    const folder = folderInput ? folderInput.value.trim() : 'Downloads';
-    const priorityInput = document.getElementById('edit-rule-priority').value;
-    const priority = Math.max(0.1, Math.min(10, Math.round(parseFloat(priorityInput) * 10) / 10)) || 2.0;
-    const enabled = document.getElementById('edit-rule-enabled').checked;
-    
-    console.log('[OPTIONS SAVE RULE] Saving rule with folder:', folder);
-    console.log('[OPTIONS SAVE RULE] Folder input value:', folderInput?.value);
-    
-    this.rules[this.editingRuleIndex] = {
-      type,
-      value,
-      folder,
-      priority,
-      enabled
-    };
-    
-    console.log('[OPTIONS SAVE RULE] Rule to save:', this.rules[this.editingRuleIndex]);
-    
-    // Clear newly added flag since it's been saved
-    if (this.newlyAddedRuleIndex === this.editingRuleIndex) {
-      this.newlyAddedRuleIndex = null;
+  createConditionsFromRule(rule) {
+    const value = rule.type === 'compound' ? '' : (rule.value || '');
+    let leaf = { field: 'domain', operator: 'is', value };
+    if (DownloadRouter.isFilenameRuleType(rule.type)) {
+      leaf = { field: 'filename', operator: rule.type, value };
+    } else if (rule.type === 'url') {
+      // Conditions can't express query parameters - keep the site and let the user add path checks
+      leaf = { field: 'domain', operator: 'is', value: DownloadRouter.parseUrlPattern(value)?.host.host || '' };
     }
-    
-    this.saveRules();
-    this.renderRules();
-    this.closeModal();
-    this.showStatus('Rule saved', 'success');
+    return { match: 'all', conditions: [leaf] };
   }
 
   /**
-   * Opens edit modal for a file type group
+   * Finds a node in this.editingConditions by its dotted path ('' = root, '0.2' = third child of first child).
+   * 
+   * Inputs:
+   *   - path: String dotted index path
+   * 
+   * Outputs: Condition group or leaf (undefined if the path is stale)
    */
-  openEditGroupModal(name) {
-    const group = this.groups[name];
-    if (!group) return;
-    
-    this.editingGroupName = name;
+  getConditionNode(path) {
+    if (path === '') return this.editingConditions;
+    return path.split('.').reduce((node, index) => node?.conditions?.[parseInt(index)], this.editingConditions);
+  }
+
+  /**
+   * Renders the condition tree editor from this.editingConditions.
+   * 
+   * Inputs:
+   *   - error: Optional validation error to show under the editor
+   * 
+   * Outputs: None (updates #edit-rule-conditions)
+   */
+  renderConditionEditor(error = null) {
+    const container = document.getElementById('edit-rule-conditions');
+    if (!container || !this.editingConditions) return;
     
-    const modal = document.getElementById('modal-overlay');
-    const modalBody = document.getElementById('folder-picker-modal');
+    container.innerHTML = this.createConditionGroupHTML(this.editingConditions, '', 1);
     
-    if (!modal || !modalBody) return;
+    const summary = document.getElementById('edit-rule-conditions-summary');
+    if (summary) {
+      const text = DownloadRouter.describeConditions(this.editingConditions);
+      summary.textContent = text ? `Matches when ${text}` : '';
+    }
+    const errorEl = document.getElementById('edit-rule-conditions-error');
+    if (errorEl) {
+      errorEl.textContent = error || '';
+      errorEl.style.display = error ? 'block' : 'none';
+    }
+  }
+
+  createConditionGroupHTML(group, path, depth) {
+    const childPath = (index) => path === '' ? `${index}` : `${path}.${index}`;
+    const children = group.conditions.map((child, index) => Array.isArray(child.conditions)
+      ? this.createConditionGroupHTML(child, childPath(index), depth + 1)
+      : this.createConditionLeafHTML(child, childPath(index))
+    ).join('');
+    
+    return `
+      <div class="condition-group ${path === '' ? 'root' : ''}">
+        <div class="condition-group-header">
+          <select class="form-select condition-match" data-path="${path}">
+            <option value="all" ${group.match !== 'any' ? 'selected' : ''}>Match ALL of (AND)</option>
+            <option value="any" ${group.match === 'any' ? 'selected' : ''}>Match ANY of (OR)</option>
+          </select>
+          ${path !== '' ? `<button type="button" class="btn danger small condition-remove" data-path="${path}">Remove group</button>` : ''}
+        </div>
+        <div class="condition-list">${children}</div>
+        <div class="condition-group-actions">
+          <button type="button" class="btn secondary small condition-add" data-path="${path}">+ Condition</button>
+          ${depth < DownloadRouter.MAX_CONDITION_DEPTH ? `<button type="button" class="btn secondary small condition-add-group" data-path="${path}">+ Group</button>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  createConditionLeafHTML(leaf, path) {
+    const fieldLabels = {
+      domain: 'Site', path: 'URL path', filename: 'Filename', extension: 'Extension',
+      mime: 'MIME type', size: 'File size (MB)', referrer: 'Referrer',
+      tabGroup: 'Tab group', tabGroupColor: 'Tab group color', window: 'Window', pageTitle: 'Page title',
+      page: 'Page text'
+    };
+    const operatorLabels = {
+      is: 'is', startsWith: 'starts with', contains: 'contains', glob: 'matches glob',
+      regex: 'matches regex', gt: 'larger than', lt: 'smaller than'
+    };
+    const placeholders = {
+      domain: 'e.g., arxiv.org', path: 'e.g., /pdf/', filename: 'e.g., invoice', extension: 'e.g., pdf, epub',
+      mime: 'e.g., application/pdf, image/*', size: 'e.g., 100', referrer: 'e.g., google.com',
+      tabGroup: 'e.g., Client A', pageTitle: 'e.g., Thesis', page: 'e.g., CS101'
+    };
+    const operators = DownloadRouter.CONDITION_OPERATORS[leaf.field] || [];
+    // Group colors and window kinds are picked from a list
+    const choices = DownloadRouter.CONDITION_VALUE_CHOICES[leaf.field];
+    const choiceLabel = (choice) => leaf.field === 'window'
+      ? DownloadRouter.WINDOW_KINDS[choice]
+      : choice.charAt(0).toUpperCase() + choice.slice(1);
+    const valueHTML = choices
+      ? `<select class="form-select condition-value" data-path="${path}">
+          ${choices.map(choice =>
+            `<option value="${choice}" ${leaf.value === choice ? 'selected' : ''}>${choiceLabel(choice)}</option>`
+          ).join('')}
+        </select>`
+      : `<input type="${leaf.field === 'size' ? 'number' : 'text'}" class="form-input condition-value" data-path="${path}"
+               value="${this.escapeHTML(leaf.value)}" placeholder="${this.escapeHTML(placeholders[leaf.field] || '')}"
+               ${leaf.field === 'size' ? 'min="0" step="0.1"' : ''}>`;
+    
+    return `
+      <div class="condition-row">
+        <select class="form-select condition-field" data-path="${path}">
+          ${Object.keys(DownloadRouter.CONDITION_OPERATORS).map(field => 
+            `<option value="${field}" ${leaf.field === field ? 'selected' : ''}>${fieldLabels[field]}</option>`
+          ).join('')}
+        </select>
+        ${leaf.field === 'page' ? `<input type="text" class="form-input condition-source" data-path="${path}"
+               value="${this.escapeHTML(leaf.source || '')}" placeholder="CSS selector or meta:name">` : ''}
+        <select class="form-select condition-operator" data-path="${path}">
+          ${operators.map(op => 
+            `<option value="${op}" ${leaf.operator === op ? 'selected' : ''}>${operatorLabels[op]}</option>`
+          ).join('')}
+        </select>
+        ${valueHTML}
+        <button type="button" class="btn danger small condition-remove" data-path="${path}" title="Remove condition">×</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Attaches delegated listeners for the condition tree editor.
+   * Attached once per modal open; the editor's HTML is re-rendered on structural changes.
+   */
+  attachConditionEditorListeners() {
+    const container = document.getElementById('edit-rule-conditions');
+    if (!container) return;
+    
+    const refreshSummary = () => {
+      const summary = document.getElementById('edit-rule-conditions-summary');
+      const text = DownloadRouter.describeConditions(this.editingConditions);
+      if (summary) summary.textContent = text ? `Matches when ${text}` : '';
+    };
+    
+    container.addEventListener('change', (e) => {
+      const path = e.target.dataset.path;
+      if (path === undefined) return;
+      const node = this.getConditionNode(path);
+      if (!node) return;
+      
+      if (e.target.classList.contains('condition-match')) {
+        node.match = e.target.value;
+        refreshSummary();
+      } else if (e.target.classList.contains('condition-field')) {
+        // New field: reset operator to its first valid one and clear the old value
+        // (list fields start on their first choice, which the select shows)
+        node.field = e.target.value;
+        node.operator = DownloadRouter.CONDITION_OPERATORS[node.field][0];
+        node.value = DownloadRouter.CONDITION_VALUE_CHOICES[node.field]?.[0] || '';
+        // Page text conditions also say where on the page to read
+        if (node.field === 'page') {
+          node.source = '';
+        } else {
+          delete node.source;
+        }
+        this.renderConditionEditor();
+      } else if (e.target.classList.contains('condition-value')) {
+        node.value = e.target.value;
+        refreshSummary();
+      } else if (e.target.classList.contains('condition-operator')) {
+        node.operator = e.target.value;
+        refreshSummary();
+      }
+    });
+    
+    container.addEventListener('input', (e) => {
+      const isValue = e.target.classList.contains('condition-value');
+      if (!isValue && !e.target.classList.contains('condition-source')) return;
+      const node = this.getConditionNode(e.target.dataset.path);
+      if (!node) return;
+      if (isValue) {
+        node.value = e.target.value;
+      } else {
+        node.source = e.target.value.trim();
+      }
+      refreshSummary();
+    });
+    
+    container.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-path]');
+      if (!button) return;
+      e.preventDefault();
+      const path = button.dataset.path;
+      const newLeaf = { field: 'domain', operator: 'is', value: '' };
+      
+      if (button.classList.contains('condition-add')) {
+        this.getConditionNode(path).conditions.push(newLeaf);
+      } else if (button.classList.contains('condition-add-group')) {
+        this.getConditionNode(path).conditions.push({ match: 'any', conditions: [newLeaf] });
+      } else if (button.classList.contains('condition-remove')) {
+        const parts = path.split('.');
+        const index = parseInt(parts.pop());
+        this.getConditionNode(parts.join('.')).conditions.splice(index, 1);
+      }
+      this.renderConditionEditor();
+    });
+  }
+
+  /**
+   * Refreshes the validation message and "test against filename" result in the rule edit modal.
+   * Uses the same matcher as the background router so the preview matches real routing.
+   * 
+   * Inputs: None (reads #edit-rule-type, #edit-rule-value, #edit-rule-test-filename)
+   * Outputs: None (updates modal DOM)
+   */
+  updateRuleTestPreview() {
+    const type = document.getElementById('edit-rule-type')?.value;
+    const valueInput = document.getElementById('edit-rule-value');
+    const errorEl = document.getElementById('edit-rule-value-error');
+    const testGroup = document.getElementById('edit-rule-test-group');
+    const testFilename = document.getElementById('edit-rule-test-filename')?.value.trim() || '';
+    const resultEl = document.getElementById('edit-rule-test-result');
+    if (!type || !valueInput) return;
+
+    const value = valueInput.value.trim();
+    const patternError = value ? DownloadRouter.validateRuleValue(type, value) : null;
+    valueInput.classList.toggle('invalid', !!patternError);
+    if (errorEl) {
+      errorEl.textContent = patternError || '';
+      errorEl.style.display = patternError ? 'block' : 'none';
+    }
+    // Spell out wildcard and exclusion site patterns, and what a URL pattern captures
+    const summaryEl = document.getElementById('edit-rule-value-summary');
+    if (summaryEl) {
+      summaryEl.textContent = value && !patternError ? this.getRuleValueSummary(type, value) : '';
+    }
+    this.updateUrlTestPreview(type, value, patternError);
+    // Captures feed the folder and rename previews
+    this.updateFolderTemplatePreview('edit-rule');
+    this.updateRenamePreview();
+
+    const isFilenameRule = DownloadRouter.isFilenameRuleType(type);
+    if (testGroup) {
+      testGroup.style.display = isFilenameRule ? '' : 'none';
+    }
+    if (!resultEl || !isFilenameRule) return;
+
+    if (!value || !testFilename) {
+      resultEl.textContent = '';
+      resultEl.className = 'pattern-test-result';
+    } else if (patternError) {
+      resultEl.textContent = 'Fix the pattern to test it';
+      resultEl.className = 'pattern-test-result invalid';
+    } else if (DownloadRouter.matchesFilenameRule({ type, value }, testFilename)) {
+      resultEl.textContent = `✓ Matches "${testFilename}"`;
+      resultEl.className = 'pattern-test-result match';
+    } else {
+      resultEl.textContent = `✗ Does not match "${testFilename}"`;
+      resultEl.className = 'pattern-test-result no-match';
+    }
+  }
+
+  /**
+   * Shows whether the URL pattern in the rule editor matches the test URL, and the
+   * values it captures.
+   * 
+   * Inputs:
+   *   - type: String rule type selected in the editor
+   *   - value: String rule value
+   *   - patternError: String validation error for the value, or null
+   * 
+   * Outputs: None (updates #edit-rule-test-url-group)
+   */
+  updateUrlTestPreview(type, value, patternError) {
+    const group = document.getElementById('edit-rule-test-url-group');
+    const resultEl = document.getElementById('edit-rule-test-url-result');
+    const testUrl = document.getElementById('edit-rule-test-url')?.value.trim() || '';
+    if (group) {
+      group.style.display = type === 'url' ? '' : 'none';
+    }
+    if (!resultEl || type !== 'url') return;
+
+    if (!value || !testUrl) {
+      resultEl.textContent = '';
+      resultEl.className = 'pattern-test-result';
+      return;
+    }
+    if (patternError) {
+      resultEl.textContent = 'Fix the pattern to test it';
+      resultEl.className = 'pattern-test-result invalid';
+      return;
+    }
+    const captures = DownloadRouter.matchUrlPattern(testUrl, value);
+    if (!captures) {
+      resultEl.textContent = '✗ Does not match this URL';
+      resultEl.className = 'pattern-test-result no-match';
+      return;
+    }
+    const captured = Object.entries(captures).map(([name, captureValue]) => `{${name}} = "${captureValue}"`);
+    resultEl.textContent = captured.length > 0 ? `✓ Matches: ${captured.join(', ')}` : '✓ Matches this URL';
+    resultEl.className = 'pattern-test-result match';
+  }
+
+  /**
+   * Saves the currently edited rule
+   */
+  saveEditedRule() {
+    if (this.editingRuleIndex === null) return;
+    
+    const type = document.getElementById('edit-rule-type').value;
+    const value = document.getElementById('edit-rule-value').value.trim();
+    const patternError = DownloadRouter.validateRuleValue(type, value);
+    if (patternError) {
+      this.updateRuleTestPreview();
+      this.showStatus(`Invalid pattern: ${patternError}`, 'error');
+      return;
+    }
+    if (type === 'compound') {
+      const conditionError = DownloadRouter.validateConditions(this.editingConditions);
+      if (conditionError) {
+        this.renderConditionEditor(conditionError);
+        this.showStatus(`Invalid conditions: ${conditionError}`, 'error');
+        return;
+      }
+    }
+    const { variables: pageVariables, error: pageVariableSyntaxError } =
+      PageData.parsePageVariables(document.getElementById('edit-rule-page-variables')?.value);
+    // Selectors are checked against this page's DOM, as the content script will use them
+    const pageVariableError = pageVariableSyntaxError || DownloadRouter.validateRulePageVariables(
+      { type, value, pageVariables },
+      selector => document.createDocumentFragment().querySelector(selector)
+    );
+    if (pageVariableError) {
+      this.showStatus(`Invalid page variables: ${pageVariableError}`, 'error');
+      return;
+    }
+    const folderInput = document.getElementById('edit-rule-folder');
+    const folder = folderInput ? folderInput.value.trim() : 'Downloads';
+    // URL rules may also use the values their pattern captures, any rule its page variables
+    // and, when it uses site adapters, their values
+    const siteAdapter = !!document.getElementById('edit-rule-site-adapter')?.checked;
+    const templateVariables = DownloadRouter.getRuleTemplateVariables({ type, value, pageVariables, siteAdapter });
+    const templateError = DownloadRouter.validatePathTemplate(folder, templateVariables);
+    if (templateError) {
+      this.updateFolderTemplatePreview('edit-rule');
+      this.showStatus(templateError, 'error');
+      return;
+    }
+    const rename = this.readRenameFields();
+    const renameError = DownloadRouter.validateRename(rename, templateVariables);
+    if (renameError) {
+      this.updateRenamePreview();
+      this.showStatus(`Invalid rename: ${renameError}`, 'error');
+      return;
+    }
+    const schedule = this.readScheduleFields('edit-rule');
+    const scheduleError = Schedules.validateSchedule(schedule);
+    if (scheduleError) {
+      this.updateSchedulePreview('edit-rule');
+      this.showStatus(`Invalid schedule: ${scheduleError}`, 'error');
+      return;
+    }
+    const priorityInput = document.getElementById('edit-rule-priority').value;
+    const priority = Math.max(0.1, Math.min(10, Math.round(parseFloat(priorityInput) * 10) / 10)) || 2.0;
+    const enabled = document.getElementById('edit-rule-enabled').checked;
+    
+    console.log('[OPTIONS SAVE RULE] Saving rule with folder:', folder);
+    console.log('[OPTIONS SAVE RULE] Folder input value:', folderInput?.value);
+    
+    this.rules[this.editingRuleIndex] = {
+      type,
+      value: type === 'domain' ? DownloadRouter.normalizeDomainRuleValue(value) : value,
+      folder,
+      priority,
+      enabled
+    };
+    if (rename) {
+      this.rules[this.editingRuleIndex].rename = rename;
+    }
+    if (pageVariables.length > 0) {
+      this.rules[this.editingRuleIndex].pageVariables = pageVariables;
+    }
+    if (siteAdapter) {
+      this.rules[this.editingRuleIndex].siteAdapter = true;
+    }
+    if (schedule) {
+      this.rules[this.editingRuleIndex].schedule = schedule;
+    }
+    const matchScope = document.getElementById('edit-rule-scope')?.value;
+    // Rules without a scope match the download URL, final URL and referrer; 'any' is only stored when chosen
+    if (type === 'domain' && matchScope && matchScope !== 'default') {
+      this.rules[this.editingRuleIndex].matchScope = matchScope;
+    }
+    if (type === 'compound') {
+      // Value holds a readable summary so rule lists and lookups that show rule.value keep working
+      this.rules[this.editingRuleIndex].conditions = this.editingConditions;
+      this.rules[this.editingRuleIndex].value = DownloadRouter.describeConditions(this.editingConditions);
+    }
+    
+    console.log('[OPTIONS SAVE RULE] Rule to save:', this.rules[this.editingRuleIndex]);
+    
+    // Clear newly added flag since it's been saved
+    if (this.newlyAddedRuleIndex === this.editingRuleIndex) {
+      this.newlyAddedRuleIndex = null;
+    }
+    
+    this.saveRules();
+    this.renderRules();
+    this.closeModal();
+    this.showStatus('Rule saved', 'success');
+  }
+
+  /**
+   * Opens edit modal for a file type group
+   */
+  openEditGroupModal(name) {
+    const group = this.groups[name];
+    if (!group) return;
+    
+    this.editingGroupName = name;
+    
+    const modal = document.getElementById('modal-overlay');
+    const modalBody = document.getElementById('folder-picker-modal');
+    
+    if (!modal || !modalBody) return;
     
     // Update modal content for group editing
     modalBody.innerHTML = `
@@ -1405,6 +2432,11 @@ class OptionsApp {
           <label class="form-label">Extensions (comma-separated)</label>
           <input type="text" class="form-input" id="edit-group-extensions" value="${group.extensions || ''}" placeholder="e.g., stl,obj,3mf">
         </div>
+        <div class="form-group">
+          <label class="form-label">MIME types (comma-separated, optional)</label>
+          <input type="text" class="form-input" id="edit-group-mime" value="${this.escapeHTML(DownloadRouter.getGroupMimeTypes(name, group))}" placeholder="e.g., model/*, application/sla">
+          <div class="help-text">Used when the file's extension isn't in any file type, e.g. "download.php" or a name without an extension. Wildcards like image/* work.</div>
+        </div>
         <div class="form-group">
           <label class="form-label">Destination Folder</label>
           <div class="folder-display-clickable" id="edit-group-folder-display" style="cursor: pointer; padding: 12px 16px; border: 1px solid var(--border-subtle); border-radius: var(--radius-sm); background: var(--surface-elevated); display: flex; align-items: center; gap: 8px;">
@@ -1413,6 +2445,7 @@ class OptionsApp {
             <span style="color: var(--text-secondary); font-size: 12px;">Click to browse</span>
           </div>
           <input type="hidden" id="edit-group-folder" value="${group.folder || 'Downloads'}">
+          ${this.createFolderTemplateHelpHTML('edit-group')}
         </div>
         
         <div class="rule-edit-warning" style="margin-top: 12px; padding: 8px 12px; background: #e3f2fd; border: 1px solid #2196f3; border-radius: 4px; font-size: 12px; color: #1565c0;">
@@ -1421,10 +2454,10 @@ class OptionsApp {
         
         <div class="advanced-section" style="margin-top: 24px; padding-top: 24px; border-top: 1px solid var(--border-subtle);">
           <button type="button" class="advanced-toggle" id="edit-group-advanced-toggle" style="background: none; border: none; padding: 0; cursor: pointer; display: flex; align-items: center; gap: 8px; color: var(--text-secondary); font-size: 13px; font-weight: 500; margin-bottom: 16px;">
-            <span id="edit-group-advanced-icon" style="display: inline-flex; align-items: center; transition: transform 0.2s;">${typeof getIcon !== 'undefined' ? getIcon('chevron-down', 16) : '▼'}</span>
+            <span id="edit-group-advanced-icon" style="display: inline-flex; align-items: center; transition: transform 0.2s;${group.schedule ? ' transform: rotate(-90deg);' : ''}">${typeof getIcon !== 'undefined' ? getIcon('chevron-down', 16) : '▼'}</span>
             <span>Advanced</span>
           </button>
-          <div class="advanced-content" id="edit-group-advanced-content" style="display: none; padding-left: 20px;">
+          <div class="advanced-content" id="edit-group-advanced-content" style="${group.schedule ? '' : 'display: none; '}padding-left: 20px;">
             <div class="form-group">
               <label class="form-label">
                 Priority
@@ -1442,6 +2475,7 @@ class OptionsApp {
               </label>
               <div class="help-text">Forces file type match even if a domain rule exists</div>
             </div>
+            ${this.createScheduleFieldsHTML('edit-group', group.schedule)}
             <div class="form-group" style="margin-top: 16px;">
               <label class="toggle-label">
                 <input type="checkbox" id="edit-group-enabled" ${group.enabled !== false ? 'checked' : ''}>
@@ -1469,7 +2503,8 @@ class OptionsApp {
     if (folderDisplay && folderInput) {
       this.setupFolderInput(folderDisplay, folderInput, folderText, (folder) => {
         console.log('[OPTIONS EDIT GROUP] Folder updated to:', folder);
-      });
+        this.updateFolderTemplatePreview('edit-group');
+      }).then(() => this.attachFolderTemplateHelp('edit-group'));
     }
     
     // Advanced section toggle
@@ -1487,6 +2522,8 @@ class OptionsApp {
       });
     }
     
+    this.attachScheduleFields('edit-group');
+    
     document.getElementById('modal-save').addEventListener('click', () => this.saveEditedGroup());
     
     modal.classList.add('active');
@@ -1500,8 +2537,31 @@ class OptionsApp {
     
     const newName = document.getElementById('edit-group-name').value.trim();
     const extensions = document.getElementById('edit-group-extensions').value.trim();
+    const mimeTypes = document.getElementById('edit-group-mime').value.trim();
+    if (!extensions && !mimeTypes) {
+      this.showStatus('Enter at least one extension or MIME type', 'error');
+      return;
+    }
+    const mimeError = DownloadRouter.validateMimePatterns(mimeTypes);
+    if (mimeError) {
+      this.showStatus(mimeError, 'error');
+      return;
+    }
     const folderInput = document.getElementById('edit-group-folder');
     const folder = folderInput ? folderInput.value.trim() : 'Downloads';
+    const templateError = DownloadRouter.validatePathTemplate(folder);
+    if (templateError) {
+      this.updateFolderTemplatePreview('edit-group');
+      this.showStatus(templateError, 'error');
+      return;
+    }
+    const schedule = this.readScheduleFields('edit-group');
+    const scheduleError = Schedules.validateSchedule(schedule);
+    if (scheduleError) {
+      this.updateSchedulePreview('edit-group');
+      this.showStatus(`Invalid schedule: ${scheduleError}`, 'error');
+      return;
+    }
     const priorityInput = document.getElementById('edit-group-priority').value;
     const priority = Math.max(0.1, Math.min(10, Math.round(parseFloat(priorityInput) * 10) / 10)) || 3.0;
     const overrideDomainRules = document.getElementById('edit-group-override').checked;
@@ -1522,11 +2582,15 @@ class OptionsApp {
     const saveName = newName || this.editingGroupName;
     this.groups[saveName] = {
       extensions,
+      mimeTypes,
       folder,
       priority,
       overrideDomainRules,
       enabled
     };
+    if (schedule) {
+      this.groups[saveName].schedule = schedule;
+    }
     
     // Clear newly added flag since it's been saved
     if (this.newlyAddedGroupName === saveName) {
@@ -1664,12 +2728,184 @@ class OptionsApp {
    * Outputs: None (saves to storage)
    */
   async saveRules() {
-    await chrome.storage.sync.set({
+    await this.saveConfig({
       rules: this.rules,
       groups: this.groups
     });
   }
 
+  /**
+   * Saves configuration through configStore and shows a warning if rules had to be
+   * moved off Chrome sync because they no longer fit.
+   * 
+   * Inputs:
+   *   - items: Object of key/value pairs (same shape as chrome.storage.sync.set)
+   * 
+   * Outputs: Promise resolving to the warning message, or null
+   */
+  async saveConfig(items) {
+    const { warning } = await configStore.set(items);
+    if (warning) {
+      this.showStatus('Rules are too large for Chrome sync - saved on this computer only', 'error');
+      await this.renderStorageStatus();
+    }
+    return warning;
+  }
+
+  /**
+   * Updates the Sync Rules card: toggle state, storage usage and any quota warning.
+   */
+  async renderStorageStatus() {
+    const toggle = document.getElementById('sync-rules-enabled');
+    const status = document.getElementById('storage-status');
+    const warningBox = document.getElementById('storage-warning');
+    if (!toggle || !status || !warningBox) return;
+    
+    const usage = await configStore.getUsage();
+    toggle.checked = usage.area === 'sync';
+    if (usage.area === 'sync') {
+      const usedKB = usage.bytesInUse !== null ? (usage.bytesInUse / 1024).toFixed(1) : '?';
+      status.textContent = `Syncing: ${usedKB} KB of ${Math.round(usage.quotaBytes / 1024)} KB used.`;
+    } else {
+      status.textContent = 'Stored on this computer only.';
+    }
+    
+    warningBox.textContent = usage.warning || '';
+    warningBox.classList.toggle('hidden', !usage.warning);
+  }
+
+  /**
+   * Turns rule syncing on or off from the Sync Rules toggle.
+   * 
+   * Inputs:
+   *   - enabled: Boolean toggle state
+   */
+  async setRuleSyncEnabled(enabled) {
+    try {
+      const { area, warning } = await configStore.setSyncEnabled(enabled);
+      if (warning) {
+        this.showStatus(warning, 'error');
+      } else {
+        this.showStatus(area === 'sync' ? 'Rules now sync across your computers' : 'Rules are now stored on this computer only', 'success');
+      }
+    } catch (error) {
+      console.error('[OPTIONS] Failed to change rule storage:', error);
+      this.showStatus(`Couldn't change rule storage: ${error.message}`, 'error');
+    }
+    await this.renderStorageStatus();
+  }
+
+  /**
+   * Lists the rule profiles in the Profiles card: the active one is marked, the others can be
+   * switched to or deleted, and any can be renamed.
+   */
+  renderProfiles() {
+    const list = document.getElementById('profile-list');
+    if (!list) return;
+    list.innerHTML = this.profiles.map(profile => {
+      const active = profile.id === this.activeProfile;
+      const id = this.escapeHTML(profile.id);
+      return `
+        <div class="profile-item ${active ? 'active' : ''}">
+          <span class="profile-name">${this.escapeHTML(profile.name)}</span>
+          ${active
+            ? '<span class="profile-active-label">Active</span>'
+            : `<button class="btn secondary small" data-profile-action="switch" data-profile-id="${id}">Switch</button>`}
+          <button class="btn secondary small" data-profile-action="rename" data-profile-id="${id}">Rename</button>
+          ${active ? '' : `<button class="btn danger small" data-profile-action="delete" data-profile-id="${id}">Delete</button>`}
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Adds a rule profile from the Profiles card. It starts with the active profile's file types,
+   * default folder and confirmation settings, and its rules too if that box is ticked.
+   */
+  async addProfile() {
+    const nameInput = document.getElementById('new-profile-name');
+    const copyRules = document.getElementById('new-profile-copy-rules').checked;
+    try {
+      const { profiles, profile } = Profiles.createProfile(this.profiles, nameInput.value, {
+        rules: copyRules ? this.rules : [],
+        groups: this.groups,
+        defaultFolder: this.settings.defaultFolder,
+        confirmationEnabled: this.settings.confirmationEnabled,
+        confirmationTimeout: this.settings.confirmationTimeout * 1000
+      });
+      await this.saveConfig({ profiles });
+      this.profiles = profiles;
+      nameInput.value = '';
+      this.renderProfiles();
+      this.showStatus(`Profile "${profile.name}" added`, 'success');
+    } catch (error) {
+      this.showStatus(error.message, 'error');
+    }
+  }
+
+  /**
+   * Switches to another rule profile. The background script swaps the configuration;
+   * the storage listener then reloads this page (see reloadProfile).
+   * 
+   * Inputs:
+   *   - profileId: String id of the profile to switch to
+   */
+  async switchProfile(profileId) {
+    const response = await chrome.runtime.sendMessage({ type: 'switchProfile', profileId });
+    if (!response || !response.success) {
+      this.showStatus(`Couldn't switch profile: ${response ? response.error : 'no response'}`, 'error');
+    }
+  }
+
+  /**
+   * Renames a rule profile, asking for the new name.
+   */
+  async renameProfile(profileId) {
+    const profile = Profiles.findProfile(this.profiles, profileId);
+    if (!profile) return;
+    const name = prompt('Profile name:', profile.name);
+    if (name === null || name.trim() === profile.name) return;
+    try {
+      const profiles = Profiles.renameProfile(this.profiles, profileId, name);
+      await this.saveConfig({ profiles });
+      this.profiles = profiles;
+      this.renderProfiles();
+      this.showStatus('Profile renamed', 'success');
+    } catch (error) {
+      this.showStatus(error.message, 'error');
+    }
+  }
+
+  /**
+   * Deletes an inactive rule profile with its rules and settings, after confirming.
+   */
+  async deleteProfile(profileId) {
+    const profile = Profiles.findProfile(this.profiles, profileId);
+    if (!profile || !confirm(`Delete the "${profile.name}" profile and its rules? This can't be undone.`)) return;
+    try {
+      const profiles = Profiles.deleteProfile(this.profiles, profileId, this.activeProfile);
+      await this.saveConfig({ profiles });
+      this.profiles = profiles;
+      this.renderProfiles();
+      this.showStatus(`Profile "${profile.name}" deleted`, 'success');
+    } catch (error) {
+      this.showStatus(error.message, 'error');
+    }
+  }
+
+  /**
+   * Reloads everything shown after the active profile changed (here, in the popup or with
+   * the keyboard shortcut).
+   */
+  async reloadProfile() {
+    await this.loadData();
+    this.updateSettingsForm();
+    this.renderCurrentTab();
+    this.renderProfiles();
+    const profile = Profiles.findProfile(this.profiles, this.activeProfile);
+    this.showStatus(`Switched to the "${profile.name}" profile`, 'success');
+  }
+
   /**
    * Saves all configuration options to Chrome sync storage.
    * Collects current settings from UI and persists them.
@@ -1681,7 +2917,7 @@ class OptionsApp {
    * External Dependencies:
    *   - document.getElementById: Browser DOM API to find elements
    *   - document.querySelector: Browser DOM API to find elements
-   *   - chrome.storage.sync.set: Chrome API for saving data
+   *   - saveConfig: Method in this class to save through configStore
    *   - showStatus: Method in this class to display feedback
    */
   async saveOptions() {
@@ -1699,11 +2935,11 @@ class OptionsApp {
     const defaultFolderInput = document.getElementById('default-folder');
     const defaultFolder = defaultFolderInput ? defaultFolderInput.value : 'Downloads';
     
-    // Save all configuration to sync storage
-    // chrome.storage.sync.set: Stores data in sync storage
+    // Save all configuration (rules/groups are chunked across sync keys, or kept locally)
+    // saveConfig: Stores data via configStore and warns if sync is full
     //   Inputs: Object with key-value pairs
     //   Outputs: Promise resolving when stored
-    await chrome.storage.sync.set({
+    await this.saveConfig({
       rules: this.rules,
       groups: this.groups,
       confirmationEnabled: confirmationEnabled,
@@ -1729,7 +2965,7 @@ class OptionsApp {
       };
       
       // Save everything
-      await chrome.storage.sync.set({
+      await this.saveConfig({
         rules: this.rules,
         groups: this.groups,
         confirmationEnabled: true,
@@ -1744,6 +2980,409 @@ class OptionsApp {
     }
   }
 
+  /**
+   * Fills the rule tester's "recent download" picker from the download history.
+   */
+  async loadTesterHistory() {
+    const select = document.getElementById('tester-history');
+    if (!select) return;
+    try {
+      this.testerHistory = (await downloadHistory.getAll()).slice(0, 25);
+    } catch (error) {
+      console.warn('[OPTIONS TESTER] Download history unavailable:', error);
+      this.testerHistory = [];
+    }
+    select.innerHTML = '<option value="">Enter details below…</option>' + this.testerHistory.map((entry, index) =>
+      `<option value="${index}">${this.escapeHTML(entry.originalFilename || entry.filename)} (${this.escapeHTML(entry.domain)}, ${new Date(entry.completedAt).toLocaleDateString()})</option>`
+    ).join('');
+  }
+
+  fillTesterFromHistory(index) {
+    const entry = this.testerHistory && this.testerHistory[index];
+    if (!entry) return;
+    document.getElementById('tester-url').value = entry.url || '';
+    document.getElementById('tester-referrer').value = entry.referrer || '';
+    document.getElementById('tester-final-url').value = '';
+    document.getElementById('tester-tab-url').value = '';
+    document.getElementById('tester-tab-group').value = '';
+    document.getElementById('tester-page-data').value = '';
+    document.getElementById('tester-time').value = '';
+    document.getElementById('tester-filename').value = entry.originalFilename || entry.filename || '';
+    document.getElementById('tester-mime').value = entry.mime || '';
+    document.getElementById('tester-size').value = entry.fileSize ? Math.round(entry.fileSize / 10485.76) / 100 : '';
+    this.runRuleTest();
+  }
+
+  /**
+   * Runs the rule tester: routes the entered download with the saved configuration,
+   * exactly as onDeterminingFilename in background.js does, and shows the result.
+   * 
+   * Inputs: None (reads the tester form)
+   * 
+   * Outputs: None (renders into #tester-result)
+   */
+  async runRuleTest() {
+    const result = document.getElementById('tester-result');
+    const url = document.getElementById('tester-url').value.trim();
+    const referrer = document.getElementById('tester-referrer').value.trim();
+    const finalUrl = document.getElementById('tester-final-url').value.trim();
+    // The page a download starts from is usually the one open in the tab
+    const tabUrl = document.getElementById('tester-tab-url').value.trim() || referrer;
+    
+    let filename = document.getElementById('tester-filename').value.trim();
+    try {
+      new URL(url);
+      [referrer, finalUrl, tabUrl].filter(Boolean).forEach(value => new URL(value));
+    } catch (error) {
+      result.innerHTML = '<div class="pattern-error">Enter full URLs, starting with https:// (or http://, blob:, data:)</div>';
+      return;
+    }
+    if (!filename) {
+      // Chrome would normally take the name from the server; the URL path is the best guess here
+      const lastSegment = new URL(url).pathname.split('/').filter(Boolean).pop() || 'download';
+      try {
+        filename = decodeURIComponent(lastSegment);
+      } catch (error) {
+        filename = lastSegment;
+      }
+    }
+    
+    const sizeMB = parseFloat(document.getElementById('tester-size').value);
+    const timeValue = document.getElementById('tester-time').value;
+    const testTime = timeValue && !isNaN(new Date(timeValue).getTime()) ? new Date(timeValue) : new Date();
+    const pageTitle = document.getElementById('tester-title').value.trim();
+    // "source = text" lines stand in for what the content script would read off the page
+    const pageData = {};
+    document.getElementById('tester-page-data').value.split('\n').forEach(line => {
+      const separator = line.indexOf(' = ');
+      if (separator > 0) pageData[line.slice(0, separator).trim()] = line.slice(separator + 3).trim();
+    });
+    const data = await configStore.get(['rules', 'groups', 'defaultFolder', 'conflictResolution', 'extensionEnabled']);
+    const config = {
+      rules: data.rules || [],
+      groups: data.groups || {},
+      defaultFolder: data.defaultFolder || 'Downloads',
+      conflictResolution: data.conflictResolution || 'auto'
+    };
+    const route = DownloadRouter.routeDownload({
+      url,
+      filename,
+      referrer,
+      finalUrl,
+      tabUrl,
+      // Tab group color and window conditions only match real downloads
+      tabContext: {
+        title: pageTitle,
+        groupTitle: document.getElementById('tester-tab-group').value.trim()
+      },
+      pageData,
+      mime: document.getElementById('tester-mime').value.trim(),
+      fileSize: sizeMB > 0 ? Math.round(sizeMB * 1024 * 1024) : 0,
+      referrerTitle: pageTitle,
+      // Rule schedules are checked against this time
+      date: testTime.toISOString()
+    }, config);
+    
+    result.innerHTML = this.createTesterResultHTML(route, config, data.extensionEnabled !== false);
+  }
+
+  getMatchLabel(match) {
+    const sourceLabels = { compound: 'Compound', url: 'URL', domain: 'Site', contains: 'Contains', glob: 'Glob', regex: 'Regex', filetype: 'File type' };
+    const label = sourceLabels[match.source] || match.source;
+    const scope = match.source === 'domain' ? DownloadRouter.describeMatchScope(match.matchScope) : '';
+    if (scope) return `${label}: ${match.value} (${scope.toLowerCase()})`;
+    if (match.source !== 'filetype') return `${label}: ${match.value}`;
+    return match.matchedMime ? `${label}: ${match.groupName} (MIME ${match.matchedMime})` : `${label}: ${match.groupName}`;
+  }
+
+  formatPriority(value) {
+    return String(Math.round(parseFloat(value) * 100) / 100);
+  }
+
+  createTesterResultHTML(route, config, extensionEnabled) {
+    // The tie set is the same-priority top matches, whatever the conflict setting
+    const { finalRule: onlyMatch, conflictRules: tiedRules } = DownloadRouter.selectRule(route.matches, 'ask', config.defaultFolder);
+    const tied = route.matches.length > 0 ? (tiedRules || [onlyMatch]) : [];
+    const destinationRule = route.finalRule || route.conflictRules[0];
+    
+    const destination = route.needsMove
+      ? `${route.absoluteDestination.replace(/[\\/]+$/, '')}/${route.newFilename}`
+      : `Downloads/${route.resolvedPath}`;
+    const folderTemplate = DownloadRouter.hasPathTemplate(destinationRule.folder) ? destinationRule.folder : null;
+    
+    let decision;
+    if (route.matches.length === 0) {
+      decision = 'No rule matched, so the default folder is used.';
+    } else if (!route.finalRule) {
+      decision = `${tied.length} rules tie at priority ${this.formatPriority(tied[0].priority)}. Conflict resolution is set to "Ask", so the overlay would ask you to choose (the first one is preselected).`;
+    } else if (tied.length > 1) {
+      decision = `${tied.length} rules tie at priority ${this.formatPriority(tied[0].priority)}. The tie is broken by rule type (compound, then URL pattern, then site, then filename, then file type).`;
+    } else {
+      decision = `${this.getMatchLabel(route.finalRule)} has the best (lowest) priority.`;
+    }
+    
+    const rows = route.matches.map((match, index) => {
+      const isWinner = match === destinationRule;
+      const isTied = tied.includes(match);
+      const status = isWinner ? 'Used' : (isTied ? 'Tied' : 'Lower priority');
+      const boosted = match.boostedFrom !== undefined
+        ? `<div class="help-text">Boosted from ${this.formatPriority(match.boostedFrom)} (overrides site rules)</div>`
+        : '';
+      const captured = Object.entries(match.captures || {});
+      const captures = captured.length > 0
+        ? `<div class="help-text">${this.escapeHTML(captured.map(([name, value]) => `{${name}} = ${value}`).join(', '))}</div>`
+        : '';
+      return `
+        <tr class="${isWinner ? 'tester-winner' : ''}">
+          <td>${index + 1}</td>
+          <td>${this.escapeHTML(this.getMatchLabel(match))}${captures}</td>
+          <td>${this.escapeHTML(match.folder || 'Downloads')}</td>
+          <td>${this.formatPriority(match.priority)}${boosted}</td>
+          <td><span class="tester-status ${isWinner ? 'used' : (isTied ? 'tied' : '')}">${status}</span></td>
+        </tr>
+      `;
+    }).join('');
+    
+    return `
+      ${extensionEnabled ? '' : '<div class="storage-warning">Download Router is paused, so right now Chrome would save this file to Downloads without routing it.</div>'}
+      <div class="tester-destination">
+        <div class="form-label">Would be saved to</div>
+        <div class="tester-path">${this.escapeHTML(destination)}</div>
+        ${route.newFilename !== route.filename ? `<div class="help-text">Renamed from ${this.escapeHTML(route.filename)}</div>` : ''}
+        ${folderTemplate ? `<div class="help-text">Folder template: ${this.escapeHTML(folderTemplate)}</div>` : ''}
+        ${route.needsMove ? '<div class="help-text">Absolute folder: downloaded to Downloads, then moved by the companion app</div>' : ''}
+        ${route.siteSuggestion ? `<div class="help-text">${this.escapeHTML(route.siteSuggestion.name)} site adapter suggests ${this.escapeHTML(route.siteSuggestion.folder)}</div>` : ''}
+        <p class="section-description">${this.escapeHTML(decision)}</p>
+      </div>
+      <div class="help-text">
+        Site: ${this.escapeHTML(route.domain)} · Extension: ${this.escapeHTML(route.extension || 'none')}
+        ${route.urlForMatching !== document.getElementById('tester-url').value.trim() ? ` · Matched as: ${this.escapeHTML(route.urlForMatching)}` : ''}
+        ${route.sourceSite && route.sourceSite.site !== route.domain ? ` · Source site: ${this.escapeHTML(route.sourceSite.site)}` : ''}
+      </div>
+      ${route.matches.length > 0 ? `
+      <table class="tester-table">
+        <thead>
+          <tr><th>#</th><th>Matching rule</th><th>Folder</th><th>Effective priority</th><th></th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Exports rules, groups and settings as a versioned JSON file (see lib/config-transfer.js).
+   * 
+   * Inputs: None (reads the stored configuration)
+   * 
+   * Outputs: None (downloads download-router-config-<date>.json)
+   */
+  async exportConfig() {
+    const data = await configStore.get([
+      'rules', 'groups', 'defaultFolder', 'conflictResolution', 'confirmationEnabled', 'confirmationTimeout'
+    ]);
+    const doc = ConfigTransfer.buildExportDocument(
+      { ...data, groups: data.groups || this.groups },
+      chrome.runtime.getManifest().version
+    );
+    
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `download-router-config-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    
+    this.showStatus(`Exported ${doc.rules.length} rules and ${Object.keys(doc.groups).length} file types`, 'success');
+  }
+
+  /**
+   * Reads and validates an imported configuration file, then shows the import preview.
+   * 
+   * Inputs:
+   *   - file: File chosen in the import file input
+   * 
+   * Outputs: None (shows errors or opens the preview modal)
+   */
+  async importConfig(file) {
+    const { config, errors } = ConfigTransfer.parseImportDocument(await file.text());
+    if (errors.length > 0) {
+      console.warn('[OPTIONS IMPORT] Rejected', file.name, errors);
+      this.showImportErrors(file.name, errors);
+      return;
+    }
+    this.openImportPreviewModal(file.name, config);
+  }
+
+  /**
+   * Returns the stored configuration in the { rules, groups, settings } shape used by ConfigTransfer.
+   */
+  getCurrentConfig() {
+    return {
+      rules: this.rules,
+      groups: this.groups,
+      settings: {
+        defaultFolder: this.settings.defaultFolder,
+        conflictResolution: this.settings.conflictResolution,
+        confirmationEnabled: this.settings.confirmationEnabled,
+        confirmationTimeout: this.settings.confirmationTimeout * 1000
+      }
+    };
+  }
+
+  showImportErrors(fileName, errors) {
+    const modal = document.getElementById('modal-overlay');
+    const modalBody = document.getElementById('folder-picker-modal');
+    if (!modal || !modalBody) return;
+    
+    const shown = errors.slice(0, 10);
+    modalBody.innerHTML = `
+      <div class="modal-header">
+        <h3>Can't Import ${this.escapeHTML(fileName)}</h3>
+        <button class="modal-close" id="close-modal">×</button>
+      </div>
+      <div class="modal-body">
+        <p class="setting-description">Nothing was changed. Fix these problems and try again:</p>
+        <ul class="import-errors">
+          ${shown.map(error => `<li>${this.escapeHTML(error)}</li>`).join('')}
+        </ul>
+        ${errors.length > shown.length ? `<p class="help-text">…and ${errors.length - shown.length} more</p>` : ''}
+      </div>
+      <div class="modal-footer">
+        <button class="btn primary" id="modal-cancel">OK</button>
+      </div>
+    `;
+    document.getElementById('close-modal').addEventListener('click', () => this.closeModal());
+    document.getElementById('modal-cancel').addEventListener('click', () => this.closeModal());
+    modal.classList.add('active');
+  }
+
+  /**
+   * Shows what an import would change, with a merge/replace choice, and applies it on confirm.
+   * 
+   * Inputs:
+   *   - fileName: String name of the imported file
+   *   - incoming: Object { rules, groups, settings } from ConfigTransfer.parseImportDocument
+   */
+  openImportPreviewModal(fileName, incoming) {
+    const modal = document.getElementById('modal-overlay');
+    const modalBody = document.getElementById('folder-picker-modal');
+    if (!modal || !modalBody) return;
+    
+    modalBody.innerHTML = `
+      <div class="modal-header">
+        <h3>Import ${this.escapeHTML(fileName)}</h3>
+        <button class="modal-close" id="close-modal">×</button>
+      </div>
+      <div class="modal-body">
+        <div class="radio-group">
+          <label class="radio-option">
+            <input type="radio" name="import-mode" value="merge" checked>
+            <span class="radio-custom"></span>
+            <div class="radio-content">
+              <strong>Merge</strong>
+              <small>Add new rules and file types, update matching ones, keep everything else</small>
+            </div>
+          </label>
+          <label class="radio-option">
+            <input type="radio" name="import-mode" value="replace">
+            <span class="radio-custom"></span>
+            <div class="radio-content">
+              <strong>Replace</strong>
+              <small>Use exactly the rules and file types in the file</small>
+            </div>
+          </label>
+        </div>
+        <div class="import-diff" id="import-diff"></div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn secondary" id="modal-cancel">Cancel</button>
+        <button class="btn primary" id="modal-save">Import</button>
+      </div>
+    `;
+    
+    const getMode = () => document.querySelector('input[name="import-mode"]:checked')?.value || 'merge';
+    const renderDiff = () => {
+      const diff = ConfigTransfer.diffConfig(this.getCurrentConfig(), incoming, getMode());
+      document.getElementById('import-diff').innerHTML = this.createImportDiffHTML(diff);
+    };
+    document.querySelectorAll('input[name="import-mode"]').forEach(radio => radio.addEventListener('change', renderDiff));
+    renderDiff();
+    
+    document.getElementById('close-modal').addEventListener('click', () => this.closeModal());
+    document.getElementById('modal-cancel').addEventListener('click', () => this.closeModal());
+    document.getElementById('modal-save').addEventListener('click', async () => {
+      await this.applyImportedConfig(incoming, getMode());
+      this.closeModal();
+    });
+    
+    modal.classList.add('active');
+  }
+
+  createImportDiffHTML(diff) {
+    const describeRule = (rule) => `${this.escapeHTML(rule.value)} → ${this.escapeHTML(rule.folder || 'Downloads')}`;
+    const section = (title, items, className) => items.length === 0 ? '' : `
+      <div class="import-diff-section ${className}">
+        <div class="import-diff-title">${title} (${items.length})</div>
+        <ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>
+      </div>
+    `;
+    const formatSetting = (value) => value === undefined ? 'not set' : this.escapeHTML(JSON.stringify(value));
+    
+    const html = [
+      section('New rules', diff.rules.added.map(describeRule), 'added'),
+      section('Updated rules', diff.rules.changed.map(describeRule), 'changed'),
+      section('Removed rules', diff.rules.removed.map(describeRule), 'removed'),
+      section('New file types', diff.groups.added.map(name => this.escapeHTML(name)), 'added'),
+      section('Updated file types', diff.groups.changed.map(name => this.escapeHTML(name)), 'changed'),
+      section('Removed file types', diff.groups.removed.map(name => this.escapeHTML(name)), 'removed'),
+      section('Settings', diff.settings.map(({ key, from, to }) => `${key}: ${formatSetting(from)} → ${formatSetting(to)}`), 'changed')
+    ].join('');
+    
+    const unchanged = diff.rules.unchanged.length + diff.groups.unchanged.length;
+    return (html || '<p class="setting-description">This file matches your current configuration - nothing would change.</p>') +
+      (unchanged > 0 ? `<p class="help-text">${unchanged} rules/file types are already identical.</p>` : '');
+  }
+
+  /**
+   * Saves an imported configuration and refreshes the page.
+   * 
+   * Inputs:
+   *   - incoming: Object { rules, groups, settings } from ConfigTransfer.parseImportDocument
+   *   - mode: String 'merge' or 'replace'
+   */
+  async applyImportedConfig(incoming, mode) {
+    const result = ConfigTransfer.applyImport(this.getCurrentConfig(), incoming, mode);
+    
+    this.rules = result.rules;
+    this.groups = result.groups;
+    this.settings = {
+      confirmationEnabled: result.settings.confirmationEnabled !== false,
+      confirmationTimeout: (result.settings.confirmationTimeout || 5000) / 1000,
+      defaultFolder: result.settings.defaultFolder || 'Downloads',
+      conflictResolution: result.settings.conflictResolution || 'auto'
+    };
+    
+    await this.saveConfig({
+      rules: this.rules,
+      groups: this.groups,
+      confirmationEnabled: this.settings.confirmationEnabled,
+      confirmationTimeout: this.settings.confirmationTimeout * 1000,
+      defaultFolder: this.settings.defaultFolder,
+      conflictResolution: this.settings.conflictResolution
+    });
+    
+    console.log('[OPTIONS IMPORT] Imported configuration with mode:', mode);
+    this.setupSettingsListeners();
+    const conflictRadio = document.querySelector(`input[name="conflict-resolution"][value="${this.settings.conflictResolution}"]`);
+    if (conflictRadio) conflictRadio.checked = true;
+    this.renderCurrentTab();
+    this.showStatus(`Imported ${incoming.rules.length} rules and ${Object.keys(incoming.groups).length} file types (${mode})`, 'success');
+  }
+
   showStatus(message, type = 'success') {
     const status = document.getElementById('status');
     status.textContent = message;
@@ -11,6 +11,7 @@
  * - Display recent download activity history
  * - Provide quick links to options page and help resources
  * - Handle extension state toggling
+ * - Switch between rule profiles (Work, Personal, ...)
  * 
  * Architecture:
  * - Single class (PopupApp) manages all popup functionality
@@ -18,6 +19,9 @@
  * - Updates UI dynamically based on storage data
  */
 
+// Value of the profile picker's "Manage profiles…" entry (profile ids never start with _)
+const MANAGE_PROFILES_OPTION = '__manage';
+
 /**
  * PopupApp class
  * Manages the extension popup interface and user interactions.
@@ -34,6 +38,11 @@ class PopupApp {
   constructor() {
     // Extension enabled/disabled state (default: enabled)
     this.isExtensionEnabled = true;
+    // Rule profiles and the active profile's id (see lib/profiles.js)
+    this.profiles = [];
+    this.activeProfile = null;
+    // Running project mode, or null when off (see lib/project-mode.js)
+    this.projectMode = null;
     // Current tab URL for matching rules
     this.currentTabUrl = null;
     // Modal state tracking
@@ -140,18 +149,26 @@ class PopupApp {
   }
 
   /**
-   * Extracts domain from URL
+   * Extracts domain from URL (Unicode form, so IDN hosts read as they do in the address bar)
    */
   extractDomain(url) {
     if (!url) return null;
     try {
       const urlObj = new URL(url);
-      return urlObj.hostname.replace(/^www\./, '');
+      return DownloadRouter.toUnicodeHost(urlObj.hostname.replace(/^www\./, ''));
     } catch (e) {
       return null;
     }
   }
 
+  /**
+   * Extracts the registrable domain (per the Public Suffix List) to offer when adding a rule,
+   * e.g. bbc.co.uk for news.bbc.co.uk and user.github.io for user.github.io
+   */
+  extractBaseDomain(url) {
+    return this.extractDomain(url) ? DownloadRouter.getRegistrableDomain(url) : null;
+  }
+
   /**
    * Loads extension data from Chrome storage and background script.
    * Retrieves rules, groups, extension state, and download statistics.
@@ -161,17 +178,19 @@ class PopupApp {
    * Outputs: None (updates instance properties)
    * 
    * External Dependencies:
-   *   - chrome.storage.sync: Chrome API for retrieving sync storage data
+   *   - configStore (lib/config-store.js): For retrieving rules, groups and settings
    *   - chrome.runtime.sendMessage: Chrome API for communicating with background script
    */
   async loadData() {
-    // chrome.storage.sync.get: Retrieves data from sync storage
+    // configStore.get: Retrieves configuration (rules/groups may be chunked or local - see lib/config-store.js)
     //   Inputs: Array of keys to retrieve
     //   Outputs: Promise resolving to object with stored values
-    const syncData = await chrome.storage.sync.get([
+    const syncData = await configStore.get([
       'rules', 
       'groups', 
-      'extensionEnabled'
+      'extensionEnabled',
+      'profiles',
+      'activeProfile'
     ]);
     
     // Get statistics from background script
@@ -179,12 +198,21 @@ class PopupApp {
     //   Inputs: Message object with type 'getStats'
     //   Outputs: Promise resolving to stats object
     const stats = await chrome.runtime.sendMessage({ type: 'getStats' });
+
+    // Project mode belongs to this computer, so it lives in local storage
+    const localData = await chrome.storage.local.get([ProjectMode.PROJECT_MODE_KEY]);
     
     // Store retrieved data in instance properties with defaults
     this.rules = syncData.rules || [];
     this.groups = syncData.groups || {};
     // Default to enabled if not explicitly set
     this.isExtensionEnabled = syncData.extensionEnabled !== false;
+    // Before any profile is created everyone is on the Default profile
+    const { profiles, activeProfile } = Profiles.normalizeProfiles(syncData.profiles, syncData.activeProfile);
+    this.profiles = profiles;
+    this.activeProfile = activeProfile;
+    const projectMode = localData[ProjectMode.PROJECT_MODE_KEY];
+    this.projectMode = ProjectMode.isProjectModeActive(projectMode) ? projectMode : null;
     // Use default stats if none returned
     this.stats = stats || {
       totalDownloads: 0,
@@ -218,6 +246,19 @@ class PopupApp {
     document.getElementById('toggle-extension-header').addEventListener('click', () => {
       this.toggleExtension();
     });
+
+    // Rule profile picker (header) - the last option opens Options to manage profiles
+    document.getElementById('profile-select').addEventListener('change', (e) => {
+      if (e.target.value === MANAGE_PROFILES_OPTION) {
+        e.target.value = this.activeProfile;
+        chrome.runtime.openOptionsPage();
+        return;
+      }
+      this.switchProfile(e.target.value);
+    });
+
+    // Project mode: start (opens the form), stop, and follow changes made elsewhere
+    this.setupProjectModeListeners();
     
     // Handle clicks on activity items to open folder
     document.addEventListener('click', (e) => {
@@ -237,6 +278,14 @@ class PopupApp {
       }
     });
 
+    // Full history button - opens the history page in a tab
+    const openHistoryBtn = document.getElementById('open-history');
+    if (openHistoryBtn) {
+      openHistoryBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+      });
+    }
+
     // Clear recent activity button
     const clearActivityBtn = document.getElementById('clear-activity');
     if (clearActivityBtn) {
@@ -260,7 +309,7 @@ class PopupApp {
     const addRuleQuickBtn = document.getElementById('add-rule-quick');
     if (addRuleQuickBtn) {
       addRuleQuickBtn.addEventListener('click', () => {
-        const currentDomain = this.extractDomain(this.currentTabUrl);
+        const currentDomain = this.extractBaseDomain(this.currentTabUrl);
         this.openAddRuleModal(currentDomain || '');
       });
     }
@@ -310,6 +359,12 @@ class PopupApp {
     document.getElementById('groups-count').textContent = Object.keys(this.groups).length;
     document.getElementById('downloads-count').textContent = this.stats.totalDownloads;
 
+    // Show which rule profile is active
+    this.renderProfileSelect();
+
+    // Show whether project mode is running
+    this.renderProjectMode();
+
     // Show active rules matching current site
     this.renderActiveRules();
     
@@ -337,6 +392,161 @@ class PopupApp {
     }
   }
 
+  /**
+   * Fills the header's profile picker with the profiles and selects the active one.
+   */
+  renderProfileSelect() {
+    const select = document.getElementById('profile-select');
+    select.innerHTML = '';
+    this.profiles.forEach(profile => {
+      select.appendChild(new Option(profile.name, profile.id, false, profile.id === this.activeProfile));
+    });
+    select.appendChild(new Option('Manage profiles…', MANAGE_PROFILES_OPTION));
+    const active = Profiles.findProfile(this.profiles, this.activeProfile);
+    select.title = `Rule profile: ${active ? active.name : ''}`;
+  }
+
+  /**
+   * Shows the running project mode (folder, which downloads, when it ends) or that it's off,
+   * and labels the header button Start or Stop to match.
+   */
+  renderProjectMode() {
+    const status = document.getElementById('project-mode-status');
+    const toggle = document.getElementById('project-mode-toggle');
+    const form = document.getElementById('project-mode-form');
+    status.innerHTML = '';
+
+    if (!this.projectMode) {
+      toggle.textContent = form.hidden ? 'Start' : 'Cancel';
+      const off = document.createElement('p');
+      off.className = 'empty-text';
+      off.textContent = 'Off - downloads follow your rules';
+      status.appendChild(off);
+      return;
+    }
+
+    form.hidden = true;
+    toggle.textContent = 'Stop';
+    const minutesLeft = ProjectMode.getMinutesLeft(this.projectMode);
+    const summary = document.createElement('div');
+    summary.className = 'rule-preview';
+    summary.innerHTML = `
+      <span class="rule-icon">${typeof getIcon !== 'undefined' ? getIcon('folder', 16) : ''}</span>
+      <span class="rule-value"></span>
+      <span class="rule-folder"></span>
+    `;
+    // Set as text - the folder and filter are typed by the user
+    summary.querySelector('.rule-value').textContent = this.projectMode.folder;
+    summary.querySelector('.rule-value').title = this.projectMode.folder;
+    summary.querySelector('.rule-folder').textContent = ProjectMode.describeProjectModeFilter(this.projectMode.filter);
+    const ends = document.createElement('p');
+    ends.className = 'project-mode-ends';
+    ends.textContent = `Ahead of every rule ${ProjectMode.describeProjectModeEnd(this.projectMode)}` +
+      (minutesLeft !== null ? ` (${minutesLeft} min left)` : '');
+    status.appendChild(summary);
+    status.appendChild(ends);
+  }
+
+  /**
+   * Attaches the project mode handlers: the header button opens the form (or stops a running
+   * project mode), the filter picker shows the site or file type box, and the form starts it.
+   * Also re-renders when project mode ends (the background alarm) while the popup is open.
+   */
+  setupProjectModeListeners() {
+    const form = document.getElementById('project-mode-form');
+    const folderInput = document.getElementById('project-mode-folder');
+    const filterSelect = document.getElementById('project-mode-filter');
+    const filterValue = document.getElementById('project-mode-filter-value');
+    const durationSelect = document.getElementById('project-mode-duration');
+
+    Object.entries(ProjectMode.FILTER_TYPES).forEach(([type, label]) => {
+      filterSelect.appendChild(new Option(label, type));
+    });
+    ProjectMode.DURATION_CHOICES.forEach(minutes => {
+      durationSelect.appendChild(new Option(ProjectMode.describeDuration(minutes), String(minutes), false, minutes === 60));
+    });
+
+    // Site filter starts with the current site; file types start empty
+    filterSelect.addEventListener('change', () => {
+      const type = filterSelect.value;
+      filterValue.hidden = type === 'all';
+      if (type === 'domain') {
+        filterValue.placeholder = 'e.g. github.com';
+        filterValue.value = this.extractBaseDomain(this.currentTabUrl) || '';
+      } else if (type === 'filetype') {
+        filterValue.placeholder = 'e.g. pdf, docx';
+        filterValue.value = '';
+      }
+    });
+
+    document.getElementById('project-mode-toggle').addEventListener('click', () => {
+      if (this.projectMode) {
+        this.stopProjectMode();
+        return;
+      }
+      form.hidden = !form.hidden;
+      this.renderProjectMode();
+      if (!form.hidden) folderInput.focus();
+    });
+
+    this.attachFolderAutocomplete(folderInput);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.startProjectMode({
+        folder: folderInput.value.replace(/\\/g, '/'),
+        filter: { type: filterSelect.value, value: filterValue.value },
+        minutes: parseInt(durationSelect.value, 10)
+      });
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes[ProjectMode.PROJECT_MODE_KEY]) return;
+      const projectMode = changes[ProjectMode.PROJECT_MODE_KEY].newValue;
+      this.projectMode = ProjectMode.isProjectModeActive(projectMode) ? projectMode : null;
+      this.renderProjectMode();
+    });
+  }
+
+  /**
+   * Asks the background script to start project mode (it stores it and sets the alarm that
+   * ends it).
+   * 
+   * Inputs:
+   *   - options: Object { folder, filter: { type, value }, minutes }
+   * 
+   * Outputs: None (updates UI)
+   */
+  async startProjectMode(options) {
+    const error = ProjectMode.validateProjectModeOptions(options);
+    if (error) {
+      this.showToast(error);
+      return;
+    }
+    const response = await chrome.runtime.sendMessage({ type: 'startProjectMode', options });
+    if (!response || !response.success) {
+      this.showToast(`Couldn't start project mode: ${response ? response.error : 'no response'}`);
+      return;
+    }
+    this.projectMode = response.projectMode;
+    this.renderProjectMode();
+    this.showToast(`Project mode on ${ProjectMode.describeProjectModeEnd(this.projectMode)}`);
+  }
+
+  /**
+   * Turns project mode off - downloads follow the rules again.
+   */
+  async stopProjectMode() {
+    const response = await chrome.runtime.sendMessage({ type: 'stopProjectMode' });
+    if (!response || !response.success) {
+      this.showToast(`Couldn't stop project mode: ${response ? response.error : 'no response'}`);
+      return;
+    }
+    this.projectMode = null;
+    this.renderProjectMode();
+    this.showToast('Project mode off');
+  }
+
   /**
    * Renders active rules that match the current site
    */
@@ -350,12 +560,14 @@ class PopupApp {
       return;
     }
 
-    // Find matching domain rules
+    // Find matching domain and URL rules (wildcards and exclusions included - see lib/router.js)
     const enabledRules = this.rules.filter(r => r.enabled !== false);
     const matchingRules = enabledRules.filter(rule => {
       if (rule.type === 'domain') {
-        const ruleDomain = rule.value.replace(/^www\./, '');
-        return currentDomain === ruleDomain || currentDomain.endsWith('.' + ruleDomain);
+        return DownloadRouter.matchesDomainRule(this.currentTabUrl, rule.value);
+      }
+      if (rule.type === 'url') {
+        return DownloadRouter.matchUrlPattern(this.currentTabUrl, rule.value) !== null;
       }
       return false;
     });
@@ -373,12 +585,15 @@ class PopupApp {
     });
 
     activeRulesList.innerHTML = matchingRules.map((rule, idx) => {
-      const iconHTML = typeof getIcon !== 'undefined' ? getIcon('globe', 16) : '';
+      const iconHTML = typeof getIcon !== 'undefined' ? getIcon(rule.type === 'url' ? 'link' : 'globe', 16) : '';
       const ruleIndex = this.rules.findIndex(r => r === rule);
+      // Wildcard/exclusion patterns are shown in words ("github.com except gist.github.com")
+      const label = rule.type === 'domain' && DownloadRouter.isDomainPattern(rule.value) ? DownloadRouter.describeDomainPattern(rule.value) : rule.value;
       return `
         <div class="rule-preview" data-rule-index="${ruleIndex}" style="cursor: pointer;">
           <span class="rule-icon">${iconHTML}</span>
-          <span class="rule-value" title="${rule.value}">${rule.value.length > 30 ? rule.value.substring(0, 30) + '...' : rule.value}</span>
+          <span class="rule-value" title="${rule.value}">${label.length > 30 ? label.substring(0, 30) + '...' : label}</span>
+          ${this.createScheduleBadgeHTML(rule.schedule)}
           <span class="rule-folder" title="${rule.folder}">${rule.folder.length > 20 ? rule.folder.substring(0, 20) + '...' : rule.folder}</span>
         </div>
       `;
@@ -395,6 +610,21 @@ class PopupApp {
     });
   }
 
+  /**
+   * Creates the badge a scheduled rule gets in the rule lists: whether it is active right
+   * now, with its schedule as tooltip (see lib/schedules.js).
+   * 
+   * Inputs:
+   *   - schedule: Schedule object or undefined
+   * 
+   * Outputs: HTML string, empty for rules without a schedule
+   */
+  createScheduleBadgeHTML(schedule) {
+    const status = Schedules.getScheduleStatus(schedule);
+    if (status === 'always') return '';
+    return `<span class="schedule-badge ${status}" title="${Schedules.describeSchedule(schedule)}">${Schedules.STATUS_LABELS[status]}</span>`;
+  }
+
   /**
    * Renders all rules
    */
@@ -423,8 +653,9 @@ class PopupApp {
       allRulesList.innerHTML = '<p class="empty-text">No rules configured</p>';
 
       // Update + Add button to show current site
-      if (addRuleQuickBtn && currentDomain) {
-        addRuleQuickBtn.textContent = `+ Add ${currentDomain}`;
+      const baseDomain = this.extractBaseDomain(this.currentTabUrl);
+      if (addRuleQuickBtn && baseDomain) {
+        addRuleQuickBtn.textContent = `+ Add ${baseDomain}`;
       }
       return;
     }
@@ -449,13 +680,14 @@ class PopupApp {
     });
 
     allRulesList.innerHTML = enabledRules.slice(0, 5).map(rule => {
-      const iconName = rule.type === 'domain' ? 'globe' : 'search';
+      const iconName = rule.type === 'domain' ? 'globe' : rule.type === 'url' ? 'link' : 'search';
       const iconHTML = typeof getIcon !== 'undefined' ? getIcon(iconName, 16) : '';
       const ruleIndex = this.rules.findIndex(r => r === rule);
       return `
         <div class="rule-preview" data-rule-index="${ruleIndex}" style="cursor: pointer;">
           <span class="rule-icon">${iconHTML}</span>
           <span class="rule-value" title="${rule.value}">${rule.value.length > 25 ? rule.value.substring(0, 25) + '...' : rule.value}</span>
+          ${this.createScheduleBadgeHTML(rule.schedule)}
           <span class="rule-folder" title="${rule.folder}">${rule.folder.length > 18 ? rule.folder.substring(0, 18) + '...' : rule.folder}</span>
         </div>
       `;
@@ -483,7 +715,7 @@ class PopupApp {
     const addRuleQuickBtn = document.getElementById('add-rule-quick');
     if (!addRuleQuickBtn) return;
 
-    const currentDomain = this.extractDomain(this.currentTabUrl);
+    const currentDomain = this.extractBaseDomain(this.currentTabUrl);
 
     if (currentDomain) {
       addRuleQuickBtn.textContent = `+ Add ${currentDomain}`;
@@ -730,6 +962,28 @@ class PopupApp {
     );
   }
 
+  /**
+   * Switches to another rule profile. The background script swaps the rules, file types,
+   * default folder and confirmation settings, then the popup shows the new profile's rules.
+   * 
+   * Inputs:
+   *   - profileId: String id of the profile to switch to
+   * 
+   * Outputs: None (updates storage and UI)
+   */
+  async switchProfile(profileId) {
+    const response = await chrome.runtime.sendMessage({ type: 'switchProfile', profileId });
+    if (!response || !response.success) {
+      this.showToast(`Couldn't switch profile: ${response ? response.error : 'no response'}`);
+      this.renderProfileSelect();
+      return;
+    }
+    await this.loadData();
+    this.updateDisplay();
+    this.updateAddRuleButton();
+    this.showToast(`Switched to ${response.profile.name}`);
+  }
+
   /**
    * Displays a temporary toast notification message.
    * Creates, animates, and automatically removes toast after 2 seconds.
@@ -1254,11 +1508,18 @@ class PopupApp {
       return;
     }
     
+    // URL rules may also use the values their pattern captures
+    const templateError = DownloadRouter.validatePathTemplate(folder, DownloadRouter.getRuleTemplateVariables({ type, value }));
+    if (templateError) {
+      alert(templateError);
+      return;
+    }
+    
     console.log('[POPUP SAVE RULE] Folder input value:', folderInput?.value);
     
     const rule = {
       type: type,
-      value: value,
+      value: type === 'domain' ? DownloadRouter.normalizeDomainRuleValue(value) : value,
       folder: folder
     };
     
@@ -1268,7 +1529,7 @@ class PopupApp {
       this.rules.push(rule);
     }
     
-    chrome.storage.sync.set({ rules: this.rules }, () => {
+    configStore.set({ rules: this.rules }).then(() => {
       this.renderRules();
       this.closeModal();
     });
@@ -1285,6 +1546,12 @@ class PopupApp {
       return;
     }
     
+    const templateError = DownloadRouter.validatePathTemplate(folder);
+    if (templateError) {
+      alert(templateError);
+      return;
+    }
+    
     console.log('[POPUP SAVE GROUP] Folder input value:', folderInput?.value);
     
     // If name changed, need to update the key
@@ -1304,7 +1571,7 @@ class PopupApp {
       };
     }
     
-    chrome.storage.sync.set({ groups: this.groups }, () => {
+    configStore.set({ groups: this.groups }).then(() => {
       this.renderGroups();
       this.closeModal();
     });
@@ -1317,6 +1584,12 @@ class PopupApp {
     const rule = this.rules[index];
     if (!rule) return;
     
+    // Condition trees are edited on the full options page
+    if (rule.type === 'compound') {
+      chrome.runtime.openOptionsPage();
+      return;
+    }
+    
     this.editingRuleIndex = index;
     
     const modal = document.getElementById('modal-overlay');
@@ -1336,12 +1609,23 @@ class PopupApp {
           <label class="form-label">Rule Type</label>
           <select class="form-select" id="edit-rule-type">
             <option value="domain" ${rule.type === 'domain' ? 'selected' : ''}>Site</option>
+            <option value="url" ${rule.type === 'url' ? 'selected' : ''}>URL pattern</option>
             <option value="contains" ${rule.type === 'contains' ? 'selected' : ''}>Contains</option>
+            <option value="glob" ${rule.type === 'glob' ? 'selected' : ''}>Glob</option>
+            <option value="regex" ${rule.type === 'regex' ? 'selected' : ''}>Regex</option>
           </select>
         </div>
         <div class="form-group">
-          <label class="form-label">${rule.type === 'domain' ? 'Site' : 'Filename contains phrase'}</label>
-          <input type="text" class="form-input" id="edit-rule-value" value="${rule.value || ''}" placeholder="${rule.type === 'domain' ? 'e.g., github.com' : 'e.g., invoice, receipt, report'}">
+          <label class="form-label">${this.getRuleValueLabel(rule.type)}</label>
+          <input type="text" class="form-input" id="edit-rule-value" value="${(rule.value || '').replace(/"/g, '&quot;')}" placeholder="${this.getRuleValuePlaceholder(rule.type)}">
+        </div>
+        <div class="form-group" id="edit-rule-scope-group" style="${rule.type === 'domain' ? '' : 'display: none;'}">
+          <label class="form-label">Match against</label>
+          <select class="form-select" id="edit-rule-scope">
+            ${Object.entries(DownloadRouter.DOMAIN_MATCH_SCOPES).map(([scope, label]) =>
+              `<option value="${scope}" ${scope === (rule.matchScope || 'default') ? 'selected' : ''}>${label}</option>`
+            ).join('')}
+          </select>
         </div>
         <div class="form-group">
           <label class="form-label">Destination Folder</label>
@@ -1407,11 +1691,11 @@ class PopupApp {
     
     if (editRuleType && editRuleValue) {
       editRuleType.addEventListener('change', (e) => {
-        const isDomain = e.target.value === 'domain';
         if (editRuleLabel) {
-          editRuleLabel.textContent = isDomain ? 'Site' : 'Contains phrase';
+          editRuleLabel.textContent = this.getRuleValueLabel(e.target.value);
         }
-        editRuleValue.placeholder = isDomain ? 'e.g., github.com' : 'e.g., invoice, receipt, report';
+        editRuleValue.placeholder = this.getRuleValuePlaceholder(e.target.value);
+        document.getElementById('edit-rule-scope-group').style.display = e.target.value === 'domain' ? '' : 'none';
       });
     }
     
@@ -1432,6 +1716,28 @@ class PopupApp {
     modal.classList.add('active');
   }
 
+  /**
+   * Returns the label for a rule's value input based on its type.
+   */
+  getRuleValueLabel(type) {
+    if (type === 'domain') return 'Site';
+    if (type === 'url') return 'URL pattern';
+    if (type === 'glob') return 'Filename glob pattern';
+    if (type === 'regex') return 'Filename regular expression';
+    return 'Filename contains phrase';
+  }
+
+  /**
+   * Returns the placeholder for a rule's value input based on its type.
+   */
+  getRuleValuePlaceholder(type) {
+    if (type === 'domain') return 'e.g., github.com';
+    if (type === 'url') return 'e.g., tools.example.com/export?project=:project';
+    if (type === 'glob') return 'e.g., invoice-*-2026.pdf';
+    if (type === 'regex') return 'e.g., /^IMG_\\d{4}\\.(heic|jpg)$/i';
+    return 'e.g., invoice, receipt, report';
+  }
+
   /**
    * Opens edit modal for a file type group
    */
@@ -1575,16 +1881,50 @@ class PopupApp {
     const priority = Math.max(0.1, Math.min(10, Math.round(parseFloat(priorityInput) * 10) / 10)) || 2.0;
     const enabled = document.getElementById('edit-rule-enabled').checked;
     
+    const patternError = DownloadRouter.validateRuleValue(type, value);
+    if (patternError) {
+      alert(`Invalid ${type} pattern: ${patternError}`);
+      return;
+    }
+    
+    // Keep settings the popup doesn't edit (rename on save, page variables, site adapters,
+    // schedule) - they are managed in Options
+    const { rename, pageVariables, siteAdapter, schedule } = this.rules[this.editingRuleIndex];
+    
+    // URL rules may also use the values their pattern captures, and the kept settings theirs
+    const templateError = DownloadRouter.validatePathTemplate(folder, DownloadRouter.getRuleTemplateVariables({ type, value, pageVariables, siteAdapter }));
+    if (templateError) {
+      alert(templateError);
+      return;
+    }
+    
     console.log('[POPUP SAVE RULE] Saving rule with folder:', folder);
     console.log('[POPUP SAVE RULE] Folder input value:', folderInput?.value);
     
     this.rules[this.editingRuleIndex] = {
       type,
-      value,
+      value: type === 'domain' ? DownloadRouter.normalizeDomainRuleValue(value) : value,
       folder,
       priority,
       enabled
     };
+    if (rename) {
+      this.rules[this.editingRuleIndex].rename = rename;
+    }
+    if (pageVariables) {
+      this.rules[this.editingRuleIndex].pageVariables = pageVariables;
+    }
+    if (siteAdapter) {
+      this.rules[this.editingRuleIndex].siteAdapter = true;
+    }
+    if (schedule) {
+      this.rules[this.editingRuleIndex].schedule = schedule;
+    }
+    const matchScope = document.getElementById('edit-rule-scope')?.value;
+    // The default scope is stored as no scope at all
+    if (type === 'domain' && matchScope && matchScope !== 'default') {
+      this.rules[this.editingRuleIndex].matchScope = matchScope;
+    }
     
     console.log('[POPUP SAVE RULE] Rule to save:', this.rules[this.editingRuleIndex]);
     
@@ -1613,9 +1953,18 @@ class PopupApp {
     const overrideDomainRules = document.getElementById('edit-group-override').checked;
     const enabled = document.getElementById('edit-group-enabled').checked;
     
+    const templateError = DownloadRouter.validatePathTemplate(folder);
+    if (templateError) {
+      alert(templateError);
+      return;
+    }
+    
     console.log('[POPUP SAVE GROUP] Saving group with folder:', folder);
     console.log('[POPUP SAVE GROUP] Folder input value:', folderInput?.value);
     
+    // Keep settings the popup doesn't edit (MIME types, schedule) - they are managed in Options
+    const { mimeTypes, schedule } = this.groups[this.editingGroupName] || {};
+    
     if (newName && newName !== this.editingGroupName) {
       delete this.groups[this.editingGroupName];
       if (this.newlyAddedGroupName === this.editingGroupName) {
@@ -1631,6 +1980,12 @@ class PopupApp {
       overrideDomainRules,
       enabled
     };
+    if (mimeTypes) {
+      this.groups[saveName].mimeTypes = mimeTypes;
+    }
+    if (schedule) {
+      this.groups[saveName].schedule = schedule;
+    }
     
     if (this.newlyAddedGroupName === saveName) {
       this.newlyAddedGroupName = null;
@@ -1646,7 +2001,7 @@ class PopupApp {
    * Saves rules and groups to storage
    */
   async saveRules() {
-    await chrome.storage.sync.set({
+    await configStore.set({
       rules: this.rules,
       groups: this.groups
     });
@@ -1741,6 +2096,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const welcomeIcon = document.getElementById('welcome-icon');
     if (welcomeIcon) welcomeIcon.innerHTML = getIcon('folder', 64);
     
+    // Set history icon
+    const historyIcon = document.getElementById('history-icon');
+    if (historyIcon) historyIcon.innerHTML = getIcon('list', 16);
+    
     // Set clear icon
     const clearIcon = document.getElementById('clear-icon');
     if (clearIcon) clearIcon.innerHTML = getIcon('x', 16) || getIcon('trash', 16) || '×';
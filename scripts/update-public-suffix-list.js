@@ -0,0 +1,106 @@
+/**
+ * update-public-suffix-list.js
+ *
+ * Purpose: Regenerates the extension's bundled copy of the Public Suffix List.
+ * Role: extension/lib/domain-names.js finds registrable domains ("bbc.co.uk" for
+ *       "news.bbc.co.uk", "alice.pages.dev" for "x.alice.pages.dev") with the full list from
+ *       https://publicsuffix.org/. This script downloads public_suffix_list.dat (or reads a
+ *       copy of it) and writes extension/lib/public-suffix-list.js, which the extension loads
+ *       before domain-names.js. Run it now and then to pick up new suffixes, and commit the
+ *       result.
+ *
+ * Usage:
+ *   node scripts/update-public-suffix-list.js                 # download the current list
+ *   node scripts/update-public-suffix-list.js path/to/list.dat # use a local copy
+ *
+ * Exits with a non-zero status if the list can't be read or looks wrong.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LIST_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+const OUTPUT_PATH = path.join(__dirname, '..', 'extension', 'lib', 'public-suffix-list.js');
+
+// The real list has about ten thousand rules - far fewer means a truncated or wrong file
+const MIN_RULES = 5000;
+
+/**
+ * Parses public_suffix_list.dat: one rule per line ("co.uk", "*.ck", "!www.ck") and "//"
+ * comments. The ICANN and private sections are both kept - "alice.pages.dev" is as much a
+ * site of its own as "bbc.co.uk".
+ *
+ * Outputs: Array of rule strings, in list order
+ */
+function parseList(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('//'))
+    // Rules end at the first whitespace
+    .map(line => line.split(/\s/)[0].toLowerCase());
+}
+
+function buildModule(rules, source) {
+  const updated = new Date().toISOString().slice(0, 10);
+  return `/**
+ * public-suffix-list.js
+ *
+ * GENERATED by scripts/update-public-suffix-list.js - do not edit by hand.
+ *
+ * Purpose: The Public Suffix List (https://publicsuffix.org/), bundled for
+ *          lib/domain-names.js.
+ * Source: ${source}, ${updated}
+ * Rules: ${rules.length}
+ * License: Mozilla Public License 2.0 (https://mozilla.org/MPL/2.0/)
+ *
+ * Rules use the list's format: "a.b" is a suffix, "*.a" makes every label under "a" a
+ * suffix, "!x.a" is an exception to such a wildcard. Internationalized rules are in
+ * Unicode form.
+ */
+
+// Guard against multiple importScripts calls - only execute if not already loaded
+(function() {
+  if (typeof self !== 'undefined' && self.PublicSuffixList) {
+    return; // Already loaded, skip
+  }
+
+const PublicSuffixList = {
+  UPDATED: '${updated}',
+  RULES: [
+${rules.map(rule => `    ${JSON.stringify(rule)}`).join(',\n')}
+  ]
+};
+
+// Store on self for service worker, page and content script contexts
+if (typeof self !== 'undefined') {
+  self.PublicSuffixList = PublicSuffixList;
+}
+
+// Export for Node.js/CommonJS (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PublicSuffixList;
+}
+
+})(); // End of IIFE guard
+`;
+}
+
+async function readList(input) {
+  if (input) return { text: fs.readFileSync(input, 'utf8'), source: path.basename(input) };
+  const response = await fetch(LIST_URL);
+  if (!response.ok) throw new Error(`Download failed: HTTP ${response.status}`);
+  return { text: await response.text(), source: LIST_URL };
+}
+
+(async () => {
+  try {
+    const { text, source } = await readList(process.argv[2]);
+    const rules = parseList(text);
+    if (rules.length < MIN_RULES) throw new Error(`Only ${rules.length} rules found - is this public_suffix_list.dat?`);
+    fs.writeFileSync(OUTPUT_PATH, buildModule(rules, source));
+    console.log(`Wrote ${rules.length} rules to ${path.relative(process.cwd(), OUTPUT_PATH)}`);
+  } catch (error) {
+    console.error(`Could not update the Public Suffix List: ${error.message}`);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,81 @@
+/**
+ * helpers.js
+ *
+ * Purpose: Shared harness for the Node test scripts in this directory.
+ * Role: Colored output, a test() runner that counts passes and failures, and finish() to
+ *       print the totals and set the exit status - so every test-*.js reports the same way.
+ *
+ * Usage:
+ *   const { colors, log, test, finish } = require('./helpers');
+ *   test('does something', () => { ... });        // sync
+ *   await test('does something later', async () => { ... });   // async (await it)
+ *   finish();
+ */
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+let passed = 0;
+let failed = 0;
+
+function pass(name) {
+  passed++;
+  log(`  ✓ ${name}`, colors.green);
+}
+
+function fail(name, error) {
+  failed++;
+  log(`  ✗ ${name}`, colors.red);
+  log(`    ${error.message}`, colors.red);
+}
+
+/**
+ * Runs one check and records whether it passed.
+ *
+ * Inputs:
+ *   - name: String description shown in the output
+ *   - fn: Function that throws (or returns a promise that rejects) when the check fails
+ *
+ * Outputs: Promise resolving once an async check settles (never rejects), or undefined for a
+ *   sync check - which is counted before test() returns
+ */
+function test(name, fn) {
+  let result;
+  try {
+    result = fn();
+  } catch (error) {
+    fail(name, error);
+    return undefined;
+  }
+  if (result && typeof result.then === 'function') {
+    return result.then(() => pass(name), error => fail(name, error));
+  }
+  pass(name);
+  return undefined;
+}
+
+/**
+ * Prints the totals and exits - non-zero if any check failed.
+ */
+function finish() {
+  log(`\n${passed} passed, ${failed} failed`, failed ? colors.red : colors.green);
+  process.exit(failed ? 1 : 0);
+}
+
+module.exports = {
+  colors,
+  log,
+  test,
+  finish
+};
@@ -0,0 +1,173 @@
+/**
+ * test-config-store.js
+ *
+ * Purpose: Test script for the configuration storage layer.
+ * Role: Verifies chunked sync storage, the storage.local fallback and the migration in
+ *       extension/lib/config-store.js against an in-memory stand-in for chrome.storage.
+ *
+ * Usage: node tests/test-config-store.js
+ *
+ * Exits with a non-zero status if any check fails.
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const { ConfigStore, splitIntoChunks } = require(path.join(__dirname, '..', 'extension', 'lib', 'config-store.js'));
+const { colors, log, test, finish } = require('./helpers');
+
+function getItemBytes(key, value) {
+  return Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(value));
+}
+
+/**
+ * In-memory storage area enforcing Chrome's sync quotas (when given) the way Chrome reports them.
+ */
+function createArea(quotas = null) {
+  const items = {};
+  return {
+    items,
+    ...(quotas || {}),
+    async get(keys) {
+      const result = {};
+      (keys === null ? Object.keys(items) : keys).forEach(key => {
+        if (items[key] !== undefined) result[key] = JSON.parse(JSON.stringify(items[key]));
+      });
+      return result;
+    },
+    async set(values) {
+      if (quotas) {
+        for (const [key, value] of Object.entries(values)) {
+          if (getItemBytes(key, value) > quotas.QUOTA_BYTES_PER_ITEM) {
+            throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded');
+          }
+        }
+        const after = { ...items, ...values };
+        const total = Object.entries(after).reduce((sum, [key, value]) => sum + getItemBytes(key, value), 0);
+        if (total > quotas.QUOTA_BYTES) throw new Error('QUOTA_BYTES quota exceeded');
+      }
+      Object.assign(items, JSON.parse(JSON.stringify(values)));
+    },
+    async remove(keys) {
+      keys.forEach(key => delete items[key]);
+    },
+    async getBytesInUse() {
+      return Object.entries(items).reduce((sum, [key, value]) => sum + getItemBytes(key, value), 0);
+    }
+  };
+}
+
+function createStore() {
+  const storage = {
+    sync: createArea({ QUOTA_BYTES: 102400, QUOTA_BYTES_PER_ITEM: 8192, MAX_ITEMS: 512 }),
+    local: createArea()
+  };
+  return { storage, store: new ConfigStore(storage) };
+}
+
+function makeRules(count, folder = 'Projects/Clients/Example Corporation/Invoices') {
+  return Array.from({ length: count }, (_, i) => ({
+    type: 'domain', value: `client-${i}.example.com`, folder: `${folder}/${i}`, priority: 2.0, enabled: true
+  }));
+}
+
+(async () => {
+  log('Chunking', colors.cyan);
+
+  await test('splitIntoChunks keeps every stored piece under the limit and joins back', () => {
+    const json = JSON.stringify({ text: 'naïve "quoted" 📁 '.repeat(400) });
+    const chunks = splitIntoChunks(json, 1000);
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.ok(Buffer.byteLength(JSON.stringify(chunk)) <= 1000));
+    assert.strictEqual(chunks.join(''), json);
+  });
+
+  await test('hundreds of rules are split across sync keys within the per-item quota', async () => {
+    const { storage, store } = createStore();
+    const rules = makeRules(300);
+    const result = await store.set({ rules, defaultFolder: 'Downloads' });
+    assert.strictEqual(result.area, 'sync');
+    assert.ok(storage.sync.items.rules_chunks > 1);
+    assert.strictEqual(storage.sync.items.rules, undefined);
+    assert.strictEqual(storage.sync.items.defaultFolder, 'Downloads');
+    assert.deepStrictEqual((await store.get(['rules', 'defaultFolder'])).rules, rules);
+  });
+
+  await test('saving fewer rules removes leftover chunks', async () => {
+    const { storage, store } = createStore();
+    await store.set({ rules: makeRules(300) });
+    await store.set({ rules: makeRules(2) });
+    assert.strictEqual(storage.sync.items.rules_chunks, 1);
+    assert.deepStrictEqual(Object.keys(storage.sync.items).filter(key => key.startsWith('rules_')), ['rules_0', 'rules_chunks']);
+    assert.strictEqual((await store.get(['rules'])).rules.length, 2);
+  });
+
+  await test('refuses to read half-synced chunks instead of returning no rules', async () => {
+    const { storage, store } = createStore();
+    await store.set({ rules: makeRules(300) });
+    delete storage.sync.items.rules_1;
+    await assert.rejects(store.get(['rules']), /incomplete/);
+  });
+
+  log('Migration and fallback', colors.cyan);
+
+  await test('migrate moves the old single-key layout into chunks', async () => {
+    const { storage, store } = createStore();
+    storage.sync.items.rules = makeRules(3);
+    storage.sync.items.groups = { Videos: { extensions: 'mp4', folder: 'Videos' } };
+    assert.deepStrictEqual((await store.get(['rules'])).rules, makeRules(3));
+
+    const result = await store.migrate();
+    assert.strictEqual(result.migrated, true);
+    assert.strictEqual(storage.sync.items.rules, undefined);
+    assert.strictEqual(storage.sync.items.groups_chunks, 1);
+    assert.deepStrictEqual((await store.get(['groups'])).groups, { Videos: { extensions: 'mp4', folder: 'Videos' } });
+    assert.strictEqual((await store.migrate()).migrated, false);
+  });
+
+  await test('falls back to storage.local with a warning when sync is full', async () => {
+    const { storage, store } = createStore();
+    await store.set({ groups: { Videos: { extensions: 'mp4', folder: 'Videos' } } });
+    const rules = makeRules(1500);
+    const result = await store.set({ rules });
+    assert.strictEqual(result.area, 'local');
+    assert.match(result.warning, /this device only/);
+    assert.deepStrictEqual(storage.local.items.rules, rules);
+    assert.deepStrictEqual(storage.local.items.groups, { Videos: { extensions: 'mp4', folder: 'Videos' } });
+    assert.match(await store.getWarning(), /this device only/);
+    assert.strictEqual((await store.get(['rules'])).rules.length, 1500);
+  });
+
+  await test('sync can be turned off and back on', async () => {
+    const { storage, store } = createStore();
+    await store.set({ rules: makeRules(5) });
+    assert.strictEqual((await store.setSyncEnabled(false)).area, 'local');
+    await store.set({ rules: makeRules(6) });
+    assert.strictEqual(storage.local.items.rules.length, 6);
+    assert.strictEqual((await store.migrate()).migrated, false);
+
+    assert.strictEqual((await store.setSyncEnabled(true)).area, 'sync');
+    assert.strictEqual(storage.local.items.rules, undefined);
+    assert.strictEqual((await store.get(['rules'])).rules.length, 6);
+  });
+
+  await test('turning sync on keeps rules local while they are still too large', async () => {
+    const { store } = createStore();
+    await store.set({ rules: makeRules(1500) });
+    const result = await store.setSyncEnabled(true);
+    assert.strictEqual(result.area, 'local');
+    assert.ok(result.warning);
+    assert.strictEqual((await store.get(['rules'])).rules.length, 1500);
+  });
+
+  await test('isConfigChange recognises chunk and local keys', () => {
+    const store = new ConfigStore({ sync: {}, local: {} });
+    assert.strictEqual(store.isConfigChange({ rules_3: {} }, 'sync'), true);
+    assert.strictEqual(store.isConfigChange({ groups_chunks: {} }, 'sync'), true);
+    assert.strictEqual(store.isConfigChange({ rules: {} }, 'local'), true);
+    assert.strictEqual(store.isConfigChange({ defaultFolder: {} }, 'sync'), false);
+    assert.strictEqual(store.isConfigChange({ downloadStats: {} }, 'local'), false);
+  });
+
+  finish();
+})();
@@ -0,0 +1,148 @@
+/**
+ * test-config-transfer.js
+ *
+ * Purpose: Test script for configuration import/export.
+ * Role: Verifies the export document, import validation, the import preview diff and
+ *       merge/replace in extension/lib/config-transfer.js without loading the extension in Chrome.
+ *
+ * Usage: node tests/test-config-transfer.js
+ *
+ * Exits with a non-zero status if any check fails.
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const transfer = require(path.join(__dirname, '..', 'extension', 'lib', 'config-transfer.js'));
+const { colors, log, test, finish } = require('./helpers');
+
+const stored = {
+  rules: [
+    { type: 'domain', value: 'github.com', folder: 'Code/GitHub', priority: 2.0, enabled: true },
+    { type: 'glob', value: 'invoice-*.pdf', folder: 'Finance', priority: 2.0, enabled: true }
+  ],
+  groups: {
+    'Documents': { extensions: 'pdf,docx', folder: 'Documents', priority: 3.0, enabled: true }
+  },
+  defaultFolder: 'Downloads',
+  conflictResolution: 'auto',
+  confirmationEnabled: true,
+  confirmationTimeout: 5000,
+  downloadPath: '/Users/me/Downloads'
+};
+
+function toDocumentText(overrides = {}) {
+  return JSON.stringify({ ...transfer.buildExportDocument(stored, '2.1.3'), ...overrides });
+}
+
+function current() {
+  const doc = transfer.buildExportDocument(stored);
+  return { rules: doc.rules, groups: doc.groups, settings: doc.settings };
+}
+
+log('Export', colors.cyan);
+
+test('buildExportDocument records format, version and only the shared settings', () => {
+  const doc = transfer.buildExportDocument(stored, '2.1.3');
+  assert.strictEqual(doc.format, transfer.CONFIG_FORMAT);
+  assert.strictEqual(doc.version, transfer.CONFIG_FORMAT_VERSION);
+  assert.strictEqual(doc.extensionVersion, '2.1.3');
+  assert.strictEqual(doc.rules.length, 2);
+  assert.deepStrictEqual(Object.keys(doc.groups), ['Documents']);
+  assert.deepStrictEqual(doc.settings, {
+    defaultFolder: 'Downloads', conflictResolution: 'auto', confirmationEnabled: true, confirmationTimeout: 5000
+  });
+});
+
+test('an exported document imports back unchanged', () => {
+  const { config, errors } = transfer.parseImportDocument(toDocumentText());
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(config, current());
+});
+
+log('Import validation', colors.cyan);
+
+test('rejects files that are not configuration documents', () => {
+  assert.match(transfer.parseImportDocument('{not json').errors[0], /Not valid JSON/);
+  assert.match(transfer.parseImportDocument('{"rules": []}').errors[0], /Not a Download Router configuration/);
+  assert.match(transfer.parseImportDocument(toDocumentText({ version: 0 })).errors[0], /version/);
+  assert.match(transfer.parseImportDocument(toDocumentText({ version: 99 })).errors[0], /Update the extension/);
+});
+
+test('reports every invalid rule, group and setting with its location', () => {
+  const { config, errors } = transfer.parseImportDocument(toDocumentText({
+    rules: [
+      { type: 'domain', value: 'ok.com', folder: 'Ok' },
+      { type: 'regex', value: '(', folder: 'Bad' },
+      { type: 'teleport', value: 'x', folder: 'Bad' },
+      { type: 'domain', value: 'a.com', folder: 'Sites/{nope}' }
+    ],
+    groups: { 'Broken': { extensions: '', folder: 'X' } },
+    settings: { conflictResolution: 'sometimes', theme: 'dark' }
+  }));
+  assert.strictEqual(config, null);
+  assert.deepStrictEqual(errors.map(error => error.split(':')[0]), [
+    'rules[1]', 'rules[2]', 'rules[3]', 'groups["Broken"]', 'settings.conflictResolution', 'settings.theme'
+  ]);
+});
+
+test('regenerates compound rule summaries instead of trusting the file', () => {
+  const conditions = { match: 'all', conditions: [
+    { field: 'domain', operator: 'is', value: 'arxiv.org' },
+    { field: 'extension', operator: 'is', value: 'pdf' }
+  ] };
+  const { config, errors } = transfer.parseImportDocument(toDocumentText({
+    rules: [{ type: 'compound', value: 'anything', conditions, folder: 'Papers' }]
+  }));
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(config.rules[0].value, 'domain is arxiv.org AND extension is pdf');
+});
+
+log('Preview and apply', colors.cyan);
+
+const incoming = {
+  rules: [
+    { type: 'domain', value: 'github.com', folder: 'Code/GitHub', priority: 2.0, enabled: true },
+    { type: 'glob', value: 'invoice-*.pdf', folder: 'Finance/Invoices', priority: 2.0, enabled: true },
+    { type: 'domain', value: 'printables.com', folder: '3DPrinting', priority: 2.0, enabled: true }
+  ],
+  groups: {
+    'Videos': { extensions: 'mp4,mkv', folder: 'Videos', priority: 3.0, enabled: true }
+  },
+  settings: { conflictResolution: 'ask', confirmationEnabled: true }
+};
+
+test('diffConfig sorts rules and groups into added, changed and unchanged', () => {
+  const diff = transfer.diffConfig(current(), incoming, 'merge');
+  assert.deepStrictEqual(diff.rules.added.map(rule => rule.value), ['printables.com']);
+  assert.deepStrictEqual(diff.rules.changed.map(rule => rule.value), ['invoice-*.pdf']);
+  assert.deepStrictEqual(diff.rules.unchanged.map(rule => rule.value), ['github.com']);
+  assert.deepStrictEqual(diff.rules.removed, []);
+  assert.deepStrictEqual(diff.groups.added, ['Videos']);
+  assert.deepStrictEqual(diff.groups.removed, []);
+  assert.deepStrictEqual(diff.settings, [{ key: 'conflictResolution', from: 'auto', to: 'ask' }]);
+});
+
+test('diffConfig lists what replace mode would remove', () => {
+  const diff = transfer.diffConfig({ ...current(), rules: [...current().rules, { type: 'contains', value: 'tmp', folder: 'Tmp' }] }, incoming, 'replace');
+  assert.deepStrictEqual(diff.rules.removed.map(rule => rule.value), ['tmp']);
+  assert.deepStrictEqual(diff.groups.removed, ['Documents']);
+});
+
+test('applyImport merge updates matching items and keeps the rest', () => {
+  const result = transfer.applyImport(current(), incoming, 'merge');
+  assert.deepStrictEqual(result.rules.map(rule => rule.value), ['github.com', 'invoice-*.pdf', 'printables.com']);
+  assert.strictEqual(result.rules[1].folder, 'Finance/Invoices');
+  assert.deepStrictEqual(Object.keys(result.groups), ['Documents', 'Videos']);
+  assert.strictEqual(result.settings.conflictResolution, 'ask');
+  assert.strictEqual(result.settings.confirmationTimeout, 5000);
+});
+
+test('applyImport replace uses exactly the imported rules and groups', () => {
+  const result = transfer.applyImport(current(), incoming, 'replace');
+  assert.deepStrictEqual(result.rules, incoming.rules);
+  assert.deepStrictEqual(Object.keys(result.groups), ['Videos']);
+  assert.strictEqual(result.settings.defaultFolder, 'Downloads');
+});
+
+finish();
@@ -0,0 +1,181 @@
+/**
+ * test-content-sniffing.js
+ *
+ * Purpose: Test script for post-download content sniffing.
+ * Role: Verifies that the companion app's companion/services/file-sniffer.js recognises file
+ *       types from their first bytes, and that extension/lib/content-sniffing.js renames or
+ *       re-routes a download whose sniffed type differs from its name.
+ *
+ * Usage: node tests/test-content-sniffing.js
+ *
+ * Exits with a non-zero status if any check fails.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { detectFileType, sniffFile } = require(path.join(__dirname, '..', 'companion', 'services', 'file-sniffer.js'));
+const sniffing = require(path.join(__dirname, '..', 'extension', 'lib', 'content-sniffing.js'));
+const projectMode = require(path.join(__dirname, '..', 'extension', 'lib', 'project-mode.js'));
+const { colors, log, test, finish } = require('./helpers');
+
+function detect(bytes, fileSize = bytes.length) {
+  const result = detectFileType(Buffer.from(bytes), fileSize);
+  return result && result.extension;
+}
+
+// Start of a ZIP archive whose first entry has the given name
+function zipWithEntry(name) {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(name.length, 26);
+  return Buffer.concat([header, Buffer.from(name, 'latin1')]);
+}
+
+const groups = {
+  '3D Files': { extensions: 'stl,obj,3mf', folder: '3DPrinting', priority: 3.0, enabled: true },
+  'Documents': { extensions: 'pdf,docx', folder: 'Documents', priority: 3.0, enabled: true },
+  'Archives': { extensions: 'zip,rar', folder: 'Archives', priority: 3.0, enabled: true }
+};
+
+const config = { rules: [], groups, defaultFolder: 'Downloads', conflictResolution: 'auto' };
+
+function makeDownloadInfo(overrides = {}) {
+  return {
+    id: 3,
+    url: 'https://example.com/get?id=42',
+    filename: 'get',
+    originalFilename: 'get',
+    mime: 'application/octet-stream',
+    resolvedPath: 'get',
+    needsMove: false,
+    ...overrides
+  };
+}
+
+(async () => {
+  log('Companion: signatures', colors.cyan);
+
+  await test('recognises common magic numbers', () => {
+    assert.strictEqual(detect(Buffer.from('%PDF-1.7\n')), 'pdf');
+    assert.strictEqual(detect([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0]), 'png');
+    assert.strictEqual(detect([0xFF, 0xD8, 0xFF, 0xE0]), 'jpg');
+    assert.strictEqual(detect(Buffer.from('\0\0\0\x18ftypisom\0\0\0\0', 'latin1')), 'mp4');
+    assert.strictEqual(detect(Buffer.from('\0\0\0\x14ftypqt  \0\0\0\0', 'latin1')), 'mov');
+    assert.strictEqual(detect(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1')), 'webp');
+    assert.strictEqual(detect([0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C, 0, 4]), '7z');
+    assert.strictEqual(detect(Buffer.from('just some text')), null);
+  });
+
+  await test('tells ZIP-based formats apart by their entry names', () => {
+    assert.strictEqual(detect(zipWithEntry('3D/3dmodel.model')), '3mf');
+    assert.strictEqual(detect(zipWithEntry('word/document.xml')), 'docx');
+    assert.strictEqual(detect(zipWithEntry('photos/cat.jpg')), 'zip');
+  });
+
+  await test('recognises ASCII and binary STL', () => {
+    assert.strictEqual(detect(Buffer.from('solid cube\n  facet normal 0 0 1\n')), 'stl');
+    assert.strictEqual(detect(Buffer.from('solid reasons to read this essay')), null);
+    const binary = Buffer.alloc(84 + 2 * 50);
+    binary.writeUInt32LE(2, 80);
+    assert.strictEqual(detect(binary), 'stl');
+    assert.strictEqual(detect(binary, binary.length + 1), null, 'size must match the triangle count');
+  });
+
+  await test('sniffFile reads a file from disk and reports missing files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sniff-'));
+    try {
+      const file = path.join(dir, 'get');
+      fs.writeFileSync(file, '%PDF-1.4\n%...');
+      assert.deepStrictEqual(await sniffFile(file), {
+        success: true, type: 'fileSniffed', extension: 'pdf', mime: 'application/pdf'
+      });
+      const missing = await sniffFile(path.join(dir, 'nothing'));
+      assert.strictEqual(missing.success, false);
+      assert.strictEqual(missing.code, 'FILE_NOT_FOUND');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  log('Extension: deciding what to fix', colors.cyan);
+
+  await test('sniffs downloads with a generic MIME type or no matching group', () => {
+    assert.strictEqual(sniffing.shouldSniffDownload(makeDownloadInfo({ filename: 'a.pdf' }), groups), true);
+    assert.strictEqual(sniffing.shouldSniffDownload(makeDownloadInfo({ filename: 'a.bin', mime: 'application/x-thing' }), groups), true);
+    assert.strictEqual(sniffing.shouldSniffDownload(makeDownloadInfo({ filename: 'a.pdf', mime: 'application/pdf' }), groups), false);
+  });
+
+  await test('appends unknown extensions and replaces wrong known ones', () => {
+    assert.strictEqual(sniffing.correctFilenameExtension('get', 'pdf'), 'get.pdf');
+    assert.strictEqual(sniffing.correctFilenameExtension('download.php', 'pdf'), 'download.php.pdf');
+    assert.strictEqual(sniffing.correctFilenameExtension('model.zip', 'stl'), 'model.stl');
+    assert.strictEqual(sniffing.correctFilenameExtension('photo.JPEG', 'jpg'), 'photo.JPEG');
+    assert.strictEqual(sniffing.correctFilenameExtension('report.docx', 'zip'), 'report.docx');
+  });
+
+  await test('renames in place when the group doesn\'t change', () => {
+    const plan = sniffing.planTypeCorrection(
+      makeDownloadInfo({ filename: 'report.php', mime: 'application/pdf', resolvedPath: 'Documents/report.php' }),
+      { extension: 'pdf', mime: 'application/pdf' }, config, '/home/me/Downloads/Documents/report.php'
+    );
+    assert.strictEqual(plan.rerouted, false);
+    assert.strictEqual(plan.destination, '/home/me/Downloads/Documents/report.php.pdf');
+  });
+
+  await test('moves the file to the sniffed type\'s group folder', () => {
+    const plan = sniffing.planTypeCorrection(
+      makeDownloadInfo(), { extension: 'pdf', mime: 'application/pdf' }, config, 'C:\\Users\\me\\Downloads\\get'
+    );
+    assert.strictEqual(plan.fromGroup, null);
+    assert.strictEqual(plan.toGroup, 'Documents');
+    assert.strictEqual(plan.rerouted, true);
+    assert.strictEqual(plan.destination, 'C:\\Users\\me\\Downloads\\Documents\\get.pdf');
+
+    const fromArchives = sniffing.planTypeCorrection(
+      makeDownloadInfo({ filename: 'part.zip', resolvedPath: 'Archives/part.zip' }),
+      { extension: 'stl', mime: 'model/stl' }, config, '/home/me/Downloads/Archives/part (1).zip'
+    );
+    assert.strictEqual(fromArchives.destination, '/home/me/Downloads/3DPrinting/part (1).stl');
+  });
+
+  await test('keeps a folder the user chose and only fixes the extension', () => {
+    const plan = sniffing.planTypeCorrection(
+      makeDownloadInfo({ absoluteDestination: '/home/me/Desktop/Taxes', needsMove: true, customLocation: true }),
+      { extension: 'pdf', mime: 'application/pdf' }, config, '/home/me/Desktop/Taxes/get'
+    );
+    assert.strictEqual(plan.toGroup, 'Documents');
+    assert.strictEqual(plan.rerouted, false);
+    assert.strictEqual(plan.destination, '/home/me/Desktop/Taxes/get.pdf');
+  });
+
+  await test('keeps a download in the project folder during project mode', () => {
+    // Even if project mode ended while the file was downloading
+    const plan = sniffing.planTypeCorrection(
+      makeDownloadInfo({ resolvedPath: 'ProjectX/get', finalRule: { source: 'project', folder: 'ProjectX' } }),
+      { extension: 'pdf', mime: 'application/pdf' }, config, '/home/u/Downloads/ProjectX/get'
+    );
+    assert.strictEqual(plan.toGroup, 'Documents');
+    assert.strictEqual(plan.rerouted, false);
+    assert.strictEqual(plan.destination, '/home/u/Downloads/ProjectX/get.pdf');
+
+    // A type project mode's filter skipped goes to the project folder once it is known
+    const pdfsOnly = projectMode.createProjectMode({ folder: 'ProjectX', filter: { type: 'filetype', value: 'pdf' }, minutes: 60 });
+    const skipped = sniffing.planTypeCorrection(
+      makeDownloadInfo(), { extension: 'pdf', mime: 'application/pdf' }, { ...config, projectMode: pdfsOnly }, '/home/u/Downloads/get'
+    );
+    assert.strictEqual(skipped.route.finalRule.source, 'project');
+    assert.strictEqual(skipped.destination, '/home/u/Downloads/ProjectX/get.pdf');
+  });
+
+  await test('leaves files alone when the content matches the name', () => {
+    assert.strictEqual(sniffing.planTypeCorrection(
+      makeDownloadInfo({ filename: 'model.3mf' }), { extension: 'zip', mime: 'application/zip' }, config, '/d/model.3mf'
+    ), null);
+    assert.strictEqual(sniffing.planTypeCorrection(makeDownloadInfo(), null, config, '/d/get'), null);
+  });
+
+  finish();
+})();
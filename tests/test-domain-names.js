@@ -0,0 +1,82 @@
+/**
+ * test-domain-names.js
+ *
+ * Purpose: Test script for host name helpers.
+ * Role: Verifies punycode conversion and Public Suffix List lookups in
+ *       extension/lib/domain-names.js, which domain rules rely on for matching and for
+ *       the site offered when adding a rule.
+ *
+ * Usage: node tests/test-domain-names.js
+ *
+ * Exits with a non-zero status if any check fails.
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const domainNames = require(path.join(__dirname, '..', 'extension', 'lib', 'domain-names.js'));
+const { colors, log, test, finish } = require('./helpers');
+
+log('Punycode', colors.cyan);
+
+test('decodes labels (RFC 3492)', () => {
+  assert.strictEqual(domainNames.decodePunycode('bcher-kva'), 'bücher');
+  assert.strictEqual(domainNames.decodePunycode('r8jz45g'), '例え');
+  assert.strictEqual(domainNames.decodePunycode('e1afmkfd'), 'пример');
+});
+
+test('toUnicode and toASCII convert whole hosts', () => {
+  assert.strictEqual(domainNames.toUnicode('WWW.XN--BCHER-KVA.DE'), 'www.bücher.de');
+  assert.strictEqual(domainNames.toUnicode('例え。テスト'), '例え.テスト');
+  assert.strictEqual(domainNames.toASCII('bücher.de'), 'xn--bcher-kva.de');
+  assert.strictEqual(domainNames.toASCII('example.com'), 'example.com');
+  assert.strictEqual(domainNames.toASCII('例え。テスト'), 'xn--r8jz45g.xn--zckzah');
+  assert.strictEqual(domainNames.toASCII(domainNames.toUnicode('xn--e1afmkfd.xn--p1ai')), 'xn--e1afmkfd.xn--p1ai');
+});
+
+log('Public Suffix List', colors.cyan);
+
+test('finds public suffixes, including multi-label ones', () => {
+  assert.strictEqual(domainNames.getPublicSuffix('news.bbc.co.uk'), 'co.uk');
+  assert.strictEqual(domainNames.getPublicSuffix('example.com'), 'com');
+  assert.strictEqual(domainNames.getPublicSuffix('host.unlisted-tld'), 'unlisted-tld');
+});
+
+test('finds registrable domains', () => {
+  assert.strictEqual(domainNames.getRegistrableDomain('news.bbc.co.uk'), 'bbc.co.uk');
+  assert.strictEqual(domainNames.getRegistrableDomain('a.b.example.com'), 'example.com');
+  assert.strictEqual(domainNames.getRegistrableDomain('alice.github.io'), 'alice.github.io');
+  assert.strictEqual(domainNames.getRegistrableDomain('shop.bücher.de'), 'bücher.de');
+});
+
+test('applies wildcard and exception rules', () => {
+  assert.strictEqual(domainNames.getRegistrableDomain('a.b.ck'), 'a.b.ck');
+  assert.strictEqual(domainNames.getRegistrableDomain('www.ck'), 'www.ck');
+});
+
+test('covers suffixes across the whole list, not just common ones', () => {
+  // Second levels of country code domains
+  assert.strictEqual(domainNames.getRegistrableDomain('shop.ltd.ua'), 'shop.ltd.ua');
+  assert.strictEqual(domainNames.getRegistrableDomain('x.y.nom.za'), 'y.nom.za');
+  assert.strictEqual(domainNames.getRegistrableDomain('a.b.pvt.k12.ma.us'), 'b.pvt.k12.ma.us');
+  // Wildcard and exception rules beyond the .ck example
+  assert.strictEqual(domainNames.getRegistrableDomain('x.y.kobe.jp'), 'x.y.kobe.jp');
+  assert.strictEqual(domainNames.getRegistrableDomain('www.city.kobe.jp'), 'city.kobe.jp');
+  // Internationalized suffixes, looked up by their Unicode form
+  assert.strictEqual(domainNames.getPublicSuffix('example.東京.jp'), '東京.jp');
+  assert.strictEqual(domainNames.getRegistrableDomain('www.xn--80aswg.xn--p1ai'), 'сайт.рф');
+  // Hosting platforms from the private section
+  assert.strictEqual(domainNames.getRegistrableDomain('preview.alice.pages.dev'), 'alice.pages.dev');
+  assert.strictEqual(domainNames.getRegistrableDomain('a.b.vercel.app'), 'b.vercel.app');
+  assert.strictEqual(domainNames.getRegistrableDomain('store.myshopify.com'), 'store.myshopify.com');
+  assert.strictEqual(domainNames.getRegistrableDomain('files.bucket.s3.us-east-1.amazonaws.com'), 'bucket.s3.us-east-1.amazonaws.com');
+  assert.ok(domainNames.PUBLIC_SUFFIXES.length > 5000);
+});
+
+test('returns IP addresses, single labels and bare suffixes unchanged', () => {
+  assert.strictEqual(domainNames.getRegistrableDomain('192.168.1.10'), '192.168.1.10');
+  assert.strictEqual(domainNames.getRegistrableDomain('localhost'), 'localhost');
+  assert.strictEqual(domainNames.getRegistrableDomain('co.uk'), 'co.uk');
+});
+
+finish();
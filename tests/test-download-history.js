@@ -0,0 +1,109 @@
+/**
+ * test-download-history.js
+ *
+ * Purpose: Test script for the download history helpers.
+ * Role: Verifies history entries, filtering, pagination and CSV/JSON export in
+ *       extension/lib/download-history.js without loading the extension in Chrome.
+ *
+ * Usage: node tests/test-download-history.js
+ *
+ * Exits with a non-zero status if any check fails.
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const history = require(path.join(__dirname, '..', 'extension', 'lib', 'download-history.js'));
+const { colors, log, test, finish } = require('./helpers');
+
+const downloadInfo = {
+  id: 42,
+  filename: '2026-03-05-invoice.pdf',
+  originalFilename: 'invoice.pdf',
+  url: 'https://billing.example.com/invoices/7/invoice.pdf',
+  domain: 'billing.example.com',
+  startTime: '2026-03-05T10:00:00.000Z',
+  fileSize: -1,
+  fileMoved: true,
+  finalRule: { type: 'domain', source: 'domain', value: 'example.com', folder: 'Finance' }
+};
+
+const entries = [
+  history.createHistoryEntry(downloadInfo, { finalPath: '/Users/me/Finance/2026-03-05-invoice.pdf', fileSize: 2048, endTime: '2026-03-05T10:00:04.500Z' }),
+  history.createHistoryEntry({
+    id: 43, filename: 'model.stl', url: 'https://www.printables.com/model/1', domain: 'printables.com',
+    startTime: '2026-03-06T09:00:00.000Z', finalRule: { type: 'filetype', source: 'filetype', value: '3D Files', groupName: '3D Files' }
+  }, { finalPath: '3DPrinting/model.stl', endTime: '2026-03-06T09:00:01.000Z' }),
+  history.createHistoryEntry({
+    id: 44, filename: '=HYPERLINK("x").csv', url: 'https://other.org/a.csv', domain: 'other.org', startTime: '2026-03-07T12:00:00.000Z'
+  }, { finalPath: 'a.csv', endTime: '2026-03-07T12:00:00.200Z' })
+].reverse();
+
+log('Entries', colors.cyan);
+
+test('createHistoryEntry records rule, path, size, duration and move', () => {
+  const entry = entries[2];
+  assert.strictEqual(entry.id, '42:2026-03-05T10:00:00.000Z');
+  assert.strictEqual(entry.rule, 'domain: example.com');
+  assert.strictEqual(entry.originalFilename, 'invoice.pdf');
+  assert.strictEqual(entry.fileSize, 2048);
+  assert.strictEqual(entry.durationMs, 4500);
+  assert.strictEqual(entry.moved, true);
+  assert.strictEqual(entry.routed, true);
+});
+
+test('createHistoryEntry handles unrouted downloads and unknown sizes', () => {
+  assert.strictEqual(entries[1].rule, 'filetype: 3D Files');
+  assert.strictEqual(entries[0].rule, '');
+  assert.strictEqual(entries[0].routed, false);
+  assert.strictEqual(entries[0].fileSize, null);
+  assert.strictEqual(entries[0].moved, false);
+});
+
+log('Filtering', colors.cyan);
+
+test('filterHistoryEntries searches filename, URL and path case-insensitively', () => {
+  assert.deepStrictEqual(history.filterHistoryEntries(entries, { search: 'INVOICE' }).map(e => e.downloadId), [42]);
+  assert.deepStrictEqual(history.filterHistoryEntries(entries, { search: '3dprinting' }).map(e => e.downloadId), [43]);
+  assert.strictEqual(history.filterHistoryEntries(entries, { search: '  ' }).length, 3);
+});
+
+test('filterHistoryEntries filters by rule, domain and date range', () => {
+  assert.deepStrictEqual(history.filterHistoryEntries(entries, { rule: 'filetype: 3D Files' }).map(e => e.downloadId), [43]);
+  assert.deepStrictEqual(history.filterHistoryEntries(entries, { rule: history.NO_RULE_FILTER }).map(e => e.downloadId), [44]);
+  assert.deepStrictEqual(history.filterHistoryEntries(entries, { domain: 'printables.com' }).map(e => e.downloadId), [43]);
+  assert.deepStrictEqual(history.filterHistoryEntries(entries, {
+    from: Date.parse('2026-03-06T00:00:00Z'), to: Date.parse('2026-03-07T00:00:00Z')
+  }).map(e => e.downloadId), [43]);
+});
+
+test('paginateEntries clamps the page and counts pages', () => {
+  assert.deepStrictEqual(history.paginateEntries(entries, 2, 2).entries.map(e => e.downloadId), [42]);
+  assert.strictEqual(history.paginateEntries(entries, 9, 2).page, 2);
+  assert.deepStrictEqual(history.paginateEntries([], 1, 50), { entries: [], page: 1, pageCount: 1, total: 0 });
+});
+
+test('getHistoryFilterOptions lists rules and domains once, sorted', () => {
+  assert.deepStrictEqual(history.getHistoryFilterOptions(entries), {
+    rules: ['domain: example.com', 'filetype: 3D Files'],
+    domains: ['billing.example.com', 'other.org', 'printables.com']
+  });
+});
+
+log('Export', colors.cyan);
+
+test('entriesToCSV quotes values and neutralises formulas', () => {
+  const lines = history.entriesToCSV(entries).split('\r\n');
+  assert.strictEqual(lines[0], history.HISTORY_EXPORT_FIELDS.join(','));
+  assert.strictEqual(lines.length, 4);
+  assert.ok(lines[1].startsWith('2026-03-07T12:00:00.200Z,"\'=HYPERLINK(""x"").csv"'));
+  assert.ok(lines[3].includes(',domain: example.com,/Users/me/Finance/2026-03-05-invoice.pdf,2048,4500,true,true'));
+});
+
+test('entriesToJSON writes ISO dates', () => {
+  const exported = JSON.parse(history.entriesToJSON(entries));
+  assert.strictEqual(exported[2].completedAt, '2026-03-05T10:00:04.500Z');
+  assert.strictEqual(exported[2].startedAt, '2026-03-05T10:00:00.000Z');
+});
+
+finish();
@@ -0,0 +1,115 @@
+/**
+ * test-file-mover.js
+ *
+ * Purpose: Test script for moving finished downloads to absolute folders.
+ * Role: Verifies that the companion app's companion/services/file-mover.js moves a file into
+ *       a folder that doesn't exist yet (a {yyyy}/{mm} template, a site adapter subfolder, a
+ *       new project mode folder) instead of saving it as a file named after that folder,
+ *       given the file path the extension builds with joinAbsolutePath from
+ *       extension/lib/router.js.
+ *
+ * Usage: node tests/test-file-mover.js
+ *
+ * Exits with a non-zero status if any check fails.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { moveFile } = require(path.join(__dirname, '..', 'companion', 'services', 'file-mover.js'));
+const router = require(path.join(__dirname, '..', 'extension', 'lib', 'router.js'));
+const projectMode = require(path.join(__dirname, '..', 'extension', 'lib', 'project-mode.js'));
+const { colors, log, test, finish } = require('./helpers');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-mover-test-'));
+
+// A finished download sitting in the Downloads folder
+function download(name, content = 'content') {
+  const downloads = path.join(tempDir, 'Downloads');
+  fs.mkdirSync(downloads, { recursive: true });
+  const filePath = path.join(downloads, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+(async () => {
+  log('Destination paths', colors.cyan);
+
+  await test('the move destination is always a full file path', () => {
+    assert.strictEqual(router.joinAbsolutePath('/Users/me/Receipts/2026/10', 'report.pdf'), '/Users/me/Receipts/2026/10/report.pdf');
+    assert.strictEqual(router.joinAbsolutePath('/Users/me/Receipts/', 'report.pdf'), '/Users/me/Receipts/report.pdf');
+    assert.strictEqual(router.joinAbsolutePath('C:\\Users\\me\\Receipts\\', 'report.pdf'), 'C:\\Users\\me\\Receipts\\report.pdf');
+  });
+
+  log('Moving files', colors.cyan);
+
+  await test('a file moves into a template folder that does not exist yet', async () => {
+    const route = router.routeDownload({
+      url: 'https://shop.example.com/receipt/report.pdf',
+      filename: 'report.pdf',
+      date: new Date(2026, 9, 19, 14).toISOString()
+    }, {
+      rules: [{ type: 'domain', value: 'shop.example.com', folder: path.join(tempDir, 'Receipts', '{yyyy}', '{mm}') }],
+      groups: {}
+    });
+    assert.strictEqual(route.needsMove, true);
+
+    const source = download('report.pdf');
+    const result = await moveFile(source, router.joinAbsolutePath(route.absoluteDestination, route.newFilename));
+    assert.strictEqual(result.success, true, result.error);
+    const expected = path.join(tempDir, 'Receipts', '2026', '10', 'report.pdf');
+    assert.strictEqual(result.destination, expected);
+    assert.ok(fs.statSync(path.join(tempDir, 'Receipts', '2026', '10')).isDirectory());
+    assert.strictEqual(fs.readFileSync(expected, 'utf8'), 'content');
+    assert.strictEqual(fs.existsSync(source), false);
+  });
+
+  await test('a GitHub release asset lands in its tag folder under an absolute rule folder', async () => {
+    const route = router.routeDownload({
+      url: 'https://github.com/acme/widget/releases/download/v2.1.0/widget-linux-x64.tar.gz',
+      filename: 'widget-linux-x64.tar.gz'
+    }, {
+      rules: [{ type: 'domain', value: 'github.com', folder: path.join(tempDir, 'Code'), siteAdapter: true }],
+      groups: {}
+    });
+    const tagFolder = path.join(tempDir, 'Code', 'acme', 'widget', 'v2.1.0');
+    assert.strictEqual(route.absoluteDestination, tagFolder);
+
+    const result = await moveFile(download('widget-linux-x64.tar.gz'), router.joinAbsolutePath(route.absoluteDestination, route.newFilename));
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(result.destination, path.join(tagFolder, 'widget-linux-x64.tar.gz'));
+    assert.ok(fs.statSync(tagFolder).isDirectory());
+  });
+
+  await test('every download in a new absolute project folder keeps its own name', async () => {
+    const thesis = projectMode.createProjectMode({ folder: path.join(tempDir, 'Projects', 'Thesis'), minutes: 60 });
+    for (const name of ['draft.docx', 'figure.png']) {
+      const route = router.routeDownload({ url: `https://example.com/${name}`, filename: name }, { rules: [], groups: {}, projectMode: thesis });
+      assert.strictEqual(route.finalRule.source, 'project');
+      const result = await moveFile(download(name), router.joinAbsolutePath(route.absoluteDestination, route.newFilename));
+      assert.strictEqual(result.success, true, result.error);
+    }
+    assert.deepStrictEqual(fs.readdirSync(path.join(tempDir, 'Projects', 'Thesis')).sort(), ['draft.docx', 'figure.png']);
+  });
+
+  await test('a folder path ending in a separator is created, keeping the file name', async () => {
+    const source = download('notes.txt');
+    const result = await moveFile(source, path.join(tempDir, 'New Folder') + path.sep);
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(result.destination, path.join(tempDir, 'New Folder', 'notes.txt'));
+  });
+
+  await test('an existing file is kept and the moved one numbered', async () => {
+    const folder = path.join(tempDir, 'Existing');
+    fs.mkdirSync(folder, { recursive: true });
+    fs.writeFileSync(path.join(folder, 'data.csv'), 'old');
+    const result = await moveFile(download('data.csv', 'new'), router.joinAbsolutePath(folder, 'data.csv'));
+    assert.strictEqual(result.destination, path.join(folder, 'data (1).csv'));
+    assert.strictEqual(fs.readFileSync(path.join(folder, 'data.csv'), 'utf8'), 'old');
+  });
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  finish();
+})();
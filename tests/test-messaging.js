@@ -12,20 +12,7 @@
 
 const { spawn } = require('child_process');
 const path = require('path');
-
-// Colors for console output
-const colors = {
-  reset: '\x1b[0m',
-  green: '\x1b[32m',
-  red: '\x1b[31m',
-  yellow: '\x1b[33m',
-  blue: '\x1b[34m',
-  cyan: '\x1b[36m'
-};
-
-function log(message, color = colors.reset) {
-  console.log(`${color}${message}${colors.reset}`);
-}
+const { colors, log } = require('./helpers');
 
 // Start companion app
 log('Starting companion app...', colors.blue);
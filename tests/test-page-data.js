@@ -0,0 +1,145 @@
+/**
+ * test-page-data.js
+ *
+ * Purpose: Test script for routing by text read from the download's page.
+ * Role: Verifies that extension/lib/page-data.js reads CSS selectors and meta tags from a
+ *       document and turns them into page variables, and that the router matches page
+ *       conditions and fills page variables into folders.
+ *
+ * Usage: node tests/test-page-data.js
+ *
+ * Exits with a non-zero status if any check fails.
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const pageData = require(path.join(__dirname, '..', 'extension', 'lib', 'page-data.js'));
+const router = require(path.join(__dirname, '..', 'extension', 'lib', 'router.js'));
+const { colors, log, test, finish } = require('./helpers');
+
+// Just enough of a DOM: elements by selector, plus meta tags with attributes
+function fakeDocument(elements, metas = []) {
+  const metaTags = metas.map(attributes => ({ getAttribute: name => attributes[name] ?? null }));
+  return {
+    querySelector(selector) {
+      if (selector.includes('[[')) throw new SyntaxError('Invalid selector');
+      return selector in elements ? { textContent: elements[selector] } : null;
+    },
+    querySelectorAll(selector) {
+      return selector === 'meta' ? metaTags : [];
+    }
+  };
+}
+
+const lmsRule = {
+  type: 'domain',
+  value: 'lms.example.edu',
+  folder: 'Courses/{course}',
+  pageVariables: [{ name: 'course', source: '.course-code', pattern: '^([A-Z]+\\d+)' }]
+};
+
+log('Page sources and variables', colors.cyan);
+
+test('sources are CSS selectors or meta:name', () => {
+  assert.deepStrictEqual(pageData.parsePageSource(' .course-code '), { selector: '.course-code' });
+  assert.deepStrictEqual(pageData.parsePageSource('meta:og:title'), { meta: 'og:title' });
+  assert.strictEqual(pageData.validatePageSource('meta:'), 'Name the meta tag to read, e.g. meta:og:title');
+  assert.ok(pageData.validatePageSource(''));
+  assert.ok(pageData.validatePageSource('div[[', selector => { throw new SyntaxError(selector); }));
+});
+
+test('page variables are written one per line and validated', () => {
+  const { variables, error } = pageData.parsePageVariables('course = .course-code\nticket = h1 | #(\\d+)\n');
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(variables, [
+    { name: 'course', source: '.course-code' },
+    { name: 'ticket', source: 'h1', pattern: '#(\\d+)' }
+  ]);
+  assert.strictEqual(pageData.formatPageVariables(variables), 'course = .course-code\nticket = h1 | #(\\d+)');
+  assert.ok(pageData.parsePageVariables('course .course-code').error);
+
+  assert.strictEqual(pageData.validatePageVariables(variables, router.PATH_TEMPLATE_VARIABLES), null);
+  assert.ok(pageData.validatePageVariables([{ name: 'domain', source: 'h1' }], router.PATH_TEMPLATE_VARIABLES));
+  assert.ok(pageData.validatePageVariables([{ name: 'course_code', source: 'h1' }]));
+  assert.ok(pageData.validatePageVariables([{ name: 'ticket', source: 'h1', pattern: '(' }]));
+  assert.ok(router.validateRulePageVariables({ type: 'url', value: 'lms.example.edu/:course', pageVariables: [{ name: 'course', source: 'h1' }] }));
+});
+
+test('collects the sources of enabled rules, including nested page conditions', () => {
+  const rules = [
+    lmsRule,
+    {
+      type: 'compound',
+      conditions: { match: 'all', conditions: [
+        { field: 'domain', operator: 'is', value: 'tickets.example.com' },
+        { match: 'any', conditions: [{ field: 'page', source: 'meta:ticket-queue', operator: 'is', value: 'Billing' }] }
+      ] },
+      folder: 'Tickets'
+    },
+    { type: 'domain', value: 'old.example.com', folder: 'Old', enabled: false, pageVariables: [{ name: 'old', source: 'h2' }] }
+  ];
+  assert.deepStrictEqual(pageData.collectPageSources(rules), ['.course-code', 'meta:ticket-queue']);
+  assert.deepStrictEqual(pageData.collectPageSources([{ type: 'domain', value: 'a.com', folder: 'A' }]), []);
+});
+
+test('reads element text and meta tags, leaving out what the page lacks', () => {
+  const doc = fakeDocument(
+    { '.course-code': '\n  CS101   Algorithms\n', '.empty': '   ' },
+    [{ property: 'og:title', content: 'Ticket #4521 - Printer offline' }, { name: 'author', content: 'Sam' }]
+  );
+  const values = pageData.readPageSources(doc, ['.course-code', 'meta:OG:Title', '.missing', '.empty', 'div[[', 'meta:description']);
+  assert.deepStrictEqual(values, {
+    '.course-code': 'CS101 Algorithms',
+    'meta:OG:Title': 'Ticket #4521 - Printer offline'
+  });
+  const long = pageData.readPageSources(fakeDocument({ p: 'x'.repeat(500) }), ['p']);
+  assert.strictEqual(long.p.length, pageData.MAX_PAGE_TEXT_LENGTH);
+});
+
+test('patterns keep the first capture group, else the whole match', () => {
+  const rule = { pageVariables: [
+    { name: 'course', source: '.course-code', pattern: '^([A-Z]+\\d+)' },
+    { name: 'ticket', source: 'meta:og:title', pattern: '#\\d+' },
+    { name: 'queue', source: 'meta:queue' }
+  ] };
+  const values = pageData.getPageVariableValues(rule, { '.course-code': 'CS101 Algorithms', 'meta:og:title': 'Ticket #4521' });
+  assert.deepStrictEqual(values, { course: 'CS101', ticket: '#4521', queue: '' });
+});
+
+log('Routing by page text', colors.cyan);
+
+test('page variables fill the winning rule\'s folder ("unknown" when missing)', () => {
+  const download = { url: 'https://lms.example.edu/files/week1.pdf', filename: 'week1.pdf' };
+  const found = router.routeDownload({ ...download, pageData: { '.course-code': 'CS101 Algorithms' } }, { rules: [lmsRule] });
+  assert.strictEqual(found.resolvedPath, 'Courses/CS101/week1.pdf');
+  assert.strictEqual(router.routeDownload(download, { rules: [lmsRule] }).resolvedPath, 'Courses/unknown/week1.pdf');
+  assert.strictEqual(router.validatePathTemplate(lmsRule.folder, router.getRuleTemplateVariables(lmsRule)), null);
+});
+
+test('page conditions match the text at their source', () => {
+  const rule = {
+    type: 'compound',
+    conditions: { match: 'all', conditions: [{ field: 'page', source: 'meta:ticket-queue', operator: 'is', value: 'billing' }] },
+    folder: 'Tickets/Billing'
+  };
+  const download = { url: 'https://tickets.example.com/a/1.pdf', filename: '1.pdf' };
+  const hit = router.routeDownload({ ...download, pageData: { 'meta:ticket-queue': 'Billing' } }, { rules: [rule] });
+  assert.strictEqual(hit.resolvedPath, 'Tickets/Billing/1.pdf');
+  assert.strictEqual(router.routeDownload(download, { rules: [rule] }).compoundMatches.length, 0);
+
+  const leaf = (operator, value) => ({ match: 'all', conditions: [{ field: 'page', source: 'h1', operator, value }] });
+  const context = { pageData: { h1: 'Ticket #4521 - Printer offline' } };
+  assert.strictEqual(router.evaluateCondition(leaf('contains', 'printer'), context), true);
+  assert.strictEqual(router.evaluateCondition(leaf('regex', '#\\d{4}\\b'), context), true);
+  assert.strictEqual(router.evaluateCondition(leaf('is', 'ticket'), context), false);
+});
+
+test('page conditions need a source and describe it', () => {
+  const conditions = { match: 'all', conditions: [{ field: 'page', source: '.course-code', operator: 'contains', value: 'CS1' }] };
+  assert.strictEqual(router.validateConditions(conditions), null);
+  assert.ok(router.validateConditions({ match: 'all', conditions: [{ field: 'page', operator: 'contains', value: 'CS1' }] }));
+  assert.strictEqual(router.describeConditions(conditions), 'page .course-code contains CS1');
+});
+
+finish();
@@ -0,0 +1,137 @@
+/**
+ * test-pending-downloads.js
+ *
+ * Purpose: Test script for pending download persistence.
+ * Role: Verifies that extension/lib/pending-downloads.js saves pending downloads without
+ *       callbacks or timers, and picks the right recovery step after a service worker restart.
+ *
+ * Usage: node tests/test-pending-downloads.js
+ *
+ * Exits with a non-zero status if any check fails.
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const {
+  PendingDownloadStore,
+  PersistentPendingMap,
+  serializePendingDownloads,
+  getRecoveryAction,
+  PENDING_DOWNLOADS_KEY
+} = require(path.join(__dirname, '..', 'extension', 'lib', 'pending-downloads.js'));
+const { colors, log, test, finish } = require('./helpers');
+
+/**
+ * In-memory stand-in for chrome.storage.session that counts writes.
+ */
+function createArea() {
+  const items = {};
+  return {
+    items,
+    writes: 0,
+    async get(keys) {
+      const result = {};
+      keys.forEach(key => {
+        if (items[key] !== undefined) result[key] = JSON.parse(JSON.stringify(items[key]));
+      });
+      return result;
+    },
+    async set(values) {
+      this.writes++;
+      Object.assign(items, JSON.parse(JSON.stringify(values)));
+    }
+  };
+}
+
+function makeDownloadInfo(overrides = {}) {
+  return {
+    id: 7,
+    filename: 'model.stl',
+    originalFilename: 'model.stl',
+    resolvedPath: '3DPrinting/model.stl',
+    needsMove: false,
+    absoluteDestination: null,
+    ...overrides
+  };
+}
+
+(async () => {
+  log('Saving and restoring', colors.cyan);
+
+  await test('serializePendingDownloads drops suggest callbacks and timer IDs', () => {
+    const pending = new Map([[7, makeDownloadInfo({ originalSuggest: () => {}, timeoutId: 12, confirmed: true })]]);
+    const [[key, stored]] = serializePendingDownloads(pending);
+    assert.strictEqual(key, 7);
+    assert.strictEqual(stored.originalSuggest, undefined);
+    assert.strictEqual(stored.timeoutId, undefined);
+    assert.strictEqual(stored.confirmed, true);
+    assert.ok(pending.get(7).originalSuggest, 'the live entry keeps its callback');
+  });
+
+  await test('the map saves once per tick and round-trips through the store', async () => {
+    const area = createArea();
+    const store = new PendingDownloadStore(area);
+    const pending = new PersistentPendingMap(store);
+    pending.set(7, makeDownloadInfo());
+    pending.set('download_7', makeDownloadInfo());
+    pending.get(7).confirmed = true;
+    await pending.persist();
+    assert.strictEqual(area.writes, 1);
+    assert.deepStrictEqual((await store.load()).map(([key]) => key), [7, 'download_7']);
+    assert.strictEqual((await store.load())[0][1].confirmed, true);
+
+    pending.delete('download_7');
+    await pending.persist();
+    assert.deepStrictEqual(area.items[PENDING_DOWNLOADS_KEY].map(([key]) => key), [7]);
+  });
+
+  await test('load returns nothing when no downloads were saved', async () => {
+    assert.deepStrictEqual(await new PendingDownloadStore(createArea()).load(), []);
+  });
+
+  log('Recovery after a restart', colors.cyan);
+
+  await test('drops downloads Chrome no longer has, interrupted ones and finished moves', () => {
+    assert.strictEqual(getRecoveryAction(makeDownloadInfo(), undefined).action, 'drop');
+    assert.strictEqual(getRecoveryAction(makeDownloadInfo(), { state: 'interrupted' }).action, 'drop');
+    assert.strictEqual(getRecoveryAction(makeDownloadInfo({ fileMoved: true }), { state: 'complete', filename: '/d/x' }).action, 'drop');
+  });
+
+  await test('waits for downloads still in progress', () => {
+    assert.strictEqual(getRecoveryAction(makeDownloadInfo(), { state: 'in_progress' }).action, 'wait');
+  });
+
+  await test('finishes an in-flight companion move to an absolute folder', () => {
+    const recovery = getRecoveryAction(
+      makeDownloadInfo({ needsMove: true, absoluteDestination: '/Volumes/NAS/Prints', confirmed: true }),
+      { state: 'complete', filename: '/Users/me/Downloads/model.stl' }
+    );
+    assert.deepStrictEqual(recovery, { action: 'move', source: '/Users/me/Downloads/model.stl', destination: '/Volumes/NAS/Prints' });
+  });
+
+  await test('records files Chrome already saved in the rule\'s folder', () => {
+    const item = { state: 'complete', filename: '/Users/me/Downloads/3DPrinting/model.stl' };
+    assert.strictEqual(getRecoveryAction(makeDownloadInfo({ suggested: true }), item).action, 'record');
+    assert.strictEqual(getRecoveryAction(makeDownloadInfo(), item).action, 'record');
+  });
+
+  await test('moves files that fell back to the Downloads root into the rule\'s folder', () => {
+    const recovery = getRecoveryAction(makeDownloadInfo(), { state: 'complete', filename: 'C:\\Users\\me\\Downloads\\model.stl' });
+    assert.deepStrictEqual(recovery, {
+      action: 'move',
+      source: 'C:\\Users\\me\\Downloads\\model.stl',
+      destination: 'C:\\Users\\me\\Downloads\\3DPrinting'
+    });
+  });
+
+  await test('applies a rename Chrome never received', () => {
+    const recovery = getRecoveryAction(
+      makeDownloadInfo({ filename: 'benchy.stl', resolvedPath: 'benchy.stl' }),
+      { state: 'complete', filename: '/Users/me/Downloads/model.stl' }
+    );
+    assert.deepStrictEqual(recovery, { action: 'move', source: '/Users/me/Downloads/model.stl', destination: '/Users/me/Downloads' });
+  });
+
+  finish();
+})();
@@ -0,0 +1,168 @@
+/**
+ * test-profiles.js
+ *
+ * Purpose: Test script for rule profiles (Work, Personal, ... each with its own rules).
+ * Role: Verifies that extension/lib/profiles.js keeps the profile list valid, creates, renames
+ *       and deletes profiles, and plans switches that save the current settings with the
+ *       profile being left - and that the plan round-trips through the configuration store.
+ *
+ * Usage: node tests/test-profiles.js
+ *
+ * Exits with a non-zero status if any check fails.
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const profiles = require(path.join(__dirname, '..', 'extension', 'lib', 'profiles.js'));
+const { ConfigStore } = require(path.join(__dirname, '..', 'extension', 'lib', 'config-store.js'));
+const { colors, log, test, finish } = require('./helpers');
+
+/**
+ * In-memory chrome.storage area (no quotas).
+ */
+function createArea() {
+  const items = {};
+  return {
+    items,
+    async get(keys) {
+      const result = {};
+      keys.forEach(key => {
+        if (items[key] !== undefined) result[key] = JSON.parse(JSON.stringify(items[key]));
+      });
+      return result;
+    },
+    async set(values) {
+      Object.assign(items, JSON.parse(JSON.stringify(values)));
+    },
+    async remove(keys) {
+      keys.forEach(key => delete items[key]);
+    }
+  };
+}
+
+const workRules = [{ type: 'domain', value: 'intranet.example.com', folder: 'Work' }];
+const workConfig = {
+  rules: workRules,
+  groups: { documents: { extensions: 'pdf', folder: 'Work/Docs' } },
+  defaultFolder: 'Work',
+  confirmationEnabled: false,
+  confirmationTimeout: 3000
+};
+
+(async () => {
+  log('Profile list', colors.cyan);
+
+  await test('a missing or broken list becomes the Default profile', () => {
+    assert.deepStrictEqual(profiles.normalizeProfiles(undefined, undefined), {
+      profiles: [{ id: 'default', name: 'Default' }],
+      activeProfile: 'default'
+    });
+    const normalized = profiles.normalizeProfiles([null, { id: 'work', name: 'Work' }, { id: 'work', name: 'Copy' }], 'gone');
+    assert.deepStrictEqual(normalized.profiles.map(profile => profile.id), ['work']);
+    assert.strictEqual(normalized.activeProfile, 'work');
+  });
+
+  await test('profiles are created, renamed and deleted with valid names only', () => {
+    const start = profiles.normalizeProfiles().profiles;
+    const { profiles: list, profile } = profiles.createProfile(start, '  Work  ', workConfig);
+    assert.deepStrictEqual({ id: profile.id, name: profile.name }, { id: 'work', name: 'Work' });
+    assert.deepStrictEqual(profile.config, workConfig);
+    assert.notStrictEqual(profile.config.rules, workRules);
+
+    assert.throws(() => profiles.createProfile(list, 'work'), /already exists/);
+    assert.throws(() => profiles.createProfile(list, '   '), /required/);
+    assert.strictEqual(profiles.createProfile(list, 'Work!').profile.id, 'work-2');
+
+    // A new profile without settings gets the defaults
+    assert.deepStrictEqual(profiles.createProfile(list, 'Blank').profile.config, profiles.PROFILE_DEFAULTS);
+
+    const renamed = profiles.renameProfile(list, 'work', 'Office');
+    assert.strictEqual(profiles.findProfile(renamed, 'work').name, 'Office');
+    assert.doesNotThrow(() => profiles.renameProfile(list, 'work', 'WORK'));
+    assert.throws(() => profiles.renameProfile(list, 'work', 'Default'), /already exists/);
+
+    assert.throws(() => profiles.deleteProfile(list, 'default', 'default'), /Switch to another profile/);
+    assert.deepStrictEqual(profiles.deleteProfile(list, 'work', 'default').map(p => p.id), ['default']);
+  });
+
+  await test('the shortcut cycles through profiles and the badge names the active one', () => {
+    const list = [{ id: 'default', name: 'Default' }, { id: 'work', name: 'Work' }, { id: 'personal', name: 'Personal' }];
+    assert.strictEqual(profiles.getNextProfileId(list, 'default'), 'work');
+    assert.strictEqual(profiles.getNextProfileId(list, 'personal'), 'default');
+    assert.strictEqual(profiles.getProfileBadgeText(list, 'personal'), 'Pers');
+    assert.strictEqual(profiles.getProfileBadgeText([{ id: 'x', name: '🏠 Home' }, ...list], 'x'), '🏠 Ho');
+    // One profile: no badge
+    assert.strictEqual(profiles.getProfileBadgeText(undefined, undefined), '');
+  });
+
+  log('Switching profiles', colors.cyan);
+
+  await test('switching saves the live settings with the profile being left', () => {
+    const personalConfig = { rules: [{ type: 'domain', value: 'example.org', folder: 'Fun' }], defaultFolder: 'Personal' };
+    const state = {
+      profiles: [{ id: 'default', name: 'Default' }, { id: 'work', name: 'Work', config: workConfig }],
+      activeProfile: 'default',
+      config: personalConfig
+    };
+    const items = profiles.planProfileSwitch(state, 'work');
+    assert.strictEqual(items.activeProfile, 'work');
+    assert.deepStrictEqual(items.rules, workRules);
+    assert.strictEqual(items.defaultFolder, 'Work');
+    assert.strictEqual(items.confirmationEnabled, false);
+    assert.deepStrictEqual(items.profiles, [
+      { id: 'default', name: 'Default', config: { ...profiles.PROFILE_DEFAULTS, ...personalConfig } },
+      { id: 'work', name: 'Work' }
+    ]);
+
+    assert.strictEqual(profiles.planProfileSwitch({ ...state, activeProfile: 'work' }, 'work'), null);
+    assert.throws(() => profiles.planProfileSwitch(state, 'missing'), /Unknown profile/);
+  });
+
+  await test('a switch round-trips through the configuration store', async () => {
+    const store = new ConfigStore({ sync: createArea(), local: createArea() });
+    const keys = [...profiles.PROFILE_KEYS, 'profiles', 'activeProfile'];
+    const homeRules = [{ type: 'domain', value: 'example.org', folder: 'Home' }];
+    const { profiles: list } = profiles.createProfile(profiles.normalizeProfiles().profiles, 'Work', workConfig);
+    await store.set({ rules: homeRules, groups: {}, profiles: list });
+
+    const switchTo = async (id) => {
+      assert.strictEqual((await profiles.applyProfileSwitch(store, id)).id, id);
+      return store.get(keys);
+    };
+
+    const atWork = await switchTo('work');
+    assert.deepStrictEqual(atWork.rules, workRules);
+    assert.strictEqual(atWork.activeProfile, 'work');
+    // Saved profiles are chunked like rules, so many profiles still fit in sync
+    assert.ok(store.storage.sync.items.profiles_chunks >= 1);
+
+    const backHome = await switchTo('default');
+    assert.deepStrictEqual(backHome.rules, homeRules);
+    assert.deepStrictEqual(profiles.findProfile(backHome.profiles, 'work').config, workConfig);
+  });
+
+  await test('a switch that fails half way leaves the old profile with its own rules', async () => {
+    const sync = createArea();
+    const store = new ConfigStore({ sync, local: createArea() });
+    const homeRules = [{ type: 'domain', value: 'example.org', folder: 'Home' }];
+    const { profiles: list } = profiles.createProfile(profiles.normalizeProfiles().profiles, 'Work', workConfig);
+    await store.set({ rules: homeRules, groups: {}, profiles: list, defaultFolder: 'Home' });
+
+    // The lists save, then the plain keys (defaultFolder, activeProfile, ...) fail
+    const setItems = sync.set;
+    sync.set = async (values) => {
+      if ('activeProfile' in values) throw new Error('MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded');
+      return setItems(values);
+    };
+    await assert.rejects(profiles.applyProfileSwitch(store, 'work'), /MAX_WRITE_OPERATIONS/);
+
+    const data = await store.get([...profiles.PROFILE_KEYS, 'profiles', 'activeProfile']);
+    assert.strictEqual(data.activeProfile, undefined);
+    assert.strictEqual(data.defaultFolder, 'Home');
+    assert.deepStrictEqual(data.rules, homeRules);
+    assert.deepStrictEqual(profiles.findProfile(data.profiles, 'work').config, workConfig);
+  });
+
+  finish();
+})();
@@ -0,0 +1,107 @@
+/**
+ * test-project-mode.js
+ *
+ * Purpose: Test script for project mode (every download to one folder for a while).
+ * Role: Verifies that extension/lib/project-mode.js validates, times and describes project
+ *       modes, and that the router sends the downloads they take to the project folder ahead
+ *       of every rule - remembering where the rules would have sent them.
+ *
+ * Usage: node tests/test-project-mode.js
+ *
+ * Exits with a non-zero status if any check fails.
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const projectMode = require(path.join(__dirname, '..', 'extension', 'lib', 'project-mode.js'));
+const router = require(path.join(__dirname, '..', 'extension', 'lib', 'router.js'));
+const { colors, log, test, finish } = require('./helpers');
+
+// Local times: project mode starts at 14:00 and runs for an hour
+const at = (hours, minutes = 0) => new Date(2026, 9, 19, hours, minutes);
+const thesisHour = projectMode.createProjectMode({ folder: ' Projects/Thesis ', minutes: 60 }, at(14));
+
+log('Project mode', colors.cyan);
+
+test('invalid settings are rejected with a reason', () => {
+  assert.strictEqual(projectMode.validateProjectModeOptions({ folder: 'Thesis', filter: { type: 'all' }, minutes: 30 }), null);
+  assert.strictEqual(projectMode.validateProjectModeOptions({ folder: 'Thesis' }), null);
+  assert.strictEqual(projectMode.validateProjectModeOptions({ folder: 'Thesis', filter: { type: 'filetype', value: '.pdf, tar.gz' } }), null);
+  assert.ok(projectMode.validateProjectModeOptions({ folder: '  ' }));
+  assert.ok(projectMode.validateProjectModeOptions({ folder: 'Thesis', filter: { type: 'mime' } }));
+  assert.ok(projectMode.validateProjectModeOptions({ folder: 'Thesis', filter: { type: 'domain', value: '' } }));
+  assert.ok(projectMode.validateProjectModeOptions({ folder: 'Thesis', filter: { type: 'filetype', value: 'pdf, *' } }));
+  assert.ok(projectMode.validateProjectModeOptions({ folder: 'Thesis', minutes: 2 * 24 * 60 }));
+  assert.ok(projectMode.validateProjectModeOptions({ folder: 'Thesis', minutes: 7.5 }));
+});
+
+test('a timed project mode runs until its end, an open one until turned off', () => {
+  assert.deepStrictEqual(thesisHour, {
+    folder: 'Projects/Thesis',
+    filter: { type: 'all', value: '' },
+    startedAt: at(14).getTime(),
+    until: at(15).getTime()
+  });
+  assert.strictEqual(projectMode.isProjectModeActive(thesisHour, at(14, 59)), true);
+  assert.strictEqual(projectMode.isProjectModeActive(thesisHour, at(15)), false);
+  assert.strictEqual(projectMode.getMinutesLeft(thesisHour, at(14, 20)), 40);
+  assert.strictEqual(projectMode.isProjectModeActive(null), false);
+
+  const open = projectMode.createProjectMode({ folder: 'Thesis', minutes: 0 }, at(14));
+  assert.strictEqual(open.until, null);
+  assert.strictEqual(projectMode.isProjectModeActive(open, at(23)), true);
+  assert.strictEqual(projectMode.getMinutesLeft(open), null);
+});
+
+test('project modes and durations are described in words', () => {
+  assert.strictEqual(projectMode.describeProjectModeEnd(thesisHour), 'until 15:00');
+  assert.strictEqual(projectMode.describeProjectModeEnd({ folder: 'Thesis', until: null }), 'until turned off');
+  assert.strictEqual(projectMode.describeProjectModeFilter({ type: 'all' }), 'All downloads');
+  assert.strictEqual(projectMode.describeProjectModeFilter({ type: 'domain', value: 'arxiv.org' }), 'Downloads from arxiv.org');
+  assert.strictEqual(projectMode.describeProjectModeFilter({ type: 'filetype', value: 'pdf,docx ' }), 'pdf, docx files');
+  assert.deepStrictEqual(projectMode.DURATION_CHOICES.map(projectMode.describeDuration),
+    ['15 minutes', '30 minutes', '1 hour', '2 hours', '4 hours', 'Until I turn it off']);
+});
+
+log('Routing in project mode', colors.cyan);
+
+const config = {
+  rules: [{ type: 'domain', value: 'arxiv.org', folder: 'Papers', priority: 1 }],
+  groups: { documents: { extensions: 'pdf', folder: 'Documents' } }
+};
+const paper = { url: 'https://arxiv.org/pdf/2410.00001.pdf', filename: '2410.00001.pdf', date: at(14, 30).toISOString() };
+const installer = { url: 'https://example.com/setup.exe', filename: 'setup.exe', date: at(14, 30).toISOString() };
+
+test('project mode sends downloads to its folder ahead of every rule', () => {
+  const route = router.routeDownload(paper, { ...config, projectMode: thesisHour });
+  assert.strictEqual(route.finalRule.source, 'project');
+  assert.strictEqual(route.resolvedPath, 'Projects/Thesis/2410.00001.pdf');
+  assert.strictEqual(route.conflictRules, null);
+  // Where the overlay's "Use rules" puts it back
+  assert.strictEqual(route.rulesRoute.resolvedPath, 'Papers/2410.00001.pdf');
+  assert.strictEqual(route.rulesRoute.finalRule.value, 'arxiv.org');
+
+  const withoutProject = router.routeDownload(paper, config);
+  assert.strictEqual(withoutProject.resolvedPath, 'Papers/2410.00001.pdf');
+  assert.strictEqual(withoutProject.rulesRoute, null);
+});
+
+test('filters limit project mode to a site or file types', () => {
+  const fromArxiv = projectMode.createProjectMode({ folder: 'Thesis', filter: { type: 'domain', value: 'arxiv.org' }, minutes: 60 }, at(14));
+  assert.strictEqual(router.routeDownload(paper, { ...config, projectMode: fromArxiv }).resolvedPath, 'Thesis/2410.00001.pdf');
+  assert.strictEqual(router.routeDownload(installer, { ...config, projectMode: fromArxiv }).finalRule.source, 'default');
+
+  const pdfs = projectMode.createProjectMode({ folder: 'Thesis', filter: { type: 'filetype', value: 'pdf' }, minutes: 60 }, at(14));
+  assert.strictEqual(router.routeDownload(paper, { ...config, projectMode: pdfs }).resolvedPath, 'Thesis/2410.00001.pdf');
+  assert.notStrictEqual(router.routeDownload(installer, { ...config, projectMode: pdfs }).finalRule.source, 'project');
+});
+
+test('an ended project mode no longer routes anything', () => {
+  const late = { ...paper, date: at(15, 5).toISOString() };
+  const route = router.routeDownload(late, { ...config, projectMode: thesisHour });
+  assert.strictEqual(route.resolvedPath, 'Papers/2410.00001.pdf');
+  assert.strictEqual(route.rulesRoute, null);
+});
+
+finish();
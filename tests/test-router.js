@@ -0,0 +1,785 @@
+/**
+ * test-router.js
+ *
+ * Purpose: Test script for the download routing engine.
+ * Role: Verifies rule matching, priority ordering, conflict detection and path
+ *       resolution in extension/lib/router.js without loading the extension in Chrome.
+ *
+ * Usage: node tests/test-router.js
+ *
+ * Exits with a non-zero status if any check fails.
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const router = require(path.join(__dirname, '..', 'extension', 'lib', 'router.js'));
+const { colors, log, test, finish } = require('./helpers');
+
+const groups = {
+  '3D Files': { extensions: 'stl,obj,3mf', folder: '3DPrinting', priority: 3.0, enabled: true },
+  'Documents': { extensions: 'pdf,docx', folder: 'Documents', priority: 3.0, enabled: true }
+};
+
+log('Path helpers', colors.cyan);
+
+test('buildRelativePath joins folder and filename', () => {
+  assert.strictEqual(router.buildRelativePath('3DPrinting', 'file.stl'), '3DPrinting/file.stl');
+  assert.strictEqual(router.buildRelativePath('3DPrinting\\models/', 'C:\\tmp\\file.stl'), '3DPrinting/models/file.stl');
+});
+
+test('buildRelativePath keeps Downloads root and strips invalid characters', () => {
+  assert.strictEqual(router.buildRelativePath('Downloads', 'file.stl'), 'file.stl');
+  assert.strictEqual(router.buildRelativePath('My<Files>', 'file.stl'), 'MyFiles/file.stl');
+  assert.strictEqual(router.buildRelativePath('../..', 'file.stl'), 'file.stl');
+});
+
+test('isAbsolutePath detects Unix and Windows paths', () => {
+  assert.strictEqual(router.isAbsolutePath('/home/user/Models'), true);
+  assert.strictEqual(router.isAbsolutePath('C:\\Users\\Models'), true);
+  assert.strictEqual(router.isAbsolutePath('Models'), false);
+});
+
+log('Domain matching', colors.cyan);
+
+test('matchesDomainRule matches exact domain and subdomains only', () => {
+  assert.strictEqual(router.matchesDomainRule('https://github.com/a.zip', 'github.com'), true);
+  assert.strictEqual(router.matchesDomainRule('https://api.github.com/a.zip', 'github.com'), true);
+  assert.strictEqual(router.matchesDomainRule('https://hub.com/a.zip', 'github.com'), false);
+});
+
+test('matchesDomainRule checks path prefixes case-insensitively', () => {
+  assert.strictEqual(router.matchesDomainRule('https://github.com/Owner/Repo/releases/x.zip', 'github.com/owner/repo'), true);
+  assert.strictEqual(router.matchesDomainRule('https://github.com/other/x.zip', 'github.com/owner/repo'), false);
+});
+
+test('resolveMatchUrl uses blob origin and referrer fallback', () => {
+  assert.deepStrictEqual(
+    router.resolveMatchUrl('blob:https://github.com/1234-5678'),
+    { domain: 'github.com', urlForMatching: 'https://github.com' }
+  );
+  assert.deepStrictEqual(
+    router.resolveMatchUrl('data:application/pdf;base64,AAAA', 'https://example.com/page'),
+    { domain: 'example.com', urlForMatching: 'https://example.com/page' }
+  );
+  assert.strictEqual(router.resolveMatchUrl('not a url').domain, 'unknown');
+});
+
+log('Domain patterns', colors.cyan);
+
+test('a leading *. matches subdomains but not the bare domain', () => {
+  assert.strictEqual(router.matchesDomainRule('https://img.cdn.example.com/a.png', '*.cdn.example.com'), true);
+  assert.strictEqual(router.matchesDomainRule('https://a.b.cdn.example.com/a.png', '*.cdn.example.com'), true);
+  assert.strictEqual(router.matchesDomainRule('https://cdn.example.com/a.png', '*.cdn.example.com'), false);
+});
+
+test('a * inside a label stays within that label', () => {
+  assert.strictEqual(router.matchesDomainRule('https://files-eu.example.org/a.zip', 'files-*.example.org'), true);
+  assert.strictEqual(router.matchesDomainRule('https://files-.example.org/a.zip', 'files-*.example.org'), true);
+  assert.strictEqual(router.matchesDomainRule('https://files-eu.x.example.org/a.zip', 'files-*.example.org'), false);
+  assert.strictEqual(router.matchesDomainRule('https://files-eu.example.org.evil.com/a.zip', 'files-*.example.org'), false);
+});
+
+test('exclusions veto a match on any of the download\'s URLs', () => {
+  const rule = 'github.com except gist.github.com';
+  assert.strictEqual(router.matchesDomainRule('https://github.com/a.zip', rule), true);
+  assert.strictEqual(router.matchesDomainRule('https://gist.github.com/a.zip', rule), false);
+  assert.strictEqual(router.matchesDomainRule('https://github.com/a.zip', 'github.com, !gist.github.com'), true);
+  assert.strictEqual(
+    router.matchesDomainRuleForUrls(['https://codeload.github.com/a.zip', 'https://gist.github.com/me'], rule),
+    false
+  );
+});
+
+test('a rule of only exclusions matches every other site', () => {
+  assert.strictEqual(router.matchesDomainRule('https://example.com/a.zip', '!ads.example.com'), true);
+  assert.strictEqual(router.matchesDomainRule('https://ads.example.com/a.zip', '!ads.example.com'), false);
+  assert.strictEqual(router.matchesDomainRule('not a url', '!ads.example.com'), false);
+});
+
+test('routeDownload applies domain patterns', () => {
+  const config = { rules: [{ type: 'domain', value: '*.cdn.example.com', folder: 'CDN', priority: 2.0 }], groups };
+  assert.strictEqual(
+    router.routeDownload({ url: 'https://eu.cdn.example.com/x.bin', filename: 'x.bin' }, config).resolvedPath,
+    'CDN/x.bin'
+  );
+  assert.strictEqual(
+    router.routeDownload({ url: 'https://cdn.example.com/x.bin', filename: 'x.bin' }, config).resolvedPath,
+    'x.bin'
+  );
+});
+
+test('validateDomainPattern reports malformed patterns', () => {
+  assert.strictEqual(router.validateDomainPattern('*.cdn.example.com, !ads.example.com'), null);
+  assert.strictEqual(router.validateDomainPattern('github.com/owner/repo except gist.github.com'), null);
+  assert.ok(router.validateDomainPattern(''));
+  assert.ok(router.validateDomainPattern('exa mple.com'));
+  assert.ok(router.validateDomainPattern('example..com'));
+  assert.ok(router.validateDomainPattern('**.example.com'));
+  assert.ok(router.validateDomainPattern('*'));
+  assert.strictEqual(router.validateRuleValue('domain', 'exa mple.com'), router.validateDomainPattern('exa mple.com'));
+  assert.strictEqual(router.validateRuleValue('regex', '('), router.validateFilenamePattern('regex', '('));
+});
+
+test('describeDomainPattern spells out wildcards and exclusions', () => {
+  assert.strictEqual(router.isDomainPattern('github.com'), false);
+  assert.strictEqual(router.isDomainPattern('*.cdn.example.com'), true);
+  assert.strictEqual(router.describeDomainPattern('*.cdn.example.com'), 'subdomains of cdn.example.com');
+  assert.strictEqual(router.describeDomainPattern('github.com except gist.github.com'), 'github.com except gist.github.com');
+  assert.strictEqual(router.describeDomainPattern('!ads.example.com'), 'any site except ads.example.com');
+});
+
+log('International and public-suffix domains', colors.cyan);
+
+test('Unicode rules match punycode URLs and vice versa', () => {
+  assert.strictEqual(router.normalizeDomain('https://www.xn--mnchen-3ya.de/plan.pdf'), 'münchen.de');
+  assert.strictEqual(router.matchesDomainRule('https://xn--mnchen-3ya.de/plan.pdf', 'münchen.de'), true);
+  assert.strictEqual(router.matchesDomainRule('https://münchen.de/plan.pdf', 'xn--mnchen-3ya.de'), true);
+  assert.strictEqual(router.matchesDomainRule('https://stadt.xn--mnchen-3ya.de/plan.pdf', '*.münchen.de'), true);
+});
+
+test('getRegistrableDomain follows the Public Suffix List', () => {
+  assert.strictEqual(router.getRegistrableDomain('https://news.bbc.co.uk/a.pdf'), 'bbc.co.uk');
+  assert.strictEqual(router.getRegistrableDomain('https://alice.github.io/x.zip'), 'alice.github.io');
+  assert.strictEqual(router.getRegistrableDomain('https://cdn.files.example.com/x.zip'), 'example.com');
+  assert.strictEqual(router.getRegistrableDomain('http://192.168.1.10/x.zip'), '192.168.1.10');
+});
+
+test('normalizeDomainRuleValue cleans single sites and keeps patterns', () => {
+  assert.strictEqual(router.normalizeDomainRuleValue('https://www.xn--mnchen-3ya.de/'), 'münchen.de');
+  assert.strictEqual(router.normalizeDomainRuleValue('HTTPS://GitHub.com/releases'), 'github.com/releases');
+  assert.strictEqual(router.normalizeDomainRuleValue('*.example.com, -ads.example.com'), '*.example.com, -ads.example.com');
+});
+
+log('Domain match scope', colors.cyan);
+
+const scopedDownload = {
+  url: 'https://codeload.github.com/owner/repo/zip/main',
+  finalUrl: 'https://objects.githubusercontent.com/abc/repo.zip',
+  referrer: 'https://news.ycombinator.com/item?id=1',
+  tabUrl: 'https://github.com/owner/repo',
+  filename: 'repo.zip'
+};
+
+function scopedRule(value, matchScope) {
+  return { type: 'domain', value, folder: 'Scoped', matchScope };
+}
+
+test('the "any" scope matches any of the download\'s URLs', () => {
+  ['github.com', 'githubusercontent.com', 'ycombinator.com'].forEach(value => {
+    const route = router.routeDownload(scopedDownload, { rules: [scopedRule(value, 'any')] });
+    assert.strictEqual(route.domainMatches.length, 1, value);
+  });
+});
+
+test('rules without a scope still match only the download URL, final URL and referrer', () => {
+  // Saved before match scopes existed: the tab and the source site must not pull them in
+  const download = {
+    url: 'https://objects.githubusercontent.com/abc/file.zip',
+    finalUrl: 'https://mirror.example.net/file.zip',
+    referrer: 'https://news.ycombinator.com/item?id=1',
+    tabUrl: 'https://forum.example.org/thread',
+    filename: 'file.zip'
+  };
+  const matches = value => router.routeDownload(download, { rules: [{ type: 'domain', value, folder: 'Legacy' }] }).domainMatches.length === 1;
+  assert.strictEqual(matches('githubusercontent.com'), true);
+  assert.strictEqual(matches('ycombinator.com'), true);
+  assert.strictEqual(matches('forum.example.org'), false, 'tab URL');
+  assert.strictEqual(matches('mirror.example.net'), true);
+  assert.strictEqual(matches('github.com'), false, 'source site');
+  assert.strictEqual(router.routeDownload(download, { rules: [scopedRule('forum.example.org', 'any')] }).domainMatches.length, 1);
+  assert.strictEqual(router.routeDownload(download, { rules: [scopedRule('github.com', 'any')] }).domainMatches.length, 1);
+});
+
+test('each scope only looks at its own URL', () => {
+  const matches = (value, scope) => router.routeDownload(scopedDownload, { rules: [scopedRule(value, scope)] }).domainMatches.length === 1;
+  assert.strictEqual(matches('codeload.github.com', 'download'), true);
+  assert.strictEqual(matches('ycombinator.com', 'download'), false);
+  assert.strictEqual(matches('githubusercontent.com', 'final'), true);
+  assert.strictEqual(matches('codeload.github.com', 'final'), false);
+  assert.strictEqual(matches('ycombinator.com', 'referrer'), true);
+  assert.strictEqual(matches('github.com/owner/repo', 'tab'), true);
+  assert.strictEqual(matches('ycombinator.com', 'tab'), false);
+});
+
+test('the final URL falls back to the download URL when there was no redirect', () => {
+  const urls = { download: 'https://example.com/a.zip', final: '', referrer: '', tab: '' };
+  assert.strictEqual(router.matchesDomainRuleInScope(scopedRule('example.com', 'final'), urls), true);
+});
+
+test('findRulesForDownload finds the rules the overlay offers, winning or not', () => {
+  const rules = [
+    { type: 'domain', value: 'github.com', folder: 'GitHub' },
+    { type: 'domain', value: 'codeload.github.com', folder: 'Code' },
+    { type: 'domain', value: 'gitlab.com', folder: 'GitLab' },
+    { type: 'contains', value: 'repo', folder: 'Off', enabled: false },
+    { type: 'glob', value: 'repo.*', folder: 'Repos' }
+  ];
+  const groups = { archives: { extensions: 'zip,rar', folder: 'Archives', enabled: true } };
+  const found = router.findRulesForDownload(rules, groups, {
+    ...scopedDownload, domain: 'codeload.github.com', extension: 'zip', mime: 'application/zip'
+  });
+  assert.strictEqual(found.domainRule.value, 'codeload.github.com', 'most specific site wins');
+  assert.strictEqual(found.filenameRule.value, 'repo.*', 'disabled rules are skipped');
+  assert.strictEqual(found.fileTypeMatch.groupName, 'archives');
+
+  const none = router.findRulesForDownload(rules, groups, { url: 'https://example.com/a.bin', filename: 'a.bin', extension: 'bin' });
+  assert.deepStrictEqual(none, { domainRule: null, filenameRule: null, fileTypeMatch: null });
+});
+
+test('getSuggestedSiteDomain offers the site a download is credited to', () => {
+  assert.strictEqual(router.getSuggestedSiteDomain({
+    sourceSite: { site: 'github.com' }, domain: 'objects.githubusercontent.com', tabUrl: 'https://news.ycombinator.com/'
+  }), 'github.com');
+  assert.strictEqual(router.getSuggestedSiteDomain({ domain: 'news.bbc.co.uk', tabUrl: 'https://example.com/' }), 'bbc.co.uk');
+  assert.strictEqual(router.getSuggestedSiteDomain({ tabUrl: 'https://www.xn--mnchen-3ya.de/plan' }), 'münchen.de');
+  assert.strictEqual(router.getSuggestedSiteDomain({}), '');
+});
+
+test('validateMatchScope accepts known scopes only', () => {
+  assert.strictEqual(router.validateMatchScope(undefined), null);
+  assert.strictEqual(router.validateMatchScope('referrer'), null);
+  assert.ok(router.validateMatchScope('page'));
+  assert.strictEqual(router.describeMatchScope('tab'), 'Tab URL only');
+  assert.strictEqual(router.describeMatchScope('any'), 'Any URL');
+  assert.strictEqual(router.describeMatchScope('default'), '');
+  assert.strictEqual(router.describeMatchScope(undefined), '');
+});
+
+log('URL patterns', colors.cyan);
+
+const exportPattern = 'tools.example.com/export?format=csv&project=:project';
+
+test('query parameters match in any order and capture values', () => {
+  assert.deepStrictEqual(
+    router.matchUrlPattern('https://tools.example.com/export?project=alpha&format=CSV&page=2', exportPattern),
+    { project: 'alpha' }
+  );
+  assert.strictEqual(router.matchUrlPattern('https://tools.example.com/export?format=xlsx&project=alpha', exportPattern), null);
+  assert.strictEqual(router.matchUrlPattern('https://tools.example.com/export?format=csv', exportPattern), null);
+  assert.deepStrictEqual(router.matchUrlPattern('https://tools.example.com/export?format=csv&project=', 'tools.example.com/export?project'), {});
+});
+
+test('paths must match whole; :name captures a segment and * anything', () => {
+  const pattern = 'git.example.com/:owner/:repo/archive/*';
+  assert.deepStrictEqual(
+    router.matchUrlPattern('https://git.example.com/acme/my%20repo/archive/refs/v2.zip', pattern),
+    { owner: 'acme', repo: 'my repo' }
+  );
+  assert.strictEqual(router.matchUrlPattern('https://git.example.com/acme/archive/v2.zip', pattern), null);
+  assert.strictEqual(router.matchUrlPattern('https://tools.example.com/export/old?format=csv&project=a', exportPattern), null);
+  assert.deepStrictEqual(router.matchUrlPattern('https://cdn.tools.example.com/x.zip', 'tools.example.com'), {});
+  assert.deepStrictEqual(router.matchUrlPattern('https://any.example.net/export?id=1', '*/export?id=:id'), { id: '1' });
+});
+
+test('captures fill the folder and rename of the winning URL rule', () => {
+  const config = {
+    rules: [
+      { type: 'url', value: exportPattern, folder: 'Exports/{project}/{yyyy}', rename: { template: '{project}-{original}' }, priority: 2.0 },
+      { type: 'domain', value: 'tools.example.com', folder: 'Tools', priority: 2.0 }
+    ],
+    groups
+  };
+  const route = router.routeDownload(
+    { url: 'https://tools.example.com/export?format=csv&project=al/pha', filename: 'export.csv', date: '2026-03-05T10:00:00Z' },
+    config
+  );
+  assert.strictEqual(route.finalRule.source, 'url', 'URL rules win same-priority ties against site rules');
+  assert.strictEqual(route.resolvedPath, 'Exports/al-pha/2026/al-pha-export.csv');
+  assert.deepStrictEqual(route.urlMatches[0].captures, { project: 'al/pha' });
+});
+
+test('validateUrlPattern reports malformed patterns and capture names', () => {
+  assert.strictEqual(router.validateUrlPattern(exportPattern), null);
+  assert.strictEqual(router.validateUrlPattern('https://git.example.com/:owner/*'), null);
+  assert.ok(router.validateUrlPattern(''));
+  assert.ok(router.validateUrlPattern('*'), 'a bare * matches everything');
+  assert.ok(router.validateUrlPattern('ftp://files.example.com/x'));
+  assert.ok(router.validateUrlPattern('!tools.example.com/export'));
+  assert.ok(router.validateUrlPattern('tools.example.com/:1/x'));
+  assert.ok(router.validateUrlPattern('tools.example.com/:domain'), 'captures cannot shadow folder variables');
+  assert.ok(router.validateUrlPattern('tools.example.com/:id?id=:id'));
+  assert.strictEqual(router.validateRuleValue('url', '*'), router.validateUrlPattern('*'));
+});
+
+test('URL rule folders and renames may use their captures', () => {
+  const rule = { type: 'url', value: exportPattern };
+  assert.deepStrictEqual(router.getUrlPatternVariables(exportPattern), ['project']);
+  assert.strictEqual(router.validatePathTemplate('Exports/{project}', router.getRuleTemplateVariables(rule)), null);
+  assert.ok(router.validatePathTemplate('Exports/{project}', router.getRuleTemplateVariables({ type: 'domain', value: 'x.com' })));
+  assert.strictEqual(router.validateRename({ template: '{project}-{original}' }, router.getRuleTemplateVariables(rule)), null);
+  assert.ok(router.validateRename({ template: '{project}-{original}' }));
+});
+
+log('Filename patterns', colors.cyan);
+
+test('glob patterns match the whole filename case-insensitively', () => {
+  const rule = { type: 'glob', value: 'invoice-*-2026.pdf' };
+  assert.strictEqual(router.matchesFilenameRule(rule, 'Invoice-march-2026.PDF'), true);
+  assert.strictEqual(router.matchesFilenameRule(rule, 'invoice-march-2026.pdf.bak'), false);
+  assert.strictEqual(router.matchesFilenameRule({ type: 'glob', value: 'IMG_????.{heic,jpg}' }, 'img_1234.jpg'), true);
+  assert.strictEqual(router.matchesFilenameRule({ type: 'glob', value: 'scan[0-9].pdf' }, 'scan7.pdf'), true);
+  assert.strictEqual(router.matchesFilenameRule({ type: 'glob', value: 'scan[!0-9].pdf' }, 'scan7.pdf'), false);
+});
+
+test('regex rules accept bare patterns and /pattern/flags literals', () => {
+  assert.strictEqual(router.matchesFilenameRule({ type: 'regex', value: '/^IMG_\\d{4}\\.(heic|jpg)$/i' }, 'img_0042.HEIC'), true);
+  assert.strictEqual(router.matchesFilenameRule({ type: 'regex', value: '/^IMG_\\d{4}/' }, 'img_0042.jpg'), false);
+  assert.strictEqual(router.matchesFilenameRule({ type: 'regex', value: 'report' }, 'Q1-Report.xlsx'), true);
+});
+
+test('validateFilenamePattern reports invalid patterns', () => {
+  assert.strictEqual(router.validateFilenamePattern('regex', '^IMG_\\d+$'), null);
+  assert.ok(router.validateFilenamePattern('regex', '(unclosed'));
+  assert.ok(router.validateFilenamePattern('regex', '/abc/q'));
+  assert.ok(router.validateFilenamePattern('glob', 'scan[0-9.pdf'));
+  assert.ok(router.validateFilenamePattern('glob', '   '));
+  assert.strictEqual(router.validateFilenamePattern('contains', '(anything'), null);
+});
+
+test('invalid stored patterns never match', () => {
+  assert.strictEqual(router.matchesFilenameRule({ type: 'regex', value: '(unclosed' }, '(unclosed'), false);
+});
+
+log('Routing', colors.cyan);
+
+test('routes by file type group when no rules match', () => {
+  const route = router.routeDownload(
+    { url: 'https://example.com/files/model.STL', filename: 'model.STL' },
+    { rules: [], groups }
+  );
+  assert.strictEqual(route.extension, 'stl');
+  assert.strictEqual(route.finalRule.groupName, '3D Files');
+  assert.strictEqual(route.resolvedPath, '3DPrinting/model.STL');
+  assert.strictEqual(route.needsMove, false);
+});
+
+test('falls back to default folder when nothing matches', () => {
+  const route = router.routeDownload(
+    { url: 'https://example.com/a.xyz', filename: 'a.xyz' },
+    { rules: [], groups, defaultFolder: 'Misc' }
+  );
+  assert.strictEqual(route.finalRule.source, 'default');
+  assert.strictEqual(route.resolvedPath, 'Misc/a.xyz');
+});
+
+test('domain rule beats file type group by priority', () => {
+  const route = router.routeDownload(
+    { url: 'https://www.printables.com/model/1/model.stl', filename: 'model.stl' },
+    { rules: [{ type: 'domain', value: 'printables.com', folder: 'Printables', priority: 2.0 }], groups }
+  );
+  assert.strictEqual(route.finalRule.source, 'domain');
+  assert.strictEqual(route.resolvedPath, 'Printables/model.stl');
+  assert.strictEqual(route.matches.length, 2);
+});
+
+test('disabled rules and groups are ignored', () => {
+  const route = router.routeDownload(
+    { url: 'https://printables.com/model.stl', filename: 'model.stl' },
+    {
+      rules: [{ type: 'domain', value: 'printables.com', folder: 'Printables', enabled: false }],
+      groups: { '3D Files': { ...groups['3D Files'], enabled: false } }
+    }
+  );
+  assert.strictEqual(route.matches.length, 0);
+  assert.strictEqual(route.resolvedPath, 'model.stl');
+});
+
+test('contains rules match any comma-separated phrase', () => {
+  const route = router.routeDownload(
+    { url: 'https://example.com/Invoice-2024.pdf', filename: 'Invoice-2024.pdf' },
+    { rules: [{ type: 'contains', value: 'receipt, invoice', folder: 'Finance', priority: 1.0 }], groups }
+  );
+  assert.strictEqual(route.finalRule.source, 'contains');
+  assert.strictEqual(route.resolvedPath, 'Finance/Invoice-2024.pdf');
+});
+
+test('glob and regex rules route and are tagged with their type', () => {
+  const route = router.routeDownload(
+    { url: 'https://example.com/IMG_2041.heic', filename: 'IMG_2041.heic' },
+    {
+      rules: [
+        { type: 'regex', value: '/^IMG_\\d{4}\\.(heic|jpg)$/i', folder: 'Photos', priority: 1.5 },
+        { type: 'glob', value: '*.heic', folder: 'HEIC', priority: 2.0 }
+      ]
+    }
+  );
+  assert.deepStrictEqual(route.filenameMatches.map(m => m.source), ['regex', 'glob']);
+  assert.strictEqual(route.resolvedPath, 'Photos/IMG_2041.heic');
+});
+
+test('overrideDomainRules boosts a group above domain rules', () => {
+  const route = router.routeDownload(
+    { url: 'https://github.com/x/model.stl', filename: 'model.stl' },
+    {
+      rules: [{ type: 'domain', value: 'github.com', folder: 'GitHub', priority: 2.0 }],
+      groups: { '3D Files': { ...groups['3D Files'], overrideDomainRules: true } }
+    }
+  );
+  assert.strictEqual(route.finalRule.source, 'filetype');
+  assert.ok(Math.abs(route.finalRule.priority - 1.9) < 0.0001);
+  assert.strictEqual(route.finalRule.boostedFrom, 3.0);
+});
+
+test('same priority ties break domain > contains > filetype in auto mode', () => {
+  const sorted = router.sortMatches([
+    { source: 'filetype', priority: 2.0 },
+    { source: 'contains', priority: 2.0 },
+    { source: 'domain', priority: 2.0 }
+  ]);
+  assert.deepStrictEqual(sorted.map(m => m.source), ['domain', 'contains', 'filetype']);
+});
+
+test('ask mode leaves the choice to the user on same-priority conflicts', () => {
+  const route = router.routeDownload(
+    { url: 'https://github.com/x/report.pdf', filename: 'report.pdf' },
+    {
+      rules: [
+        { type: 'domain', value: 'github.com', folder: 'GitHub', priority: 2.0 },
+        { type: 'contains', value: 'report', folder: 'Reports', priority: 2.0 }
+      ],
+      groups,
+      conflictResolution: 'ask'
+    }
+  );
+  assert.strictEqual(route.finalRule, null);
+  assert.strictEqual(route.conflictRules.length, 2);
+  assert.strictEqual(route.resolvedPath, 'GitHub/report.pdf');
+});
+
+test('absolute folders download to root and are flagged for a move', () => {
+  const route = router.routeDownload(
+    { url: 'https://github.com/x/a.zip', filename: 'a.zip' },
+    { rules: [{ type: 'domain', value: 'github.com', folder: '/home/user/GitHub' }] }
+  );
+  assert.strictEqual(route.resolvedPath, 'a.zip');
+  assert.strictEqual(route.needsMove, true);
+  assert.strictEqual(route.absoluteDestination, '/home/user/GitHub');
+});
+
+log('MIME type routing', colors.cyan);
+
+test('groups match on MIME type when no group has the extension', () => {
+  const mimeGroups = { ...groups, 'Images': { extensions: 'png,jpg', mimeTypes: 'image/*', folder: 'Images' } };
+  const route = router.routeDownload(
+    { url: 'https://example.com/get?id=42', filename: 'get', mime: 'image/webp' },
+    { groups: mimeGroups }
+  );
+  assert.strictEqual(route.finalRule.groupName, 'Images');
+  assert.strictEqual(route.finalRule.matchedMime, 'image/webp');
+  assert.strictEqual(route.resolvedPath, 'Images/get');
+});
+
+test('a known extension wins over a conflicting MIME type', () => {
+  const mimeGroups = { ...groups, 'Images': { extensions: 'png', mimeTypes: 'image/*', folder: 'Images' } };
+  const route = router.routeDownload(
+    { url: 'https://example.com/model.stl', filename: 'model.stl', mime: 'image/png' },
+    { groups: mimeGroups }
+  );
+  assert.deepStrictEqual(route.fileTypeMatches.map(match => match.groupName), ['3D Files']);
+  assert.strictEqual(route.finalRule.matchedMime, undefined);
+});
+
+test('default groups use the built-in MIME table unless they set their own', () => {
+  const defaults = { documents: { extensions: 'pdf', folder: 'Documents' } };
+  const download = { url: 'https://example.com/download.php', filename: 'download.php', mime: 'application/pdf; charset=binary' };
+  assert.strictEqual(router.routeDownload(download, { groups: defaults }).finalRule.groupName, 'documents');
+  // An empty list turns MIME matching off for the group
+  defaults.documents.mimeTypes = '';
+  assert.strictEqual(router.routeDownload(download, { groups: defaults }).finalRule.source, 'default');
+  // Groups named differently have no built-in list
+  assert.strictEqual(router.routeDownload(download, { groups }).finalRule.source, 'default');
+});
+
+test('validateMimePatterns accepts type/subtype and wildcards only', () => {
+  assert.strictEqual(router.validateMimePatterns('application/pdf, image/*, */*'), null);
+  assert.strictEqual(router.validateMimePatterns(''), null);
+  assert.match(router.validateMimePatterns('image/*, pdf'), /pdf/);
+});
+
+log('Multi-part extensions', colors.cyan);
+
+test('getFileExtensions lists multi-part extensions longest first', () => {
+  assert.deepStrictEqual(router.getFileExtensions('backup.tar.gz'), ['tar.gz', 'gz']);
+  assert.deepStrictEqual(router.getFileExtensions('Script.User.JS'), ['user.js', 'js']);
+  assert.deepStrictEqual(router.getFileExtensions('scene.blend1'), ['blend1']);
+  assert.deepStrictEqual(router.getFileExtensions('quarterly-report.final.pdf'), ['final.pdf', 'pdf']);
+  assert.deepStrictEqual(router.getFileExtensions('holiday.photos.jpg'), ['jpg']);
+  assert.strictEqual(router.getFileExtension('backup.tar.gz'), 'gz');
+  assert.strictEqual(router.getFileExtension('backup.tar.gz', ['tar.gz', 'gz']), 'tar.gz');
+});
+
+test('the group listing the longest extension wins without a conflict', () => {
+  const multiGroups = { ...groups, 'Archives': { extensions: 'zip,gz', folder: 'Archives' }, 'Backups': { extensions: '.tar.gz', folder: 'Backups' } };
+  const route = router.routeDownload({ url: 'https://example.com/backup.tar.gz', filename: 'backup.tar.gz' }, { groups: multiGroups, conflictResolution: 'ask' });
+  assert.strictEqual(route.extension, 'tar.gz');
+  assert.deepStrictEqual(route.fileTypeMatches.map(match => match.groupName), ['Backups']);
+  assert.strictEqual(route.resolvedPath, 'Backups/backup.tar.gz');
+
+  // Without a tar.gz group the file is still an archive
+  delete multiGroups.Backups;
+  const fallback = router.routeDownload({ url: 'https://example.com/backup.tar.gz', filename: 'backup.tar.gz' }, { groups: multiGroups });
+  assert.strictEqual(fallback.extension, 'gz');
+  assert.strictEqual(fallback.finalRule.groupName, 'Archives');
+});
+
+test('extension conditions match any of the name\'s extensions', () => {
+  const rule = (value) => ({ type: 'compound', conditions: { match: 'all', conditions: [{ field: 'extension', operator: 'is', value }] }, folder: 'Scripts' });
+  const download = { url: 'https://example.com/tool.user.js', filename: 'tool.user.js' };
+  assert.strictEqual(router.routeDownload(download, { rules: [rule('user.js')] }).finalRule.source, 'compound');
+  assert.strictEqual(router.routeDownload(download, { rules: [rule('js')] }).finalRule.source, 'compound');
+  assert.strictEqual(router.routeDownload(download, { rules: [rule('ts')] }).finalRule.source, 'default');
+});
+
+test('{name} and renames keep the whole multi-part extension', () => {
+  const backups = { 'Backups': { extensions: 'tar.gz', folder: 'Backups/{name}' } };
+  const route = router.routeDownload({ url: 'https://example.com/site.tar.gz', filename: 'site.tar.gz' }, { groups: backups });
+  assert.strictEqual(route.templateValues.name, 'site');
+  assert.strictEqual(route.resolvedPath, 'Backups/site/site.tar.gz');
+  const values = router.buildPathTemplateValues({ filename: 'site.tar.gz', extension: 'tar.gz' });
+  assert.strictEqual(router.rewriteFilename('site.tar.gz', { template: '{original}-backup' }, values), 'site-backup.tar.gz');
+});
+
+log('Folder templates', colors.cyan);
+
+const templateValues = router.buildPathTemplateValues({
+  domain: 'github.com',
+  extension: 'pdf',
+  filename: 'downloads/invoice.final.pdf',
+  referrerTitle: 'Release v1.2: owner/repo',
+  date: new Date(2026, 2, 5, 10, 30)
+});
+
+test('buildPathTemplateValues derives date parts and the base name', () => {
+  assert.strictEqual(templateValues.date, '2026-03-05');
+  assert.strictEqual(templateValues.yyyy, '2026');
+  assert.strictEqual(templateValues.mm, '03');
+  assert.strictEqual(templateValues.dd, '05');
+  assert.strictEqual(templateValues.name, 'invoice.final');
+  assert.strictEqual(templateValues.ext, 'pdf');
+});
+
+test('expandPathTemplate fills in variables and leaves plain folders alone', () => {
+  assert.strictEqual(router.expandPathTemplate('Receipts/{yyyy}/{mm}', templateValues), 'Receipts/2026/03');
+  assert.strictEqual(router.expandPathTemplate('Sites/{domain}/{ext}', templateValues), 'Sites/github.com/pdf');
+  assert.strictEqual(router.expandPathTemplate('Plain/Folder', templateValues), 'Plain/Folder');
+  assert.strictEqual(router.expandPathTemplate('Keep/{unknown}', templateValues), 'Keep/{unknown}');
+});
+
+test('variable values are sanitized and cannot add path segments', () => {
+  assert.strictEqual(router.expandPathTemplate('{referrerTitle}', templateValues), 'Release v1.2 owner-repo');
+  const hostile = router.buildPathTemplateValues({ referrerTitle: '../../etc/<passwd>' });
+  assert.strictEqual(router.expandPathTemplate('Pages/{referrerTitle}', hostile), 'Pages/--etc-passwd');
+  assert.strictEqual(router.expandPathTemplate('Pages/{referrerTitle}', router.buildPathTemplateValues({})), 'Pages/unknown');
+});
+
+test('validatePathTemplate reports unknown variables', () => {
+  assert.strictEqual(router.validatePathTemplate('Receipts/{yyyy}/{MM}'), null);
+  assert.ok(router.validatePathTemplate('Receipts/{year}'));
+  assert.strictEqual(router.validatePathTemplate(''), null);
+});
+
+test('routeDownload expands templates for relative and absolute folders', () => {
+  const download = { url: 'https://github.com/x/a.zip', filename: 'a.zip', date: '2026-10-19T12:00:00', referrerTitle: 'Repo' };
+  const relative = router.routeDownload(download, {
+    rules: [{ type: 'domain', value: 'github.com', folder: 'Code/{domain}/{yyyy}-{mm}' }]
+  });
+  assert.strictEqual(relative.resolvedPath, 'Code/github.com/2026-10/a.zip');
+
+  const absolute = router.routeDownload(download, {
+    rules: [{ type: 'domain', value: 'github.com', folder: '/home/user/{referrerTitle}' }]
+  });
+  assert.strictEqual(absolute.needsMove, true);
+  assert.strictEqual(absolute.absoluteDestination, '/home/user/Repo');
+});
+
+log('Filename rewriting', colors.cyan);
+
+test('find/replace strips browser duplicate suffixes and supports capture groups', () => {
+  assert.strictEqual(router.rewriteFilename('download (3).pdf', { find: '\\s*\\(\\d+\\)$' }, templateValues), 'download.pdf');
+  assert.strictEqual(
+    router.rewriteFilename('IMG_0042.JPG', { find: '/^IMG_(\\d+)$/', replace: 'photo-$1', case: 'lower' }, templateValues),
+    'photo-0042.jpg'
+  );
+});
+
+test('templates combine {original} with folder variables and keep the extension', () => {
+  assert.strictEqual(
+    router.rewriteFilename('file_8a7f2c.zip', { template: '{date}-{domain}-{original}' }, templateValues),
+    '2026-03-05-github.com-file_8a7f2c.zip'
+  );
+  assert.strictEqual(router.rewriteFilename('notes.txt', { template: '{referrerTitle}' }, templateValues), 'Release v1.2 owner-repo.txt');
+});
+
+test('case options and illegal character stripping', () => {
+  assert.strictEqual(router.rewriteFilename('my annual-report.PDF', { case: 'title' }, templateValues), 'My Annual-Report.pdf');
+  assert.strictEqual(router.rewriteFilename('a.pdf', { case: 'upper' }, templateValues), 'A.PDF');
+  assert.strictEqual(router.rewriteFilename('a.pdf', { template: 'Q1: <draft>?' }, templateValues), 'Q1 draft.pdf');
+  assert.strictEqual(router.rewriteFilename('report.pdf', { find: '.*' }, templateValues), 'report.pdf');
+});
+
+test('validateRename rejects bad patterns and unknown variables', () => {
+  assert.strictEqual(router.validateRename(null), null);
+  assert.strictEqual(router.validateRename({ template: '{original}-{yyyy}' }), null);
+  assert.ok(router.validateRename({ find: '(' }));
+  assert.ok(router.validateRename({ template: '{nope}' }));
+  assert.ok(router.validateRename({ case: 'sideways' }));
+});
+
+test('the winning rule renames the file in the resolved path', () => {
+  const route = router.routeDownload(
+    { url: 'https://example.com/download (3).pdf', filename: 'download (3).pdf' },
+    { rules: [{ type: 'glob', value: 'download*', folder: 'Inbox', rename: { find: '\\s*\\(\\d+\\)$' } }] }
+  );
+  assert.strictEqual(route.filename, 'download (3).pdf');
+  assert.strictEqual(route.newFilename, 'download.pdf');
+  assert.strictEqual(route.resolvedPath, 'Inbox/download.pdf');
+});
+
+log('Compound rules', colors.cyan);
+
+const arxivPdfRule = {
+  type: 'compound',
+  conditions: {
+    match: 'all',
+    conditions: [
+      { field: 'domain', operator: 'is', value: 'arxiv.org' },
+      { field: 'extension', operator: 'is', value: 'pdf' }
+    ]
+  },
+  folder: 'Papers',
+  priority: 2.0
+};
+
+test('compound AND rule needs every condition', () => {
+  const hit = router.routeDownload(
+    { url: 'https://arxiv.org/pdf/2401.00001.pdf', filename: '2401.00001.pdf' },
+    { rules: [arxivPdfRule], groups }
+  );
+  assert.strictEqual(hit.finalRule.source, 'compound');
+  assert.strictEqual(hit.resolvedPath, 'Papers/2401.00001.pdf');
+
+  const miss = router.routeDownload(
+    { url: 'https://arxiv.org/src/2401.00001.tar', filename: '2401.00001.tar' },
+    { rules: [arxivPdfRule], groups }
+  );
+  assert.strictEqual(miss.compoundMatches.length, 0);
+});
+
+test('compound OR groups nest inside AND groups', () => {
+  const conditions = {
+    match: 'all',
+    conditions: [
+      { field: 'size', operator: 'gt', value: '100' },
+      { match: 'any', conditions: [
+        { field: 'extension', operator: 'is', value: 'mkv, mp4' },
+        { field: 'mime', operator: 'is', value: 'video/*' }
+      ] }
+    ]
+  };
+  const context = { url: 'https://example.com/a.bin', filename: 'a.bin', extension: 'bin', mime: 'video/webm', fileSize: 200 * 1024 * 1024 };
+  assert.strictEqual(router.evaluateCondition(conditions, context), true);
+  assert.strictEqual(router.evaluateCondition(conditions, { ...context, fileSize: 50 * 1024 * 1024 }), false);
+  assert.strictEqual(router.evaluateCondition(conditions, { ...context, mime: 'application/octet-stream' }), false);
+});
+
+test('MIME patterns support wildcards and ignore parameters', () => {
+  assert.strictEqual(router.matchesMimePattern('application/pdf; charset=binary', 'application/pdf'), true);
+  assert.strictEqual(router.matchesMimePattern('image/png', 'text/*, image/*'), true);
+  assert.strictEqual(router.matchesMimePattern('', '*/*'), false);
+});
+
+test('size conditions never match an unknown size', () => {
+  const rule = {
+    type: 'compound',
+    conditions: { match: 'all', conditions: [{ field: 'size', operator: 'lt', value: '10' }] },
+    folder: 'Small'
+  };
+  const route = router.routeDownload({ url: 'https://example.com/a.zip', filename: 'a.zip' }, { rules: [rule] });
+  assert.strictEqual(route.compoundMatches.length, 0);
+});
+
+test('empty groups never match', () => {
+  assert.strictEqual(router.evaluateCondition({ match: 'all', conditions: [] }, { filename: 'a.pdf' }), false);
+});
+
+test('validateConditions rejects incomplete or invalid trees', () => {
+  assert.strictEqual(router.validateConditions(arxivPdfRule.conditions), null);
+  assert.ok(router.validateConditions({ match: 'all', conditions: [] }));
+  assert.ok(router.validateConditions({ match: 'all', conditions: [{ field: 'domain', operator: 'is', value: ' ' }] }));
+  assert.ok(router.validateConditions({ match: 'all', conditions: [{ field: 'size', operator: 'is', value: '5' }] }));
+  assert.ok(router.validateConditions({ match: 'all', conditions: [{ field: 'filename', operator: 'regex', value: '(' }] }));
+  const leaf = { field: 'extension', operator: 'is', value: 'pdf' };
+  const tooDeep = { match: 'all', conditions: [{ match: 'any', conditions: [{ match: 'all', conditions: [{ match: 'any', conditions: [leaf] }] }] }] };
+  assert.ok(router.validateConditions(tooDeep));
+});
+
+test('describeConditions summarises the tree', () => {
+  assert.strictEqual(router.describeConditions(arxivPdfRule.conditions), 'domain is arxiv.org AND extension is pdf');
+  assert.strictEqual(
+    router.describeConditions({ match: 'all', conditions: [
+      { field: 'size', operator: 'gt', value: '100' },
+      { match: 'any', conditions: [{ field: 'extension', operator: 'is', value: 'mkv' }, { field: 'mime', operator: 'is', value: 'video/*' }] }
+    ] }),
+    'size > 100 MB AND (extension is mkv OR mime is video/*)'
+  );
+});
+
+test('compound rules win same-priority ties against domain rules', () => {
+  const route = router.routeDownload(
+    { url: 'https://arxiv.org/pdf/1.pdf', filename: '1.pdf' },
+    { rules: [{ type: 'domain', value: 'arxiv.org', folder: 'arXiv', priority: 2.0 }, arxivPdfRule], groups }
+  );
+  assert.strictEqual(route.finalRule.source, 'compound');
+  assert.strictEqual(route.resolvedPath, 'Papers/1.pdf');
+});
+
+log('Tab context conditions', colors.cyan);
+
+const clientTab = { title: 'Invoices – Client A portal', groupTitle: 'Client A', groupColor: 'blue', windowType: 'normal', incognito: false };
+
+test('tab group conditions match the group title, ignoring case', () => {
+  const rule = {
+    type: 'compound',
+    conditions: { match: 'all', conditions: [{ field: 'tabGroup', operator: 'is', value: 'client a' }] },
+    folder: 'Clients/A'
+  };
+  const download = { url: 'https://billing.example.com/inv-7.pdf', filename: 'inv-7.pdf' };
+  const hit = router.routeDownload({ ...download, tabContext: clientTab }, { rules: [rule], groups });
+  assert.strictEqual(hit.resolvedPath, 'Clients/A/inv-7.pdf');
+  // Ungrouped tabs and downloads without a known tab never match
+  assert.strictEqual(router.routeDownload({ ...download, tabContext: { ...clientTab, groupTitle: '' } }, { rules: [rule] }).compoundMatches.length, 0);
+  assert.strictEqual(router.routeDownload(download, { rules: [rule] }).compoundMatches.length, 0);
+});
+
+test('group color, window and page title conditions', () => {
+  const leaf = (field, operator, value) => ({ match: 'all', conditions: [{ field, operator, value }] });
+  const context = { tab: clientTab };
+  assert.strictEqual(router.evaluateCondition(leaf('tabGroup', 'contains', 'client'), context), true);
+  assert.strictEqual(router.evaluateCondition(leaf('tabGroupColor', 'is', 'blue'), context), true);
+  assert.strictEqual(router.evaluateCondition(leaf('tabGroupColor', 'is', 'red'), context), false);
+  assert.strictEqual(router.evaluateCondition(leaf('window', 'is', 'normal'), context), true);
+  assert.strictEqual(router.evaluateCondition(leaf('window', 'is', 'incognito'), { tab: { ...clientTab, incognito: true } }), true);
+  assert.strictEqual(router.evaluateCondition(leaf('window', 'is', 'normal'), { tab: {} }), false);
+  assert.strictEqual(router.evaluateCondition(leaf('pageTitle', 'contains', 'invoices'), context), true);
+  assert.strictEqual(router.evaluateCondition(leaf('pageTitle', 'glob', '*client a*'), context), true);
+  assert.strictEqual(router.evaluateCondition(leaf('pageTitle', 'regex', '^Thesis'), context), false);
+});
+
+test('tab context conditions validate their values and read naturally', () => {
+  const conditions = (field, operator, value) => ({ match: 'all', conditions: [{ field, operator, value }] });
+  assert.strictEqual(router.validateConditions(conditions('tabGroupColor', 'is', 'purple')), null);
+  assert.ok(router.validateConditions(conditions('tabGroupColor', 'is', 'magenta')));
+  assert.ok(router.validateConditions(conditions('window', 'is', 'tiny')));
+  assert.ok(router.validateConditions(conditions('pageTitle', 'regex', '(')));
+  assert.ok(router.validateConditions(conditions('tabGroup', 'glob', 'Client*')));
+  assert.strictEqual(
+    router.describeConditions({ match: 'any', conditions: [
+      { field: 'tabGroup', operator: 'is', value: 'Thesis' },
+      { field: 'pageTitle', operator: 'contains', value: 'thesis' }
+    ] }),
+    'tab group is Thesis OR page title contains thesis'
+  );
+});
+
+finish();
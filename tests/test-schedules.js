@@ -0,0 +1,113 @@
+/**
+ * test-schedules.js
+ *
+ * Purpose: Test script for rule and file type schedules (active hours, days, expiry dates).
+ * Role: Verifies that extension/lib/schedules.js validates, evaluates and describes
+ *       schedules, and that the router leaves rules and groups outside their schedule out
+ *       of routing at the download's start time.
+ *
+ * Usage: node tests/test-schedules.js
+ *
+ * Exits with a non-zero status if any check fails.
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const schedules = require(path.join(__dirname, '..', 'extension', 'lib', 'schedules.js'));
+const router = require(path.join(__dirname, '..', 'extension', 'lib', 'router.js'));
+const configTransfer = require(path.join(__dirname, '..', 'extension', 'lib', 'config-transfer.js'));
+const { colors, log, test, finish } = require('./helpers');
+
+// Local times (schedules use the browser's time zone): 2026-10-19 is a Monday
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+const MONDAY = 19;
+const FRIDAY = 23;
+const SATURDAY = 24;
+
+const workHours = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+
+log('Schedules', colors.cyan);
+
+test('work hours hold on weekdays between start and end', () => {
+  assert.strictEqual(schedules.isScheduleActive(workHours, at(MONDAY, 9, 0)), true);
+  assert.strictEqual(schedules.isScheduleActive(workHours, at(FRIDAY, 16, 59)), true);
+  assert.strictEqual(schedules.isScheduleActive(workHours, at(MONDAY, 17, 0)), false);
+  assert.strictEqual(schedules.isScheduleActive(workHours, at(MONDAY, 8, 59)), false);
+  assert.strictEqual(schedules.isScheduleActive(workHours, at(SATURDAY, 12, 0)), false);
+  assert.strictEqual(schedules.isScheduleActive(undefined, at(SATURDAY, 3, 0)), true);
+  assert.strictEqual(schedules.isScheduleActive({}, at(SATURDAY, 3, 0)), true);
+});
+
+test('overnight windows belong to the day they open', () => {
+  const fridayNights = { days: [5], start: '22:00', end: '06:00' };
+  assert.strictEqual(schedules.isScheduleActive(fridayNights, at(FRIDAY, 23, 0)), true);
+  assert.strictEqual(schedules.isScheduleActive(fridayNights, at(SATURDAY, 3, 0)), true);
+  assert.strictEqual(schedules.isScheduleActive(fridayNights, at(SATURDAY, 23, 0)), false);
+  assert.strictEqual(schedules.isScheduleActive(fridayNights, at(FRIDAY, 3, 0)), false);
+});
+
+test('rules expire when their last day ends', () => {
+  const project = { until: '2026-10-23' };
+  assert.strictEqual(schedules.isScheduleActive(project, at(FRIDAY, 23, 59)), true);
+  assert.strictEqual(schedules.isScheduleActive(project, at(SATURDAY, 0, 0)), false);
+  assert.strictEqual(schedules.getScheduleStatus(project, at(SATURDAY, 0, 0)), 'expired');
+  assert.strictEqual(schedules.getScheduleStatus(workHours, at(SATURDAY, 12, 0)), 'inactive');
+  assert.strictEqual(schedules.getScheduleStatus(workHours, at(MONDAY, 12, 0)), 'active');
+  assert.strictEqual(schedules.getScheduleStatus(undefined), 'always');
+});
+
+test('invalid schedules are rejected with a reason', () => {
+  assert.strictEqual(schedules.validateSchedule(workHours), null);
+  assert.strictEqual(schedules.validateSchedule(undefined), null);
+  assert.ok(schedules.validateSchedule({ days: [7] }));
+  assert.ok(schedules.validateSchedule({ days: 'weekdays' }));
+  assert.ok(schedules.validateSchedule({ start: '09:00' }));
+  assert.ok(schedules.validateSchedule({ start: '9am', end: '17:00' }));
+  assert.ok(schedules.validateSchedule({ start: '09:00', end: '09:00' }));
+  assert.ok(schedules.validateSchedule({ until: '2026-02-30' }));
+});
+
+test('schedules are described in words', () => {
+  assert.strictEqual(schedules.describeSchedule(workHours), 'Mon–Fri 09:00–17:00');
+  assert.strictEqual(schedules.describeSchedule({ days: [0, 6], until: '2026-12-31' }), 'Sat, Sun, until 2026-12-31');
+  assert.strictEqual(schedules.describeSchedule({ days: [1, 3, 4, 5], start: '18:00', end: '08:00' }), 'Mon, Wed–Fri 18:00–08:00');
+  assert.strictEqual(schedules.describeSchedule(undefined), '');
+});
+
+log('Routing with schedules', colors.cyan);
+
+test('rules and groups only route while their schedule is active', () => {
+  const config = {
+    rules: [
+      { type: 'domain', value: 'intranet.example.com', folder: '/Volumes/WorkNAS/Inbox', schedule: workHours },
+      { type: 'domain', value: 'intranet.example.com', folder: 'Personal', priority: 3 }
+    ],
+    groups: {
+      invoices: { extensions: 'pdf', folder: 'Invoices', schedule: { until: '2026-10-23' } }
+    }
+  };
+  const download = (date) => ({ url: 'https://intranet.example.com/files/report.pdf', filename: 'report.pdf', date: date.toISOString() });
+
+  const working = router.routeDownload(download(at(MONDAY, 10)), config);
+  assert.strictEqual(working.absoluteDestination, '/Volumes/WorkNAS/Inbox');
+
+  const evening = router.routeDownload(download(at(MONDAY, 20)), config);
+  assert.strictEqual(evening.resolvedPath, 'Personal/report.pdf');
+  assert.ok(evening.fileTypeMatches.some(match => match.groupName === 'invoices'));
+
+  const weekend = router.routeDownload(download(at(SATURDAY, 10)), config);
+  assert.strictEqual(weekend.resolvedPath, 'Personal/report.pdf');
+  assert.strictEqual(weekend.fileTypeMatches.length, 0);
+});
+
+test('imports validate rule and group schedules', () => {
+  const importErrors = (rules, groups = {}) =>
+    configTransfer.parseImportDocument(JSON.stringify(configTransfer.buildExportDocument({ rules, groups }))).errors;
+  const rule = { type: 'domain', value: 'example.com', folder: 'Example' };
+  assert.deepStrictEqual(importErrors([{ ...rule, schedule: workHours }]), []);
+  assert.strictEqual(importErrors([{ ...rule, schedule: { start: '25:00', end: '26:00' } }]).length, 1);
+  assert.strictEqual(importErrors([], { docs: { extensions: 'pdf', folder: 'Docs', schedule: { days: [9] } } }).length, 1);
+});
+
+finish();
@@ -0,0 +1,140 @@
+/**
+ * test-site-adapters.js
+ *
+ * Purpose: Test script for site adapters (suggested folders for well-known sites).
+ * Role: Verifies that extension/lib/site-adapters.js recognizes GitHub release assets,
+ *       Printables model files and arXiv papers, and that the router offers their suggested
+ *       folder with every route but only files downloads there for rules that opt in.
+ *
+ * Usage: node tests/test-site-adapters.js
+ *
+ * Exits with a non-zero status if any check fails.
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const siteAdapters = require(path.join(__dirname, '..', 'extension', 'lib', 'site-adapters.js'));
+const router = require(path.join(__dirname, '..', 'extension', 'lib', 'router.js'));
+const { colors, log, test, finish } = require('./helpers');
+
+const releaseUrl = 'https://github.com/acme/widget/releases/download/v2.1.0/widget-linux-x64.tar.gz';
+
+log('Recognizing downloads', colors.cyan);
+
+test('GitHub release assets and tag archives name owner, repo and tag', () => {
+  const release = siteAdapters.matchSiteAdapter({
+    url: releaseUrl,
+    finalUrl: 'https://objects.githubusercontent.com/github-production-release-asset/123?response-content-disposition=x'
+  });
+  assert.strictEqual(release.adapter.id, 'github-release');
+  assert.deepStrictEqual(release.values, { owner: 'acme', repo: 'widget', tag: 'v2.1.0' });
+
+  const archive = siteAdapters.matchSiteAdapter({ url: 'https://github.com/acme/widget/archive/refs/tags/v2.1.0.tar.gz' });
+  assert.deepStrictEqual(archive.values, { owner: 'acme', repo: 'widget', tag: 'v2.1.0' });
+
+  assert.strictEqual(siteAdapters.matchSiteAdapter({ url: 'https://github.com/acme/widget/raw/main/README.md' }), null);
+});
+
+test('Printables files take the model from the page title, else the URL slug', () => {
+  const download = {
+    url: 'https://files.printables.com/media/prints/3161/stls/benchy.stl',
+    referrer: 'https://www.printables.com/',
+    tabUrl: 'https://www.printables.com/de/model/3161-3d-benchy',
+    pageTitle: '#3DBenchy by CreativeTools | Printables.com'
+  };
+  const titled = siteAdapters.matchSiteAdapter(download);
+  assert.strictEqual(titled.adapter.id, 'printables-model');
+  assert.deepStrictEqual(titled.values, { model: '#3DBenchy', modelId: '3161' });
+
+  const slug = siteAdapters.matchSiteAdapter({ ...download, pageTitle: '' });
+  assert.deepStrictEqual(slug.values, { model: '3d benchy', modelId: '3161' });
+
+  // A file without a model page to credit it to isn't recognized
+  assert.strictEqual(siteAdapters.matchSiteAdapter({ url: download.url }), null);
+});
+
+test('arXiv papers are recognized by new and old style ids', () => {
+  assert.deepStrictEqual(
+    siteAdapters.matchSiteAdapter({ url: 'https://arxiv.org/pdf/2401.01234v2' }).values,
+    { paper: '2401.01234', version: '2' }
+  );
+  assert.deepStrictEqual(
+    siteAdapters.matchSiteAdapter({ url: 'https://export.arxiv.org/abs/hep-th/9901001' }).values,
+    { paper: 'hep-th/9901001', version: '' }
+  );
+  assert.strictEqual(siteAdapters.matchSiteAdapter({ url: 'https://arxiv.org/list/cs.AI/recent' }), null);
+});
+
+test('subfolders join under a base folder', () => {
+  assert.strictEqual(siteAdapters.joinFolder('Code', '{owner}/{repo}'), 'Code/{owner}/{repo}');
+  assert.strictEqual(siteAdapters.joinFolder('Downloads', '{paper}'), '{paper}');
+  assert.strictEqual(siteAdapters.joinFolder('', '{paper}'), '{paper}');
+  assert.strictEqual(siteAdapters.joinFolder('C:\\Papers\\', '{owner}/{repo}'), 'C:\\Papers\\{owner}\\{repo}');
+});
+
+log('Routing with site adapters', colors.cyan);
+
+test('every route carries the suggestion; rules without siteAdapter keep their folder', () => {
+  const rules = [{ type: 'domain', value: 'github.com', folder: 'GitHub' }];
+  const route = router.routeDownload({ url: releaseUrl, filename: 'widget-linux-x64.tar.gz' }, { rules });
+  assert.strictEqual(route.resolvedPath, 'GitHub/widget-linux-x64.tar.gz');
+  assert.deepStrictEqual(route.siteSuggestion, {
+    id: 'github-release',
+    name: 'GitHub release',
+    folder: 'Code/acme/widget/v2.1.0',
+    values: { owner: 'acme', repo: 'widget', tag: 'v2.1.0' }
+  });
+
+  const plain = router.routeDownload({ url: 'https://example.com/a.zip', filename: 'a.zip' }, { rules });
+  assert.strictEqual(plain.siteSuggestion, null);
+});
+
+test('rules that opt in file the download in the adapter\'s subfolder and may use its values', () => {
+  const rules = [
+    { type: 'domain', value: 'github.com', folder: 'Code', siteAdapter: true },
+    { type: 'domain', value: 'arxiv.org', folder: 'Reading', siteAdapter: true, rename: { template: '{paper}v{version}' } }
+  ];
+  const release = router.routeDownload({ url: releaseUrl, filename: 'widget-linux-x64.tar.gz' }, { rules });
+  assert.strictEqual(release.resolvedPath, 'Code/acme/widget/v2.1.0/widget-linux-x64.tar.gz');
+
+  const paper = router.routeDownload({ url: 'https://arxiv.org/pdf/2401.01234v2', filename: '2401.01234v2.pdf' }, { rules });
+  assert.strictEqual(paper.resolvedPath, 'Reading/2401.01234/2401.01234v2.pdf');
+
+  // An opted-in rule for a download no adapter recognizes keeps its own folder
+  const other = router.routeDownload({ url: 'https://github.com/acme/widget/raw/main/logo.png', filename: 'logo.png' }, { rules });
+  assert.strictEqual(other.resolvedPath, 'Code/logo.png');
+
+  assert.ok(router.getRuleTemplateVariables(rules[1]).includes('paper'));
+  assert.ok(!router.getRuleTemplateVariables({ type: 'domain', value: 'arxiv.org' }).includes('paper'));
+});
+
+test('adapters can be registered, and replace one with the same id', () => {
+  const original = siteAdapters.SITE_ADAPTERS.slice();
+  try {
+    siteAdapters.registerSiteAdapter({
+      id: 'example-docs',
+      name: 'Example docs',
+      sites: ['docs.example.com'],
+      folder: 'Docs',
+      subfolder: '{product}',
+      variables: ['product'],
+      parse: ({ url }) => {
+        const match = url && url.hostname === 'docs.example.com' && url.pathname.match(/^\/([^/]+)\//);
+        return match ? { product: match[1] } : null;
+      }
+    });
+    const route = router.routeDownload({ url: 'https://docs.example.com/widget/manual.pdf', filename: 'manual.pdf' }, { rules: [] });
+    assert.strictEqual(route.siteSuggestion.folder, 'Docs/widget');
+    assert.ok(siteAdapters.getSiteAdapterVariables().includes('product'));
+
+    siteAdapters.registerSiteAdapter({ ...siteAdapters.SITE_ADAPTERS.at(-1), parse: () => { throw new Error('broken'); } });
+    assert.strictEqual(siteAdapters.SITE_ADAPTERS.length, original.length + 1);
+    // A broken adapter doesn't break routing
+    assert.strictEqual(siteAdapters.matchSiteAdapter({ url: 'https://docs.example.com/widget/manual.pdf' }), null);
+  } finally {
+    siteAdapters.SITE_ADAPTERS.splice(0, siteAdapters.SITE_ADAPTERS.length, ...original);
+  }
+});
+
+finish();
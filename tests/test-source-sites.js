@@ -0,0 +1,78 @@
+/**
+ * test-source-sites.js
+ *
+ * Purpose: Test script for source site attribution.
+ * Role: Verifies that extension/lib/source-sites.js credits downloads served from CDNs and
+ *       shared storage to the site they belong to, and that domain rules see that site.
+ *
+ * Usage: node tests/test-source-sites.js
+ *
+ * Exits with a non-zero status if any check fails.
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const sourceSites = require(path.join(__dirname, '..', 'extension', 'lib', 'source-sites.js'));
+const router = require(path.join(__dirname, '..', 'extension', 'lib', 'router.js'));
+const { colors, log, test, finish } = require('./helpers');
+
+log('CDN map', colors.cyan);
+
+test('looks up site-specific hosts, shared CDNs and ordinary hosts', () => {
+  assert.strictEqual(sourceSites.lookupCdnHost('objects.githubusercontent.com'), 'github.com');
+  assert.strictEqual(sourceSites.lookupCdnHost('doc-0s-2c-docs.googleusercontent.com'), 'drive.google.com');
+  assert.strictEqual(sourceSites.lookupCdnHost('my-bucket.s3.eu-west-1.amazonaws.com'), null);
+  assert.strictEqual(sourceSites.lookupCdnHost('amazonaws.com'), undefined);
+  assert.strictEqual(sourceSites.lookupCdnHost('example.com'), undefined);
+});
+
+log('Resolving the source site', colors.cyan);
+
+test('an ordinary download host is its own source site', () => {
+  assert.deepStrictEqual(
+    sourceSites.resolveSourceSite({ url: 'https://www.printables.com/model/1.stl', referrer: 'https://news.example.org/' }),
+    { site: 'printables.com', host: 'printables.com', via: 'download' }
+  );
+});
+
+test('site-specific CDNs are credited to their site, also after a redirect', () => {
+  assert.deepStrictEqual(
+    sourceSites.resolveSourceSite({ url: 'https://objects.githubusercontent.com/a/b.zip' }),
+    { site: 'github.com', host: 'objects.githubusercontent.com', via: 'cdn' }
+  );
+  assert.strictEqual(sourceSites.resolveSourceSite({
+    url: 'https://d111.cloudfront.net/get', finalUrl: 'https://drive.usercontent.google.com/download?id=1'
+  }).site, 'drive.google.com');
+});
+
+test('shared storage is credited to the final URL, then the referrer, then the tab', () => {
+  const s3 = 'https://bucket.s3.amazonaws.com/file.zip';
+  assert.strictEqual(sourceSites.resolveSourceSite({ url: s3, finalUrl: 'https://files.example.com/x.zip' }).site, 'files.example.com');
+  assert.deepStrictEqual(
+    sourceSites.resolveSourceSite({ url: s3, referrer: 'https://vendor.example/downloads', tabUrl: 'https://other.example/' }),
+    { site: 'vendor.example', host: 'bucket.s3.amazonaws.com', via: 'referrer' }
+  );
+  assert.strictEqual(sourceSites.resolveSourceSite({ url: s3, tabUrl: 'https://other.example/' }).via, 'tab');
+  assert.strictEqual(sourceSites.resolveSourceSite({ url: s3 }).site, 'bucket.s3.amazonaws.com');
+  assert.strictEqual(sourceSites.resolveSourceSite({ url: 'data:text/plain,hi' }), null);
+});
+
+log('Domain rules', colors.cyan);
+
+test('site rules match downloads served from their CDN', () => {
+  const rules = [{ type: 'domain', value: 'github.com', folder: 'GitHub', matchScope: 'any' }];
+  const route = router.routeDownload({ url: 'https://objects.githubusercontent.com/a/tool.zip', filename: 'tool.zip' }, { rules });
+  assert.strictEqual(route.finalRule.folder, 'GitHub');
+  assert.strictEqual(route.sourceSite.site, 'github.com');
+});
+
+test('the source scope only looks at the credited site', () => {
+  const rule = { type: 'domain', value: 'vendor.example', folder: 'Vendor', matchScope: 'source' };
+  const download = { url: 'https://bucket.s3.amazonaws.com/a.zip', referrer: 'https://vendor.example/', filename: 'a.zip' };
+  assert.strictEqual(router.routeDownload(download, { rules: [rule] }).domainMatches.length, 1);
+  const direct = { url: 'https://cdn.example.net/a.zip', referrer: 'https://vendor.example/', filename: 'a.zip' };
+  assert.strictEqual(router.routeDownload(direct, { rules: [rule] }).domainMatches.length, 0);
+});
+
+finish();
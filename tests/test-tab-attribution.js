@@ -0,0 +1,71 @@
+/**
+ * test-tab-attribution.js
+ *
+ * Purpose: Test script for tab attribution.
+ * Role: Verifies that extension/lib/tab-attribution.js picks the tab that started a
+ *       download (the overlay is shown there) from recent navigations, opener tabs, the
+ *       referrer and the active tab.
+ *
+ * Usage: node tests/test-tab-attribution.js
+ *
+ * Exits with a non-zero status if any check fails.
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const attribution = require(path.join(__dirname, '..', 'extension', 'lib', 'tab-attribution.js'));
+const { colors, log, test, finish } = require('./helpers');
+
+const NOW = 1_000_000;
+
+// Window 1 is focused and shows the mail tab; the releases page is a background tab in window 2
+const tabs = [
+  { id: 1, windowId: 1, active: true, url: 'https://mail.example.com/inbox', lastAccessed: NOW - 100 },
+  { id: 2, windowId: 2, active: false, url: 'https://github.com/owner/repo/releases', lastAccessed: NOW - 5000 },
+  { id: 3, windowId: 2, active: true, url: 'https://github.com/owner/repo', lastAccessed: NOW - 2000 }
+];
+const options = { focusedWindowId: 1, now: NOW };
+const download = { url: 'https://github.com/owner/repo/releases/download/v1/app.zip', referrer: '' };
+
+log('Navigation log', colors.cyan);
+
+test('drops old entries and remembers which tab opened a new one', () => {
+  let navigations = attribution.recordNavigation([], { tabId: 9, url: 'https://old.example/', timeStamp: NOW - 60000 }, NOW);
+  navigations = attribution.recordNavigation(navigations, { tabId: 4, url: 'https://a.example/file.zip', timeStamp: NOW - 10, sourceTabId: 2 }, NOW);
+  navigations = attribution.recordNavigation(navigations, { tabId: 4, url: 'https://a.example/file.zip', timeStamp: NOW }, NOW);
+  assert.deepStrictEqual(navigations.map(entry => entry.tabId), [4, 4]);
+  assert.strictEqual(navigations[1].sourceTabId, 2);
+});
+
+log('Finding the tab', colors.cyan);
+
+test('a tab that navigated to the file wins over the active tab', () => {
+  const navigations = [{ tabId: 2, url: download.url, timeStamp: NOW - 500 }];
+  const found = attribution.findDownloadTab(download, tabs, navigations, options);
+  assert.strictEqual(found.tab.id, 2);
+  assert.strictEqual(found.via, 'navigation');
+});
+
+test('a closed or blank new tab is credited to the tab that opened it', () => {
+  const navigations = [{ tabId: 7, url: download.url, timeStamp: NOW - 500, sourceTabId: 2 }];
+  assert.strictEqual(attribution.findDownloadTab(download, tabs, navigations, options).via, 'opener');
+  const withBlankTab = [...tabs, { id: 7, windowId: 2, active: true, url: 'about:blank', openerTabId: 2 }];
+  assert.strictEqual(attribution.findDownloadTab(download, withBlankTab, [{ tabId: 7, url: download.url, timeStamp: NOW }], options).tab.id, 2);
+});
+
+test('stale navigations are ignored', () => {
+  const navigations = [{ tabId: 2, url: download.url, timeStamp: NOW - attribution.NAVIGATION_WINDOW_MS - 1 }];
+  assert.strictEqual(attribution.findDownloadTab(download, tabs, navigations, options).tab.id, 1);
+});
+
+test('falls back to the referrer page, then its site, then the focused window', () => {
+  const fromReleases = { ...download, referrer: 'https://github.com/owner/repo/releases' };
+  assert.deepStrictEqual(attribution.findDownloadTab(fromReleases, tabs, [], options), { tab: tabs[1], via: 'referrer' });
+  const fromIssue = { ...download, referrer: 'https://github.com/owner/repo/issues/1' };
+  assert.deepStrictEqual(attribution.findDownloadTab(fromIssue, tabs, [], options), { tab: tabs[2], via: 'origin' });
+  assert.deepStrictEqual(attribution.findDownloadTab(download, tabs, [], options), { tab: tabs[0], via: 'active' });
+  assert.strictEqual(attribution.findDownloadTab(download, [], [], options), null);
+});
+
+finish();